@@ -5,6 +5,16 @@ const path = require('path');
 const chalk = require('chalk');
 const { spawn } = require('child_process');
 const inquirer = require('inquirer');
+const { LeaseCoordinator, startCoordinatorServer } = require('./lib/lease-coordinator');
+const { RATE_BUCKETS, rateLimitsFromEnv, createBuckets } = require('./lib/rate-limiter');
+const { newRunId, readEvents, summarizeEvents } = require('./lib/event-log');
+const { DEFAULT_DASHBOARD_PORT, startDashboardServer } = require('./lib/dashboard');
+const { demoFixture, startFakeGoogleServer } = require('./lib/fake-google');
+const { getApiBaseUrl } = require('./lib/google-endpoint');
+const { createConfigStore, withOverrides } = require('./lib/config-store');
+const { selectProfile } = require('./lib/profiles');
+const { configOverridesFromEnv } = require('./lib/cli-options');
+const { resolveSheetTabs, tabLabel } = require('./lib/sheet-tabs');
 
 // Unified Monitor: Basic monitor + Table monitor in one
 // Automatically switches to table view when 16 workers are selected
@@ -20,6 +30,11 @@ const EXPLICIT_MODE = ARGS.has('--logs') || ARGS.has('--live-logs') || ARGS.has(
 const MODE_LOGS = MODE_TABLE ? false : (ARGS.has('--logs') || ARGS.has('--live-logs') || !EXPLICIT_MODE);
 const MODE_LOGS_ONLY = MODE_LOGS && (ARGS.has('--logs-only') || ARGS.has('--attach'));
 const MODE_STREAM_STDOUT = ARGS.has('--stream'); // stream worker stdout/stderr directly
+const MODE_REVOKE = ARGS.has('--revoke'); // workers revoke access for rows flagged REVOKE
+const MODE_RETRY_FAILED = ARGS.has('--retry-failed'); // workers retry rows that failed with a TRANSIENT error
+const MODE_BATCH = ARGS.has('--batch'); // workers send permission checks/creates through the Drive batch endpoint
+const MODE_DASHBOARD = ARGS.has('--dashboard') || !!process.env.DASHBOARD_PORT; // serve the web dashboard
+const MODE_FAKE_GOOGLE = ARGS.has('--fake-google'); // workers talk to an in-process fake Drive/Sheets
 
 const LOCK_PATH = '/tmp/certificate-sharing-monitor.lock';
 
@@ -47,6 +62,177 @@ function acquireLock() {
   }
 }
 
+// Start the local coordinator: row leases and the shared API rate budgets
+async function startCoordinator() {
+  const leaseTtlMs = Number(process.env.LEASE_TTL_MS) || undefined;
+  const coordinator = new LeaseCoordinator({
+    leaseTtlMs,
+    onReclaim: (reclaimed) => {
+      const byWorker = {};
+      for (const { worker } of reclaimed) byWorker[worker] = (byWorker[worker] || 0) + 1;
+      const summary = Object.entries(byWorker).map(([w, n]) => `${w}: ${n}`).join(', ');
+      console.log(chalk.yellow(`♻️  Lease kedaluwarsa diambil kembali (${summary})`));
+    }
+  });
+  const rateLimits = rateLimitsFromEnv();
+  const buckets = createBuckets(rateLimits);
+  const routes = {
+    'POST /rate': (body) => {
+      const bucket = buckets[body.bucket];
+      if (!bucket) throw new Error(`Unknown rate bucket '${body.bucket}' (expected ${RATE_BUCKETS.join(', ')})`);
+      // Batched Drive requests reserve one token per sub-request
+      const count = Math.min(100, Math.max(1, Math.floor(Number(body.count) || 1)));
+      return { waitMs: bucket.reserve(count) };
+    },
+    'GET /rate': () => Object.fromEntries(RATE_BUCKETS.map(b => [b, buckets[b].status()]))
+  };
+  const { server, url } = await startCoordinatorServer({ coordinator, routes });
+  console.log(chalk.gray(`🚦 Rate limit global: ${RATE_BUCKETS.map(b => `${b} ${rateLimits[b].ratePerSec}/s`).join(', ')}`));
+  // Reclaim expired leases even when no worker is asking for work
+  const timer = setInterval(() => coordinator.reclaimExpired(), 15000);
+  timer.unref();
+  return { coordinator, buckets, server, url };
+}
+
+// Worker event files (events-*.ndjson), newest first
+function listEventFiles(logsDir, limit = 64) {
+  if (!fs.existsSync(logsDir)) return [];
+  return fs.readdirSync(logsDir)
+    .filter(file => file.startsWith('events-') && file.endsWith('.ndjson'))
+    .map(file => {
+      const filePath = path.join(logsDir, file);
+      try {
+        return { filePath, mtimeMs: fs.statSync(filePath).mtimeMs };
+      } catch {
+        return null;
+      }
+    })
+    .filter(Boolean)
+    .sort((a, b) => b.mtimeMs - a.mtimeMs)
+    .slice(0, limit);
+}
+
+// Display status of a worker from its event summary
+function workerStatus(summary, mtimeMs, now = Date.now()) {
+  const freshMs = 15000; // treat as running if log updated in last 15s
+  if (summary.finished) return 'COMPLETED';
+  if (summary.total > 0) return 'RUNNING';
+  return (now - mtimeMs) < freshMs ? 'RUNNING' : 'IDLE';
+}
+
+// Snapshot for the web dashboard: per-worker status, overall progress/ETA and
+// recent errors, from the event files of one run (or the newest files)
+function buildDashboardState(logsDir, runId = null, { maxErrors = 20, speedWindowMs = 5 * 60 * 1000 } = {}) {
+  const now = Date.now();
+  const workers = [];
+  const errors = [];
+  const rowTimes = [];
+  let firstStart = null;
+  let leased = false;
+  const totals = [];
+
+  for (const { filePath, mtimeMs } of listEventFiles(logsDir)) {
+    let events = readEvents(filePath);
+    if (runId) events = events.filter(e => e.runId === runId);
+    if (!events.length) continue;
+    const summary = summarizeEvents(events);
+    workers.push({
+      id: summary.workerId || path.basename(filePath),
+      status: workerStatus(summary, mtimeMs, now),
+      progress: summary.total > 0 ? `${summary.processed}/${summary.total}` : `${summary.processed}`,
+      current: summary.current,
+      success: summary.success,
+      error: summary.error,
+      skip: summary.skip,
+      rate: Number.isFinite(summary.ratePerSec) ? Number(summary.ratePerSec.toFixed(2)) : null,
+      lastActivity: summary.lastTs,
+      processed: summary.processed,
+      total: summary.total
+    });
+    totals.push(summary.total);
+    for (const e of events) {
+      if (e.type === 'run_start') {
+        if (!firstStart || e.ts < firstStart) firstStart = e.ts;
+        if (e.mode && e.mode.leased) leased = true;
+      } else if (e.type === 'row' && e.outcome !== 'recovered') {
+        rowTimes.push(Date.parse(e.ts));
+        if (e.outcome === 'error') {
+          errors.push({
+            ts: e.ts,
+            workerId: e.workerId,
+            rowIndex: e.rowIndex,
+            name: e.name,
+            email: e.email,
+            class: e.error ? e.error.class : null,
+            message: e.error ? (e.error.friendly || e.error.message) : null
+          });
+        }
+      }
+    }
+  }
+
+  workers.sort((a, b) => String(a.id).localeCompare(String(b.id), undefined, { numeric: true }));
+  errors.sort((a, b) => (a.ts < b.ts ? 1 : -1));
+
+  // Leased workers all draw from the same pending rows, so the largest total is the run's size
+  const total = leased ? Math.max(0, ...totals) : totals.reduce((n, t) => n + t, 0);
+  const processed = Math.min(total || Infinity, workers.reduce((n, w) => n + w.processed, 0));
+  const windowStart = Math.max(now - speedWindowMs, firstStart ? Date.parse(firstStart) : now);
+  const recentRows = rowTimes.filter(t => t >= windowStart).length;
+  const windowMin = (now - windowStart) / 60000;
+  const rowsPerMin = windowMin > 0.05 ? Number((recentRows / windowMin).toFixed(1)) : null;
+  const remaining = Math.max(0, total - processed);
+  const etaSec = rowsPerMin ? Math.round(remaining / rowsPerMin * 60) : (remaining === 0 && total > 0 ? 0 : null);
+
+  return {
+    runId,
+    updatedAt: new Date(now).toISOString(),
+    overall: {
+      processed,
+      total,
+      percent: total > 0 ? Math.round(processed / total * 100) : 0,
+      success: workers.reduce((n, w) => n + w.success, 0),
+      error: workers.reduce((n, w) => n + w.error, 0),
+      skip: workers.reduce((n, w) => n + w.skip, 0),
+      rowsPerMin,
+      etaSec
+    },
+    workers: workers.map(({ processed: _p, total: _t, ...w }) => w),
+    errors: errors.slice(0, maxErrors)
+  };
+}
+
+// Serve the web dashboard (DASHBOARD_PORT/DASHBOARD_HOST) with a live tail of the worker logs
+async function startDashboard(logsDir, runId = null) {
+  const port = Number(process.env.DASHBOARD_PORT) || DEFAULT_DASHBOARD_PORT;
+  const host = process.env.DASHBOARD_HOST || '127.0.0.1';
+  try {
+    const { url, pushLog } = await startDashboardServer({ getState: () => buildDashboardState(logsDir, runId), host, port });
+    console.log(chalk.green(`🌐 Dashboard: ${url}${host === '127.0.0.1' ? chalk.gray(' (DASHBOARD_HOST=0.0.0.0 untuk akses dari LAN)') : ''}`));
+    const follower = new LiveLogsFollower(logsDir, { onLine: (filePath, line) => pushLog(`[${path.basename(filePath)}] ${line}`) });
+    follower.startPolling();
+  } catch (error) {
+    console.log(chalk.yellow(`⚠️  Dashboard tidak bisa dibuka di ${host}:${port}: ${error.message}`));
+  }
+}
+
+// Start the offline Drive/Sheets stand-in (FAKE_GOOGLE_FIXTURE or the demo data)
+// and point every worker at it through GOOGLE_API_BASE_URL
+async function startFakeGoogle() {
+  const fixturePath = process.env.FAKE_GOOGLE_FIXTURE;
+  const fixture = fixturePath ? JSON.parse(fs.readFileSync(fixturePath, 'utf8')) : demoFixture();
+  const port = Number(process.env.FAKE_GOOGLE_PORT) || 0;
+  const { url } = await startFakeGoogleServer({ fixture, port });
+  process.env.GOOGLE_API_BASE_URL = url;
+  if (!fixturePath) {
+    // Demo data lives in one sheet/tab under one parent folder
+    process.env.SHEET_ID = process.env.SHEET_ID || 'demo-sheet';
+    process.env.SHEET_NAME = process.env.SHEET_NAME || 'participants';
+    process.env.PARENT_FOLDER_ID = process.env.PARENT_FOLDER_ID || 'demo-parent';
+  }
+  console.log(chalk.yellow(`🧪 Fake Google API: ${url} (${fixturePath ? path.resolve(fixturePath) : 'data demo'}) - tidak ada perubahan di Google Drive asli`));
+}
+
 function findWorkerBinary() {
   try {
     const execDir = path.dirname(process.execPath);
@@ -69,6 +255,8 @@ function findWorkerBinary() {
       path.join(process.cwd(), `certificate-worker-win${ext}`),
       path.join(process.cwd(), `certificate-worker-mac${ext}`),
       path.join(process.cwd(), 'certificate-worker.js'),
+      // Installed CLI (certificate-sharing monitor) started from another directory
+      path.join(__dirname, 'certificate-worker.js'),
     );
 
     for (const candidate of candidates) {
@@ -102,6 +290,7 @@ class CertificateWorkerMonitor {
         error: 0,
         skip: 0,
         lastActivity: '-',
+        rate: '-',
         logFile: null
       };
     }
@@ -143,8 +332,9 @@ class CertificateWorkerMonitor {
     try {
       if (!fs.existsSync(this.logsDir)) return;
 
+      // Structured event files the workers write (on unless LOG_FORMAT=text)
       const logFiles = fs.readdirSync(this.logsDir)
-        .filter(file => file.startsWith('share-') && file.endsWith('.log'))
+        .filter(file => file.startsWith('events-') && file.endsWith('.ndjson'))
         .sort((a, b) => {
           try {
             const statA = fs.statSync(path.join(this.logsDir, a));
@@ -167,7 +357,7 @@ class CertificateWorkerMonitor {
       for (let i = 0; i < Math.min(logFiles.length, this.maxWorkers); i++) {
         const logFile = logFiles[i];
         const logPath = path.join(this.logsDir, logFile);
-        this.parseLogFile(logPath, i);
+        this.parseEventFile(logPath, i);
       }
 
     } catch (error) {
@@ -175,88 +365,25 @@ class CertificateWorkerMonitor {
     }
   }
 
-  parseLogFile(logPath, workerIndex) {
+  parseEventFile(logPath, workerIndex) {
     try {
-      const content = fs.readFileSync(logPath, 'utf8');
       const stat = fs.statSync(logPath);
-      const lines = content.split('\n').filter(line => line.trim());
+      const summary = summarizeEvents(readEvents(logPath));
       const worker = this.workers[workerIndex];
-      
-      worker.logFile = path.basename(logPath);
-      worker.status = 'IDLE';
-      worker.current = '-';
-      worker.progress = '0/0';
-      worker.success = 0;
-      worker.error = 0;
-      worker.skip = 0;
-      worker.lastActivity = '-';
-
-      let totalParticipants = 0;
-      let processed = 0;
-      let lastTimestamp = null;
-
-      // Parse log lines
-      for (const line of lines) {
-        // Extract timestamp
-        const timestampMatch = line.match(/\[([^\]]+)\]/);
-        if (timestampMatch) {
-          lastTimestamp = timestampMatch[1];
-          
-          // Convert to display format (HH:mm:ss)
-          try {
-            const date = new Date(timestampMatch[1]);
-            worker.lastActivity = date.toTimeString().split(' ')[0];
-          } catch {
-            worker.lastActivity = timestampMatch[1].split(' ')[1] || '-';
-          }
-        }
-
-        // Extract current participant
-        // Success line example: "Row 669 GRANTED reader -> email - Time: ..."
-        // Skip line example:    "Row 586 SKIP already has reader - Time: ..."
-        // Error line example:   "Row 473 ERROR folder not found for name='...' - Time: ..."
-        const successMatch = line.match(/Row\s+\d+\s+(GRANTED|DRY_RUN)\s+\w+\s+->\s+([^\s]+)\s+-/);
-        const skipMatch = line.match(/Row\s+\d+\s+SKIP\b.*?:\s+([^\s\|]+)(?:\|[^\s]+)?\s+-/);
-        const errorMatch = line.match(/Row\s+\d+\s+ERROR\b.*?(?:name='([^']+)')?/);
-        if (successMatch) {
-          worker.success++;
-          processed++;
-          // Derive a human-friendly "current" from the email local-part
-          const email = successMatch[2] || '';
-          const name = email.split('@')[0];
-          if (name) worker.current = name;
-        } else if (skipMatch) {
-          worker.skip++;
-          processed++;
-          const token = (skipMatch[1] || '').trim();
-          if (token) worker.current = token;
-        } else if (errorMatch) {
-          worker.error++;
-          processed++;
-          const name = (errorMatch[1] || '').trim();
-          if (name) worker.current = name;
-        }
 
-        // Extract progress info
-        if (line.includes('Processing') && line.includes('participants')) {
-          const m = line.match(/Processing\s+(\d+)\s+participants/);
-          if (m) totalParticipants = parseInt(m[1]);
-        }
-      }
+      worker.logFile = path.basename(logPath);
+      worker.success = summary.success;
+      worker.error = summary.error;
+      worker.skip = summary.skip;
+      worker.current = summary.current || '-';
+      worker.rate = Number.isFinite(summary.ratePerSec) ? summary.ratePerSec.toFixed(2) : '-';
+      worker.lastActivity = summary.lastTs ? new Date(summary.lastTs).toTimeString().split(' ')[0] : '-';
 
       // Set final status
-      const now = Date.now();
-      const freshMs = 15000; // treat as running if log updated in last 15s
-      if (totalParticipants > 0) {
-        worker.status = processed < totalParticipants ? 'RUNNING' : 'COMPLETED';
-      } else if (processed > 0) {
-        worker.status = (now - stat.mtimeMs) < freshMs ? 'RUNNING' : 'COMPLETED';
-      } else {
-        worker.status = (now - stat.mtimeMs) < freshMs ? 'RUNNING' : 'IDLE';
-      }
+      worker.status = workerStatus(summary, stat.mtimeMs);
 
       // Set progress
-      worker.progress = totalParticipants > 0 ? `${processed}/${totalParticipants}` : `${processed}`;
+      worker.progress = summary.total > 0 ? `${summary.processed}/${summary.total}` : `${summary.processed}`;
 
     } catch (error) {
       // Handle file reading errors silently
@@ -274,8 +401,8 @@ class CertificateWorkerMonitor {
     console.log(chalk.cyan('╔══════════════════════════════════════════════════════════════════════════════╗'));
     console.log(chalk.cyan('║                        CERTIFICATE SHARING WORKERS MONITOR                  ║'));
     console.log(chalk.cyan('╠══════════════════════════════════════════════════════════════════════════════╣'));
-    console.log(chalk.cyan('║ ID │ Status │ Progress │ Current Participant      │ ✅Success │ ❌Error │ ⏭️Skip │ Last ║'));
-    console.log(chalk.cyan('╠════╪════════╪══════════╪═══════════════════════════╪═════════╪═══════╪════════╪══════╣'));
+    console.log(chalk.cyan('║ ID │ Status │ Progress │ Current Participant      │ ✅Success │ ❌Error │ ⏭️Skip │ Rate/s │ Last ║'));
+    console.log(chalk.cyan('╠════╪════════╪══════════╪═══════════════════════════╪═════════╪═══════╪════════╪════════╪══════╣'));
 
     // Worker rows
     let totalActive = 0;
@@ -291,7 +418,7 @@ class CertificateWorkerMonitor {
       const current = worker.current.length > 25 ? worker.current.substring(0, 22) + '...' : worker.current;
       
       console.log(chalk.cyan('║') + 
-        ` ${String(worker.id).padStart(2)} │ ${statusColor.padEnd(14)} │ ${worker.progress.padEnd(8)} │ ${current.padEnd(25)} │ ${String(worker.success).padStart(7)} │ ${String(worker.error).padStart(5)} │ ${String(worker.skip).padStart(6)} │ ${worker.lastActivity.padEnd(8)} ` +
+        ` ${String(worker.id).padStart(2)} │ ${statusColor.padEnd(14)} │ ${worker.progress.padEnd(8)} │ ${current.padEnd(25)} │ ${String(worker.success).padStart(7)} │ ${String(worker.error).padStart(5)} │ ${String(worker.skip).padStart(6)} │ ${String(worker.rate).padStart(6)} │ ${worker.lastActivity.padEnd(8)} ` +
         chalk.cyan('║'));
 
       if (worker.status !== 'IDLE') totalActive++;
@@ -301,11 +428,11 @@ class CertificateWorkerMonitor {
     }
 
     // Summary
-    console.log(chalk.cyan('╠════╪════════╪══════════╪═══════════════════════════╪═════════╪═══════╪════════╪══════╣'));
+    console.log(chalk.cyan('╠════╪════════╪══════════╪═══════════════════════════╪═════════╪═══════╪════════╪════════╪══════╣'));
     console.log(chalk.cyan('║') + 
       ` TOTAL SUMMARY │ Active: ${String(totalActive).padStart(2)} │ Success: ${String(totalSuccess).padStart(4)} │ Error: ${String(totalError).padStart(3)} │ Skip: ${String(totalSkip).padStart(4)} ` +
       chalk.cyan('║'));
-    console.log(chalk.cyan('╚═══════════════╧══════════╧═════════════════╧═══════════╧═══════╧════════╧══════╝'));
+    console.log(chalk.cyan('╚═══════════════╧══════════╧═════════════════╧═══════════╧═══════╧════════╧════════╧══════╝'));
     
     console.log(`Last updated: ${timeStr} | Refresh: ${this.refreshInterval/1000}s | Press Ctrl+C to exit`);
   }
@@ -317,6 +444,7 @@ class LiveLogsFollower {
     this.logsDir = logsDir;
     this.intervalMs = options.intervalMs || 500;
     this.maxWorkers = options.maxWorkers || 64;
+    this.onLine = options.onLine || null; // (filePath, line) => void, instead of printing
     this.tracked = new Map(); // filePath -> { pos }
     this.colorMap = new Map(); // filePath -> color fn
     this.colors = [chalk.cyan, chalk.green, chalk.yellow, chalk.magenta, chalk.blue, chalk.white, chalk.gray, chalk.red];
@@ -374,7 +502,10 @@ class LiveLogsFollower {
           state.pos += bytesRead;
           const text = buffer.slice(0, bytesRead).toString('utf8');
           const lines = text.split(/\r?\n/).filter(Boolean);
-          for (const line of lines) this.printLine(filePath, line);
+          for (const line of lines) {
+            if (this.onLine) this.onLine(filePath, line);
+            else this.printLine(filePath, line);
+          }
         }
       } catch (_) {
         // ignore
@@ -382,17 +513,47 @@ class LiveLogsFollower {
     }
   }
 
+  // Poll for new lines in the background; returns the timer
+  startPolling() {
+    this.ensureTracking();
+    return setInterval(() => { this.pollOnce(); }, this.intervalMs);
+  }
+
   async start() {
     console.log(chalk.yellow('🔎 Live logs mode: following latest log files. Press Ctrl+C to stop.'));
     // Initial poll & watch
-    this.ensureTracking();
-    const timer = setInterval(() => { this.pollOnce(); }, this.intervalMs);
+    const timer = this.startPolling();
     process.on('SIGINT', () => { clearInterval(timer); console.log(chalk.gray('\nLive logs stopped.')); process.exit(0); });
     // keep alive
     await new Promise(() => {});
   }
 }
 
+// Number of workers: WORKER_COUNT (certificate-sharing monitor --workers) or a prompt
+async function askWorkerCount() {
+  const valid = (input) => Number.isInteger(input) && input >= 1 && input <= 64;
+  const fromEnv = Number(process.env.WORKER_COUNT);
+  if (process.env.WORKER_COUNT) {
+    if (valid(fromEnv)) return fromEnv;
+    console.log(chalk.yellow(`⚠️  WORKER_COUNT=${process.env.WORKER_COUNT} tidak valid (1-64), pilih manual.`));
+  }
+  const { workerCount } = await inquirer.prompt([
+    {
+      type: 'number',
+      name: 'workerCount',
+      message: 'Berapa worker yang ingin dijalankan?',
+      default: 16,
+      validate: (input) => {
+        if (!valid(input)) {
+          return 'Masukkan angka antara 1-64';
+        }
+        return true;
+      }
+    }
+  ]);
+  return workerCount;
+}
+
 async function startBasicMonitor() {
   console.clear();
   console.log(chalk.cyan.bold('╔══════════════════════════════════════════════════════════╗'));
@@ -406,6 +567,7 @@ async function startBasicMonitor() {
     const logsDir = path.join(process.cwd(), 'logs');
     if (!fs.existsSync(logsDir)) fs.mkdirSync(logsDir, { recursive: true });
     console.log(chalk.yellow('📎 Attach mode: following logs without starting workers...'));
+    if (MODE_DASHBOARD) await startDashboard(logsDir);
     const follower = new LiveLogsFollower(logsDir);
     await follower.start();
     return;
@@ -419,37 +581,63 @@ async function startBasicMonitor() {
   }
 
   console.log(chalk.green(`✅ Worker binary: ${path.basename(workerBinary)}`));
+  // Workers inherit PROFILE; check it once here instead of failing in every worker
+  let config;
+  try {
+    config = withOverrides(selectProfile(createConfigStore(), (process.env.PROFILE || '').trim()), configOverridesFromEnv(process.env));
+  } catch (error) {
+    console.log(chalk.red(`❌ ${error.message}`));
+    process.exit(1);
+  }
+  if (config.store.profile) console.log(chalk.green(`👤 Profil: ${config.store.profile}`));
+  // Every worker goes through all tabs, leasing rows per tab
+  const tabs = config.get('sourceFile') ? [] : resolveSheetTabs({ sheetTabs: config.get('sheetTabs'), sheetId: config.get('sheetId'), sheetName: config.get('sheetName') });
+  if (tabs.length > 1) console.log(chalk.green(`📑 ${tabs.length} tab: ${tabs.map(tab => tabLabel(tab, config.get('sheetId'))).join(', ')}`));
+  if (MODE_FAKE_GOOGLE) {
+    await startFakeGoogle();
+  } else if (getApiBaseUrl()) {
+    console.log(chalk.yellow(`🔌 Google API: ${getApiBaseUrl()} (GOOGLE_API_BASE_URL)`));
+  }
   console.log();
 
-  const { workerCount } = await inquirer.prompt([
-    {
-      type: 'number',
-      name: 'workerCount',
-      message: 'Berapa worker yang ingin dijalankan?',
-      default: 16,
-      validate: (input) => {
-        if (!Number.isInteger(input) || input < 1 || input > 64) {
-          return 'Masukkan angka antara 1-64';
-        }
-        return true;
-      }
-    }
-  ]);
+  const workerCount = await askWorkerCount();
 
   console.log();
-  console.log(chalk.yellow(`🚀 Memulai ${workerCount} worker...`));
+  console.log(chalk.yellow(`🚀 Memulai ${workerCount} worker${MODE_REVOKE ? ' (mode revoke)' : ''}${MODE_RETRY_FAILED ? ' (mode retry-failed)' : ''}${MODE_BATCH ? ' (mode batch)' : ''}...`));
   console.log(chalk.gray('────────────────────────────────────────────────'));
 
+  // Workers lease rows from the coordinator instead of using fixed hash shards
+  const { url: coordinatorUrl } = await startCoordinator();
+  console.log(chalk.gray(`🧩 Lease coordinator: ${coordinatorUrl}`));
+
+  // One run id for all workers, so their event files can be merged
+  const runId = process.env.RUN_ID || newRunId();
+  console.log(chalk.gray(`🆔 Run ID: ${runId}`));
+
+  const metricsBasePort = Number(process.env.METRICS_PORT) || 0;
+  if (metricsBasePort) {
+    console.log(chalk.gray(`📈 Metrics: http://127.0.0.1:${metricsBasePort}/metrics … :${metricsBasePort + workerCount - 1}/metrics`));
+  }
+
   // Launch workers
   const workers = [];
   for (let i = 0; i < workerCount; i++) {
     try {
       const env = {
         ...process.env,
-        SHARD_TOTAL: workerCount.toString(),
-        SHARD_INDEX: i.toString(),
+        COORDINATOR_URL: coordinatorUrl,
+        WORKER_ID: `w${i + 1}`,
+        RUN_ID: runId,
+        LOG_FORMAT: 'ndjson',
         NODE_ENV: 'production'
       };
+      delete env.SHARD_TOTAL;
+      delete env.SHARD_INDEX;
+      if (MODE_REVOKE) env.REVOKE = 'true';
+      if (MODE_RETRY_FAILED) env.RETRY_FAILED = 'true';
+      if (MODE_BATCH) env.DRIVE_BATCH = 'true';
+      // METRICS_PORT on the monitor is the first worker's port; the others count up from it
+      if (metricsBasePort) env.METRICS_PORT = String(metricsBasePort + i);
 
       let worker;
       if (workerBinary.endsWith('.js')) {
@@ -484,6 +672,7 @@ async function startBasicMonitor() {
 
   console.log();
   console.log(chalk.green(`🎉 ${workers.length} workers started successfully!`));
+  if (MODE_DASHBOARD) await startDashboard(path.join(process.cwd(), 'logs'), runId);
   
   // Auto-switch to table monitor if 16 workers
   if (workerCount >= 8) {
@@ -524,4 +713,4 @@ if (require.main === module) {
   });
 }
 
-module.exports = { CertificateWorkerMonitor, main };
+module.exports = { CertificateWorkerMonitor, buildDashboardState, main };
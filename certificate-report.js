@@ -0,0 +1,49 @@
+#!/usr/bin/env node
+const path = require('path');
+const chalk = require('chalk');
+const { listRuns, writeRunReport } = require('./lib/run-report');
+
+// Regenerate the outcome report of a run from logs/events-*.ndjson.
+//   node certificate-report.js            latest run
+//   node certificate-report.js <RUN_ID>   specific run
+//   node certificate-report.js --list     available runs
+async function main(args = process.argv.slice(2)) {
+  const logsDir = path.join(process.cwd(), 'logs');
+  const reportsDir = path.join(process.cwd(), 'reports');
+  const runs = listRuns(logsDir);
+
+  if (args.includes('--list')) {
+    if (!runs.length) console.log(chalk.yellow('Belum ada event log di folder logs/.'));
+    for (const run of runs) console.log(`${chalk.cyan(run.runId)}  ${chalk.gray(run.lastTs)}`);
+    return;
+  }
+
+  const runId = args.find(arg => !arg.startsWith('--')) || process.env.RUN_ID || (runs[0] && runs[0].runId);
+  if (!runId) {
+    console.log(chalk.yellow('⚠️  Tidak ada run yang bisa dilaporkan (logs/events-*.ndjson kosong).'));
+    process.exitCode = 1;
+    return;
+  }
+  if (!runs.some(run => run.runId === runId)) {
+    console.log(chalk.red(`❌ Run ${runId} tidak ditemukan di logs/. Gunakan --list untuk melihat run yang ada.`));
+    process.exitCode = 1;
+    return;
+  }
+
+  const report = writeRunReport({ logsDir, reportsDir, runId });
+  const counts = {};
+  for (const row of report.rows) counts[row.outcome] = (counts[row.outcome] || 0) + 1;
+  console.log(chalk.green(`📄 Laporan ${runId}: ${report.rows.length} baris`));
+  console.log(chalk.gray(`   ${Object.entries(counts).map(([outcome, n]) => `${outcome}=${n}`).join(' ') || '-'}`));
+  console.log(`   HTML: ${report.htmlPath}`);
+  console.log(`   CSV : ${report.csvPath}`);
+}
+
+if (require.main === module) {
+  main().catch(error => {
+    console.error(chalk.red('❌ Report error:'), error);
+    process.exit(1);
+  });
+}
+
+module.exports = { main };
@@ -0,0 +1,192 @@
+#!/usr/bin/env node
+const path = require('path');
+const chalk = require('chalk');
+const inquirer = require('inquirer');
+const { OPTIONS, COMMANDS, parseCommandLine, applyFlags, profileSettingsFromFlags, resolveOptions, formatHelp } = require('./lib/cli-options');
+const { createConfigStore } = require('./lib/config-store');
+const { PROFILE_KEYS, listProfiles, getProfile, createProfile, deleteProfile, profileValue, selectProfile } = require('./lib/profiles');
+const { formatSheetTabs } = require('./lib/sheet-tabs');
+
+// One command line for all tools:
+//   certificate-sharing share [options]           one worker (certificate-worker.js)
+//   certificate-sharing monitor [options]         workers + monitor (certificate-monitor.js)
+//   certificate-sharing map-folders [options]     folder-mapper.js
+//   certificate-sharing export-mapping [in] [out] tools/json-to-csv.js
+//   certificate-sharing report [RUN_ID] [--list]  certificate-report.js
+//   certificate-sharing profile <list|show|create|delete> [name]
+// Flags are set as the env vars the tools read, so a flag wins over the same
+// env var, and env vars win over the selected profile and the saved (Conf)
+// configuration.
+
+// The tools read process.argv themselves; make it look like a direct start
+function asEntry(file, args = []) {
+  process.argv = [process.argv[0], path.join(__dirname, file), ...args];
+}
+
+// Saved configuration, or the view of the profile chosen by --profile/PROFILE;
+// throws if that profile does not exist
+function openConfig(flags) {
+  return selectProfile(createConfigStore(), (flags.profile || process.env.PROFILE || '').trim());
+}
+
+// share/monitor --print-config: effective settings and their source
+function printConfig(command, flags) {
+  const config = openConfig(flags);
+  const rows = resolveOptions(command, flags, process.env, config);
+  const width = Math.max(...rows.map(row => row.name.length)) + 2;
+  console.log(chalk.blue(`🔧 Konfigurasi efektif (${command}): flag > env > ${config.profile ? `profil ${config.profile} > ` : ''}config`));
+  for (const { name, value, source } of rows) {
+    const text = OPTIONS[name].format ? OPTIONS[name].format(value) : (Array.isArray(value) ? value.join(',') : value);
+    const shown = text === undefined || text === '' ? chalk.gray('-') : chalk.cyan(String(text));
+    console.log(`   ${`--${name}`.padEnd(width)} ${shown} ${chalk.gray(`(${source})`)}`);
+  }
+}
+
+const HANDLERS = {
+  async share({ flags }) {
+    openConfig(flags);
+    applyFlags(flags, 'share');
+    asEntry('certificate-worker.js');
+    const CertificateSharing = require('./certificate-worker');
+    await new CertificateSharing().run();
+    process.exit(0);
+  },
+
+  async monitor({ flags }) {
+    openConfig(flags);
+    const argv = applyFlags(flags, 'monitor');
+    asEntry('certificate-monitor.js', argv);
+    await require('./certificate-monitor').main();
+  },
+
+  async 'map-folders'({ flags }) {
+    const config = openConfig(flags);
+    applyFlags(flags, 'map-folders');
+    const parent = resolveOptions('map-folders', flags, process.env, config).find(row => row.name === 'parent-folder');
+    const maxDepth = flags.depth !== undefined ? Number(flags.depth) : undefined;
+    if (maxDepth !== undefined && !(Number.isInteger(maxDepth) && maxDepth > 0)) {
+      throw new Error(`--depth must be a positive integer (got "${flags.depth}")`);
+    }
+    asEntry('folder-mapper.js');
+    await require('./folder-mapper').saveFolderMapping({ parentFolderId: parent.value || undefined, maxDepth, mappingPath: config.get('mappingFile') });
+  },
+
+  async 'export-mapping'({ flags, positionals }) {
+    const { exportMapping } = require('./tools/json-to-csv');
+    const input = flags.input || positionals[0] || openConfig(flags).get('mappingFile');
+    exportMapping(input, flags.output || positionals[1] || input.replace(/\.json$/i, '') + '.csv');
+  },
+
+  async report({ flags, positionals }) {
+    await require('./certificate-report').main([...positionals, ...(flags.list ? ['--list'] : [])]);
+  },
+
+  async profile({ flags, positionals }) {
+    const [action, name, ...extra] = positionals;
+    const store = createConfigStore();
+    const settings = profileSettingsFromFlags(flags);
+    if (!['list', 'show', 'create', 'delete'].includes(action)) {
+      throw new Error(`Unknown profile action "${action || ''}" (list, show, create, delete)`);
+    }
+    if (extra.length) throw new Error(`Unexpected arguments: ${extra.join(' ')}`);
+    if (action !== 'list' && !name) throw new Error(`profile ${action} needs a profile name`);
+    if (action !== 'create' && Object.keys(settings).length) throw new Error('Settings flags only apply to "profile create"');
+
+    if (action === 'list') {
+      const names = listProfiles(store);
+      if (!names.length) {
+        console.log(chalk.yellow('⚠️  Belum ada profil. Buat dengan: certificate-sharing profile create <name> --sheet-id <id> ...'));
+        return;
+      }
+      console.log(chalk.blue(`👤 Profil (${names.length}):`));
+      for (const profileName of names) {
+        const profile = getProfile(store, profileName);
+        const tabs = formatSheetTabs(profile.sheetTabs) || profileValue(profile, profileName, 'sheetName').value;
+        const source = profile.sourceFile || (profile.sheetId || profile.sheetTabs ? `${profile.sheetId || '-'} / ${tabs}` : '(belum diisi)');
+        const active = process.env.PROFILE === profileName ? chalk.green(' (PROFILE)') : '';
+        console.log(`   ${chalk.cyan(profileName)}${active}  ${chalk.gray(source)}`);
+      }
+      return;
+    }
+
+    if (action === 'show') {
+      const profile = getProfile(store, name);
+      if (!profile) throw new Error(`Profile "${name}" not found`);
+      const width = Math.max(...PROFILE_KEYS.map(key => key.length)) + 2;
+      console.log(chalk.blue(`👤 Profil ${name}:`));
+      for (const key of PROFILE_KEYS) {
+        const { value: raw, fromProfile } = profileValue(profile, name, key);
+        const value = key === 'sheetTabs' ? formatSheetTabs(raw) : raw;
+        const shown = value === undefined || value === '' ? chalk.gray('-') : chalk.cyan(String(value).replace(/\n/g, '\\n'));
+        console.log(`   ${key.padEnd(width)} ${shown} ${chalk.gray(`(${fromProfile ? 'profile' : 'default'})`)}`);
+      }
+      return;
+    }
+
+    if (action === 'create') {
+      createProfile(store, name, settings);
+      console.log(chalk.green(`✅ Profil ${name} dibuat (${Object.keys(settings).length} pengaturan).`));
+      console.log(chalk.gray(`   Pakai: certificate-sharing share --profile ${name}`));
+      return;
+    }
+
+    if (!getProfile(store, name)) throw new Error(`Profile "${name}" not found`);
+    if (!flags.yes) {
+      if (!process.stdout.isTTY) throw new Error(`Deleting profile "${name}" needs --yes when not run in a terminal`);
+      const { confirmed } = await inquirer.prompt([{
+        type: 'confirm',
+        name: 'confirmed',
+        message: `🗑️  Hapus profil ${name}? (cache mapping tidak dihapus)`,
+        default: false
+      }]);
+      if (!confirmed) return;
+    }
+    deleteProfile(store, name);
+    console.log(chalk.green(`✅ Profil ${name} dihapus.`));
+  }
+};
+
+async function main(argv = process.argv.slice(2)) {
+  const [command, ...rest] = argv;
+  if (!command || command === '--help' || command === '-h' || command === 'help') {
+    console.log(formatHelp(rest[0] && COMMANDS[rest[0]] ? rest[0] : null));
+    return;
+  }
+  if (!COMMANDS[command]) {
+    console.log(chalk.red(`❌ Perintah tidak dikenal: ${command}`));
+    console.log(formatHelp(null));
+    process.exitCode = 1;
+    return;
+  }
+
+  let parsed;
+  try {
+    parsed = parseCommandLine(rest, command);
+    if (parsed.positionals.length && !COMMANDS[command].args) {
+      throw new Error(`"${command}" takes no arguments (got ${parsed.positionals.join(' ')})`);
+    }
+  } catch (error) {
+    console.log(chalk.red(`❌ Opsi tidak valid: ${error.message}`));
+    console.log(chalk.gray(`   Lihat: certificate-sharing ${command} --help`));
+    process.exitCode = 1;
+    return;
+  }
+  if (parsed.help) {
+    console.log(formatHelp(command));
+    return;
+  }
+  if (parsed.flags['print-config']) {
+    printConfig(command, parsed.flags);
+    return;
+  }
+  await HANDLERS[command](parsed);
+}
+
+if (require.main === module) {
+  main().catch(error => {
+    console.error(chalk.red('❌ Error:'), error.message);
+    process.exit(1);
+  });
+}
+
+module.exports = { main };
@@ -8,25 +8,48 @@ const chalk = require('chalk');
 // const figlet = require('figlet');
 const ora = require('ora');
 const cliProgress = require('cli-progress');
-const Conf = require('conf');
 const os = require('os');
-
-// Configuration storage  
-const config = new Conf({
-  projectName: 'certificate-sharing',
-  defaults: {
-    sheetId: '',
-    sheetName: 'participants_sample',
-    parentFolderId: '',
-    role: 'reader',
-    dryRun: false,
-    throttleMs: 2500,
-    maxPerRun: 300
-  }
-});
+const { RESULT_COLUMNS, toCol, detectParticipantColumns, createParticipantSource } = require('./lib/participant-source');
+const { WriteBuffer } = require('./lib/write-buffer');
+const { createConfigStore, withOverrides } = require('./lib/config-store');
+const { configOverridesFromEnv } = require('./lib/cli-options');
+const { selectProfile } = require('./lib/profiles');
+const { parseSheetTabs, formatSheetTabs, resolveSheetTabs, tabKey, tabLabel } = require('./lib/sheet-tabs');
+const { GRANTABLE_ROLES, normalizeRole, roleSatisfies, parseExpiresAt } = require('./lib/permission-roles');
+const { DEFAULT_EMAIL_TEMPLATE, buildTemplateFields, renderTemplate } = require('./lib/notification-template');
+const { parseDomainList, evaluateEmail } = require('./lib/email-policy');
+const { DEFAULT_THRESHOLD, DEFAULT_AMBIGUITY_MARGIN, tokenize, pickBestMatch, renderFolderPath, createSearchVariations } = require('./lib/folder-matcher');
+const { ERROR_CLASSES, classifyError, isRateLimitError, extractErrorDetails, parseAttempts } = require('./lib/error-classifier');
+const { RunJournal } = require('./lib/run-journal');
+const { hashKey, shardOf } = require('./lib/sharding');
+const { LeaseClient } = require('./lib/lease-coordinator');
+const { AdaptiveThrottle } = require('./lib/adaptive-throttle');
+const { EventLog, newRunId } = require('./lib/event-log');
+const { writeRunReport } = require('./lib/run-report');
+const { MetricsRegistry, startMetricsServer } = require('./lib/metrics');
+const { getApiBaseUrl, serviceOptions, batchUrl, createOfflineAuth, apiMethodName } = require('./lib/google-endpoint');
+const { snapshotFolder, folderChanges, defaultPlanPath, countActions, writePlan, readPlan } = require('./lib/share-plan');
+const { BATCH_LIMIT, DEFAULT_BATCH_URL, buildBatchBody, parseBatchResponse, subResponseError, chunk, newBoundary } = require('./lib/drive-batch');
+
+// Configuration storage (tests pass their own store to the constructor)
+const config = createConfigStore();
+
+// Value of a CLI option given as "--name value" or "--name=value"
+function argValue(name) {
+  const args = process.argv.slice(2);
+  const inline = args.find(arg => arg.startsWith(`${name}=`));
+  if (inline) return inline.slice(name.length + 1);
+  const index = args.indexOf(name);
+  if (index !== -1 && args[index + 1] && !args[index + 1].startsWith('--')) return args[index + 1];
+  return null;
+}
 
 class CertificateSharing {
-  constructor() {
+  constructor({ config: store = config } = {}) {
+    // Env vars (and the CLI flags that set them) override saved settings for this run only;
+    // PROFILE picks a named profile's sheet, folder, role and throttle (lib/profiles.js)
+    this.profile = (process.env.PROFILE || '').trim() || null;
+    this.config = withOverrides(selectProfile(store, this.profile), configOverridesFromEnv(process.env));
     this.auth = null;
     this.drive = null;
     this.sheets = null;
@@ -35,12 +58,59 @@ class CertificateSharing {
     this.debugEnabled = process.env.DEBUG === 'true' || process.env.DEBUG_SHARE === 'true';
     this.logStream = null;
     this.logFilePath = null;
+    // Structured NDJSON events next to the text log; they also feed the run
+    // report, so they are on unless LOG_FORMAT=text
+    this.structuredLog = process.env.LOG_FORMAT !== 'text';
+    this.runId = process.env.RUN_ID || newRunId();
+    this.events = null;
+    // Prometheus metrics (METRICS_PORT), see startMetrics()
+    this.metrics = null;
     // Sharding config (untuk multi-worker aman tanpa overlap)
     this.shardTotal = Number(process.env.SHARD_TOTAL || 0) || 0;
     this.shardIndex = Number(process.env.SHARD_INDEX || 0) || 0;
+    // Lease mode (monitor coordinator): rows are handed out on demand instead of hash shards
+    this.workerId = process.env.WORKER_ID || `pid-${process.pid}`;
+    this.leaseClient = process.env.COORDINATOR_URL ? new LeaseClient(process.env.COORDINATOR_URL, this.workerId) : null;
+    this.rateLimitWarned = false;
+    // Adaptive delay between API calls (created from config on first use)
+    this.adaptiveThrottle = null;
+    this.callPending = false;
     // Simple folder mapping (name -> id)
     this.folderMapping = null;
     this.mappingLoaded = false;
+    this.mappingCandidates = null;
+    // Subfolder listings cached per parent for API fallback search
+    this.subfolderCache = null;
+    // Folder id -> { name, parents } for ancestor lookups in global search
+    this.folderInfoCache = new Map();
+    // Folder id -> permission list, fetched once per folder per batch
+    this.permissionCache = new Map();
+    this.permissionCacheStats = { lists: 0, hits: 0 };
+    // Participant source (Google Sheets or local CSV/XLSX)
+    this.source = null;
+    // Buffered cell writes, flushed in batches
+    this.writeBuffer = null;
+    // Runs over several tabs (sheetTabs): the tab being processed, and the
+    // source/write buffer of the other tabs, kept while another tab runs
+    this.runTabs = [];
+    this.currentTab = null;
+    this.tabStates = new Map();
+    // Revoke mode: remove access for rows flagged REVOKE instead of granting
+    this.revokeMode = process.argv.includes('--revoke') || process.env.REVOKE === 'true';
+    // Retry-failed mode: reprocess only rows that failed with a TRANSIENT error
+    this.retryFailedMode = process.argv.includes('--retry-failed') || process.env.RETRY_FAILED === 'true';
+    // Batch mode: permission checks/creates go through the Drive batch endpoint (up to 100 per request)
+    this.batchMode = process.argv.includes('--batch') || !!this.config.get('batchMode');
+    // Plan/apply: --plan writes a reviewable plan file without touching the sheet
+    // or Drive; --apply <file> executes exactly that plan
+    this.planMode = process.argv.includes('--plan') || !!argValue('--plan') || process.env.PLAN === 'true';
+    this.planFile = argValue('--plan') || process.env.PLAN_FILE || null;
+    this.applyFile = argValue('--apply') || process.env.APPLY_PLAN || null;
+    this.plan = null;
+    // Local run journal (grant/revoke intents and outcomes), replayed once on startup
+    this.journal = null;
+    // Journal sources (tabs) already replayed in this process
+    this.journalReplayed = new Set();
   }
 
   // Initialize local file logger
@@ -54,6 +124,11 @@ class CertificateSharing {
       this.logFilePath = path.join(logsDir, fname);
       this.logStream = fs.createWriteStream(this.logFilePath, { flags: 'a' });
       this.writeLog(`Session start: ${ts.toISOString()}`);
+      if (this.structuredLog) {
+        const eventsFile = fname.replace(/^share-/, 'events-').replace(/\.log$/, `-${this.workerId}.ndjson`);
+        this.events = new EventLog({ filePath: path.join(logsDir, eventsFile), runId: this.runId, workerId: this.workerId });
+        this.writeLog(`Structured events: ${this.events.filePath} (run ${this.runId})`);
+      }
     } catch (e) {
       console.log(chalk.yellow(`⚠️  Cannot initialize logger: ${e.message}`));
     }
@@ -75,14 +150,7 @@ class CertificateSharing {
 
   // Utility: simple stable hash (djb2)
   hashKey(str) {
-    const s = (str || '').toString();
-    let hash = 5381;
-    for (let i = 0; i < s.length; i++) {
-      hash = ((hash << 5) + hash) + s.charCodeAt(i);
-      hash = hash | 0; // force 32-bit
-    }
-    // Convert to unsigned 32-bit
-    return hash >>> 0;
+    return hashKey(str);
   }
 
   // Sleep with countdown display
@@ -102,42 +170,90 @@ class CertificateSharing {
     process.stdout.write('\r' + ' '.repeat(60) + '\r');
   }
 
-  // Utility: throttle Drive API calls to avoid rate limits
-  async throttle() {
-    const minDelay = Number(config.get('throttleMs')) || 2500;
+  // Adaptive throttle starting at throttleMs, bounded by throttleFloorMs/throttleMaxMs
+  getThrottle() {
+    if (this.adaptiveThrottle) return this.adaptiveThrottle;
+    const initialMs = Number(this.config.get('throttleMs')) || 2500;
+    this.adaptiveThrottle = new AdaptiveThrottle({
+      initialMs,
+      floorMs: Math.min(initialMs, Number(this.config.get('throttleFloorMs')) || 1000),
+      maxMs: Number(this.config.get('throttleMaxMs')) || 60000,
+      onChange: ({ delayMs, previousMs, ratePerSec, reason }) => {
+        const line = `Throttle: delay=${delayMs}ms effective=${ratePerSec.toFixed(2)}/s (${reason}, was ${previousMs}ms)`;
+        if (reason === 'rate-limit') console.log(chalk.yellow(`🐢 Rate limit: jeda API dinaikkan ${previousMs}ms → ${delayMs}ms (${ratePerSec.toFixed(2)} call/s)`));
+        this.writeLog(line, reason === 'rate-limit' ? 'warn' : 'info');
+        this.emitEvent('throttle', { delayMs, previousMs, ratePerSec: Number(ratePerSec.toFixed(3)), reason });
+        if (this.metrics) this.metrics.throttleDelay.set({}, delayMs);
+      }
+    });
+    this.writeLog(`Throttle: delay=${this.adaptiveThrottle.delayMs}ms effective=${this.adaptiveThrottle.ratePerSec.toFixed(2)}/s (initial)`);
+    this.emitEvent('throttle', { delayMs: this.adaptiveThrottle.delayMs, previousMs: null, ratePerSec: Number(this.adaptiveThrottle.ratePerSec.toFixed(3)), reason: 'initial' });
+    if (this.metrics) this.metrics.throttleDelay.set({}, this.adaptiveThrottle.delayMs);
+    return this.adaptiveThrottle;
+  }
+
+  // Utility: throttle Drive API calls to avoid rate limits.
+  // bucket: shared budget the call counts against (driveRead | permissionWrite);
+  // count: calls made at once (sub-requests of a batch request)
+  async throttle(bucket = 'driveRead', count = 1) {
+    const adaptive = this.getThrottle();
+    // The call made after this counts as a success once its request resolves (instrumentAuth)
+    this.callPending = true;
+    const minDelay = adaptive.delayMs;
     const now = Date.now();
     const elapsed = now - (this.lastApiCallAt || 0);
     if (elapsed < minDelay) {
       const jitter = Math.floor(Math.random() * 400); // 0-400ms
       await this.sleep(minDelay - elapsed + jitter);
     }
+    await this.acquireRate(bucket, count);
     this.lastApiCallAt = Date.now();
   }
 
-  // Detect retryable rate-limit errors
-  isRetryableRateLimit(error) {
-    const status = error?.response?.status || error?.code;
-    const reason = error?.response?.data?.error?.errors?.[0]?.reason || error?.errors?.[0]?.reason || '';
-    if (status === 429) return true;
-    if (status === 403) {
-      const r = String(reason);
-      return (
-        r.includes('rateLimitExceeded') ||
-        r.includes('userRateLimitExceeded') ||
-        r.includes('sharingRateLimitExceeded')
-      );
+  // Wait for a token from the budget shared by all monitor workers (no-op when standalone)
+  async acquireRate(bucket, count = 1) {
+    if (!this.leaseClient) return;
+    try {
+      const { waitMs } = await this.leaseClient.acquireToken(bucket, count);
+      if (waitMs > 0) await this.sleep(waitMs);
+    } catch (error) {
+      // Coordinator unreachable: fall back to the local throttle only
+      if (!this.rateLimitWarned) {
+        this.rateLimitWarned = true;
+        console.log(chalk.yellow(`⚠️  Rate limiter global tidak tersedia, hanya throttle lokal: ${error.message}`));
+      }
+      this.writeLog(`Shared rate limiter unavailable (${bucket}): ${error.message}`, 'warn');
     }
-    return false;
+  }
+
+  // Detect retryable rate-limit errors; each hit also backs off the adaptive throttle
+  isRetryableRateLimit(error) {
+    const limited = this.isRateLimitError(error);
+    if (limited) this.noteRateLimit();
+    return limited;
+  }
+
+  // Rate-limit check without side effects (HTTP 429 or 403 with a rate-limit reason)
+  isRateLimitError(error) {
+    return isRateLimitError(error);
+  }
+
+  // Back off the adaptive throttle after a rate-limit response
+  noteRateLimit() {
+    this.callPending = false;
+    this.getThrottle().onRateLimit();
+  }
+
+  // A throttled call resolved: one more success towards lowering the delay
+  noteApiSuccess() {
+    if (!this.callPending) return;
+    this.callPending = false;
+    this.getThrottle().onSuccess();
   }
 
   // Extract structured error details for logging/debugging
   extractErrorDetails(error) {
-    const status = error?.response?.status || error?.code || null;
-    const dataErr = error?.response?.data?.error;
-    const reasons = Array.isArray(dataErr?.errors) ? dataErr.errors.map(e => e.reason).filter(Boolean) : [];
-    const message = dataErr?.message || error?.message || String(error);
-    const domain = Array.isArray(dataErr?.errors) ? dataErr.errors.map(e => e.domain).filter(Boolean).join(',') : null;
-    return { status, reasons, message, domain };
+    return extractErrorDetails(error);
   }
 
   // Format concise error summary string
@@ -156,16 +272,123 @@ class CertificateSharing {
     }
   }
 
+  // Structured event (no-op with LOG_FORMAT=text)
+  emitEvent(type, fields = {}) {
+    if (this.events) this.events.emit(type, fields);
+  }
+
+  // Row outcome event: action grant|revoke, outcome granted|revoked|dry_run|skipped|error|recovered
+  emitRowEvent(participant, action, outcome, fields = {}) {
+    this.recordRowMetrics(action, outcome, fields);
+    if (!this.events) return;
+    this.emitEvent('row', {
+      action,
+      outcome,
+      rowIndex: participant.rowIndex,
+      name: participant.nama || null,
+      email: participant.email || null,
+      folderId: participant.folderId || null,
+      ...fields
+    });
+  }
+
+  // Serve Prometheus metrics on METRICS_PORT (GET /metrics); Google API calls
+  // are counted by wrapping the shared auth client
+  async startMetrics() {
+    const port = Number(process.env.METRICS_PORT);
+    if (!Number.isInteger(port) || port <= 0) return;
+    const registry = new MetricsRegistry({ defaultLabels: { worker: this.workerId } });
+    this.metrics = {
+      registry,
+      rows: registry.counter('certsharing_rows_total', 'Rows handled, by action and outcome', ['action', 'outcome']),
+      skipped: registry.counter('certsharing_rows_skipped_total', 'Skipped rows, by reason', ['action', 'reason']),
+      errors: registry.counter('certsharing_row_errors_total', 'Failed rows, by HTTP status and error reason', ['action', 'status', 'reason', 'class']),
+      folderNotFound: registry.counter('certsharing_folder_not_found_total', 'Rows whose folder could not be found', ['action']),
+      apiCalls: registry.counter('certsharing_api_calls_total', 'Google API HTTP requests, by method', ['method']),
+      batchSubrequests: registry.counter('certsharing_api_batch_subrequests_total', 'Calls sent inside Drive batch requests, by method', ['method']),
+      throttleDelay: registry.gauge('certsharing_throttle_delay_ms', 'Current adaptive delay between API calls'),
+      folderSearch: registry.histogram('certsharing_folder_search_seconds', 'Folder search time for rows without FolderId'),
+      permissionCheck: registry.histogram('certsharing_permission_check_seconds', 'Existing-permission check time per row'),
+      grant: registry.histogram('certsharing_grant_seconds', 'Permission create time per row (batch mode: the whole batch)')
+    };
+    if (this.adaptiveThrottle) this.metrics.throttleDelay.set({}, this.adaptiveThrottle.delayMs);
+
+    try {
+      const { server, url } = await startMetricsServer({ registry, host: process.env.METRICS_HOST || '127.0.0.1', port });
+      server.unref();
+      console.log(chalk.gray(`📈 Metrics: ${url}`));
+      this.writeLog(`Metrics endpoint: ${url}`);
+    } catch (error) {
+      console.log(chalk.yellow(`⚠️  Metrics endpoint tidak bisa dibuka di port ${port}: ${error.message}`));
+      this.writeLog(`Metrics endpoint failed on port ${port}: ${error.message}`, 'warn');
+    }
+  }
+
+  // Every Google API request goes through auth.request: count it, and report
+  // resolved throttled calls to the adaptive throttle. A failed request (5xx,
+  // 404, network error, rate limit) never counts as a success.
+  instrumentAuth() {
+    if (!this.auth || typeof this.auth.request !== 'function') return;
+    const request = this.auth.request.bind(this.auth);
+    this.auth.request = async (opts, ...rest) => {
+      this.countApiCall(this.apiMethodName(opts));
+      let response;
+      try {
+        response = await request(opts, ...rest);
+      } catch (error) {
+        this.callPending = false;
+        throw error;
+      }
+      this.noteApiSuccess();
+      return response;
+    };
+  }
+
+  // Google API method of a request made through the auth client, e.g. permissions.create
+  apiMethodName(opts = {}) {
+    return apiMethodName(opts.method, opts.url);
+  }
+
+  countApiCall(method, count = 1) {
+    if (this.metrics) this.metrics.apiCalls.inc({ method }, count);
+  }
+
+  // Row counters and timing histograms (timings in ms, exported in seconds)
+  recordRowMetrics(action, outcome, { reason = null, timings = {}, error = null } = {}) {
+    const m = this.metrics;
+    if (!m) return;
+    m.rows.inc({ action, outcome });
+    if (outcome === 'skipped') m.skipped.inc({ action, reason: reason || 'unknown' });
+    if (outcome === 'error' && error) {
+      const reasons = error.reasons || [];
+      m.errors.inc({ action, status: error.status ?? 'none', reason: reasons[0] || 'unknown', class: error.class || 'unknown' });
+      if (reasons.includes('folderNotFound')) m.folderNotFound.inc({ action });
+    }
+    if (timings.folderMs > 0) m.folderSearch.observe({}, timings.folderMs / 1000);
+    if (timings.permissionMs !== undefined) m.permissionCheck.observe({}, timings.permissionMs / 1000);
+    if (timings.grantMs !== undefined) m.grant.observe({}, timings.grantMs / 1000);
+  }
+
+  // Error block of a row event, from an API error or a local check (reason + message).
+  // friendly: the Indonesian explanation shown to operators (defaults to message)
+  eventError(error, errorClass = null, friendly = null) {
+    if (error instanceof Error || error?.response) {
+      const { status, reasons, message } = this.extractErrorDetails(error);
+      return { status, reasons, message, friendly: friendly || message, class: errorClass || classifyError(error), op: error?.__op || null };
+    }
+    return { status: null, reasons: [error.reason], message: error.message, friendly: friendly || error.message, class: errorClass, op: null };
+  }
+
   // Load simple folder mapping
   loadFolderMapping() {
     if (this.mappingLoaded && this.folderMapping) return true;
     
     try {
-      const mappingPath = path.join(process.cwd(), 'cache', 'folder-mapping.json');
+      const mappingPath = path.resolve(this.config.get('mappingFile') || 'cache/folder-mapping.json');
       
       if (!fs.existsSync(mappingPath)) {
-        console.log(chalk.yellow('⚠️  Folder mapping not found. Run "node map-folders.js" first (optional)'));
-        this.writeLog('Folder mapping not found - will use API search fallback');
+        console.log(chalk.yellow(`⚠️  Folder mapping not found (${path.relative(process.cwd(), mappingPath)}). Run "node folder-mapper.js" first (optional)`));
+        this.writeLog(`Folder mapping not found at ${mappingPath} - will use API search fallback`);
         return false;
       }
       
@@ -173,10 +396,17 @@ class CertificateSharing {
       this.folderMapping = JSON.parse(mappingData);
       this.mappingLoaded = true;
       
-      const folderCount = Object.keys(this.folderMapping).length / 2; // Divided by 2 (original + lowercase)
+      const hasPaths = Array.isArray(this.folderMapping.folders);
+      const folderCount = hasPaths
+        ? this.folderMapping.folders.length
+        : Object.keys(this.folderMapping).length / 2; // Divided by 2 (original + lowercase)
       
-      console.log(chalk.green(`✅ Loaded folder mapping: ${folderCount} folders`));
-      this.writeLog(`Loaded folder mapping: ${folderCount} folders`);
+      console.log(chalk.green(`✅ Loaded folder mapping: ${folderCount} folders${hasPaths ? ' (with paths)' : ''}`));
+      this.writeLog(`Loaded folder mapping: ${folderCount} folders${hasPaths ? ' (with paths)' : ''}`);
+      if (!hasPaths && this.config.get('folderPathPattern')) {
+        console.log(chalk.yellow('⚠️  Folder mapping has no folder paths; re-run "node folder-mapper.js" to match on folderPathPattern'));
+        this.writeLog('Folder mapping has no paths - folderPathPattern ignored for mapped lookups', 'warn');
+      }
       
       return true;
     } catch (error) {
@@ -218,6 +448,19 @@ class CertificateSharing {
     try {
       if (!this.logStream) await this.initLogger();
       this.writeLog('Initializing Google services...');
+
+      // GOOGLE_API_BASE_URL: talk to another server (e.g. tools/fake-google.js), no service account
+      const apiBaseUrl = getApiBaseUrl();
+      if (apiBaseUrl) {
+        this.auth = createOfflineAuth(google);
+        this.instrumentAuth();
+        this.drive = google.drive({ version: 'v3', auth: this.auth, ...serviceOptions() });
+        this.sheets = google.sheets({ version: 'v4', auth: this.auth, ...serviceOptions() });
+        spinner.succeed(`🔌 Google API: ${chalk.yellow(apiBaseUrl)} (tanpa service.json)`);
+        this.writeLog(`Google API base URL: ${apiBaseUrl}`);
+        this.loadFolderMapping();
+        return true;
+      }
       // Check if service account file exists - look in current directory first
       let serviceAccountPath = path.join(process.cwd(), 'service.json');
 
@@ -247,6 +490,7 @@ class CertificateSharing {
           'https://www.googleapis.com/auth/spreadsheets'
         ]
       );
+      this.instrumentAuth();
 
       // Initialize services
       this.drive = google.drive({ version: 'v3', auth: this.auth });
@@ -272,36 +516,25 @@ class CertificateSharing {
     console.log(chalk.blue('🔧 KONFIGURASI'));
     console.log(chalk.gray('─'.repeat(40)));
 
-    // ENV shortcut to skip prompts (non-interactive runs)
-    const envSheetId = process.env.SHEET_ID;
-    const envSheetName = process.env.SHEET_NAME;
-    const envParentFolderId = process.env.PARENT_FOLDER_ID;
-    const envDryRun = process.env.DRY_RUN;
-    if (envSheetId && envSheetName) {
-      config.set('sheetId', envSheetId);
-      config.set('sheetName', envSheetName);
-      config.set('parentFolderId', envParentFolderId || '');
-      config.set('role', 'reader');
-      if (typeof envDryRun === 'string') {
-        config.set('dryRun', envDryRun === 'true');
-      }
+    // Source chosen by env/flags: no prompts (non-interactive runs)
+    const overrides = this.config.overrides;
+    if (overrides.sheetId || overrides.sourceFile || (overrides.sheetTabs || []).length) {
       console.log(chalk.green('✅ Konfigurasi dari ENV diterapkan.'));
-      console.log(`   📊 Sheet ID: ${chalk.cyan(config.get('sheetId'))}`);
-      console.log(`   📄 Sheet Name: ${chalk.cyan(config.get('sheetName'))}`);
-      console.log(`   📁 Folder ID: ${chalk.cyan(config.get('parentFolderId') || '(semua folder)')}`);
-      this.writeLog(`Config: sheetId=${config.get('sheetId')}, sheetName=${config.get('sheetName')}, parentFolderId=${config.get('parentFolderId')}`);
+      this.printSourceConfig();
+      console.log(`   📁 Folder ID: ${chalk.cyan(this.config.get('parentFolderId') || '(semua folder)')}`);
+      this.writeLog(`Config: profile=${this.profile || '-'}, sheetId=${this.config.get('sheetId')}, sheetName=${this.config.get('sheetName')}, sheetTabs=${formatSheetTabs(this.config.get('sheetTabs'))}, sourceFile=${this.config.get('sourceFile')}, resultsFile=${this.config.get('resultsFile')}, parentFolderId=${this.config.get('parentFolderId')} (overrides: ${Object.keys(overrides).join(', ')})`);
       return true;
     }
 
     // Check if config exists
-    const hasConfig = config.get('sheetId') && config.get('sheetId') !== '';
+    const hasConfig = !!this.config.get('sourceFile') || this.getSheetTabs().every(tab => tab.sheetId);
     
     if (hasConfig) {
       console.log(chalk.green('✅ Konfigurasi ditemukan:'));
-      console.log(`   📊 Sheet ID: ${chalk.cyan(config.get('sheetId'))}`);
-      console.log(`   📄 Sheet Name: ${chalk.cyan(config.get('sheetName'))}`);
-      console.log(`   📁 Folder ID: ${chalk.cyan(config.get('parentFolderId') || '(semua folder)')}`);
-      console.log(`   🔗 Role: ${chalk.cyan('reader')}`);
+      this.printSourceConfig();
+      console.log(`   📁 Folder ID: ${chalk.cyan(this.config.get('parentFolderId') || '(semua folder)')}`);
+      console.log(`   🔗 Role: ${chalk.cyan(this.getDefaultRole())}`);
+      console.log(`   ✉️  Notifikasi Email: ${chalk.cyan(this.isNotifyEnabled() ? 'ON' : 'OFF')}`);
       console.log();
 
       const nonInteractive = process.env.NON_INTERACTIVE === 'true' || process.env.LOOP === 'true' || !process.stdout.isTTY;
@@ -324,48 +557,255 @@ class CertificateSharing {
     console.log();
 
     const answers = await inquirer.prompt([
+      {
+        type: 'input',
+        name: 'sourceFile',
+        message: '🗂️  File peserta CSV/XLSX lokal (optional, kosongkan untuk Google Sheets):',
+        default: this.config.get('sourceFile')
+      },
+      {
+        type: 'input',
+        name: 'resultsFile',
+        message: '📝 File hasil (optional, kosongkan untuk menulis ke file peserta):',
+        default: this.config.get('resultsFile'),
+        when: a => !!a.sourceFile
+      },
       {
         type: 'input',
         name: 'sheetId',
         message: '📊 Google Sheets ID:',
-        default: config.get('sheetId'),
+        default: this.config.get('sheetId'),
+        when: a => !a.sourceFile,
         validate: input => input.length > 0 || 'Sheet ID wajib diisi!'
       },
+      {
+        type: 'input',
+        name: 'sheetTabs',
+        message: '📑 Beberapa tab sekaligus (optional, pisahkan dengan koma; kosongkan untuk satu tab):',
+        default: formatSheetTabs(this.config.get('sheetTabs')),
+        when: a => !a.sourceFile
+      },
       {
         type: 'input',
         name: 'sheetName',
         message: '📄 Nama worksheet:',
-        default: config.get('sheetName')
+        default: this.config.get('sheetName'),
+        when: a => !a.sheetTabs
       },
       {
         type: 'input',
         name: 'parentFolderId',
         message: '📁 Parent Folder ID (optional):',
-        default: config.get('parentFolderId')
+        default: this.config.get('parentFolderId')
+      },
+      {
+        type: 'list',
+        name: 'role',
+        message: '🔗 Role default (kolom Role per baris tetap diutamakan):',
+        choices: GRANTABLE_ROLES,
+        default: this.getDefaultRole()
+      },
+      {
+        type: 'confirm',
+        name: 'notify',
+        message: '✉️  Kirim email notifikasi saat akses diberikan?',
+        default: this.isNotifyEnabled()
+      },
+      {
+        type: 'input',
+        name: 'emailTemplate',
+        message: '📝 Template pesan ({nama}, {kota}, {jenjang}, {link}; \\n = baris baru):',
+        default: String(this.config.get('emailTemplate') || DEFAULT_EMAIL_TEMPLATE).replace(/\n/g, '\\n'),
+        when: a => a.notify
       }
     ]);
 
     // Save configuration
-    config.set('sheetId', answers.sheetId);
-    config.set('sheetName', answers.sheetName);
-    config.set('parentFolderId', answers.parentFolderId || '');
-    config.set('role', 'reader');
-    // fixed behaviors: notifications off, throttle & batching from defaults
+    if (answers.sheetId) this.config.set('sheetId', answers.sheetId);
+    this.config.set('sourceFile', answers.sourceFile || '');
+    this.config.set('resultsFile', answers.resultsFile || '');
+    if (answers.sheetName) this.config.set('sheetName', answers.sheetName);
+    this.config.set('sheetTabs', parseSheetTabs(answers.sheetTabs));
+    this.config.set('parentFolderId', answers.parentFolderId || '');
+    this.config.set('role', answers.role);
+    this.config.set('notifyMode', answers.notify ? 'on' : 'off');
+    if (answers.emailTemplate) this.config.set('emailTemplate', answers.emailTemplate.replace(/\\n/g, '\n'));
+    // fixed behaviors: throttle & batching from defaults
 
     console.log();
-    console.log(chalk.green('✅ Konfigurasi disimpan!'));
-    this.writeLog(`Config saved: sheetId=${answers.sheetId}, sheetName=${answers.sheetName}, parentFolderId=${answers.parentFolderId || ''}`);
+    console.log(chalk.green(`✅ Konfigurasi disimpan${this.profile ? ` (profil ${this.profile})` : ''}!`));
+    this.writeLog(`Config saved: profile=${this.profile || '-'}, sheetId=${this.config.get('sheetId')}, sheetName=${this.config.get('sheetName')}, sheetTabs=${formatSheetTabs(answers.sheetTabs)}, sourceFile=${answers.sourceFile || ''}, parentFolderId=${answers.parentFolderId || ''}`);
     return true;
   }
 
+  // Default role for rows without a Role value
+  getDefaultRole() {
+    return normalizeRole(this.config.get('role')) || 'reader';
+  }
+
+  // Current email domain policy from config
+  getEmailPolicy() {
+    return {
+      mode: this.config.get('emailPolicyMode'),
+      allowedDomains: this.config.get('allowedEmailDomains'),
+      deniedDomains: this.config.get('deniedEmailDomains')
+    };
+  }
+
+  // Short description of the email policy for console/log output
+  describeEmailPolicy() {
+    const policy = this.getEmailPolicy();
+    const allowed = parseDomainList(policy.allowedDomains);
+    const denied = parseDomainList(policy.deniedDomains);
+    const parts = [policy.mode === 'try' ? 'try (semua domain dicoba)' : `allowlist ${allowed.length ? allowed.join(', ') : '(semua domain)'}`];
+    if (denied.length) parts.push(`deny ${denied.join(', ')}`);
+    return parts.join(' | ');
+  }
+
+  // Share notification email enabled in config
+  isNotifyEnabled() {
+    return this.config.get('notifyMode') === 'on';
+  }
+
+  // Render notification message for a row (null when notifications are off)
+  buildEmailMessage(participant, folderId) {
+    if (!this.isNotifyEnabled()) return null;
+    const template = this.config.get('emailTemplate') || DEFAULT_EMAIL_TEMPLATE;
+    return renderTemplate(template, buildTemplateFields(participant, folderId));
+  }
+
+  // Print configured participant source (sheet or local file)
+  printSourceConfig() {
+    if (this.profile) console.log(`   👤 Profil: ${chalk.cyan(this.profile)}`);
+    if (this.config.get('sourceFile')) {
+      console.log(`   🗂️  File Peserta: ${chalk.cyan(this.config.get('sourceFile'))}`);
+      console.log(`   📝 File Hasil: ${chalk.cyan(this.config.get('resultsFile') || '(file peserta)')}`);
+    } else {
+      console.log(`   📊 Sheet ID: ${chalk.cyan(this.config.get('sheetId') || '-')}`);
+    }
+    const tabs = this.getSheetTabs();
+    if (tabs.length > 1) {
+      console.log(`   📑 Tabs (${tabs.length}): ${chalk.cyan(tabs.map(tab => tabLabel(tab, this.config.get('sheetId'))).join(', '))}`);
+      return;
+    }
+    console.log(`   📄 Sheet Name: ${chalk.cyan(this.config.get('sheetName'))}`);
+  }
+
+  // Spreadsheet/tab pairs of this run: the sheetTabs list, or just
+  // sheetId/sheetName (a local file is always a single source)
+  getSheetTabs() {
+    if (this.config.get('sourceFile')) return [];
+    return resolveSheetTabs({
+      sheetTabs: this.config.get('sheetTabs'),
+      sheetId: this.config.get('sheetId'),
+      sheetName: this.config.get('sheetName')
+    });
+  }
+
+  // Spreadsheet and tab being processed
+  getSheetId() {
+    return this.currentTab ? this.currentTab.sheetId : this.config.get('sheetId');
+  }
+
+  getSheetName() {
+    return this.currentTab ? this.currentTab.sheetName : this.config.get('sheetName');
+  }
+
+  // Switch to another tab; its source and write buffer are kept for the next
+  // pass, the journal is shared and tags new entries with the tab
+  selectTab(tab) {
+    if (this.currentTab) this.tabStates.set(tabKey(this.currentTab), { source: this.source, writeBuffer: this.writeBuffer });
+    const state = this.tabStates.get(tabKey(tab)) || { source: null, writeBuffer: null };
+    this.currentTab = tab;
+    this.source = state.source;
+    this.writeBuffer = state.writeBuffer;
+    if (this.journal) this.journal.setSource(this.getJournalSourceKey());
+  }
+
+  // Build participant source from current config
+  createParticipantSource() {
+    return createParticipantSource({
+      sourceFile: this.config.get('sourceFile'),
+      resultsFile: this.config.get('resultsFile'),
+      sheets: this.sheets,
+      spreadsheetId: this.getSheetId(),
+      sheetName: this.getSheetName()
+    });
+  }
+
+  // Lazily create participant source and its write buffer
+  ensureSource() {
+    if (this.source) return this.source;
+    this.source = this.createParticipantSource();
+    const journalSource = this.getJournalSourceKey();
+    this.writeBuffer = new WriteBuffer({
+      writeCells: async cells => {
+        if (this.source.kind === 'sheets') await this.acquireRate('sheetsWrite');
+        return this.source.writeCells(cells);
+      },
+      maxSize: Number(this.config.get('writeBatchSize')) || 50,
+      flushIntervalMs: Number(this.config.get('writeFlushMs')) || 5000,
+      onRetry: (error, attempt, count) => {
+        this.dlog('write flush error:', this.formatErrorSummary(error));
+        this.writeLog(`Write flush failed (attempt ${attempt}, ${count} cells): ${this.formatErrorSummary(error)} - retrying`, 'warn');
+      },
+      onError: (error, count) => {
+        this.writeLog(`Write flush gave up: ${this.formatErrorSummary(error)} - ${count} cells kept queued for the next flush`, 'error');
+      },
+      onFlush: cells => {
+        this.writeLog(`Flushed ${cells.length} cell updates`);
+        if (this.journal) this.journal.markFlushed(cells, journalSource);
+      }
+    });
+    return this.source;
+  }
+
+  // Flush buffered cell writes; failed cells stay queued for the next flush
+  async flushWrites(buffer = this.writeBuffer) {
+    if (!buffer || buffer.size === 0) return true;
+    try {
+      await buffer.flush();
+      return true;
+    } catch (error) {
+      console.log(chalk.yellow(`⚠️  Warning: Could not write ${buffer.size} cell updates: ${this.formatErrorSummary(error)}`));
+      this.writeLog(`Write flush gave up, ${buffer.size} cells kept for next flush: ${this.formatErrorSummary(error)}`, 'error');
+      return false;
+    }
+  }
+
+  // Write buffers of every tab used so far (one unless sheetTabs lists several)
+  allWriteBuffers() {
+    const buffers = [this.writeBuffer, ...Array.from(this.tabStates.values(), state => state.writeBuffer)];
+    return Array.from(new Set(buffers.filter(Boolean)));
+  }
+
+  // Flush pending writes before the process exits (Ctrl+C / kill)
+  installShutdownHandlers() {
+    let stopping = false;
+    const shutdown = async (signal) => {
+      if (stopping) return;
+      stopping = true;
+      process.stdout.write('\n');
+      console.log(chalk.yellow(`🛑 ${signal} diterima, menyimpan perubahan yang tertunda...`));
+      this.writeLog(`${signal} received, flushing pending writes`);
+      if (this.progressBar) this.progressBar.stop();
+      let ok = true;
+      for (const buffer of this.allWriteBuffers()) ok = (await this.flushWrites(buffer)) && ok;
+      if (!ok) this.writeLog(`Exiting with ${this.allWriteBuffers().reduce((n, buffer) => n + buffer.size, 0)} unwritten cells`, 'error');
+      process.exit(ok ? 0 : 1);
+    };
+    process.once('SIGINT', () => shutdown('SIGINT'));
+    process.once('SIGTERM', () => shutdown('SIGTERM'));
+  }
+
   // Get spreadsheet data
   async getSpreadsheetData() {
     const spinner = ora('📊 Membaca Google Sheets...').start();
     
     try {
       const response = await this.sheets.spreadsheets.values.get({
-        spreadsheetId: config.get('sheetId'),
-        range: `${config.get('sheetName')}!A:F`
+        spreadsheetId: this.getSheetId(),
+        range: `${this.getSheetName()}!A:F`
       });
 
       const values = response.data.values;
@@ -407,20 +847,17 @@ class CertificateSharing {
     }
   }
 
-  // Get spreadsheet data (flexible mapping + auto-add columns)
-  async getSpreadsheetDataFlexible() {
-    const spinner = ora('📊 Membaca Google Sheets...').start();
+  // Get spreadsheet data (flexible mapping + auto-add columns).
+  // readOnly: never add missing result columns (plan mode)
+  async getSpreadsheetDataFlexible({ readOnly = false } = {}) {
+    const source = this.ensureSource();
+    const label = source.kind === 'file' ? 'file peserta' : 'Google Sheets';
+    const spinner = ora(`📊 Membaca ${label}...`).start();
     try {
-      const sheetId = config.get('sheetId');
-      const sheetName = config.get('sheetName');
-      this.writeLog(`Reading sheet: ${sheetId} / ${sheetName}`);
+      this.writeLog(`Reading ${source.kind}: ${source.describe()}`);
 
       // Read header row
-      const headerRes = await this.sheets.spreadsheets.values.get({
-        spreadsheetId: sheetId,
-        range: `${sheetName}!1:1`
-      });
-      const headers = (headerRes.data.values && headerRes.data.values[0]) || [];
+      const headers = await source.readHeaders();
       if (headers.length === 0) {
         spinner.fail();
         console.log(chalk.red('❌ Sheet kosong atau header tidak ditemukan!'));
@@ -428,20 +865,8 @@ class CertificateSharing {
         return null;
       }
 
-      const lower = headers.map(h => (h || '').toString().trim().toLowerCase());
-      const findIndexByNames = (candidates) => {
-        for (const name of candidates) {
-          const idx = lower.indexOf(name);
-          if (idx !== -1) return idx;
-        }
-        return -1;
-      };
-
       // Detect name/email columns
-      const nameCandidates = ['nama peserta','nama','nama lengkap','name','full name','participant name'];
-      const emailCandidates = ['email address','email','e-mail','gmail','participant email'];
-      const nameCol = findIndexByNames(nameCandidates);
-      const emailCol = findIndexByNames(emailCandidates);
+      const { nameCol, emailCol, revokeCol, roleCol, expiresAtCol, cityCol, levelCol } = detectParticipantColumns(headers);
       if (nameCol === -1 || emailCol === -1) {
         spinner.fail();
         console.log(chalk.red('❌ Kolom Nama/Email tidak ditemukan!'));
@@ -450,29 +875,10 @@ class CertificateSharing {
         return null;
       }
 
-      // Helper: index -> A1 column letter
-      const toCol = (index) => {
-        let s = '';
-        let n = index + 1;
-        while (n > 0) {
-          const rem = (n - 1) % 26;
-          s = String.fromCharCode(65 + rem) + s;
-          n = Math.floor((n - 1) / 26);
-        }
-        return s;
-      };
-
       // Ensure required columns appended if missing
-      const extras = ['FolderId','isShared','isFolderExists','LastLog'];
-      const missing = extras.filter(h => !headers.includes(h));
-      if (missing.length > 0) {
-        const startCol = toCol(headers.length);
-        await this.sheets.spreadsheets.values.update({
-          spreadsheetId: sheetId,
-          range: `${sheetName}!${startCol}1`,
-          valueInputOption: 'RAW',
-          resource: { values: [missing] }
-        });
+      const missing = RESULT_COLUMNS.filter(h => !headers.includes(h));
+      if (missing.length > 0 && !readOnly) {
+        await source.appendHeaders(headers.length, missing);
         this.writeLog(`Added missing columns: ${missing.join(', ')}`);
         headers.push(...missing);
       }
@@ -481,13 +887,11 @@ class CertificateSharing {
       const isSharedCol = headers.indexOf('isShared');
       const isFolderExistsCol = headers.indexOf('isFolderExists');
       const lastLogCol = headers.indexOf('LastLog');
+      const errorClassCol = headers.indexOf('ErrorClass');
+      const attemptsCol = headers.indexOf('Attempts');
 
       // Read data rows widely
-      const valuesRes = await this.sheets.spreadsheets.values.get({
-        spreadsheetId: sheetId,
-        range: `${sheetName}!A:ZZ`
-      });
-      const values = valuesRes.data.values || [];
+      const values = await source.readRows();
       if (values.length <= 1) {
         spinner.fail();
         console.log(chalk.red('❌ Tidak ada data peserta (hanya header).'));
@@ -502,114 +906,165 @@ class CertificateSharing {
         folderId: (row[folderIdCol] || '').toString(),
         isShared: (row[isSharedCol] || '').toString(),
         isFolderExists: (row[isFolderExistsCol] || '').toString(),
-        lastLog: (row[lastLogCol] || '').toString()
+        lastLog: (row[lastLogCol] || '').toString(),
+        errorClass: (row[errorClassCol] || '').toString(),
+        attempts: parseAttempts(row[attemptsCol]),
+        revoke: revokeCol !== -1 ? (row[revokeCol] || '').toString() : '',
+        role: roleCol !== -1 ? (row[roleCol] || '').toString() : '',
+        expiresAt: expiresAtCol !== -1 ? (row[expiresAtCol] || '').toString() : '',
+        kota: cityCol !== -1 ? (row[cityCol] || '').toString() : '',
+        jenjang: levelCol !== -1 ? (row[levelCol] || '').toString() : '',
+        // All cells by header, for folderPathPattern placeholders
+        fields: Object.fromEntries(headers.map((h, i) => [h, (row[i] || '').toString()]))
       }));
 
       spinner.succeed(`📊 Found ${chalk.green(participants.length)} participants`);
       this.writeLog(`Participants: ${participants.length}`);
-      return { participants, headers, columns: { nameCol, emailCol, folderIdCol, isSharedCol, isFolderExistsCol, lastLogCol, toCol } };
+      return { participants, headers, columns: { nameCol, emailCol, folderIdCol, isSharedCol, isFolderExistsCol, lastLogCol, errorClassCol, attemptsCol, revokeCol, roleCol, expiresAtCol, cityCol, levelCol, toCol } };
     } catch (error) {
       spinner.fail();
-      console.log(chalk.red(`❌ Sheets Error: ${error.message}`));
-      this.writeLog(`Sheets Error: ${error.message}`, 'error');
+      const errLabel = source.kind === 'file' ? 'File Error' : 'Sheets Error';
+      console.log(chalk.red(`❌ ${errLabel}: ${error.message}`));
+      this.writeLog(`${errLabel}: ${error.message}`, 'error');
       return null;
     }
   }
 
-  // Find folder by name using simple mapping or API fallback
-  async findFolderByName(name, parentFolderId = null) {
+  // Scored matching options from config
+  getMatchOptions() {
+    return {
+      threshold: Number(this.config.get('matchThreshold')) || DEFAULT_THRESHOLD,
+      ambiguityMargin: Number(this.config.get('matchAmbiguityMargin')) || DEFAULT_AMBIGUITY_MARGIN
+    };
+  }
+
+  // Mapping entries as match candidates (one per folder id, original-case name preferred)
+  getMappingCandidates() {
+    if (this.mappingCandidates) return this.mappingCandidates;
+    if (Array.isArray(this.folderMapping?.folders)) {
+      this.mappingCandidates = this.folderMapping.folders.map(f => ({
+        id: f.id,
+        name: f.name,
+        path: f.path || [],
+        tokens: tokenize(f.name),
+        pathTokens: (f.path || []).map(tokenize)
+      }));
+      return this.mappingCandidates;
+    }
+    const byId = new Map();
+    for (const [name, id] of Object.entries(this.folderMapping || {})) {
+      const cur = byId.get(id);
+      if (!cur || (!/[A-Z]/.test(cur.name) && /[A-Z]/.test(name))) byId.set(id, { id, name });
+    }
+    this.mappingCandidates = Array.from(byId.values()).map(c => ({ ...c, tokens: tokenize(c.name) }));
+    return this.mappingCandidates;
+  }
+
+  // Turn a pickBestMatch() result into the findFolderByName() return shape
+  toFolderResult(result) {
+    if (result.status === 'matched') {
+      const { id, name, path, score } = result.match;
+      return { id, name, path, score };
+    }
+    if (result.status === 'ambiguous') {
+      return { ambiguous: true, candidates: result.candidates.map(({ id, name, path, score }) => ({ id, name, path, score })) };
+    }
+    return null;
+  }
+
+  // Expected folder path for a row from folderPathPattern (e.g. "{Kota}/{Nama Peserta}").
+  // Returns { leaf, ancestors }; ancestors is empty when no pattern is configured.
+  resolveFolderPath(participant, name) {
+    const pattern = this.config.get('folderPathPattern');
+    if (!pattern || !participant) return { leaf: name, ancestors: [] };
+    const aliases = { nama: participant.nama, name: participant.nama, kota: participant.kota, jenjang: participant.jenjang };
+    const fields = participant.fields || {};
+    const lookup = key => {
+      const lower = key.toLowerCase();
+      if (lower in aliases) return aliases[lower];
+      const header = Object.keys(fields).find(h => h.trim().toLowerCase() === lower);
+      return header ? fields[header] : '';
+    };
+    const segments = renderFolderPath(pattern, lookup);
+    const leaf = segments.pop() || name;
+    return { leaf, ancestors: segments };
+  }
+
+  // Short candidate list for sheet/log output
+  formatCandidates(candidates, limit = 5) {
+    const shown = candidates.slice(0, limit).map(c => `"${[...(c.path || []), c.name].join('/')}" (${c.id}, ${c.score.toFixed(2)})`);
+    if (candidates.length > limit) shown.push(`+${candidates.length - limit} lainnya`);
+    return shown.join('; ');
+  }
+
+  // Find folder by name using simple mapping or API fallback.
+  // With folderPathPattern set, the row's ancestor values (e.g. city) must match too.
+  // Returns { id, name, path, score }, { ambiguous: true, candidates } or null.
+  async findFolderByName(name, parentFolderId = null, participant = null) {
     const startTime = Date.now();
-    const targetName = (name || '').toString();
+    const { leaf, ancestors } = this.resolveFolderPath(participant, (name || '').toString());
+    const targetName = (leaf || '').toString();
     if (!targetName) return null;
+    const targetLabel = ancestors.length ? `${ancestors.join('/')}/${targetName}` : targetName;
+    const matchOptions = { ...this.getMatchOptions(), ancestors };
 
-    // Try simple mapping lookup first
+    // Try scored mapping lookup first
     if (this.folderMapping) {
-      // Try exact match
-      let folderId = this.folderMapping[targetName];
-      
-      // Try lowercase match
-      if (!folderId) {
-        folderId = this.folderMapping[targetName.toLowerCase()];
-      }
-      
-      // Try variations
-      if (!folderId) {
-        const variations = this._createSearchVariations(targetName);
-        for (const variation of variations) {
-          folderId = this.folderMapping[variation] || this.folderMapping[variation.toLowerCase()];
-          if (folderId) break;
-        }
-      }
-      
+      const result = pickBestMatch(targetName, this.getMappingCandidates(), matchOptions);
       const elapsed = Date.now() - startTime;
-      
-      if (folderId) {
-        console.log(chalk.gray(`✅ Found folder (mapped): "${targetName}" (${elapsed}ms)`));
-        this.writeLog(`Found folder (mapped): "${targetName}" (${elapsed}ms)`);
-        return folderId;
-      } else {
-        console.log(chalk.gray(`❌ Folder not found in mapping: "${targetName}"`));
-        this.writeLog(`Folder not found in mapping: "${targetName}"`);
+
+      if (result.status === 'matched') {
+        const folderLabel = [...(result.match.path || []), result.match.name].join('/');
+        const score = result.match.score;
+        console.log(chalk.gray(`✅ Found folder (mapped): "${targetLabel}" -> "${folderLabel}" score=${score.toFixed(2)} (${elapsed}ms)`));
+        this.writeLog(`Found folder (mapped): "${targetLabel}" -> "${folderLabel}" score=${score.toFixed(2)} (${elapsed}ms)`);
+        return this.toFolderResult(result);
       }
+      if (result.status === 'ambiguous') {
+        console.log(chalk.yellow(`⚠️  Ambiguous folder (mapped): "${targetLabel}" -> ${this.formatCandidates(result.candidates)}`));
+        this.writeLog(`Ambiguous folder (mapped): "${targetLabel}" -> ${this.formatCandidates(result.candidates)}`, 'warn');
+        return this.toFolderResult(result);
+      }
+      const bestNote = result.best ? ` (best: ${this.formatCandidates([result.best])})` : '';
+      console.log(chalk.gray(`❌ Folder not found in mapping: "${targetLabel}"${bestNote}`));
+      this.writeLog(`Folder not found in mapping: "${targetLabel}"${bestNote}`);
     }
 
     // Fallback to API search
-    console.log(chalk.gray(`🔍 Falling back to API search for: "${targetName}"`));
-    return await this._findFolderByNameFallback(name, parentFolderId);
+    console.log(chalk.gray(`🔍 Falling back to API search for: "${targetLabel}"`));
+    return await this._findFolderByNameFallback(targetName, parentFolderId, ancestors);
   }
 
   // Create search variations for better matching
   _createSearchVariations(name) {
-    const variations = new Set();
-    
-    // Original name
-    variations.add(name);
-    variations.add(name.toLowerCase());
-    variations.add(name.toUpperCase());
-    
-    // Remove extra spaces and normalize
-    const normalized = name.replace(/\s+/g, ' ').trim();
-    variations.add(normalized);
-    variations.add(normalized.toLowerCase());
-    
-    // Remove common prefixes/suffixes
-    const withoutPrefixes = name.replace(/\b(muhammad|moh|drs|dr|prof|hj|h)\b/gi, '').replace(/\s+/g, ' ').trim();
-    if (withoutPrefixes && withoutPrefixes !== name) {
-      variations.add(withoutPrefixes);
-      variations.add(withoutPrefixes.toLowerCase());
-    }
-    
-    // Remove dots and special characters
-    const withoutSpecialChars = name.replace(/[\.,-]/g, ' ').replace(/\s+/g, ' ').trim();
-    if (withoutSpecialChars && withoutSpecialChars !== name) {
-      variations.add(withoutSpecialChars);
-      variations.add(withoutSpecialChars.toLowerCase());
-    }
-    
-    return Array.from(variations).filter(v => v.length > 0);
+    return createSearchVariations(name);
   }
 
 
-  // Fallback folder search (old implementation)
-  async _findFolderByNameFallback(name, parentFolderId = null) {
+  // Fallback folder search via Drive API (with timeout)
+  async _findFolderByNameFallback(name, parentFolderId = null, ancestors = []) {
     const startTime = Date.now();
     
     // Timeout for fallback method
     const timeoutMs = 30000;
+    let timer = null;
     const timeoutPromise = new Promise((_, reject) => {
-      setTimeout(() => {
+      timer = setTimeout(() => {
         reject(new Error(`Folder search took too long (${timeoutMs/1000}s) for "${name}"`));
       }, timeoutMs);
     });
 
     try {
       const result = await Promise.race([
-        this._findFolderByNameInternal(name, parentFolderId),
+        this._findFolderByNameInternal(name, parentFolderId, ancestors),
         timeoutPromise
       ]);
       const elapsed = Date.now() - startTime;
-      if (result) {
-        console.log(chalk.gray(`✅ Found folder (fallback): "${name}" (${elapsed}ms)`));
+      if (result && result.ambiguous) {
+        console.log(chalk.yellow(`⚠️  Ambiguous folder (fallback): "${name}" -> ${this.formatCandidates(result.candidates)} (${elapsed}ms)`));
+        this.writeLog(`Ambiguous folder (fallback): "${name}" -> ${this.formatCandidates(result.candidates)}`, 'warn');
+      } else if (result) {
+        console.log(chalk.gray(`✅ Found folder (fallback): "${name}" -> "${[...(result.path || []), result.name].join('/')}" score=${result.score.toFixed(2)} (${elapsed}ms)`));
       } else {
         console.log(chalk.gray(`❌ Folder not found (fallback): "${name}" (${elapsed}ms)`));
       }
@@ -618,156 +1073,196 @@ class CertificateSharing {
       const elapsed = Date.now() - startTime;
       this.dlog(`Folder search timeout: ${name} - ${error.message} (${elapsed}ms)`);
       return null;
+    } finally {
+      clearTimeout(timer);
+    }
+  }
+
+  // List direct subfolders of a folder (cached for the run)
+  async _listSubfolders(parentId) {
+    if (!this.subfolderCache) this.subfolderCache = new Map();
+    if (this.subfolderCache.has(parentId)) return this.subfolderCache.get(parentId);
+    let all = [];
+    let pageToken = undefined;
+    do {
+      await this.throttle();
+      const res = await this.drive.files.list({
+        q: `'${parentId}' in parents and mimeType='application/vnd.google-apps.folder' and trashed=false`,
+        spaces: 'drive',
+        fields: 'nextPageToken, files(id,name,parents)',
+        includeItemsFromAllDrives: true,
+        supportsAllDrives: true,
+        pageSize: 100,
+        pageToken
+      });
+      all = all.concat(res.data.files || []);
+      pageToken = res.data.nextPageToken || undefined;
+    } while (pageToken);
+    this.subfolderCache.set(parentId, all);
+    return all;
+  }
+
+  // Ancestor folder names of a file, nearest last (cached, up to `levels` levels)
+  async _getAncestorNames(file, levels = 3) {
+    const names = [];
+    let parentId = (file.parents || [])[0];
+    while (parentId && names.length < levels) {
+      let info = this.folderInfoCache.get(parentId);
+      if (!info) {
+        try {
+          await this.throttle();
+          const res = await this.drive.files.get({
+            fileId: parentId,
+            fields: 'id,name,parents',
+            supportsAllDrives: true
+          });
+          info = { name: res.data.name || '', parents: res.data.parents || [] };
+        } catch (err) {
+          this.dlog('files.get(parent) error:', this.formatErrorSummary(err));
+          break;
+        }
+        this.folderInfoCache.set(parentId, info);
+      }
+      names.unshift(info.name);
+      parentId = info.parents[0];
     }
+    return names;
   }
 
-  // Internal folder search implementation (original BFS method)
-  async _findFolderByNameInternal(name, parentFolderId = null) {
+  // Internal folder search: collect candidate folders, then score them
+  async _findFolderByNameInternal(name, parentFolderId = null, ancestors = []) {
     // Search depth = 3 for comprehensive folder search: Parent -> Kabupaten -> Peserta (or deeper nesting)
     const targetName = (name || '').toString();
-    const targetLower = targetName.toLowerCase();
     if (!targetName) return null;
+    const matchOptions = { ...this.getMatchOptions(), ancestors };
 
     // If no parent specified, fall back to global search by name
     if (!parentFolderId) {
       try {
-        // Enhanced case-insensitive search with fuzzy matching
-        const searchVariations = [
-          targetName, // exact
-          targetName.toLowerCase(),
-          targetName.toUpperCase(),
-          // Remove extra spaces and normalize
-          targetName.replace(/\s+/g, ' ').trim(),
-          // Try without common prefixes/suffixes
-          targetName.replace(/\b(muhammad|moh|drs|dr|prof)\b/gi, '').trim(),
-        ].filter(v => v.length > 0);
-        
-        for (const searchTerm of searchVariations) {
-          try {
-            let query = `mimeType='application/vnd.google-apps.folder' and name contains '${searchTerm.replace(/'/g, "\\'")}' and trashed=false`;
-            let attempt = 0;
-            const maxAttempts = 3; // Reduced attempts per variation
-            
-            while (attempt < maxAttempts) {
-              try {
-                await this.throttle();
-                const response = await this.drive.files.list({
-                  q: query,
-                  spaces: 'drive',
-                  fields: 'files(id,name,parents)',
-                  includeItemsFromAllDrives: true,
-                  supportsAllDrives: true,
-                  pageSize: 20
-                });
-                
-                // Try exact match first, then fuzzy match
-                const files = response.data.files || [];
-                let match = files.find(f => (f.name || '').toLowerCase() === targetLower);
-                if (!match) {
-                  // Fuzzy match: check if target is contained in folder name
-                  match = files.find(f => {
-                    const folderName = (f.name || '').toLowerCase();
-                    return folderName.includes(targetLower) || targetLower.includes(folderName);
-                  });
-                }
-                
-                if (match) {
-                  console.log(chalk.gray(`✅ Found folder: "${targetName}" -> "${match.name}" (ID: ${match.id})`));
-                  return match.id;
-                }
-                break; // No match found with this variation, try next
-              } catch (err) {
-                this.dlog('files.list(global) error:', this.formatErrorSummary(err));
-                attempt++;
-                if (this.isRetryableRateLimit(err) && attempt < maxAttempts) {
-                  const base = Math.min(30000, Math.pow(2, attempt) * 1000); // Reduced wait time
-                  const jitter = Math.floor(Math.random() * 500);
-                  await this.sleep(base + jitter);
-                  continue;
-                }
-                break; // Try next variation
+        // Drive "name contains" is case-insensitive: query each distinct variation
+        // plus the longest name token (catches typos elsewhere in the name)
+        const longestToken = tokenize(targetName).sort((a, b) => b.length - a.length)[0];
+        const searchTerms = new Map();
+        for (const v of [...this._createSearchVariations(targetName), longestToken || '']) {
+          if (v && !searchTerms.has(v.toLowerCase())) searchTerms.set(v.toLowerCase(), v);
+        }
+
+        const candidates = new Map();
+        for (const searchTerm of searchTerms.values()) {
+          let query = `mimeType='application/vnd.google-apps.folder' and name contains '${searchTerm.replace(/'/g, "\\'")}' and trashed=false`;
+          let attempt = 0;
+          const maxAttempts = 3; // Reduced attempts per variation
+          
+          while (attempt < maxAttempts) {
+            try {
+              await this.throttle();
+              const response = await this.drive.files.list({
+                q: query,
+                spaces: 'drive',
+                fields: 'files(id,name,parents)',
+                includeItemsFromAllDrives: true,
+                supportsAllDrives: true,
+                pageSize: 50
+              });
+              for (const f of response.data.files || []) candidates.set(f.id, f);
+              break;
+            } catch (err) {
+              this.dlog('files.list(global) error:', this.formatErrorSummary(err));
+              attempt++;
+              if (this.isRetryableRateLimit(err) && attempt < maxAttempts) {
+                const base = Math.min(30000, Math.pow(2, attempt) * 1000); // Reduced wait time
+                const jitter = Math.floor(Math.random() * 500);
+                await this.sleep(base + jitter);
+                continue;
               }
+              break; // Try next variation
             }
-          } catch (err) {
-            continue; // Try next variation
           }
         }
-        return null;
+        // Path matching needs the candidates' ancestor names
+        const found = Array.from(candidates.values());
+        if (ancestors.some(a => a)) {
+          for (const f of found) f.path = await this._getAncestorNames(f);
+        }
+        return this.toFolderResult(pickBestMatch(targetName, found, matchOptions));
       } catch {
         return null;
       }
     }
 
-    // BFS up to depth 3 starting from parentFolderId (comprehensive search: Parent -> Kabupaten -> Peserta or deeper)
+    // Level-by-level BFS up to depth 3 from parentFolderId; stop after the first
+    // level that yields a confident (or ambiguous) match so same-level duplicates are seen
     const maxDepth = 3;
-    const queue = [{ id: parentFolderId, depth: 0 }];
-
-    const listSubfolders = async (parentId) => {
-      let all = [];
-      let pageToken = undefined;
-      do {
-        await this.throttle();
-        const res = await this.drive.files.list({
-          q: `'${parentId}' in parents and mimeType='application/vnd.google-apps.folder' and trashed=false`,
-          spaces: 'drive',
-          fields: 'nextPageToken, files(id,name,parents)',
-          includeItemsFromAllDrives: true,
-          supportsAllDrives: true,
-          pageSize: 100,
-          pageToken
-        });
-        all = all.concat(res.data.files || []);
-        pageToken = res.data.nextPageToken || undefined;
-      } while (pageToken);
-      return all;
-    };
+    const seen = [];
+    let level = [{ id: parentFolderId, path: [] }];
 
-    while (queue.length) {
-      const current = queue.shift();
-      if (!current) break;
-      if (current.depth > maxDepth) continue;
-      try {
-        const children = await listSubfolders(current.id);
-        // Check match on this level (case-insensitive)
-        const hit = children.find(f => (f.name || '').toLowerCase() === targetLower);
-        if (hit) return hit.id;
-        // Enqueue next level
-        if (current.depth < maxDepth) {
-          for (const c of children) {
-            queue.push({ id: c.id, depth: current.depth + 1 });
+    for (let depth = 0; depth <= maxDepth && level.length; depth++) {
+      const next = [];
+      for (const folder of level) {
+        let attempt = 0;
+        while (true) {
+          try {
+            const children = await this._listSubfolders(folder.id);
+            // Candidate path = ancestor names below parentFolderId
+            seen.push(...children.map(c => ({ ...c, path: folder.path })));
+            if (depth < maxDepth) next.push(...children.map(c => ({ id: c.id, path: [...folder.path, c.name] })));
+            break;
+          } catch (err) {
+            attempt++;
+            if (this.isRetryableRateLimit(err) && attempt < 5) {
+              // Soft wait and retry this branch
+              await this.sleep(1000 * attempt);
+              continue;
+            }
+            this.dlog('files.list(children) error:', this.formatErrorSummary(err));
+            // Non-retryable: skip this branch
+            break;
           }
         }
-      } catch (err) {
-        if (this.isRetryableRateLimit(err)) {
-          // Soft wait and continue
-          await this.sleep(1000);
-          queue.push({ id: current.id, depth: current.depth });
-          continue;
-        }
-        this.dlog('files.list(children) error:', this.formatErrorSummary(err));
-        // Non-retryable: skip this branch
       }
+      const result = pickBestMatch(targetName, seen, matchOptions);
+      if (result.status !== 'none') return this.toFolderResult(result);
+      level = next;
     }
     return null;
   }
 
-  // Check if user has permission
+  // Check if user has permission (an equal or higher role counts as satisfied)
   async hasPermission(fileId, email, role) {
     try {
+      const permissions = await this.listPermissions(fileId);
+      return permissions.some(p =>
+        p.emailAddress && p.emailAddress.toLowerCase() === email.toLowerCase() && roleSatisfies(p.role, role)
+      );
+    } catch (error) {
+      return false;
+    }
+  }
+
+  // All permissions of a folder (every page), cached for the rest of the batch so
+  // rows sharing a folder do not download the list again
+  async listPermissions(fileId) {
+    if (this.permissionCache.has(fileId)) {
+      this.permissionCacheStats.hits++;
+      return this.permissionCache.get(fileId);
+    }
+    const permissions = [];
+    let pageToken = undefined;
+    do {
       let attempt = 0;
       const maxAttempts = 5;
+      let response;
       while (true) {
         try {
           await this.throttle();
-          const response = await this.drive.permissions.list({
+          response = await this.drive.permissions.list({
             fileId: fileId,
-            fields: 'permissions(emailAddress,role)',
-            supportsAllDrives: true
+            fields: 'nextPageToken, permissions(id,type,emailAddress,role)',
+            supportsAllDrives: true,
+            pageSize: 100,
+            pageToken
           });
-          const permissions = response.data.permissions || [];
-          return permissions.some(p => 
-            p.emailAddress && p.emailAddress.toLowerCase() === email.toLowerCase() && p.role === role
-          );
+          break;
         } catch (err) {
           this.dlog('permissions.list error:', this.formatErrorSummary(err));
           attempt++;
@@ -777,18 +1272,34 @@ class CertificateSharing {
             await this.sleep(base + jitter);
             continue;
           }
-          throw this.wrapError('drive.permissions.list', { fileId, email, role }, err);
+          throw this.wrapError('drive.permissions.list', { fileId }, err);
         }
       }
-    } catch (error) {
-      return false;
-    }
+      permissions.push(...(response.data.permissions || []));
+      pageToken = response.data.nextPageToken || undefined;
+    } while (pageToken);
+    this.permissionCache.set(fileId, permissions);
+    this.permissionCacheStats.lists++;
+    return permissions;
+  }
+
+  // Keep a cached permission list in step with a grant or revoke we just made
+  updatePermissionCache(fileId, email, permission) {
+    const cached = this.permissionCache.get(fileId);
+    if (!cached) return;
+    const target = email.toLowerCase();
+    const others = cached.filter(p => !(p.type === 'user' && p.emailAddress && p.emailAddress.toLowerCase() === target));
+    if (permission) others.push(permission);
+    this.permissionCache.set(fileId, others);
   }
 
-  // Grant permission
-  async grantPermission(fileId, email) {
-    const role = 'reader';
-    const dryRun = config.get('dryRun');
+  // Grant permission (role defaults to config; expirationTime is optional RFC 3339;
+  // emailMessage turns on the share notification email)
+  async grantPermission(fileId, email, options = {}) {
+    const role = options.role || this.getDefaultRole();
+    const expirationTime = options.expirationTime || null;
+    const emailMessage = options.emailMessage || null;
+    const dryRun = this.config.get('dryRun');
 
     if (dryRun) {
       return { status: 'DRY_RUN' };
@@ -799,17 +1310,20 @@ class CertificateSharing {
     const capMs = 60000; // 60s
     while (true) {
       try {
-        await this.throttle();
+        await this.throttle('permissionWrite');
         const response = await this.drive.permissions.create({
           fileId: fileId,
-          sendNotificationEmail: false,
+          sendNotificationEmail: !!emailMessage,
+          ...(emailMessage ? { emailMessage } : {}),
           supportsAllDrives: true,
           resource: {
             type: 'user',
             role: role,
-            emailAddress: email
+            emailAddress: email,
+            ...(expirationTime ? { expirationTime } : {})
           }
         });
+        this.updatePermissionCache(fileId, email, { id: response.data?.id, type: 'user', emailAddress: email, role });
         return response.data;
       } catch (error) {
         this.dlog('permissions.create error:', this.formatErrorSummary(error));
@@ -820,45 +1334,215 @@ class CertificateSharing {
           await this.sleep(base + jitter);
           continue;
         }
-        throw this.wrapError('drive.permissions.create', { fileId, email, role }, error);
+        throw this.wrapError('drive.permissions.create', { fileId, email, role, expirationTime }, error);
       }
     }
   }
 
-  // Update cell in spreadsheet
-  async updateCell(row, col, value) {
-    try {
-      const range = `${config.get('sheetName')}!${col}${row}`;
-      await this.sheets.spreadsheets.values.update({
-        spreadsheetId: config.get('sheetId'),
-        range: range,
-        valueInputOption: 'RAW',
-        resource: {
-          values: [[value]]
+  // Find the 'user' permission of an email on a file (all pages)
+  async findUserPermission(fileId, email) {
+    const target = email.toLowerCase();
+    const permissions = await this.listPermissions(fileId);
+    return permissions.find(p =>
+      p.type === 'user' && p.emailAddress && p.emailAddress.toLowerCase() === target
+    ) || null;
+  }
+
+  // Revoke permission
+  async revokePermission(fileId, permissionId, email) {
+    const dryRun = this.config.get('dryRun');
+
+    if (dryRun) {
+      return { status: 'DRY_RUN' };
+    }
+
+    let attempt = 0;
+    const maxAttempts = 6;
+    const capMs = 60000; // 60s
+    while (true) {
+      try {
+        await this.throttle('permissionWrite');
+        await this.drive.permissions.delete({
+          fileId: fileId,
+          permissionId: permissionId,
+          supportsAllDrives: true
+        });
+        this.updatePermissionCache(fileId, email, null);
+        return { status: 'REVOKED' };
+      } catch (error) {
+        this.dlog('permissions.delete error:', this.formatErrorSummary(error));
+        attempt++;
+        if (this.isRetryableRateLimit(error) && attempt < maxAttempts) {
+          const base = Math.min(capMs, Math.pow(2, attempt) * 1000);
+          const jitter = Math.floor(Math.random() * 500);
+          await this.sleep(base + jitter);
+          continue;
         }
-      });
-    } catch (error) {
-      console.log(chalk.yellow(`⚠️  Warning: Could not update cell ${col}${row}`));
+        throw this.wrapError('drive.permissions.delete', { fileId, permissionId, email }, error);
+      }
     }
   }
 
-  // Safe updater by column index mapping (prevents overwriting wrong columns)
-  async updateCellByIndex(columns, colIndex, row, value, label = 'unknown') {
-    if (typeof colIndex === 'number' && colIndex >= 0) {
-      const col = columns.toCol(colIndex);
-      return this.updateCell(row, col, value);
-    } else {
-      this.writeLog(`Skip update: missing column '${label}'`, 'error');
-      return;
-    }
+  // Send one Drive batch request (max BATCH_LIMIT calls). Resolves to one
+  // { status, body } per request, in request order.
+  async sendDriveBatch(requests) {
+    const boundary = newBoundary();
+    const response = await this.auth.request({
+      url: batchUrl(DEFAULT_BATCH_URL),
+      method: 'POST',
+      headers: { 'Content-Type': `multipart/mixed; boundary=${boundary}` },
+      data: buildBatchBody(requests, boundary),
+      responseType: 'text'
+    });
+    const parsed = parseBatchResponse(response.data, response.headers?.['content-type']);
+    const byIndex = new Map(parsed.map(r => [r.index, r]));
+    return requests.map((_, i) => byIndex.get(i) || {
+      index: i,
+      status: 500,
+      body: { error: { code: 500, message: 'No sub-response for this call in the batch reply' } }
+    });
   }
 
-  // Get current timestamp
-  getCurrentTimestamp() {
-    return new Date().toLocaleString('id-ID', { 
-      timeZone: 'Asia/Jakarta',
-      year: 'numeric',
-      month: '2-digit', 
+  // Run Drive calls through the batch endpoint in groups of BATCH_LIMIT.
+  // Only sub-requests answered with a rate-limit error are sent again (with
+  // backoff); every other answer is final. Resolves to { data } or { error }
+  // per request, in request order.
+  async runDriveBatch(requests, op, bucket = 'driveRead') {
+    const results = new Array(requests.length).fill(null);
+    const maxAttempts = 6;
+    const capMs = 60000; // 60s
+    let pending = requests.map((_, i) => i);
+    let attempt = 0;
+    while (pending.length) {
+      attempt++;
+      const canRetry = attempt < maxAttempts;
+      const limited = [];
+      for (const indexes of chunk(pending, BATCH_LIMIT)) {
+        let replies;
+        try {
+          await this.throttle(bucket, indexes.length);
+          if (this.metrics) this.metrics.batchSubrequests.inc({ method: op.replace(/^drive\./, '') }, indexes.length);
+          replies = await this.sendDriveBatch(indexes.map(i => requests[i]));
+        } catch (error) {
+          // The batch request itself failed: same outcome for every call in it
+          this.dlog(`${op} batch error:`, this.formatErrorSummary(error));
+          if (canRetry && this.isRetryableRateLimit(error)) {
+            limited.push(...indexes);
+          } else {
+            for (const i of indexes) results[i] = { error: this.wrapError(op, requests[i].ctx, error) };
+          }
+          continue;
+        }
+        let chunkLimited = 0;
+        replies.forEach((reply, n) => {
+          const i = indexes[n];
+          if (reply.status >= 200 && reply.status < 300) {
+            results[i] = { data: reply.body || {} };
+            return;
+          }
+          const error = subResponseError(reply);
+          if (canRetry && this.isRateLimitError(error)) {
+            limited.push(i);
+            chunkLimited++;
+            return;
+          }
+          this.dlog(`${op} sub-request error:`, this.formatErrorSummary(error));
+          results[i] = { error: this.wrapError(op, requests[i].ctx, error) };
+        });
+        // One back-off step per batch, not per rate-limited sub-request
+        if (chunkLimited) this.noteRateLimit();
+        this.writeLog(`Batch ${op}: ${indexes.length} calls, ${indexes.length - chunkLimited} answered, ${chunkLimited} rate-limited`);
+      }
+      pending = limited;
+      if (pending.length) {
+        const base = Math.min(capMs, Math.pow(2, attempt) * 1000);
+        const jitter = Math.floor(Math.random() * 500);
+        this.writeLog(`Batch ${op}: retrying ${pending.length} rate-limited calls (attempt ${attempt + 1}/${maxAttempts})`, 'warn');
+        await this.sleep(base + jitter);
+      }
+    }
+    return results;
+  }
+
+  // Fill the permission cache for many folders with batched permissions.list
+  // calls. Folders with more than one page (or a failed call) are left to
+  // listPermissions(), which pages through them on demand.
+  async prefetchPermissions(fileIds) {
+    const missing = Array.from(new Set(fileIds)).filter(id => id && !this.permissionCache.has(id));
+    if (!missing.length) return;
+    const requests = missing.map(fileId => ({
+      method: 'GET',
+      path: `/files/${encodeURIComponent(fileId)}/permissions`,
+      query: { fields: 'nextPageToken,permissions(id,type,emailAddress,role)', supportsAllDrives: true, pageSize: 100 },
+      ctx: { fileId }
+    }));
+    const results = await this.runDriveBatch(requests, 'drive.permissions.list');
+    let cached = 0;
+    results.forEach((result, i) => {
+      if (result.error || result.data.nextPageToken) return;
+      this.permissionCache.set(missing[i], result.data.permissions || []);
+      this.permissionCacheStats.lists++;
+      cached++;
+    });
+    this.writeLog(`Batch permission lists: ${cached}/${missing.length} folders cached`);
+  }
+
+  // Batched counterpart of grantPermission(). grants: [{ fileId, email, role,
+  // expirationTime, emailMessage }]. Resolves to { data } or { error } per grant.
+  async grantPermissionsBatch(grants) {
+    if (this.config.get('dryRun')) {
+      return grants.map(() => ({ data: { status: 'DRY_RUN' } }));
+    }
+    const requests = grants.map(({ fileId, email, role, expirationTime, emailMessage }) => ({
+      method: 'POST',
+      path: `/files/${encodeURIComponent(fileId)}/permissions`,
+      query: {
+        sendNotificationEmail: !!emailMessage,
+        ...(emailMessage ? { emailMessage } : {}),
+        supportsAllDrives: true
+      },
+      body: {
+        type: 'user',
+        role,
+        emailAddress: email,
+        ...(expirationTime ? { expirationTime } : {})
+      },
+      ctx: { fileId, email, role, expirationTime }
+    }));
+    const results = await this.runDriveBatch(requests, 'drive.permissions.create', 'permissionWrite');
+    results.forEach((result, i) => {
+      if (!result.data) return;
+      const { fileId, email, role } = grants[i];
+      this.updatePermissionCache(fileId, email, { id: result.data.id, type: 'user', emailAddress: email, role });
+    });
+    return results;
+  }
+
+  // Queue cell update in participant source (sheet or local file)
+  async updateCell(row, colIndex, value) {
+    try {
+      await this.writeBuffer.enqueue(row, colIndex, value);
+    } catch (error) {
+      console.log(chalk.yellow(`⚠️  Warning: Could not flush updates (cell ${toCol(colIndex)}${row} kept in queue)`));
+    }
+  }
+
+  // Safe updater by column index mapping (prevents overwriting wrong columns)
+  async updateCellByIndex(columns, colIndex, row, value, label = 'unknown') {
+    if (typeof colIndex === 'number' && colIndex >= 0) {
+      return this.updateCell(row, colIndex, value);
+    } else {
+      this.writeLog(`Skip update: missing column '${label}'`, 'error');
+      return;
+    }
+  }
+
+  // Get current timestamp
+  getCurrentTimestamp() {
+    return new Date().toLocaleString('id-ID', { 
+      timeZone: 'Asia/Jakarta',
+      year: 'numeric',
+      month: '2-digit', 
       day: '2-digit',
       hour: '2-digit',
       minute: '2-digit',
@@ -866,43 +1550,167 @@ class CertificateSharing {
     });
   }
 
-  // Process participants
-  async processParticipants(data) {
-    const { participants, headers, columns } = data;
-    const parentFolderId = config.get('parentFolderId');
-    const role = 'reader';
-    const dryRun = config.get('dryRun');
-    const throttleMs = Number(config.get('throttleMs')) || 2500;
-    const envMax = process.env.MAX_PER_RUN ? Number(process.env.MAX_PER_RUN) : undefined;
-    const maxPerRun = (Number.isFinite(envMax) && envMax > 0) ? envMax : (Number(config.get('maxPerRun')) || 300);
+  // Work key for shards/leases: utamakan FolderId (case-sensitive), fallback Nama (lowercase).
+  // With several tabs the key is per tab, so a name in two tabs is two work items
+  getWorkKey(participant) {
+    const key = participant.folderId ? String(participant.folderId) : String(participant.nama).toLowerCase();
+    return this.currentTab && this.runTabs.length > 1 ? `${tabKey(this.currentTab)}#${key}` : key;
+  }
 
-    console.log();
-    console.log(chalk.blue('🔄 MEMPROSES PESERTA'));
-    console.log(chalk.gray('─'.repeat(40)));
-    console.log(chalk.cyan(`📁 Parent Folder: ${parentFolderId || 'All folders'}`));
-    console.log(chalk.cyan(`🔗 Role: ${role}`));
-    console.log(chalk.cyan(`🎯 Mode: ${dryRun ? 'Simulasi' : 'Production'}`));
-    if (this.shardTotal > 0) {
-      console.log(chalk.cyan(`🧩 Shard: ${this.shardIndex + 1}/${this.shardTotal}`));
+  // Keep only rows belonging to this worker's shard (not used in lease mode)
+  applySharding(list) {
+    if (this.shardTotal <= 0 || this.leaseClient) return list;
+    const before = list.length;
+    const result = list.filter(p => {
+      return shardOf(this.getWorkKey(p), this.shardTotal) === this.shardIndex;
+    });
+    this.writeLog(`Sharding applied: ${result.length}/${before} records for shard ${this.shardIndex}/${this.shardTotal - 1}`);
+    return result;
+  }
+
+  // Stable grouping of rows by FolderId (first occurrence decides the position)
+  groupByFolder(list) {
+    const groups = new Map();
+    for (const p of list) {
+      if (!groups.has(p.folderId)) groups.set(p.folderId, []);
+      groups.get(p.folderId).push(p);
     }
-    console.log();
+    return Array.from(groups.values()).flat();
+  }
 
-    if (dryRun) {
-      console.log(chalk.yellow('🧪 MODE SIMULASI - Tidak ada perubahan aktual'));
-    } else {
-      // Production mode: always proceed without prompt
-      console.log(chalk.yellow('🚀 PRODUCTION MODE: berjalan otomatis tanpa konfirmasi.'));
+  // Rows to process this pass, in priority order. With a coordinator, rows are
+  // leased in chunks of work keys as the previous chunk finishes (rows of one
+  // key are kept together); otherwise the first maxPerRun rows are used.
+  // beforeComplete() is awaited before a chunk's keys are reported done, so
+  // queued grants and cell writes of the chunk are sent first; if it throws,
+  // the keys are released instead.
+  async *iterateWork(list, maxPerRun, beforeComplete = null) {
+    if (!this.leaseClient) {
+      yield* list.slice(0, maxPerRun);
+      return;
+    }
+    const chunkSize = Math.max(1, Number(this.config.get('leaseChunkSize')) || 10);
+    const byKey = new Map();
+    for (const p of list) {
+      const key = this.getWorkKey(p);
+      if (!byKey.has(key)) byKey.set(key, []);
+      byKey.get(key).push(p);
     }
 
-    // Progress bar
-    this.progressBar = new cliProgress.SingleBar({
-      format: chalk.cyan('Progress') + ' |{bar}| {percentage}% | {value}/{total} | {status}',
-      barCompleteChar: '█',
-      barIncompleteChar: '░',
-      hideCursor: true
-    });
+    let yielded = 0;
+    let held = [];
+    let heartbeat = null;
+    try {
+      while (yielded < maxPerRun && byKey.size > 0) {
+        let lease;
+        try {
+          lease = await this.leaseClient.lease(Array.from(byKey.keys()), chunkSize);
+        } catch (error) {
+          console.log(chalk.yellow(`⚠️  Coordinator tidak dapat dihubungi: ${error.message}`));
+          this.writeLog(`Lease request failed: ${error.message}`, 'error');
+          break;
+        }
+        for (const key of lease.unavailable || []) byKey.delete(key);
+        if (!lease.granted.length) break;
+        held = lease.granted;
+        this.writeLog(`Leased ${held.length} keys (${held.reduce((n, k) => n + (byKey.get(k) || []).length, 0)} rows)`);
+        if (!heartbeat) {
+          heartbeat = setInterval(() => {
+            this.leaseClient.renew().catch(err => this.writeLog(`Lease renew failed: ${err.message}`, 'warn'));
+          }, Math.max(1000, Math.floor((lease.ttlMs || 120000) / 3)));
+          if (typeof heartbeat.unref === 'function') heartbeat.unref();
+        }
 
-    let stats = { total: 0, done: 0, skipped: 0, errors: 0 };
+        for (const key of held) {
+          for (const participant of byKey.get(key) || []) {
+            yielded++;
+            yield participant;
+          }
+          byKey.delete(key);
+        }
+        if (beforeComplete) await beforeComplete();
+        await this.leaseClient.complete(held).catch(err => this.writeLog(`Lease complete failed: ${err.message}`, 'warn'));
+        held = [];
+      }
+    } finally {
+      if (heartbeat) clearInterval(heartbeat);
+      // Stopped mid-chunk: hand unfinished keys back right away
+      if (held.length) await this.leaseClient.release(held).catch(() => {});
+    }
+  }
+
+  // Row flagged for revocation: isShared=REVOKE or truthy Revoke column (until REVOKED)
+  isRevokeRequested(participant) {
+    const isSharedValue = String(participant.isShared || '').trim().toLowerCase();
+    if (isSharedValue === 'revoke') return true;
+    if (isSharedValue === 'revoked') return false;
+    const flag = String(participant.revoke || '').trim().toLowerCase();
+    return ['true', 'yes', 'ya', 'y', '1', 'revoke'].includes(flag);
+  }
+
+  // Rows per pass (MAX_PER_RUN overrides config)
+  getMaxPerRun() {
+    return Number(this.config.get('maxPerRun')) || 300;
+  }
+
+  // Max failed attempts per row before --retry-failed stops picking it up
+  getMaxAttempts() {
+    return Number(this.config.get('maxAttempts')) || 3;
+  }
+
+  // Record a failed attempt: ErrorClass plus incremented Attempts. Returns the new count.
+  async markFailure(columns, participant, errorClass) {
+    const attempts = (participant.attempts || 0) + 1;
+    await this.updateCellByIndex(columns, columns.errorClassCol, participant.rowIndex, errorClass, 'ErrorClass');
+    await this.updateCellByIndex(columns, columns.attemptsCol, participant.rowIndex, String(attempts), 'Attempts');
+    return attempts;
+  }
+
+  // Clear ErrorClass once a previously failed row succeeds (Attempts is kept as history)
+  async clearFailure(columns, participant) {
+    if (!participant.errorClass) return;
+    await this.updateCellByIndex(columns, columns.errorClassCol, participant.rowIndex, '', 'ErrorClass');
+  }
+
+  // Rows --retry-failed picks up: isShared=FALSE, ErrorClass=TRANSIENT, attempts left
+  selectRetryable(participants) {
+    const maxAttempts = this.getMaxAttempts();
+    const failed = participants.filter(p =>
+      String(p.isShared || '').trim().toLowerCase() === 'false' &&
+      String(p.errorClass || '').trim().toUpperCase() === ERROR_CLASSES.TRANSIENT
+    );
+    const retryable = failed.filter(p => p.attempts < maxAttempts);
+    const exhausted = failed.length - retryable.length;
+    if (exhausted > 0) {
+      console.log(chalk.yellow(`⚠️  ${exhausted} baris TRANSIENT sudah mencapai batas ${maxAttempts} percobaan, dilewati`));
+    }
+    this.writeLog(`Retry-failed: ${retryable.length} retryable, ${exhausted} exhausted (maxAttempts=${maxAttempts})`);
+    // Retried rows are picked up again from scratch
+    return retryable.map(p => ({ ...p, isShared: '' }));
+  }
+
+  // Map Google API error to a short Indonesian explanation
+  friendlyErrorMessage(error, email) {
+    const { status, reasons, message } = this.extractErrorDetails(error);
+    if (status === 403) {
+      if (reasons.includes('cannotInviteNonGoogleUser')) {
+        return `Email ${email} tidak memiliki Google Account aktif atau tidak dapat diundang`;
+      } else if (reasons.includes('sharingRateLimitExceeded')) {
+        return `Rate limit tercapai untuk sharing, coba lagi nanti`;
+      } else if (reasons.includes('permissionDenied')) {
+        return `Tidak ada izin untuk membagikan folder ini`;
+      }
+      return `Akses ditolak: ${message}`;
+    } else if (status === 404) {
+      return `Folder tidak ditemukan atau telah dihapus`;
+    } else if (status === 429) {
+      return `Terlalu banyak permintaan, coba lagi nanti`;
+    }
+    return message || 'Error tidak diketahui';
+  }
+
+  // Rows a grant pass works on, in priority order (shared by grant and plan mode)
+  selectGrantRows(participants) {
     // Normalize and prepare list
     let normalized = participants.map(p => ({
       ...p,
@@ -912,23 +1720,21 @@ class CertificateSharing {
 
     // Hanya proses yang belum pernah diproses sama sekali (isShared kosong/undefined)
     // Skip yang isShared = 'TRUE' (sudah berhasil) dan isShared = 'FALSE' (sudah diproses tapi gagal)
-    normalized = normalized.filter(p => {
-      const isSharedValue = String(p.isShared || '').toLowerCase();
-      return isSharedValue !== 'true' && isSharedValue !== 'false';
-    });
-
-    // Terapkan sharding (hindari overlap folder/permission antar worker)
-    if (this.shardTotal > 0) {
-      const before = normalized.length;
+    // Skip juga baris yang ditandai/sudah dicabut aksesnya (REVOKE/REVOKED)
+    // Mode --retry-failed: hanya baris gagal TRANSIENT yang belum mencapai batas percobaan
+    if (this.retryFailedMode) {
+      normalized = this.selectRetryable(normalized.filter(p => !this.isRevokeRequested(p)));
+    } else {
       normalized = normalized.filter(p => {
-        // Kunci shard: utamakan FolderId (case-sensitive), fallback Nama (lowercase)
-        const key = p.folderId ? String(p.folderId) : String(p.nama).toLowerCase();
-        const h = this.hashKey(key);
-        return (h % this.shardTotal) === this.shardIndex;
+        const isSharedValue = String(p.isShared || '').toLowerCase();
+        if (isSharedValue === 'revoked' || this.isRevokeRequested(p)) return false;
+        return isSharedValue !== 'true' && isSharedValue !== 'false';
       });
-      this.writeLog(`Sharding applied: ${normalized.length}/${before} records for shard ${this.shardIndex}/${this.shardTotal - 1}`);
     }
 
+    // Terapkan sharding (hindari overlap folder/permission antar worker)
+    normalized = this.applySharding(normalized);
+
     // Prioritize participants: process easy ones first, problematic ones later
     // 1. Those who already have folderId (fastest)
     // 2. Those who need folder search but isFolderExists is not 'FALSE' 
@@ -938,59 +1744,169 @@ class CertificateSharing {
     const needsSearch = normalized.filter(p => !p.folderId && String(p.isFolderExists || '').toLowerCase() !== 'false');
     const problematic = normalized.filter(p => !p.folderId && String(p.isFolderExists || '').toLowerCase() === 'false');
     
-    // Combine in priority order
-    const prioritized = [...withFolderId, ...needsSearch, ...problematic];
+    // Combine in priority order; rows sharing a FolderId stay together so the
+    // folder's permission list is fetched once and reused from the cache
+    const prioritized = [...this.groupByFolder(withFolderId), ...needsSearch, ...problematic];
+
+    return { prioritized, withFolderId, needsSearch, problematic };
+  }
+
+  // Process participants
+  async processParticipants(data) {
+    const { participants, headers, columns } = data;
+    const parentFolderId = this.config.get('parentFolderId');
+    const role = this.getDefaultRole();
+    const dryRun = this.config.get('dryRun');
+    const maxPerRun = this.getMaxPerRun();
+    const emailPolicy = this.getEmailPolicy();
+
+    console.log();
+    console.log(chalk.blue('🔄 MEMPROSES PESERTA'));
+    console.log(chalk.gray('─'.repeat(40)));
+    console.log(chalk.cyan(`📁 Parent Folder: ${parentFolderId || 'All folders'}`));
+    console.log(chalk.cyan(`🔗 Role: ${role} (default, kolom Role per baris diutamakan)`));
+    console.log(chalk.cyan(`🎯 Mode: ${dryRun ? 'Simulasi' : 'Production'}${this.retryFailedMode ? ` | Retry gagal sementara (maks ${this.getMaxAttempts()} percobaan)` : ''}`));
+    console.log(chalk.cyan(`✉️  Notifikasi Email: ${this.isNotifyEnabled() ? 'ON' : 'OFF'}`));
+    console.log(chalk.cyan(`📮 Email Policy: ${this.describeEmailPolicy()}`));
+    if (this.batchMode) {
+      console.log(chalk.cyan(`📦 Drive Batch: ON (maks ${BATCH_LIMIT} call per request)`));
+    }
+    if (this.config.get('folderPathPattern')) {
+      console.log(chalk.cyan(`🧭 Folder Path: ${this.config.get('folderPathPattern')}`));
+    }
+    if (this.leaseClient) {
+      console.log(chalk.cyan(`🧩 Worker: ${this.workerId} (lease dari coordinator)`));
+    } else if (this.shardTotal > 0) {
+      console.log(chalk.cyan(`🧩 Shard: ${this.shardIndex + 1}/${this.shardTotal}`));
+    }
+    console.log();
+
+    if (dryRun) {
+      console.log(chalk.yellow('🧪 MODE SIMULASI - Tidak ada perubahan aktual'));
+    } else {
+      // Production mode: always proceed without prompt
+      console.log(chalk.yellow('🚀 PRODUCTION MODE: berjalan otomatis tanpa konfirmasi.'));
+    }
+
+    // Progress bar
+    this.progressBar = new cliProgress.SingleBar({
+      format: chalk.cyan('Progress') + ' |{bar}| {percentage}% | {value}/{total} | {status}',
+      barCompleteChar: '█',
+      barIncompleteChar: '░',
+      hideCursor: true
+    });
+
+    let stats = { total: 0, done: 0, skipped: 0, errors: 0 };
+    const { prioritized, withFolderId, needsSearch, problematic } = this.selectGrantRows(participants);
     
     // Apply batch limit
-    const workingParticipants = prioritized.slice(0, maxPerRun);
+    const selectedCount = Math.min(prioritized.length, maxPerRun);
     
     console.log(chalk.blue(`📋 Processing prioritization:
    ✅ With Folder ID: ${withFolderId.length}
    🔍 Needs Search: ${needsSearch.length} 
    ⚠️  Problematic: ${problematic.length}
-   🎯 Selected: ${workingParticipants.length}`));
-
-    this.progressBar.start(workingParticipants.length, 0, { status: 'Starting...' });
-    this.writeLog(`Processing ${workingParticipants.length} participants. parentFolderId=${parentFolderId}`);
+   🎯 Selected: ${selectedCount}${this.leaseClient ? ' (maks, dibagi ke worker lewat lease)' : ''}`));
+
+    this.progressBar.start(selectedCount, 0, { status: 'Starting...' });
+    this.writeLog(`Processing ${selectedCount} participants. parentFolderId=${parentFolderId}${this.leaseClient ? ' (leased)' : ''}`);
+    this.emitEvent('run_start', {
+      action: 'grant',
+      total: selectedCount,
+      dryRun: !!dryRun,
+      mode: { retryFailed: this.retryFailedMode, batch: this.batchMode, leased: !!this.leaseClient },
+      source: this.getJournalSourceKey(),
+      profile: this.profile
+    });
 
     const seen = new Set();
-    for (const [index, participant] of workingParticipants.entries()) {
+    // Shared with the report helpers; pendingGrants holds rows waiting for a batch
+    const run = { stats, columns, emailPolicy };
+    const pendingGrants = [];
+    // A leased chunk counts as done only once its batched grants and cells are written
+    const finishChunk = async () => {
+      if (pendingGrants.length) await this.flushGrantBatch(pendingGrants.splice(0), run);
+      await this.flushWrites();
+    };
+    let index = -1;
+    for await (const participant of this.iterateWork(prioritized, maxPerRun, finishChunk)) {
+      index++;
       const { rowIndex, nama, email } = participant;
       
       // Start timing for this participant
       const participantStartTime = Date.now();
       let folderSearchTime = 0; // Initialize here for access in catch block
+      let journalId = null;
       // Update progress bar with real-time stats
-      const progressStatus = `[${index + 1}/${workingParticipants.length}] ${nama} | ✅${stats.done} ❌${stats.errors} ⏭️${stats.skipped}`;
+      const progressStatus = `[${index + 1}/${selectedCount}] ${nama} | ✅${stats.done} ❌${stats.errors} ⏭️${stats.skipped}`;
       this.progressBar.update(index, { status: progressStatus });
       stats.total++;
 
       try {
-        // Enhanced email validation - must be Gmail and proper format
-        const emailRegex = /^[a-zA-Z0-9._%+-]+@[a-zA-Z0-9.-]+\.[a-zA-Z]{2,}$/;
-        const isValidEmail = emailRegex.test(email);
-        const isGmail = email.toLowerCase().endsWith('@gmail.com');
+        // Email validation - proper format and allowed by the domain policy
+        const emailCheck = evaluateEmail(email, emailPolicy);
         
-        if (!isValidEmail || !isGmail) {
+        if (!emailCheck.ok) {
           stats.skipped++;
           const totalTime = Date.now() - participantStartTime;
-          const reason = !isValidEmail ? 'INVALID EMAIL FORMAT' : 'NOT GMAIL ACCOUNT';
+          const reason = emailCheck.code;
           
           // Skip notification for email validation
           console.log(chalk.yellow(`
 ⏭️  SKIPPED: ${chalk.bold(nama)} - ${reason}
    📧 Email: ${email}
-   💡 Penjelasan: ${reason === 'INVALID EMAIL FORMAT' ? 'Format email tidak valid' : 'Hanya email Gmail yang didukung'}
+   💡 Penjelasan: ${emailCheck.explanation}
+   📏 Aturan: ${emailCheck.rule}
    ⏱️  Waktu: ${totalTime}ms
    📊 Progress: ✅ ${stats.done} berhasil | ❌ ${stats.errors} gagal | ⏭️ ${stats.skipped} dilewati
 `));
           
           await this.updateCellByIndex(columns, columns.isSharedCol, rowIndex, 'FALSE', 'isShared');
-          await this.updateCellByIndex(columns, columns.lastLogCol, rowIndex, `[${this.getCurrentTimestamp()}] SKIP: ${reason} '${email}' (${totalTime}ms)`, 'LastLog');
-          this.writeLog(`Row ${rowIndex} SKIP ${reason}: ${email} - Time: ${totalTime}ms`);
+          await this.updateCellByIndex(columns, columns.lastLogCol, rowIndex, `[${this.getCurrentTimestamp()}] SKIP: ${reason} '${email}' (rule: ${emailCheck.rule}) (${totalTime}ms)`, 'LastLog');
+          await this.markFailure(columns, participant, ERROR_CLASSES.PERMANENT);
+          this.writeLog(`Row ${rowIndex} SKIP ${reason}: ${email} - Time: ${totalTime}ms (rule: ${emailCheck.rule})`);
+          this.emitRowEvent(participant, 'grant', 'skipped', {
+            reason,
+            timings: { totalMs: totalTime },
+            error: this.eventError({ reason: 'emailPolicy', message: `${emailCheck.explanation} (rule: ${emailCheck.rule})` }, ERROR_CLASSES.PERMANENT, emailCheck.explanation)
+          });
           continue;
         }
 
+        // Resolve per-row role and optional access expiration
+        const rowRole = participant.role && participant.role.trim() ? normalizeRole(participant.role) : role;
+        const expiry = parseExpiresAt(participant.expiresAt);
+        if (!rowRole || expiry.error) {
+          stats.skipped++;
+          const totalTime = Date.now() - participantStartTime;
+          // Fixed code for events/metrics; the Role cell text only goes to the sheet and log
+          const reason = !rowRole ? 'INVALID ROLE' : 'INVALID EXPIRES AT';
+          const reasonText = !rowRole ? `${reason} '${participant.role.trim()}'` : reason;
+          const explanation = !rowRole
+            ? `Role harus salah satu dari: ${GRANTABLE_ROLES.join(', ')}`
+            : `ExpiresAt tidak valid: ${expiry.error}`;
+
+          console.log(chalk.yellow(`
+⏭️  SKIPPED: ${chalk.bold(nama)} - ${reasonText}
+   📧 Email: ${email}
+   💡 Penjelasan: ${explanation}
+   ⏱️  Waktu: ${totalTime}ms
+   📊 Progress: ✅ ${stats.done} berhasil | ❌ ${stats.errors} gagal | ⏭️ ${stats.skipped} dilewati
+`));
+
+          await this.updateCellByIndex(columns, columns.isSharedCol, rowIndex, 'FALSE', 'isShared');
+          await this.updateCellByIndex(columns, columns.lastLogCol, rowIndex, `[${this.getCurrentTimestamp()}] SKIP: ${reasonText} - ${explanation} (${totalTime}ms)`, 'LastLog');
+          await this.markFailure(columns, participant, ERROR_CLASSES.PERMANENT);
+          this.writeLog(`Row ${rowIndex} SKIP ${reasonText}: ${email} - Time: ${totalTime}ms`);
+          this.emitRowEvent(participant, 'grant', 'skipped', {
+            reason,
+            timings: { totalMs: totalTime },
+            error: this.eventError({ reason: !rowRole ? 'invalidRole' : 'invalidExpiresAt', message: `${reasonText}: ${explanation}` }, ERROR_CLASSES.PERMANENT, explanation)
+          });
+          continue;
+        }
+        const expirationTime = expiry.value;
+
         // Deduplicate by (name+email)
         const key = `${nama.toLowerCase()}|${email}`;
         if (seen.has(key)) {
@@ -1008,6 +1924,7 @@ class CertificateSharing {
           
           await this.updateCellByIndex(columns, columns.lastLogCol, rowIndex, `[${this.getCurrentTimestamp()}] SKIP: Duplicate entry (${totalTime}ms)`, 'LastLog');
           this.writeLog(`Row ${rowIndex} SKIP duplicate: ${nama}|${email} - Time: ${totalTime}ms`);
+          this.emitRowEvent(participant, 'grant', 'skipped', { reason: 'DUPLICATE', timings: { totalMs: totalTime } });
           continue;
         }
         seen.add(key);
@@ -1018,16 +1935,46 @@ class CertificateSharing {
           const totalTime = Date.now() - participantStartTime;
           await this.updateCellByIndex(columns, columns.lastLogCol, rowIndex, `[${this.getCurrentTimestamp()}] SKIP: Already shared (${totalTime}ms)`, 'LastLog');
           this.writeLog(`Row ${rowIndex} SKIP already shared - Time: ${totalTime}ms`);
+          this.emitRowEvent(participant, 'grant', 'skipped', { reason: 'ALREADY_SHARED', timings: { totalMs: totalTime } });
           continue;
         }
 
         // Find folder - timeout only applies to folder search, not permission operations
         let folderId = participant.folderId;
+        let folderMatch = null;
         if (!folderId) {
           const folderSearchStart = Date.now();
           // Only use timeout for folder search (not for permission operations)
-          folderId = await this.findFolderByName(nama, parentFolderId);
+          folderMatch = await this.findFolderByName(nama, parentFolderId, participant);
           folderSearchTime = Date.now() - folderSearchStart;
+          folderId = folderMatch && !folderMatch.ambiguous ? folderMatch.id : null;
+        }
+
+        // Several folders match about equally well: never guess, list candidates instead
+        if (folderMatch && folderMatch.ambiguous) {
+          stats.errors++;
+          const totalTime = Date.now() - participantStartTime;
+          const candidateList = this.formatCandidates(folderMatch.candidates);
+
+          console.log(chalk.red(`
+❌ ERROR: ${chalk.bold(nama)} - AMBIGUOUS FOLDER
+   📧 Email: ${email}
+   💡 Penjelasan: Ada ${folderMatch.candidates.length} folder yang mirip, isi FolderId secara manual lalu kosongkan isShared
+   📂 Kandidat: ${candidateList}
+   🔍 Search Duration: ${folderSearchTime}ms
+   📊 Progress: ✅ ${stats.done} berhasil | ❌ ${stats.errors} gagal | ⏭️ ${stats.skipped} dilewati
+`));
+
+          await this.updateCellByIndex(columns, columns.isFolderExistsCol, rowIndex, 'AMBIGUOUS', 'isFolderExists');
+          await this.updateCellByIndex(columns, columns.isSharedCol, rowIndex, 'FALSE', 'isShared');
+          await this.updateCellByIndex(columns, columns.lastLogCol, rowIndex, `[${this.getCurrentTimestamp()}] AMBIGUOUS FOLDER: '${nama}' -> ${candidateList} (${totalTime}ms)`, 'LastLog');
+          await this.markFailure(columns, participant, ERROR_CLASSES.PERMANENT);
+          this.writeLog(`Row ${rowIndex} ERROR ambiguous folder for name='${nama}' - Time: ${totalTime}ms (folder search: ${folderSearchTime}ms) candidates: ${candidateList}`, 'error');
+          this.emitRowEvent(participant, 'grant', 'error', {
+            timings: { totalMs: totalTime, folderMs: folderSearchTime },
+            error: this.eventError({ reason: 'ambiguousFolder', message: `Candidates: ${candidateList}` }, ERROR_CLASSES.PERMANENT, `Ada ${folderMatch.candidates.length} folder yang mirip, isi FolderId secara manual`)
+          });
+          continue;
         }
 
         if (!folderId) {
@@ -1047,7 +1994,12 @@ class CertificateSharing {
           
           await this.updateCellByIndex(columns, columns.isFolderExistsCol, rowIndex, 'FALSE', 'isFolderExists');
           await this.updateCellByIndex(columns, columns.lastLogCol, rowIndex, `[${this.getCurrentTimestamp()}] FOLDER NOT FOUND: '${nama}' (${totalTime}ms)`, 'LastLog');
+          await this.markFailure(columns, participant, ERROR_CLASSES.PERMANENT);
           this.writeLog(`Row ${rowIndex} ERROR folder not found for name='${nama}' - Time: ${totalTime}ms (folder search: ${folderSearchTime}ms)`, 'error');
+          this.emitRowEvent(participant, 'grant', 'error', {
+            timings: { totalMs: totalTime, folderMs: folderSearchTime },
+            error: this.eventError({ reason: 'folderNotFound', message: `No folder matches '${nama}'` }, ERROR_CLASSES.PERMANENT, `Folder dengan nama '${nama}' tidak ditemukan`)
+          });
           continue;
         }
 
@@ -1057,117 +2009,580 @@ class CertificateSharing {
           await this.updateCellByIndex(columns, columns.folderIdCol, rowIndex, folderId, 'FolderId');
         }
 
+        // Everything the permission check, grant and report need about this row
+        const job = {
+          participant,
+          folderId,
+          folderMatch,
+          rowRole,
+          expirationTime,
+          emailMessage: this.buildEmailMessage(participant, folderId),
+          startTime: participantStartTime,
+          folderSearchTime,
+          permissionCheckTime: 0,
+          grantTime: 0,
+          journalId: null
+        };
+
+        // Batch mode: check and grant together with other rows (up to BATCH_LIMIT per request)
+        if (this.batchMode) {
+          pendingGrants.push(job);
+          if (pendingGrants.length >= BATCH_LIMIT) await this.flushGrantBatch(pendingGrants.splice(0), run);
+          continue;
+        }
+
         // Check existing permission (fast operation, no timeout needed)
         const permissionCheckStart = Date.now();
-        const hasPermission = await this.hasPermission(folderId, email, role);
-        const permissionCheckTime = Date.now() - permissionCheckStart;
-        
+        const hasPermission = await this.hasPermission(folderId, email, rowRole);
+        job.permissionCheckTime = Date.now() - permissionCheckStart;
+
         if (hasPermission) {
-          stats.skipped++;
-          const totalTime = Date.now() - participantStartTime;
-          await this.updateCellByIndex(columns, columns.isSharedCol, rowIndex, 'TRUE', 'isShared');
-          await this.updateCellByIndex(columns, columns.lastLogCol, rowIndex, `[${this.getCurrentTimestamp()}] SKIP: Already has ${role} access (${totalTime}ms)`, 'LastLog');
-          
-          // Skip notification for already shared
-          console.log(chalk.yellow(`
+          await this.reportAlreadyShared(job, run);
+          continue;
+        }
+
+        // Grant permission (fast operation, no timeout needed)
+        const grantPermissionStart = Date.now();
+        journalId = this.journal ? this.journal.begin({ action: 'grant', rowIndex, email, folderId, role: rowRole, expirationTime, columns: this.getOutcomeColumns(columns) }) : null;
+        await this.grantPermission(folderId, email, { role: rowRole, expirationTime, emailMessage: job.emailMessage });
+        if (journalId) this.journal.recordApi(journalId, 'ok');
+        job.grantTime = Date.now() - grantPermissionStart;
+        await this.reportGrantSuccess(job, run);
+
+        // Optional steady throttle between participants (light jitter)
+        const jitter = Math.floor(Math.random() * 200);
+        await this.sleep(Math.max(0, Math.floor(this.getThrottle().delayMs / 2)) + jitter);
+
+      } catch (error) {
+        await this.reportRowError({ participant, startTime: participantStartTime, folderSearchTime, journalId }, error, run);
+      }
+    }
+
+    // Rows still waiting for a batch
+    if (pendingGrants.length) await this.flushGrantBatch(pendingGrants.splice(0), run);
+
+    this.progressBar.update(stats.total, { status: 'Completed!' });
+    this.progressBar.stop();
+
+    // Write remaining buffered cell updates
+    await this.flushWrites();
+
+    this.printSummary(stats);
+    await this.writeReport();
+    return stats;
+  }
+
+  // Row already has the role (or higher): mark it done without granting
+  async reportAlreadyShared(job, { stats, columns }) {
+    const { participant, folderId, rowRole, folderSearchTime, permissionCheckTime } = job;
+    const { rowIndex, nama, email } = participant;
+    stats.skipped++;
+    const totalTime = Date.now() - job.startTime;
+    await this.updateCellByIndex(columns, columns.isSharedCol, rowIndex, 'TRUE', 'isShared');
+    await this.updateCellByIndex(columns, columns.lastLogCol, rowIndex, `[${this.getCurrentTimestamp()}] SKIP: Already has ${rowRole} (or higher) access (${totalTime}ms)`, 'LastLog');
+    
+    // Skip notification for already shared
+    console.log(chalk.yellow(`
 ⏭️  SKIPPED: ${chalk.bold(nama)} sudah memiliki akses
    📧 Email: ${email}
    📁 Folder ID: ${folderId}
-   🔗 Role: ${role} (sudah ada)
+   🔗 Role: ${rowRole} atau lebih tinggi (sudah ada)
    ⏱️  Waktu: ${totalTime}ms (folder: ${folderSearchTime}ms, permission: ${permissionCheckTime}ms)
    📊 Progress: ✅ ${stats.done} berhasil | ❌ ${stats.errors} gagal | ⏭️ ${stats.skipped} dilewati
 `));
-          
-          this.writeLog(`Row ${rowIndex} SKIP already has ${role} - Time: ${totalTime}ms (folder: ${folderSearchTime}ms, permission: ${permissionCheckTime}ms)`);
-          
-          // Update isShared to TRUE since they already have access (should be marked as completed)
-          await this.updateCellByIndex(columns, columns.isSharedCol, rowIndex, 'TRUE', 'isShared');
-          continue;
-        }
+    
+    this.writeLog(`Row ${rowIndex} SKIP already has ${rowRole} - Time: ${totalTime}ms (folder: ${folderSearchTime}ms, permission: ${permissionCheckTime}ms)`);
+    this.emitRowEvent(participant, 'grant', 'skipped', {
+      reason: 'ALREADY_HAS_ACCESS',
+      folderId,
+      role: rowRole,
+      timings: { totalMs: totalTime, folderMs: folderSearchTime, permissionMs: permissionCheckTime }
+    });
+    
+    // Update isShared to TRUE since they already have access (should be marked as completed)
+    await this.updateCellByIndex(columns, columns.isSharedCol, rowIndex, 'TRUE', 'isShared');
+    await this.clearFailure(columns, participant);
+  }
 
-        // Grant permission (fast operation, no timeout needed)
-        const grantPermissionStart = Date.now();
-        await this.grantPermission(folderId, email);
-        const grantPermissionTime = Date.now() - grantPermissionStart;
-        
-        stats.done++;
-        const totalTime = Date.now() - participantStartTime;
-        await this.updateCellByIndex(columns, columns.isSharedCol, rowIndex, 'TRUE', 'isShared');
-        const status = dryRun ? 'DRY_RUN' : 'GRANTED';
-        await this.updateCellByIndex(columns, columns.lastLogCol, rowIndex, `[${this.getCurrentTimestamp()}] ${status} ${role} → ${email} (${totalTime}ms)`, 'LastLog');
-        
-        // Success notification
-        console.log(chalk.green(`
+  // Row granted (or simulated in dry run): sheet update, console and log line
+  async reportGrantSuccess(job, { stats, columns }) {
+    const { participant, folderId, folderMatch, rowRole, expirationTime, emailMessage, folderSearchTime, permissionCheckTime, grantTime } = job;
+    const { rowIndex, nama, email } = participant;
+    const dryRun = this.config.get('dryRun');
+    const untilNote = expirationTime ? ` until ${expirationTime}` : '';
+    stats.done++;
+    const totalTime = Date.now() - job.startTime;
+    await this.updateCellByIndex(columns, columns.isSharedCol, rowIndex, 'TRUE', 'isShared');
+    const status = dryRun ? 'DRY_RUN' : 'GRANTED';
+    await this.updateCellByIndex(columns, columns.lastLogCol, rowIndex, `[${this.getCurrentTimestamp()}] ${status} ${rowRole} → ${email}${untilNote} (${totalTime}ms)`, 'LastLog');
+    await this.clearFailure(columns, participant);
+    
+    // Success notification
+    console.log(chalk.green(`
 ✅ SUCCESS: Berhasil menambahkan akses untuk ${chalk.bold(nama)}
    📧 Email: ${email}
-   📁 Folder ID: ${folderId || 'N/A'}
-   🔗 Role: ${role}
-   ⏱️  Waktu: ${totalTime}ms (folder: ${folderSearchTime}ms, permission: ${permissionCheckTime}ms, grant: ${grantPermissionTime}ms)
-   ${dryRun ? '🧪 Mode: DRY RUN (simulasi)' : '🚀 Mode: PRODUCTION'}
+   📁 Folder ID: ${folderId || 'N/A'}${folderMatch ? ` ("${[...(folderMatch.path || []), folderMatch.name].join('/')}", skor ${folderMatch.score.toFixed(2)})` : ''}
+   🔗 Role: ${rowRole}${expirationTime ? `\n   ⌛ Berlaku sampai: ${expirationTime}` : ''}
+   ⏱️  Waktu: ${totalTime}ms (folder: ${folderSearchTime}ms, permission: ${permissionCheckTime}ms, grant: ${grantTime}ms)
+   ${dryRun ? '🧪 Mode: DRY RUN (simulasi)' : '🚀 Mode: PRODUCTION'}${emailMessage ? `\n   ✉️  Notifikasi: ${dryRun ? 'preview (tidak dikirim)' : 'terkirim'}` : ''}
    📊 Progress: ✅ ${stats.done} berhasil | ❌ ${stats.errors} gagal | ⏭️ ${stats.skipped} dilewati
 `));
-        
-        this.writeLog(`Row ${rowIndex} ${status} ${role} -> ${email} - Time: ${totalTime}ms (folder: ${folderSearchTime}ms, permission: ${permissionCheckTime}ms, grant: ${grantPermissionTime}ms)`);
+    if (emailMessage && dryRun) {
+      console.log(chalk.gray(emailMessage.split('\n').map(l => `   │ ${l}`).join('\n')));
+      this.writeLog(`Row ${rowIndex} email preview: ${JSON.stringify(emailMessage)}`);
+    }
+    
+    const matchNote = folderMatch ? ` match="${[...(folderMatch.path || []), folderMatch.name].join('/')}" score=${folderMatch.score.toFixed(2)}` : '';
+    this.writeLog(`Row ${rowIndex} ${status} ${rowRole} -> ${email} - Time: ${totalTime}ms (folder: ${folderSearchTime}ms, permission: ${permissionCheckTime}ms, grant: ${grantTime}ms)${untilNote}${matchNote}`);
+    this.emitRowEvent(participant, 'grant', dryRun ? 'dry_run' : 'granted', {
+      folderId,
+      role: rowRole,
+      expirationTime: expirationTime || null,
+      timings: { totalMs: totalTime, folderMs: folderSearchTime, permissionMs: permissionCheckTime, grantMs: grantTime }
+    });
+  }
 
-        // Optional steady throttle between participants (light jitter)
-        const jitter = Math.floor(Math.random() * 200);
-        await this.sleep(Math.max(0, Math.floor(throttleMs / 2)) + jitter);
+  // Row failed: classify the error, record it in the sheet and the journal
+  async reportRowError(job, error, { stats, columns, emailPolicy }) {
+    const { participant, folderSearchTime = 0 } = job;
+    const { rowIndex, nama, email } = participant;
+    // Calculate total time even for errors
+    const totalTime = Date.now() - job.startTime;
+    
+    // Extract detailed error information
+    const { status, reasons, message, domain } = this.extractErrorDetails(error);
+    if (job.journalId) this.journal.recordApi(job.journalId, 'error', this.formatErrorSummary(error));
+
+    // Drive refused a non-Google address: report as a policy skip, not an error
+    if (reasons.includes('cannotInviteNonGoogleUser')) {
+      stats.skipped++;
+      const rule = `emailPolicyMode=${emailPolicy.mode} (Drive: cannotInviteNonGoogleUser)`;
+      console.log(chalk.yellow(`
+⏭️  SKIPPED: ${chalk.bold(nama)} - NO GOOGLE ACCOUNT
+   📧 Email: ${email}
+   💡 Penjelasan: Email ${email} tidak memiliki Google Account aktif atau tidak dapat diundang
+   📏 Aturan: ${rule}
+   ⏱️  Waktu: ${totalTime}ms
+   📊 Progress: ✅ ${stats.done} berhasil | ❌ ${stats.errors} gagal | ⏭️ ${stats.skipped} dilewati
+`));
+      await this.updateCellByIndex(columns, columns.isSharedCol, rowIndex, 'FALSE', 'isShared');
+      await this.updateCellByIndex(columns, columns.lastLogCol, rowIndex, `[${this.getCurrentTimestamp()}] SKIP: NO GOOGLE ACCOUNT '${email}' (rule: ${rule}) (${totalTime}ms)`, 'LastLog');
+      await this.markFailure(columns, participant, ERROR_CLASSES.PERMANENT);
+      this.writeLog(`Row ${rowIndex} SKIP NO GOOGLE ACCOUNT: ${email} - Time: ${totalTime}ms (rule: ${rule})`);
+      this.emitRowEvent(participant, 'grant', 'skipped', {
+        reason: 'NO_GOOGLE_ACCOUNT',
+        folderId: error?.__ctx?.fileId || participant.folderId || null,
+        timings: { totalMs: totalTime, folderMs: folderSearchTime },
+        error: this.eventError(error, ERROR_CLASSES.PERMANENT, this.friendlyErrorMessage(error, email))
+      });
+      return;
+    }
 
-      } catch (error) {
-        stats.errors++;
-        
-        // Calculate total time even for errors
-        const totalTime = Date.now() - participantStartTime;
-        
-        // Extract detailed error information
-        const { status, reasons, message, domain } = this.extractErrorDetails(error);
-        const ctxInfo = error?.__op ? ` op=${error.__op}` : '';
-        const contextData = error?.__ctx ? error.__ctx : {};
-        
-        // Format user-friendly error message
-        let friendlyMessage = '';
-        if (status === 403) {
-          if (reasons.includes('cannotInviteNonGoogleUser')) {
-            friendlyMessage = `Email ${email} tidak memiliki Google Account aktif atau tidak dapat diundang`;
-          } else if (reasons.includes('sharingRateLimitExceeded')) {
-            friendlyMessage = `Rate limit tercapai untuk sharing, coba lagi nanti`;
-          } else if (reasons.includes('permissionDenied')) {
-            friendlyMessage = `Tidak ada izin untuk membagikan folder ini`;
-          } else {
-            friendlyMessage = `Akses ditolak: ${message}`;
-          }
-        } else if (status === 404) {
-          friendlyMessage = `Folder tidak ditemukan atau telah dihapus`;
-        } else if (status === 429) {
-          friendlyMessage = `Terlalu banyak permintaan, coba lagi nanti`;
-        } else {
-          friendlyMessage = message || 'Error tidak diketahui';
-        }
-        
-        // Short log line for sheet with timing
-        const shortLogLine = `[${this.getCurrentTimestamp()}] ERROR: ${friendlyMessage} (${totalTime}ms)`;
-        
-        // Detailed console output with timing breakdown
-        console.log(chalk.red(`
+    stats.errors++;
+    const ctxInfo = error?.__op ? ` op=${error.__op}` : '';
+    const contextData = error?.__ctx ? error.__ctx : {};
+    
+    // Format user-friendly error message
+    const friendlyMessage = this.friendlyErrorMessage(error, email);
+    const errorClass = classifyError(error);
+    const attempts = (participant.attempts || 0) + 1;
+    const maxAttempts = this.getMaxAttempts();
+    const retryNote = errorClass === ERROR_CLASSES.TRANSIENT
+      ? (attempts < maxAttempts ? `, percobaan ${attempts}/${maxAttempts}` : `, batas ${maxAttempts} percobaan tercapai`)
+      : '';
+    
+    // Short log line for sheet with timing
+    const shortLogLine = `[${this.getCurrentTimestamp()}] ERROR (${errorClass}${retryNote}): ${friendlyMessage} (${totalTime}ms)`;
+    
+    // Detailed console output with timing breakdown
+    console.log(chalk.red(`
 ❌ ERROR processing row ${rowIndex} (${nama}, ${email})
    💡 Penjelasan: ${friendlyMessage}
    🔍 Detail Teknis: HTTP ${status || 'N/A'} - ${reasons.join(', ') || 'unknown'}
    📝 Pesan Asli: ${message}
    🎯 Operasi: ${error?.__op || 'unknown'}${contextData.fileId ? `\n   📁 Folder ID: ${contextData.fileId}` : ''}
+   🏷️  Kelas Error: ${errorClass}${errorClass === ERROR_CLASSES.TRANSIENT ? ` (bisa diulang dengan --retry-failed, percobaan ${attempts}/${maxAttempts})` : ''}
    ⏱️  Waktu Total: ${totalTime}ms${folderSearchTime ? ` (folder search: ${folderSearchTime}ms)` : ''}
    📊 Progress: ✅ ${stats.done} berhasil | ❌ ${stats.errors} gagal | ⏭️ ${stats.skipped} dilewati
 `));
-        
-        await this.updateCellByIndex(columns, columns.isSharedCol, rowIndex, 'FALSE', 'isShared');
-        await this.updateCellByIndex(columns, columns.lastLogCol, rowIndex, shortLogLine, 'LastLog');
-        this.writeLog(`Row ${rowIndex} ERROR: ${friendlyMessage} - Time: ${totalTime}ms${folderSearchTime ? ` (folder: ${folderSearchTime}ms)` : ''} | Technical: HTTP ${status} ${reasons.join(',')} - ${message}`, 'error');
+    
+    await this.updateCellByIndex(columns, columns.isSharedCol, rowIndex, 'FALSE', 'isShared');
+    await this.updateCellByIndex(columns, columns.lastLogCol, rowIndex, shortLogLine, 'LastLog');
+    await this.markFailure(columns, participant, errorClass);
+    this.writeLog(`Row ${rowIndex} ERROR [${errorClass} attempt ${attempts}/${maxAttempts}]: ${friendlyMessage} - Time: ${totalTime}ms${folderSearchTime ? ` (folder: ${folderSearchTime}ms)` : ''} | Technical: HTTP ${status} ${reasons.join(',')} - ${message}`, 'error');
+    this.emitRowEvent(participant, 'grant', 'error', {
+      folderId: job.folderId || contextData.fileId || participant.folderId || null,
+      attempts,
+      timings: { totalMs: totalTime, folderMs: folderSearchTime },
+      error: this.eventError(error, errorClass, friendlyMessage)
+    });
+  }
+
+  // Batch mode: check and grant a group of queued rows with batched Drive
+  // calls, then report every row the same way the inline path does
+  async flushGrantBatch(jobs, run) {
+    const reported = new Set();
+    // Rows for a folder/email already in this batch; checked again once it is granted
+    const deferred = [];
+    try {
+      const prefetchStart = Date.now();
+      await this.prefetchPermissions(jobs.map(job => job.folderId));
+      this.writeLog(`Batch permission check: ${jobs.length} rows - prefetch time: ${Date.now() - prefetchStart}ms`);
+      const toGrant = [];
+      const granting = new Set();
+      for (const job of jobs) {
+        const grantKey = `${job.folderId}|${job.participant.email.toLowerCase()}`;
+        if (granting.has(grantKey)) {
+          deferred.push(job);
+          continue;
+        }
+        const permissionCheckStart = Date.now();
+        const hasPermission = await this.hasPermission(job.folderId, job.participant.email, job.rowRole);
+        job.permissionCheckTime = Date.now() - permissionCheckStart;
+        if (hasPermission) {
+          reported.add(job);
+          await this.reportAlreadyShared(job, run);
+        } else {
+          granting.add(grantKey);
+          toGrant.push(job);
+        }
+      }
+      if (!toGrant.length) return;
+
+      for (const job of toGrant) {
+        const { rowIndex, email } = job.participant;
+        job.journalId = this.journal ? this.journal.begin({ action: 'grant', rowIndex, email, folderId: job.folderId, role: job.rowRole, expirationTime: job.expirationTime, columns: this.getOutcomeColumns(run.columns) }) : null;
+      }
+      const grantStart = Date.now();
+      const results = await this.grantPermissionsBatch(toGrant.map(job => ({
+        fileId: job.folderId,
+        email: job.participant.email,
+        role: job.rowRole,
+        expirationTime: job.expirationTime,
+        emailMessage: job.emailMessage
+      })));
+      const grantTime = Date.now() - grantStart;
+      this.writeLog(`Batch grant: ${toGrant.length} rows, ${results.filter(r => r.data).length} granted - Time: ${grantTime}ms`);
+
+      for (let i = 0; i < toGrant.length; i++) {
+        const job = toGrant[i];
+        job.grantTime = grantTime;
+        reported.add(job);
+        if (results[i].data) {
+          if (job.journalId) this.journal.recordApi(job.journalId, 'ok');
+          await this.reportGrantSuccess(job, run);
+        } else {
+          await this.reportRowError(job, results[i].error, run);
+        }
+      }
+    } catch (error) {
+      // Unexpected failure: every row not reported yet gets the error
+      for (const job of jobs) {
+        if (!reported.has(job) && !deferred.includes(job)) await this.reportRowError(job, error, run);
       }
     }
+    // Same folder and email as a row granted above: now usually already shared
+    if (deferred.length) await this.flushGrantBatch(deferred, run);
+  }
 
-    this.progressBar.update(workingParticipants.length, { status: 'Completed!' });
-    this.progressBar.stop();
+  // Folder metadata (name, parents, trashed) for plan/apply checks
+  async getFolderState(folderId) {
+    let attempt = 0;
+    while (true) {
+      try {
+        await this.throttle();
+        const res = await this.drive.files.get({
+          fileId: folderId,
+          fields: 'id,name,parents,trashed',
+          supportsAllDrives: true
+        });
+        return res.data;
+      } catch (err) {
+        this.dlog('files.get error:', this.formatErrorSummary(err));
+        attempt++;
+        if (this.isRetryableRateLimit(err) && attempt < 5) {
+          await this.sleep(Math.min(60000, Math.pow(2, attempt) * 1000) + Math.floor(Math.random() * 500));
+          continue;
+        }
+        throw this.wrapError('drive.files.get', { fileId: folderId }, err);
+      }
+    }
+  }
 
-    // Final summary
+  // Plan mode: resolve folders and permissions for the rows a grant pass would
+  // pick and write them to a plan file. Only reads: the sheet and Drive stay untouched.
+  async buildPlan(data) {
+    const { participants } = data;
+    const parentFolderId = this.config.get('parentFolderId');
+    const role = this.getDefaultRole();
+    const emailPolicy = this.getEmailPolicy();
+    const planPath = path.resolve(this.planFile || defaultPlanPath());
+    // Sheet values as read, before selection normalizes them
+    const rawRows = new Map(participants.map(p => [p.rowIndex, p]));
+    const { prioritized } = this.selectGrantRows(participants);
+    const selected = prioritized.slice(0, this.getMaxPerRun());
+
+    console.log();
+    console.log(chalk.blue('🗒️  MEMBUAT PLAN'));
+    console.log(chalk.gray('─'.repeat(40)));
+    console.log(chalk.cyan(`📁 Parent Folder: ${parentFolderId || 'All folders'}`));
+    console.log(chalk.cyan(`🔗 Role: ${role} (default, kolom Role per baris diutamakan)`));
+    console.log(chalk.cyan(`📮 Email Policy: ${this.describeEmailPolicy()}`));
+    console.log(chalk.cyan(`🎯 Baris: ${selected.length}${prioritized.length > selected.length ? ` dari ${prioritized.length} (batas MAX_PER_RUN)` : ''}`));
+    console.log(chalk.yellow('🔒 Sheet dan Drive tidak diubah selama membuat plan.'));
+    console.log();
+    this.writeLog(`Planning ${selected.length} participants. parentFolderId=${parentFolderId}`);
+
+    const entries = [];
+    const folders = {};
+    const seen = new Set();
+    for (const participant of selected) {
+      const { rowIndex, nama, email } = participant;
+      const raw = rawRows.get(rowIndex) || participant;
+      const entry = { rowIndex, name: nama, email, action: 'skip', sheet: { isShared: raw.isShared || '', folderId: raw.folderId || '' } };
+      entries.push(entry);
+
+      const emailCheck = evaluateEmail(email, emailPolicy);
+      if (!emailCheck.ok) {
+        Object.assign(entry, { reason: emailCheck.code, message: `${emailCheck.explanation} (rule: ${emailCheck.rule})` });
+        continue;
+      }
+      const rowRole = participant.role && participant.role.trim() ? normalizeRole(participant.role) : role;
+      const expiry = parseExpiresAt(participant.expiresAt);
+      if (!rowRole || expiry.error) {
+        Object.assign(entry, !rowRole
+          ? { reason: 'INVALID ROLE', message: `Role harus salah satu dari: ${GRANTABLE_ROLES.join(', ')}` }
+          : { reason: 'INVALID EXPIRES AT', message: `ExpiresAt tidak valid: ${expiry.error}` });
+        continue;
+      }
+      const key = `${nama.toLowerCase()}|${email}`;
+      if (seen.has(key)) {
+        Object.assign(entry, { reason: 'DUPLICATE', message: 'Peserta yang sama sudah ada di baris lain' });
+        continue;
+      }
+      seen.add(key);
+      Object.assign(entry, { role: rowRole, expirationTime: expiry.value || null });
+
+      try {
+        let folderId = participant.folderId;
+        if (!folderId) {
+          const folderMatch = await this.findFolderByName(nama, parentFolderId, participant);
+          if (folderMatch && folderMatch.ambiguous) {
+            Object.assign(entry, { action: 'error', reason: 'AMBIGUOUS FOLDER', message: `Ada ${folderMatch.candidates.length} folder yang mirip: ${this.formatCandidates(folderMatch.candidates)}` });
+            continue;
+          }
+          if (!folderMatch) {
+            Object.assign(entry, { action: 'error', reason: 'FOLDER NOT FOUND', message: `Folder dengan nama '${nama}' tidak ditemukan` });
+            continue;
+          }
+          folderId = folderMatch.id;
+          entry.folderMatch = { name: folderMatch.name, path: folderMatch.path || [], score: Number(folderMatch.score.toFixed(3)) };
+        }
+        entry.folderId = folderId;
+        if (!folders[folderId]) {
+          const folder = await this.getFolderState(folderId);
+          folders[folderId] = snapshotFolder(folder, await this.listPermissions(folderId));
+        }
+        entry.folderName = folders[folderId].name;
+        const hasAccess = folders[folderId].permissions.some(p => p.type === 'user' && p.email === email && roleSatisfies(p.role, rowRole));
+        entry.action = hasAccess ? 'already_shared' : 'grant';
+      } catch (error) {
+        const { status, reasons } = this.extractErrorDetails(error);
+        Object.assign(entry, {
+          action: 'error',
+          reason: reasons.filter(Boolean).join(',') || (status ? `HTTP ${status}` : 'ERROR'),
+          message: this.friendlyErrorMessage(error, email),
+          errorClass: classifyError(error)
+        });
+      }
+    }
+
+    for (const entry of entries) {
+      this.writeLog(`Plan row ${entry.rowIndex} ${entry.action.toUpperCase()} ${entry.email}${entry.folderId ? ` folder=${entry.folderId}` : ''}${entry.reason ? ` (${entry.reason}: ${entry.message})` : ''}`);
+    }
+    const plan = writePlan(planPath, {
+      createdAt: new Date().toISOString(),
+      source: this.getJournalSourceKey(),
+      parentFolderId: parentFolderId || null,
+      entries,
+      folders
+    });
+
+    const { summary } = plan;
+    console.log();
+    console.log(chalk.green('🗒️  RINGKASAN PLAN'));
+    console.log(chalk.gray('─'.repeat(40)));
+    console.log(`🔗 Akan dibagikan: ${chalk.green(summary.grant)}`);
+    console.log(`✔️  Sudah punya akses: ${chalk.cyan(summary.already_shared)}`);
+    console.log(`⏭️  Dilewati: ${chalk.yellow(summary.skip)}`);
+    console.log(`❌ Gagal: ${chalk.red(summary.error)}`);
+    const problems = entries.filter(e => e.action === 'skip' || e.action === 'error');
+    for (const entry of problems.slice(0, 20)) {
+      console.log(chalk.gray(`   Baris ${entry.rowIndex} ${entry.name} <${entry.email}>: ${entry.reason} - ${entry.message}`));
+    }
+    if (problems.length > 20) console.log(chalk.gray(`   ... ${problems.length - 20} lainnya di file plan`));
+    console.log();
+    console.log(chalk.cyan(`📄 Plan: ${planPath}`));
+    console.log(chalk.gray(`   Periksa file ini, lalu jalankan: node certificate-worker.js --apply "${planPath}"`));
+    this.writeLog(`Plan written: ${planPath} grant=${summary.grant} already_shared=${summary.already_shared} skip=${summary.skip} error=${summary.error}`);
+    return plan;
+  }
+
+  // Apply mode: execute the grants of a plan file (this.plan). An entry is refused
+  // when its row, its folder or the folder's permissions changed since planning.
+  async applyPlan(data) {
+    const { participants, columns } = data;
+    const plan = this.plan;
+    const stats = { total: 0, done: 0, skipped: 0, errors: 0 };
+    const run = { stats, columns, emailPolicy: this.getEmailPolicy() };
+    const byRow = new Map(participants.map(p => [p.rowIndex, p]));
+    const actionable = plan.entries.filter(e => e.action === 'grant' || e.action === 'already_shared');
+    const counts = countActions(plan.entries);
+
+    console.log();
+    console.log(chalk.blue('▶️  MENJALANKAN PLAN'));
+    console.log(chalk.gray('─'.repeat(40)));
+    console.log(chalk.cyan(`📄 Plan: ${this.applyFile} (dibuat ${plan.createdAt})`));
+    console.log(chalk.cyan(`🔗 Dibagikan: ${counts.grant} | ✔️  Ditandai: ${counts.already_shared} | Tidak dijalankan: ${counts.skip + counts.error} (dilewati/gagal saat plan)`));
+    console.log(chalk.cyan(`✉️  Notifikasi Email: ${this.isNotifyEnabled() ? 'ON' : 'OFF'}`));
+    console.log();
+
+    if (this.config.get('dryRun')) {
+      console.log(chalk.red('❌ Apply tidak bisa dijalankan dalam mode simulasi (dryRun). Gunakan --plan untuk melihat rencana tanpa perubahan.'));
+      this.writeLog('Apply refused: dryRun is on', 'error');
+      return;
+    }
+    const source = this.getJournalSourceKey();
+    if (plan.source !== source) {
+      console.log(chalk.red(`❌ Plan dibuat untuk ${plan.source}, bukan ${source}. Tidak ada yang dijalankan.`));
+      this.writeLog(`Apply refused: plan source ${plan.source} != ${source}`, 'error');
+      return;
+    }
+
+    this.writeLog(`Applying plan ${this.applyFile}: ${actionable.length} entries`);
+    this.emitEvent('run_start', { action: 'grant', total: actionable.length, dryRun: false, mode: { plan: this.applyFile }, source, profile: this.profile });
+
+    // Folder state fetched once per folder; emails granted by this apply are the
+    // expected differences from the plan
+    const folderStates = new Map();
+    const appliedByFolder = new Map();
+    for (const entry of actionable) {
+      stats.total++;
+      const startTime = Date.now();
+      const current = byRow.get(entry.rowIndex);
+      const participant = current
+        ? { ...current, nama: current.nama.trim(), email: current.email.trim().toLowerCase() }
+        : { rowIndex: entry.rowIndex, nama: entry.name, email: entry.email };
+      const job = {
+        participant,
+        folderId: entry.folderId,
+        folderMatch: entry.folderMatch || null,
+        rowRole: entry.role,
+        expirationTime: entry.expirationTime || null,
+        emailMessage: null,
+        startTime,
+        folderSearchTime: 0,
+        permissionCheckTime: 0,
+        grantTime: 0,
+        journalId: null
+      };
+
+      // The row must still be the one that was planned (same person, untouched result cells)
+      const rowChanged = !current
+        || participant.email !== entry.email
+        || participant.nama !== entry.name
+        || (current.isShared || '') !== entry.sheet.isShared
+        || (current.folderId || '') !== entry.sheet.folderId;
+      if (rowChanged) {
+        await this.reportPlanRefused(job, 'ROW_CHANGED', 'Isi baris di sheet berubah sejak plan dibuat', 'row', run, { writeSheet: false });
+        continue;
+      }
+
+      try {
+        const checkStart = Date.now();
+        if (!folderStates.has(entry.folderId)) {
+          let folder = null;
+          try {
+            folder = await this.getFolderState(entry.folderId);
+          } catch (error) {
+            if (this.extractErrorDetails(error).status !== 404) throw error;
+          }
+          folderStates.set(entry.folderId, folder);
+        }
+        const folder = folderStates.get(entry.folderId);
+        if (!folder) {
+          await this.reportPlanRefused(job, 'FOLDER_GONE', 'Folder sudah dihapus atau tidak bisa diakses lagi', 'folder 404', run);
+          continue;
+        }
+        const permissions = await this.listPermissions(entry.folderId);
+        const changes = folderChanges(plan.folders[entry.folderId], folder, permissions, [...(appliedByFolder.get(entry.folderId) || [])]);
+        job.permissionCheckTime = Date.now() - checkStart;
+        if (changes.length) {
+          await this.reportPlanRefused(job, 'FOLDER_CHANGED', 'Folder atau izin folder berubah sejak plan dibuat', changes.join(', '), run);
+          continue;
+        }
+
+        await this.updateCellByIndex(columns, columns.isFolderExistsCol, entry.rowIndex, 'TRUE', 'isFolderExists');
+        if (!current.folderId) {
+          await this.updateCellByIndex(columns, columns.folderIdCol, entry.rowIndex, entry.folderId, 'FolderId');
+        }
+        if (entry.action === 'already_shared') {
+          await this.reportAlreadyShared(job, run);
+          continue;
+        }
+
+        job.emailMessage = this.buildEmailMessage(participant, entry.folderId);
+        const grantStart = Date.now();
+        job.journalId = this.journal ? this.journal.begin({ action: 'grant', rowIndex: entry.rowIndex, email: entry.email, folderId: entry.folderId, role: entry.role, expirationTime: job.expirationTime, columns: this.getOutcomeColumns(columns) }) : null;
+        await this.grantPermission(entry.folderId, entry.email, { role: entry.role, expirationTime: job.expirationTime, emailMessage: job.emailMessage });
+        if (job.journalId) this.journal.recordApi(job.journalId, 'ok');
+        job.grantTime = Date.now() - grantStart;
+        if (!appliedByFolder.has(entry.folderId)) appliedByFolder.set(entry.folderId, new Set());
+        appliedByFolder.get(entry.folderId).add(entry.email);
+        await this.reportGrantSuccess(job, run);
+
+        const jitter = Math.floor(Math.random() * 200);
+        await this.sleep(Math.max(0, Math.floor(this.getThrottle().delayMs / 2)) + jitter);
+      } catch (error) {
+        await this.reportRowError(job, error, run);
+      }
+    }
+
+    await this.flushWrites();
+    this.printSummary(stats);
+    await this.writeReport();
+    return stats;
+  }
+
+  // Plan entry no longer matches the sheet/Drive: nothing is granted. The row keeps
+  // its isShared value so the next plan picks it up again.
+  async reportPlanRefused(job, reason, explanation, details, { stats, columns }, { writeSheet = true } = {}) {
+    const { participant, folderId } = job;
+    const { rowIndex, nama, email } = participant;
+    stats.skipped++;
+    const totalTime = Date.now() - job.startTime;
+    console.log(chalk.yellow(`
+⏭️  DITOLAK: ${chalk.bold(nama)} - PLAN STALE (${reason})
+   📧 Email: ${email}
+   📁 Folder ID: ${folderId}
+   💡 Penjelasan: ${explanation}, buat plan baru
+   🔍 Perubahan: ${details}
+   📊 Progress: ✅ ${stats.done} berhasil | ❌ ${stats.errors} gagal | ⏭️ ${stats.skipped} dilewati
+`));
+    if (writeSheet) {
+      await this.updateCellByIndex(columns, columns.lastLogCol, rowIndex, `[${this.getCurrentTimestamp()}] PLAN STALE: ${explanation} (${details}) (${totalTime}ms)`, 'LastLog');
+    }
+    this.writeLog(`Row ${rowIndex} SKIP plan stale ${reason}: ${email} folder=${folderId} - ${details}`, 'warn');
+    this.emitRowEvent(participant, 'grant', 'skipped', {
+      reason: 'PLAN_STALE',
+      folderId,
+      timings: { totalMs: totalTime, permissionMs: job.permissionCheckTime },
+      error: this.eventError({ reason, message: details }, ERROR_CLASSES.PERMANENT, explanation)
+    });
+  }
+
+  // Final summary
+  printSummary(stats) {
     console.log();
     console.log(chalk.green('🎉 RINGKASAN EKSEKUSI'));
     console.log(chalk.gray('─'.repeat(40)));
@@ -1181,8 +2596,376 @@ class CertificateSharing {
     console.log();
     const summaryLine = `Summary: total=${stats.total} done=${stats.done} skipped=${stats.skipped} errors=${stats.errors} successRate=${successRate}%`;
     this.writeLog(summaryLine);
+    this.emitEvent('run_end', { action: this.revokeMode ? 'revoke' : 'grant', stats: { ...stats }, source: this.getJournalSourceKey() });
     if (this.logFilePath) console.log(chalk.gray(`📝 Log file: ${this.logFilePath}`));
-    console.log(chalk.blue('✅ Proses selesai! Cek Google Sheet untuk detail lengkap.'));
+    console.log(chalk.blue(`✅ Proses selesai! Cek ${this.source && this.source.kind === 'file' ? 'file hasil' : 'Google Sheet'} untuk detail lengkap.`));
+  }
+
+  // Refresh reports/<runId>.csv/.html from the event files of every worker in this run
+  async writeReport() {
+    if (!this.events) return null;
+    try {
+      await this.events.flush();
+      const report = writeRunReport({
+        logsDir: path.dirname(this.events.filePath),
+        reportsDir: path.join(process.cwd(), 'reports'),
+        runId: this.runId
+      });
+      this.writeLog(`Report: ${report.htmlPath} (${report.rows.length} rows)`);
+      console.log(chalk.gray(`📄 Laporan: ${report.htmlPath} | ${report.csvPath}`));
+      return report;
+    } catch (e) {
+      this.writeLog(`Report failed: ${e.message}`);
+      console.log(chalk.yellow(`⚠️  Gagal membuat laporan: ${e.message}`));
+      return null;
+    }
+  }
+
+  // Revoke access for rows flagged for revocation
+  async processRevocations(data) {
+    const { participants, columns } = data;
+    const parentFolderId = this.config.get('parentFolderId');
+    const dryRun = this.config.get('dryRun');
+    const maxPerRun = this.getMaxPerRun();
+
+    console.log();
+    console.log(chalk.blue('🚫 MENCABUT AKSES PESERTA'));
+    console.log(chalk.gray('─'.repeat(40)));
+    console.log(chalk.cyan(`📁 Parent Folder: ${parentFolderId || 'All folders'}`));
+    console.log(chalk.cyan(`🎯 Mode: ${dryRun ? 'Simulasi' : 'Production'}`));
+    if (this.leaseClient) {
+      console.log(chalk.cyan(`🧩 Worker: ${this.workerId} (lease dari coordinator)`));
+    } else if (this.shardTotal > 0) {
+      console.log(chalk.cyan(`🧩 Shard: ${this.shardIndex + 1}/${this.shardTotal}`));
+    }
+    console.log();
+
+    let stats = { total: 0, done: 0, skipped: 0, errors: 0 };
+    let flagged = participants.map(p => ({
+      ...p,
+      nama: (p.nama || '').toString().trim(),
+      email: (p.email || '').toString().trim().toLowerCase()
+    })).filter(p => p.email && this.isRevokeRequested(p));
+
+    flagged = this.applySharding(flagged);
+    const selectedCount = Math.min(flagged.length, maxPerRun);
+    console.log(chalk.blue(`📋 Ditandai untuk dicabut: ${flagged.length} | 🎯 Selected: ${selectedCount}${this.leaseClient ? ' (maks, lewat lease)' : ''}`));
+
+    this.progressBar = new cliProgress.SingleBar({
+      format: chalk.cyan('Progress') + ' |{bar}| {percentage}% | {value}/{total} | {status}',
+      barCompleteChar: '█',
+      barIncompleteChar: '░',
+      hideCursor: true
+    });
+    this.progressBar.start(selectedCount, 0, { status: 'Starting...' });
+    this.writeLog(`Revoking ${selectedCount} participants. parentFolderId=${parentFolderId}${this.leaseClient ? ' (leased)' : ''}`);
+    this.emitEvent('run_start', {
+      action: 'revoke',
+      total: selectedCount,
+      dryRun: !!dryRun,
+      mode: { leased: !!this.leaseClient },
+      source: this.getJournalSourceKey(),
+      profile: this.profile
+    });
+
+    let index = -1;
+    for await (const participant of this.iterateWork(flagged, maxPerRun, () => this.flushWrites())) {
+      index++;
+      const { rowIndex, nama, email } = participant;
+      const participantStartTime = Date.now();
+      const progressStatus = `[${index + 1}/${selectedCount}] ${nama} | ✅${stats.done} ❌${stats.errors} ⏭️${stats.skipped}`;
+      this.progressBar.update(index, { status: progressStatus });
+      stats.total++;
+      let journalId = null;
+
+      try {
+        let folderId = participant.folderId;
+        if (!folderId && nama) {
+          const folderMatch = await this.findFolderByName(nama, parentFolderId, participant);
+          if (folderMatch && folderMatch.ambiguous) {
+            stats.errors++;
+            const totalTime = Date.now() - participantStartTime;
+            const candidateList = this.formatCandidates(folderMatch.candidates);
+            await this.updateCellByIndex(columns, columns.lastLogCol, rowIndex, `[${this.getCurrentTimestamp()}] REVOKE FAILED: ambiguous folder '${nama}' -> ${candidateList} (${totalTime}ms)`, 'LastLog');
+            this.writeLog(`Row ${rowIndex} ERROR revoke ambiguous folder for name='${nama}' - Time: ${totalTime}ms candidates: ${candidateList}`, 'error');
+            this.emitRowEvent(participant, 'revoke', 'error', {
+              timings: { totalMs: totalTime },
+              error: this.eventError({ reason: 'ambiguousFolder', message: `Candidates: ${candidateList}` }, ERROR_CLASSES.PERMANENT, `Ada ${folderMatch.candidates.length} folder yang mirip, isi FolderId secara manual`)
+            });
+            continue;
+          }
+          folderId = folderMatch ? folderMatch.id : null;
+        }
+
+        if (!folderId) {
+          stats.errors++;
+          const totalTime = Date.now() - participantStartTime;
+          await this.updateCellByIndex(columns, columns.lastLogCol, rowIndex, `[${this.getCurrentTimestamp()}] REVOKE FAILED: folder '${nama}' not found (${totalTime}ms)`, 'LastLog');
+          this.writeLog(`Row ${rowIndex} ERROR revoke folder not found for name='${nama}' - Time: ${totalTime}ms`, 'error');
+          this.emitRowEvent(participant, 'revoke', 'error', {
+            timings: { totalMs: totalTime },
+            error: this.eventError({ reason: 'folderNotFound', message: `No folder matches '${nama}'` }, ERROR_CLASSES.PERMANENT, `Folder dengan nama '${nama}' tidak ditemukan`)
+          });
+          continue;
+        }
+
+        const permission = await this.findUserPermission(folderId, email);
+        if (!permission) {
+          stats.skipped++;
+          const totalTime = Date.now() - participantStartTime;
+          // A dry run leaves isShared=REVOKE, so the real run still picks the row up
+          if (!dryRun) await this.updateCellByIndex(columns, columns.isSharedCol, rowIndex, 'REVOKED', 'isShared');
+          await this.updateCellByIndex(columns, columns.lastLogCol, rowIndex, `[${this.getCurrentTimestamp()}] SKIP: No access to revoke '${email}' (${totalTime}ms)`, 'LastLog');
+          this.writeLog(`Row ${rowIndex} SKIP no access to revoke: ${email} - Time: ${totalTime}ms`);
+          this.emitRowEvent(participant, 'revoke', 'skipped', { reason: 'NO_ACCESS', folderId, timings: { totalMs: totalTime } });
+          continue;
+        }
+
+        const revokeStart = Date.now();
+        journalId = this.journal
+          ? this.journal.begin({ action: 'revoke', rowIndex, email, folderId, role: permission.role, permissionId: permission.id, columns: this.getOutcomeColumns(columns) })
+          : null;
+        await this.revokePermission(folderId, permission.id, email);
+        if (journalId) this.journal.recordApi(journalId, 'ok');
+        const revokeTime = Date.now() - revokeStart;
+
+        stats.done++;
+        const totalTime = Date.now() - participantStartTime;
+        const status = dryRun ? 'DRY_RUN' : 'REVOKED';
+        if (!dryRun) await this.updateCellByIndex(columns, columns.isSharedCol, rowIndex, 'REVOKED', 'isShared');
+        await this.updateCellByIndex(columns, columns.lastLogCol, rowIndex, `[${this.getCurrentTimestamp()}] ${status} ${permission.role} ✕ ${email} (${totalTime}ms)`, 'LastLog');
+
+        console.log(chalk.green(`
+🚫 REVOKED: Akses ${chalk.bold(nama)} telah dicabut
+   📧 Email: ${email}
+   📁 Folder ID: ${folderId}
+   🔗 Role: ${permission.role}
+   ⏱️  Waktu: ${totalTime}ms (revoke: ${revokeTime}ms)
+   ${dryRun ? '🧪 Mode: DRY RUN (simulasi)' : '🚀 Mode: PRODUCTION'}
+   📊 Progress: ✅ ${stats.done} berhasil | ❌ ${stats.errors} gagal | ⏭️ ${stats.skipped} dilewati
+`));
+        this.writeLog(`Row ${rowIndex} ${status} ${permission.role} -> ${email} - Time: ${totalTime}ms (revoke: ${revokeTime}ms)`);
+        this.emitRowEvent(participant, 'revoke', dryRun ? 'dry_run' : 'revoked', {
+          folderId,
+          role: permission.role,
+          timings: { totalMs: totalTime, revokeMs: revokeTime }
+        });
+
+        // Optional steady throttle between participants (light jitter)
+        const jitter = Math.floor(Math.random() * 200);
+        await this.sleep(Math.max(0, Math.floor(this.getThrottle().delayMs / 2)) + jitter);
+
+      } catch (error) {
+        stats.errors++;
+        const totalTime = Date.now() - participantStartTime;
+        const { status, reasons, message } = this.extractErrorDetails(error);
+        const friendlyMessage = this.friendlyErrorMessage(error, email);
+        if (journalId) this.journal.recordApi(journalId, 'error', this.formatErrorSummary(error));
+
+        console.log(chalk.red(`
+❌ ERROR revoking row ${rowIndex} (${nama}, ${email})
+   💡 Penjelasan: ${friendlyMessage}
+   🔍 Detail Teknis: HTTP ${status || 'N/A'} - ${reasons.join(', ') || 'unknown'}
+   🎯 Operasi: ${error?.__op || 'unknown'}
+   ⏱️  Waktu Total: ${totalTime}ms
+`));
+        await this.updateCellByIndex(columns, columns.lastLogCol, rowIndex, `[${this.getCurrentTimestamp()}] REVOKE ERROR: ${friendlyMessage} (${totalTime}ms)`, 'LastLog');
+        this.writeLog(`Row ${rowIndex} ERROR: revoke failed: ${friendlyMessage} - Time: ${totalTime}ms | Technical: HTTP ${status} ${reasons.join(',')} - ${message}`, 'error');
+        this.emitRowEvent(participant, 'revoke', 'error', {
+          folderId: error?.__ctx?.fileId || participant.folderId || null,
+          timings: { totalMs: totalTime },
+          error: this.eventError(error, null, friendlyMessage)
+        });
+      }
+    }
+
+    this.progressBar.update(stats.total, { status: 'Completed!' });
+    this.progressBar.stop();
+
+    // Write remaining buffered cell updates
+    await this.flushWrites();
+
+    this.printSummary(stats);
+    await this.writeReport();
+    return stats;
+  }
+
+  // Cells that hold a row's outcome; a journal entry is closed once one is written
+  getOutcomeColumns(columns) {
+    return [columns.isSharedCol, columns.lastLogCol].filter(col => typeof col === 'number' && col >= 0);
+  }
+
+  // Journal identity of the write target, so replay never touches another sheet/file
+  getJournalSourceKey() {
+    if (this.config.get('sourceFile')) {
+      return `file:${path.resolve(this.config.get('resultsFile') || this.config.get('sourceFile'))}`;
+    }
+    return `sheets:${this.getSheetId()}/${this.getSheetName()}`;
+  }
+
+  // Open the run journal (not used in dry run: nothing changes on Drive)
+  ensureJournal() {
+    if (this.journal || this.config.get('dryRun')) return this.journal;
+    // One journal per worker: monitor workers keep their WORKER_ID across restarts
+    const suffix = process.env.WORKER_ID
+      ? `-${process.env.WORKER_ID.replace(/[^\w-]/g, '_')}`
+      : (this.shardTotal > 0 ? `-shard${this.shardIndex}` : '');
+    const filePath = path.join(process.cwd(), 'journal', `run-journal${suffix}.jsonl`);
+    try {
+      this.journal = new RunJournal({ filePath, source: this.getJournalSourceKey() }).open();
+      this.writeLog(`Run journal: ${filePath}`);
+    } catch (error) {
+      console.log(chalk.yellow(`⚠️  Cannot open run journal: ${error.message}`));
+      this.writeLog(`Cannot open run journal ${filePath}: ${error.message}`, 'error');
+      this.journal = null;
+    }
+    return this.journal;
+  }
+
+  // Reconcile unfinished journal entries (Drive changed, sheet not yet written)
+  // before new work starts. Entries whose Drive call never completed are checked
+  // against the current permissions.
+  async replayJournal(data) {
+    const pending = this.journal ? this.journal.pending() : [];
+    if (pending.length === 0) return;
+    const { participants, columns } = data;
+    const byRow = new Map(participants.map(p => [p.rowIndex, p]));
+
+    console.log(chalk.yellow(`🧾 Journal: ${pending.length} aksi belum selesai dari run sebelumnya, menyelaraskan...`));
+    this.writeLog(`Journal replay: ${pending.length} unfinished entries`);
+    let recovered = 0;
+
+    for (const { intent, api } of pending) {
+      const { id, action, rowIndex, email, folderId, role } = intent;
+      const participant = byRow.get(rowIndex);
+      if (!participant || participant.email.trim().toLowerCase() !== email) {
+        this.journal.resolve(id, 'row_changed');
+        this.writeLog(`Journal replay: row ${rowIndex} no longer holds ${email}, entry ${id} dropped`, 'warn');
+        continue;
+      }
+      if (api && api.status === 'error') {
+        // Drive rejected it; the row is simply processed again
+        this.journal.resolve(id, 'api_error');
+        continue;
+      }
+
+      let applied = !!api;
+      if (!applied) {
+        try {
+          const permission = await this.findUserPermission(folderId, email);
+          applied = action === 'revoke' ? !permission : !!permission && roleSatisfies(permission.role, role);
+        } catch (error) {
+          this.writeLog(`Journal replay: cannot check row ${rowIndex} (${email}): ${this.formatErrorSummary(error)} - kept for next start`, 'warn');
+          continue;
+        }
+      }
+      if (!applied) {
+        this.journal.resolve(id, 'not_applied');
+        this.writeLog(`Journal replay: row ${rowIndex} ${action} for ${email} was not applied on Drive`);
+        continue;
+      }
+
+      const status = action === 'revoke' ? 'REVOKED' : 'TRUE';
+      const logLine = action === 'revoke'
+        ? `[${this.getCurrentTimestamp()}] RECOVERED REVOKED ✕ ${email} (journal)`
+        : `[${this.getCurrentTimestamp()}] RECOVERED GRANTED ${role} → ${email} (journal)`;
+      // Expect the outcome cells before queueing them: a size flush may write them right away
+      this.journal.expectSheet(id, this.getOutcomeColumns(columns));
+      if (action !== 'revoke') {
+        await this.updateCellByIndex(columns, columns.folderIdCol, rowIndex, folderId, 'FolderId');
+        await this.updateCellByIndex(columns, columns.isFolderExistsCol, rowIndex, 'TRUE', 'isFolderExists');
+        await this.clearFailure(columns, participant);
+      }
+      await this.updateCellByIndex(columns, columns.isSharedCol, rowIndex, status, 'isShared');
+      await this.updateCellByIndex(columns, columns.lastLogCol, rowIndex, logLine, 'LastLog');
+      participant.isShared = status;
+      participant.folderId = participant.folderId || folderId;
+      recovered++;
+      this.writeLog(`Row ${rowIndex} RECOVERED ${action} -> ${email} from journal entry ${id}`);
+      this.emitRowEvent(participant, action, 'recovered', { email, folderId, role, journalId: id });
+    }
+
+    await this.flushWrites();
+    console.log(chalk.green(`✅ Journal: ${recovered} baris diselaraskan dengan Drive`));
+    this.writeLog(`Journal replay done: ${recovered} rows reconciled`);
+  }
+
+  // One pass over every tab of the run. Tabs are processed one after another,
+  // so they share the throttle and rate limits; each tab gets its own column
+  // detection. A tab that cannot be read is reported and the others still run.
+  // Resolves to [{ label, stats, error }] per tab (nothing for a single tab).
+  async processAllTabs() {
+    this.runTabs = this.getSheetTabs();
+    if (this.runTabs.length <= 1) {
+      const data = await this.getSpreadsheetDataFlexible();
+      if (data) await this.processBatch(data);
+      return;
+    }
+
+    const results = [];
+    for (const [index, tab] of this.runTabs.entries()) {
+      this.selectTab(tab);
+      const label = tabLabel(tab, this.config.get('sheetId'));
+      console.log();
+      console.log(chalk.blue(`📑 TAB ${index + 1}/${this.runTabs.length}: ${label}`));
+      this.writeLog(`Tab ${index + 1}/${this.runTabs.length}: ${tabKey(tab)}`);
+      try {
+        const data = await this.getSpreadsheetDataFlexible();
+        const stats = data ? await this.processBatch(data) : null;
+        results.push({ label, stats, error: data ? null : 'tidak dapat dibaca (lihat log)' });
+      } catch (error) {
+        console.log(chalk.red(`❌ Tab ${label}: ${error.message}`));
+        this.writeLog(`Tab ${tabKey(tab)} failed: ${error.message}`, 'error');
+        results.push({ label, stats: null, error: error.message });
+      }
+    }
+    this.printTabSummary(results);
+    return results;
+  }
+
+  // Results of a multi-tab pass, one line per tab
+  printTabSummary(results) {
+    const width = Math.max(10, ...results.map(r => r.label.length)) + 2;
+    const totals = { total: 0, done: 0, skipped: 0, errors: 0 };
+    console.log();
+    console.log(chalk.green('📑 RINGKASAN PER TAB'));
+    console.log(chalk.gray('─'.repeat(width + 40)));
+    console.log(chalk.gray(`${'Tab'.padEnd(width)}${'Total'.padStart(8)}${'Berhasil'.padStart(10)}${'Dilewati'.padStart(10)}${'Error'.padStart(8)}`));
+    for (const { label, stats, error } of results) {
+      if (!stats) {
+        console.log(`${label.padEnd(width)}${chalk.red(`  ${error}`)}`);
+        this.writeLog(`Tab summary: ${label} error=${error}`, 'error');
+        continue;
+      }
+      for (const key of Object.keys(totals)) totals[key] += stats[key] || 0;
+      console.log(`${label.padEnd(width)}${chalk.cyan(String(stats.total).padStart(8))}${chalk.green(String(stats.done).padStart(10))}${chalk.yellow(String(stats.skipped).padStart(10))}${chalk.red(String(stats.errors).padStart(8))}`);
+      this.writeLog(`Tab summary: ${label} total=${stats.total} done=${stats.done} skipped=${stats.skipped} errors=${stats.errors}`);
+    }
+    console.log(chalk.gray('─'.repeat(width + 40)));
+    console.log(`${'Semua tab'.padEnd(width)}${String(totals.total).padStart(8)}${String(totals.done).padStart(10)}${String(totals.skipped).padStart(10)}${String(totals.errors).padStart(8)}`);
+    this.writeLog(`Summary (all tabs): tabs=${results.length} total=${totals.total} done=${totals.done} skipped=${totals.skipped} errors=${totals.errors}`);
+    return totals;
+  }
+
+  // Process one batch in the selected mode (grant or revoke)
+  async processBatch(data) {
+    // Drive folder listings and permissions may change between loop passes
+    this.subfolderCache = null;
+    this.permissionCache = new Map();
+    this.permissionCacheStats = { lists: 0, hits: 0 };
+    const journalSource = this.getJournalSourceKey();
+    if (!this.journalReplayed.has(journalSource) && this.ensureJournal()) {
+      this.journalReplayed.add(journalSource);
+      await this.replayJournal(data);
+    }
+    let result;
+    if (this.revokeMode) result = await this.processRevocations(data);
+    else if (this.plan) result = await this.applyPlan(data);
+    else result = await this.processParticipants(data);
+    const { lists, hits } = this.permissionCacheStats;
+    this.writeLog(`Permission cache: ${this.permissionCache.size} folders, ${lists} list fetches, ${hits} lookups served from cache`);
+    if (this.journal) this.journal.compact();
+    return result;
   }
 
   // Main application flow
@@ -1196,22 +2979,44 @@ class CertificateSharing {
       // Setup configuration
       if (!(await this.setupConfig())) return;
 
+      this.installShutdownHandlers();
+      await this.startMetrics();
+
+      // Plan and apply are single passes over one tab
+      if ((this.planMode || this.applyFile) && this.getSheetTabs().length > 1) {
+        console.log(chalk.red('❌ --plan/--apply bekerja untuk satu tab; pilih tab dengan --sheet-name (atau SHEET_NAME).'));
+        this.writeLog('Plan/apply refused: several sheet tabs configured', 'error');
+        return;
+      }
+      if (this.planMode) {
+        const data = await this.getSpreadsheetDataFlexible({ readOnly: true });
+        if (data) await this.buildPlan(data);
+        return;
+      }
+      if (this.applyFile) {
+        try {
+          this.plan = readPlan(path.resolve(this.applyFile));
+        } catch (error) {
+          console.log(chalk.red(`❌ Plan tidak valid: ${error.message}`));
+          this.writeLog(`Apply refused: ${error.message}`, 'error');
+          return;
+        }
+        const data = await this.getSpreadsheetDataFlexible();
+        if (data) await this.processBatch(data);
+        return;
+      }
+
       const loop = String(process.env.LOOP || '').toLowerCase() === 'true';
       const pollSec = Math.max(5, parseInt(process.env.POLL_INTERVAL || '30', 10) || 30);
       if (!loop) {
-        // Single pass
-        const data = await this.getSpreadsheetDataFlexible();
-        if (!data) return;
-        await this.processParticipants(data);
+        // Single pass (over every tab)
+        await this.processAllTabs();
       } else {
         console.log(chalk.cyan(`🔁 Loop mode aktif. Interval: ${pollSec}s`));
         this.writeLog(`Loop mode enabled. Interval=${pollSec}s`);
         while (true) {
           try {
-            const data = await this.getSpreadsheetDataFlexible();
-            if (data) {
-              await this.processParticipants(data);
-            }
+            await this.processAllTabs();
           } catch (err) {
             console.log(chalk.red(`Loop error: ${err.message}`));
             this.writeLog(`Loop error: ${err.message}`, 'error');
@@ -1230,8 +3035,15 @@ class CertificateSharing {
 
 // Run the application
 if (require.main === module) {
-  const app = new CertificateSharing();
-  
+  let app;
+  try {
+    app = new CertificateSharing();
+  } catch (error) {
+    // e.g. PROFILE names a profile that does not exist
+    console.log(chalk.red(`Fatal Error: ${error.message}`));
+    process.exit(1);
+  }
+
   app.run()
     .then(() => {
       console.log();
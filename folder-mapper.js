@@ -2,12 +2,20 @@ const { google } = require('googleapis');
 const fs = require('fs').promises;
 const path = require('path');
 const inquirer = require('inquirer');
+const { getApiBaseUrl, serviceOptions, createOfflineAuth } = require('./lib/google-endpoint');
+const { createConfigStore } = require('./lib/config-store');
+const { selectProfile } = require('./lib/profiles');
 
 // Service Account Authentication
 const KEYFILE_PATH = './service.json'; 
 const SCOPES = ['https://www.googleapis.com/auth/drive'];
 
 async function authenticate() {
+  // GOOGLE_API_BASE_URL (e.g. tools/fake-google.js) needs no service account
+  if (getApiBaseUrl()) {
+    console.log(`🔌 Google API: ${getApiBaseUrl()}`);
+    return createOfflineAuth(google);
+  }
   const auth = new google.auth.GoogleAuth({
     keyFile: KEYFILE_PATH,
     scopes: SCOPES,
@@ -15,15 +23,18 @@ async function authenticate() {
   return auth.getClient();
 }
 
+// Mapping format v2: every folder with its ancestor names below the scanned
+// parent (e.g. path ["GRESIK"] for Parent -> GRESIK -> participant), so the
+// worker can match on city/level folders too and keeps same-name folders apart
 async function scanParentFolder(auth, parentFolderId, maxDepth = 3) {
-  const drive = google.drive({ version: 'v3', auth });
-  const folderMapping = {};
+  const drive = google.drive({ version: 'v3', auth, ...serviceOptions() });
+  const folders = [];
   
   console.log(`🗂️  Scanning parent folder: ${parentFolderId} (max depth: ${maxDepth})`);
   
   let totalMapped = 0;
   
-  async function scanFolderRecursive(folderId, currentDepth = 0, parentName = '') {
+  async function scanFolderRecursive(folderId, currentDepth = 0, parentName = '', ancestors = []) {
     if (currentDepth >= maxDepth) return 0;
     
     let pageToken = null;
@@ -38,21 +49,18 @@ async function scanParentFolder(auth, parentFolderId, maxDepth = 3) {
           pageToken: pageToken
         });
         
-        const folders = response.data.files || [];
-        console.log(`📂 Depth ${currentDepth + 1}${parentName ? ` (${parentName})` : ''}: Found ${folders.length} folders`);
+        const children = response.data.files || [];
+        console.log(`📂 Depth ${currentDepth + 1}${parentName ? ` (${parentName})` : ''}: Found ${children.length} folders`);
         
-        for (const folder of folders) {
-          // Store direct mapping: name -> id
-          folderMapping[folder.name] = folder.id;
-          
-          // Also store lowercase version for case-insensitive lookup
-          folderMapping[folder.name.toLowerCase()] = folder.id;
+        for (const folder of children) {
+          // Store folder with its ancestor path
+          folders.push({ id: folder.id, name: folder.name, path: ancestors });
           
           folderCount++;
           totalMapped++;
           
           if (totalMapped % 50 === 0) {
-            console.log(`✅ Total mapped so far: ${totalMapped / 2} unique folders`);
+            console.log(`✅ Total mapped so far: ${totalMapped} folders`);
           }
           
           // Show current folder being processed
@@ -63,7 +71,7 @@ async function scanParentFolder(auth, parentFolderId, maxDepth = 3) {
           }
           
           // Recursively scan this folder
-          const childCount = await scanFolderRecursive(folder.id, currentDepth + 1, folder.name);
+          const childCount = await scanFolderRecursive(folder.id, currentDepth + 1, folder.name, [...ancestors, folder.name]);
           folderCount += childCount;
         }
         
@@ -79,12 +87,19 @@ async function scanParentFolder(auth, parentFolderId, maxDepth = 3) {
   
   const totalFolders = await scanFolderRecursive(parentFolderId);
   console.log(`\n✅ Mapping completed!`);
-  console.log(`   - Total unique folders: ${totalMapped / 2}`);
-  console.log(`   - Total entries (with case variants): ${totalMapped}`);
-  return folderMapping;
+  console.log(`   - Total folders: ${totalMapped}`);
+  return {
+    version: 2,
+    parentFolderId,
+    scannedAt: new Date().toISOString(),
+    folders
+  };
 }
 
-async function saveFolderMapping() {
+// options.parentFolderId / options.maxDepth come from the CLI (certificate-sharing
+// map-folders); the parent folder is asked for when not given. mappingPath is
+// the profile's mapping cache (default: cache/folder-mapping.json)
+async function saveFolderMapping({ parentFolderId: givenParentId, maxDepth, mappingPath = path.join('cache', 'folder-mapping.json') } = {}) {
   try {
     console.log('🚀 Starting folder mapping process...');
     const startTime = Date.now();
@@ -92,7 +107,7 @@ async function saveFolderMapping() {
     const auth = await authenticate();
     
     // Ask for parent folder ID
-    const { parentFolderId } = await inquirer.prompt([
+    const { parentFolderId } = givenParentId ? { parentFolderId: givenParentId } : await inquirer.prompt([
       {
         type: 'input',
         name: 'parentFolderId',
@@ -107,21 +122,19 @@ async function saveFolderMapping() {
     ]);
     
     // Scan the parent folder
-    const folderMapping = await scanParentFolder(auth, parentFolderId.trim());
+    const folderMapping = await scanParentFolder(auth, parentFolderId.trim(), maxDepth);
     
     // Save to JSON file
-    const outputDir = './cache';
     try {
-      await fs.mkdir(outputDir, { recursive: true });
+      await fs.mkdir(path.dirname(mappingPath), { recursive: true });
     } catch (error) {
       // Directory already exists, ignore
     }
     
-    const mappingPath = path.join(outputDir, 'folder-mapping.json');
     await fs.writeFile(mappingPath, JSON.stringify(folderMapping, null, 2));
     
     const elapsed = Date.now() - startTime;
-    const totalFolders = Object.keys(folderMapping).length / 2; // Divided by 2 because we store both original and lowercase
+    const totalFolders = folderMapping.folders.length;
     
     console.log(`✅ Folder mapping completed!`);
     console.log(`📊 Statistics:`);
@@ -137,8 +150,18 @@ async function saveFolderMapping() {
 }
 
 // Run the mapping
+// PROFILE=<name> scans the profile's parent folder into its own mapping cache
 if (require.main === module) {
-  saveFolderMapping();
+  const profile = process.env.PROFILE;
+  let options = {};
+  try {
+    const config = selectProfile(createConfigStore(), profile);
+    options = profile ? { parentFolderId: config.get('parentFolderId') || undefined, mappingPath: config.get('mappingFile') } : {};
+  } catch (error) {
+    console.error('❌', error.message);
+    process.exit(1);
+  }
+  saveFolderMapping(options);
 }
 
 module.exports = { saveFolderMapping, scanParentFolder };
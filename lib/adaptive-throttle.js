@@ -0,0 +1,56 @@
+// AIMD delay between API calls: multiplied on every rate-limit response,
+// reduced by a small step after a run of calls without one, kept between
+// floorMs and maxMs.
+class AdaptiveThrottle {
+  constructor({
+    initialMs = 2500,
+    floorMs = 1000,
+    maxMs = 60000,
+    increaseFactor = 2,
+    decreaseStepMs = 250,
+    successWindow = 20,
+    onChange = null
+  } = {}) {
+    this.floorMs = Math.max(0, floorMs);
+    this.maxMs = Math.max(this.floorMs, maxMs);
+    this.increaseFactor = Math.max(1, increaseFactor);
+    this.decreaseStepMs = Math.max(0, decreaseStepMs);
+    this.successWindow = Math.max(1, successWindow);
+    this.onChange = onChange;
+    this.delayMs = this._clamp(initialMs);
+    this.successes = 0;
+  }
+
+  _clamp(ms) {
+    return Math.min(this.maxMs, Math.max(this.floorMs, Math.round(ms)));
+  }
+
+  _set(ms, reason) {
+    const next = this._clamp(ms);
+    if (next === this.delayMs) return;
+    const previous = this.delayMs;
+    this.delayMs = next;
+    if (this.onChange) this.onChange({ delayMs: next, previousMs: previous, ratePerSec: this.ratePerSec, reason });
+  }
+
+  // Calls per second one worker makes at the current delay
+  get ratePerSec() {
+    return this.delayMs > 0 ? 1000 / this.delayMs : Infinity;
+  }
+
+  // Rate-limit response seen: back off multiplicatively
+  onRateLimit() {
+    this.successes = 0;
+    this._set(Math.max(this.delayMs, 1) * this.increaseFactor, 'rate-limit');
+  }
+
+  // Call completed without a rate-limit response
+  onSuccess() {
+    this.successes++;
+    if (this.successes < this.successWindow) return;
+    this.successes = 0;
+    this._set(this.delayMs - this.decreaseStepMs, 'recovery');
+  }
+}
+
+module.exports = { AdaptiveThrottle };
@@ -0,0 +1,272 @@
+const { GRANTABLE_ROLES, normalizeRole } = require('./permission-roles');
+const { POLICY_MODES, parseDomainList } = require('./email-policy');
+const { parseSheetTabs, formatSheetTabs } = require('./sheet-tabs');
+
+// Options of the certificate-sharing CLI. Every option is a flag; most also
+// have the env var the tools already read, and settings that are saved in
+// the Conf store name their config key. Precedence: flag > env > profile > Conf.
+//   value   placeholder of the flag argument (none = on/off switch, with --no-<flag>)
+//   env     env var the flag sets for the worker/monitor
+//   config  Conf key the env var overrides (toConfig converts the env string)
+//   argv    monitor switches passed on as the monitor's own --flag
+//   format  display of the config value (--print-config)
+const POSITIVE_NUMBER = value => {
+  const n = Number(value);
+  return Number.isFinite(n) && n > 0 ? n : undefined;
+};
+
+const OPTIONS = {
+  profile: { value: 'name', env: 'PROFILE', help: 'Use a named profile (see "profile list")' },
+  'sheet-id': { value: 'id', env: 'SHEET_ID', config: 'sheetId', help: 'Spreadsheet ID' },
+  'sheet-name': { value: 'tab', env: 'SHEET_NAME', config: 'sheetName', help: 'Sheet tab with the participants' },
+  tabs: {
+    value: 'list', env: 'SHEET_TABS', config: 'sheetTabs', help: 'Several tabs in one run: "Tab1,Tab2,<spreadsheetId>!Tab3" (instead of --sheet-name)',
+    toConfig: parseSheetTabs, format: formatSheetTabs
+  },
+  'source-file': { value: 'path', env: 'SOURCE_FILE', config: 'sourceFile', help: 'Read participants from a local .csv/.xlsx instead of Google Sheets' },
+  'results-file': { value: 'path', env: 'RESULTS_FILE', config: 'resultsFile', help: 'Write results into this file instead of the source file' },
+  'parent-folder': { value: 'id', env: 'PARENT_FOLDER_ID', config: 'parentFolderId', help: 'Only search folders below this Drive folder' },
+  role: {
+    value: 'role', env: 'ROLE', config: 'role', help: `Default role (${GRANTABLE_ROLES.join(', ')})`,
+    toConfig: value => normalizeRole(value) || undefined
+  },
+  notify: {
+    env: 'NOTIFY', config: 'notifyMode', help: 'Send the share notification email',
+    toConfig: value => (value === 'true' ? 'on' : 'off')
+  },
+  'throttle-ms': { value: 'ms', config: 'throttleMs', help: 'Starting delay between API calls (default: 2500)', toConfig: POSITIVE_NUMBER },
+  'throttle-floor-ms': { value: 'ms', config: 'throttleFloorMs', help: 'Minimum adaptive delay (default: 1000)', toConfig: POSITIVE_NUMBER },
+  'throttle-max-ms': { value: 'ms', config: 'throttleMaxMs', help: 'Maximum adaptive delay (default: 60000)', toConfig: POSITIVE_NUMBER },
+  'mapping-file': { value: 'path', config: 'mappingFile', help: 'Folder mapping cache (default: cache/profiles/<name>/folder-mapping.json)' },
+  'dry-run': { env: 'DRY_RUN', config: 'dryRun', help: 'Simulate: read the sheet and Drive, change nothing', toConfig: value => value === 'true' },
+  'folder-path': {
+    value: 'pattern', env: 'FOLDER_PATH_PATTERN', config: 'folderPathPattern', help: 'Expected folder path per row, e.g. "{Kota}/{Nama}"',
+    toConfig: value => value.trim()
+  },
+  'email-policy': {
+    value: 'mode', env: 'EMAIL_POLICY', config: 'emailPolicyMode', help: `Email domain policy (${POLICY_MODES.join(', ')})`,
+    toConfig: value => (POLICY_MODES.includes(value.trim().toLowerCase()) ? value.trim().toLowerCase() : undefined)
+  },
+  'allowed-domains': { value: 'list', env: 'ALLOWED_EMAIL_DOMAINS', config: 'allowedEmailDomains', help: 'Comma-separated allowed email domains', toConfig: parseDomainList },
+  'denied-domains': { value: 'list', env: 'DENIED_EMAIL_DOMAINS', config: 'deniedEmailDomains', help: 'Comma-separated denied email domains', toConfig: parseDomainList },
+  'max-per-run': { value: 'n', env: 'MAX_PER_RUN', config: 'maxPerRun', help: 'Rows per pass (per worker)', toConfig: POSITIVE_NUMBER },
+  'max-attempts': { value: 'n', env: 'MAX_ATTEMPTS', config: 'maxAttempts', help: 'Attempts per row for --retry-failed', toConfig: POSITIVE_NUMBER },
+  batch: { env: 'DRIVE_BATCH', config: 'batchMode', help: 'Send permission checks/grants through the Drive batch endpoint', toConfig: value => value === 'true' },
+  loop: { env: 'LOOP', help: 'Keep polling the sheet instead of a single pass' },
+  'poll-interval': { value: 'sec', env: 'POLL_INTERVAL', help: 'Seconds between loop passes (default: 30)' },
+  'non-interactive': { env: 'NON_INTERACTIVE', help: 'Never prompt; use the stored configuration' },
+  'shard-total': { value: 'n', env: 'SHARD_TOTAL', help: 'Number of standalone workers splitting the rows' },
+  'shard-index': { value: 'n', env: 'SHARD_INDEX', help: 'This worker\'s shard (0-based)' },
+  revoke: { env: 'REVOKE', help: 'Revoke access for rows flagged REVOKE instead of granting' },
+  'retry-failed': { env: 'RETRY_FAILED', help: 'Only retry rows that failed with a TRANSIENT error' },
+  plan: { env: 'PLAN', help: 'Write a share plan file instead of sharing' },
+  'plan-file': { value: 'path', env: 'PLAN_FILE', help: 'Where --plan writes the plan (default: plans/plan-<time>.json)' },
+  apply: { value: 'path', env: 'APPLY_PLAN', help: 'Execute a plan file written by --plan' },
+  'run-id': { value: 'id', env: 'RUN_ID', help: 'Run id for events and reports' },
+  'metrics-port': { value: 'port', env: 'METRICS_PORT', help: 'Serve Prometheus metrics on this port' },
+  debug: { env: 'DEBUG', help: 'Debug logging' },
+  workers: { value: 'n', env: 'WORKER_COUNT', help: 'Number of workers to start (asked when not set)' },
+  table: { argv: true, help: 'Table view instead of live logs' },
+  stream: { argv: true, help: 'Raw worker stdout/stderr' },
+  attach: { argv: true, help: 'Follow logs of running workers, start none' },
+  dashboard: { argv: true, help: 'Serve the web dashboard' },
+  'dashboard-port': { value: 'port', env: 'DASHBOARD_PORT', help: 'Web dashboard port (default: 8080)' },
+  'fake-google': { argv: true, help: 'Run workers against an in-process fake Drive/Sheets' },
+  depth: { value: 'n', help: 'Folder levels to scan (default: 3)' },
+  input: { value: 'path', help: 'Mapping JSON to read (default: cache/folder-mapping.json)' },
+  output: { value: 'path', help: 'CSV to write (default: cache/folder-mapping.csv)' },
+  list: { help: 'List the run ids found in logs/' },
+  yes: { help: 'Do not ask for confirmation' },
+  'print-config': { help: 'Show the effective settings and where each comes from, then exit' }
+};
+
+const SOURCE_OPTIONS = ['sheet-id', 'sheet-name', 'tabs', 'source-file', 'results-file', 'parent-folder'];
+const SHARING_OPTIONS = ['role', 'notify', 'dry-run', 'folder-path', 'email-policy', 'allowed-domains', 'denied-domains', 'max-per-run', 'max-attempts', 'batch'];
+
+const COMMANDS = {
+  share: {
+    summary: 'Share certificate folders with the participants of a sheet (one worker)',
+    options: ['profile', ...SOURCE_OPTIONS, ...SHARING_OPTIONS, 'revoke', 'retry-failed', 'plan', 'plan-file', 'apply', 'loop', 'poll-interval', 'non-interactive', 'shard-total', 'shard-index', 'run-id', 'metrics-port', 'debug', 'print-config']
+  },
+  monitor: {
+    summary: 'Start several workers and follow them (live logs, table or dashboard)',
+    options: ['profile', 'workers', 'table', 'stream', 'attach', 'dashboard', 'dashboard-port', 'fake-google', ...SOURCE_OPTIONS, ...SHARING_OPTIONS, 'revoke', 'retry-failed', 'poll-interval', 'run-id', 'metrics-port', 'debug', 'print-config']
+  },
+  'map-folders': {
+    summary: 'Scan a Drive parent folder into cache/folder-mapping.json',
+    options: ['profile', 'parent-folder', 'depth']
+  },
+  'export-mapping': {
+    summary: 'Write cache/folder-mapping.json as CSV',
+    args: '[input] [output]',
+    options: ['profile', 'input', 'output']
+  },
+  report: {
+    summary: 'Rebuild the CSV/HTML outcome report of a run',
+    args: '[RUN_ID]',
+    options: ['list']
+  },
+  profile: {
+    summary: 'List, show, create or delete named profiles (one per event)',
+    args: '<list|show|create|delete> [name]',
+    // create takes the settings as flags; env vars are not read
+    notes: ['"create" saves the given settings. Settings a profile leaves out use the defaults,', 'not the shared saved configuration. Use a profile with --profile <name> or PROFILE=<name>.'],
+    options: [...SOURCE_OPTIONS, 'role', 'notify', 'throttle-ms', 'throttle-floor-ms', 'throttle-max-ms', 'mapping-file', 'yes']
+  }
+};
+
+// Settings "profile create" accepts (flag -> profile key)
+const PROFILE_OPTIONS = ['sheet-id', 'sheet-name', 'tabs', 'source-file', 'results-file', 'parent-folder', 'role', 'notify', 'throttle-ms', 'throttle-floor-ms', 'throttle-max-ms', 'mapping-file'];
+
+// monitor: revoke/retry-failed/batch are the monitor's own switches too
+const MONITOR_ARGV = ['revoke', 'retry-failed', 'batch'];
+
+// Parse argv of one command into { flags, positionals, help }; throws on
+// unknown options or a missing value
+function parseCommandLine(argv, command) {
+  const allowed = new Set(COMMANDS[command].options);
+  const flags = {};
+  const positionals = [];
+  let help = false;
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (arg === '--help' || arg === '-h') {
+      help = true;
+      continue;
+    }
+    if (!arg.startsWith('--')) {
+      positionals.push(arg);
+      continue;
+    }
+    const [raw, inline] = arg.slice(2).split(/=(.*)/s);
+    const negated = raw.startsWith('no-') && !allowed.has(raw);
+    const name = negated ? raw.slice(3) : raw;
+    const option = OPTIONS[name];
+    if (!option || !allowed.has(name)) throw new Error(`Unknown option --${raw} for "${command}"`);
+    if (option.value) {
+      if (negated) throw new Error(`--${name} takes a value, --no-${name} is not supported`);
+      const value = inline !== undefined ? inline : argv[++i];
+      if (value === undefined || (inline === undefined && value.startsWith('--'))) throw new Error(`--${name} needs a value <${option.value}>`);
+      flags[name] = value;
+    } else {
+      if (inline !== undefined && !['true', 'false'].includes(inline)) throw new Error(`--${name} is a switch (use --${name} or --no-${name})`);
+      flags[name] = negated ? false : inline !== 'false';
+    }
+  }
+  return { flags, positionals, help };
+}
+
+// Env string of a flag value
+function flagToEnv(value) {
+  return typeof value === 'boolean' ? String(value) : value;
+}
+
+// Put flag values into env (so they win over env already set) and collect
+// the monitor switches to pass on as argv
+function applyFlags(flags, command, env = process.env) {
+  const argv = [];
+  for (const [name, value] of Object.entries(flags)) {
+    const option = OPTIONS[name];
+    if (command === 'monitor' && (option.argv || MONITOR_ARGV.includes(name))) {
+      if (value) argv.push(`--${name}`);
+      // --no-batch etc. still has to reach the workers
+      else if (option.env) env[option.env] = 'false';
+      continue;
+    }
+    if (option.env) env[option.env] = flagToEnv(value);
+  }
+  return argv;
+}
+
+// Conf overrides from env vars (SHEET_ID -> sheetId, ...); invalid values are left out
+function configOverridesFromEnv(env = process.env) {
+  const overrides = {};
+  for (const option of Object.values(OPTIONS)) {
+    if (!option.config || typeof env[option.env] !== 'string') continue;
+    const value = option.toConfig ? option.toConfig(env[option.env]) : env[option.env];
+    if (value !== undefined) overrides[option.config] = value;
+  }
+  // Choosing a sheet (or a file) by env also drops the stored other source
+  if (typeof env.SHEET_ID === 'string' && typeof env.SOURCE_FILE !== 'string') overrides.sourceFile = '';
+  if (typeof env.SOURCE_FILE === 'string' && typeof env.RESULTS_FILE !== 'string') overrides.resultsFile = '';
+  // ... and a single sheet, tab or file by env replaces the saved tab list
+  if (['SHEET_ID', 'SHEET_NAME', 'SOURCE_FILE'].some(key => typeof env[key] === 'string') && typeof env.SHEET_TABS !== 'string') {
+    overrides.sheetTabs = [];
+  }
+  return overrides;
+}
+
+// Profile settings from "profile create" flags; throws on invalid values
+function profileSettingsFromFlags(flags) {
+  const settings = {};
+  for (const name of PROFILE_OPTIONS) {
+    if (!Object.prototype.hasOwnProperty.call(flags, name)) continue;
+    const option = OPTIONS[name];
+    const raw = flagToEnv(flags[name]);
+    const value = option.toConfig ? option.toConfig(raw) : raw;
+    if (value === undefined) throw new Error(`Invalid value for --${name}: "${raw}"`);
+    settings[option.config] = value;
+  }
+  return settings;
+}
+
+// Effective value and source ('flag', 'env', 'profile', 'config' or 'default')
+// of each option of a command; store is the saved configuration (with its
+// defaults), or the view of the selected profile (lib/profiles.js)
+function resolveOptions(command, flags, env, store) {
+  return COMMANDS[command].options
+    .filter(name => OPTIONS[name].env || OPTIONS[name].config)
+    .map(name => {
+      const option = OPTIONS[name];
+      if (Object.prototype.hasOwnProperty.call(flags, name)) return { name, value: flags[name], source: 'flag' };
+      if (option.env && typeof env[option.env] === 'string') return { name, value: env[option.env], source: 'env' };
+      if (option.config && store) {
+        const source = (typeof store.sourceOf === 'function' && store.sourceOf(option.config)) || 'config';
+        return { name, value: store.get(option.config), source };
+      }
+      return { name, value: undefined, source: 'default' };
+    });
+}
+
+function formatOption(name, withEnv = true) {
+  const option = OPTIONS[name];
+  const flag = option.value ? `--${name} <${option.value}>` : `--${name}`;
+  const env = option.env && withEnv ? ` [${option.env}]` : '';
+  return { flag, text: `${option.help}${env}` };
+}
+
+// --help text of the CLI (no command) or of one command
+function formatHelp(command, bin = 'certificate-sharing') {
+  const lines = [];
+  if (!command) {
+    lines.push(`Usage: ${bin} <command> [options]`, '', 'Commands:');
+    const width = Math.max(...Object.keys(COMMANDS).map(c => c.length));
+    for (const [name, spec] of Object.entries(COMMANDS)) lines.push(`  ${name.padEnd(width)}  ${spec.summary}`);
+    lines.push('', `Run "${bin} <command> --help" for the options of a command.`);
+    lines.push('Precedence: flags, then env vars, then the selected profile, then the saved configuration (Conf).');
+    return lines.join('\n');
+  }
+  const spec = COMMANDS[command];
+  lines.push(`Usage: ${bin} ${command} [options]${spec.args ? ` ${spec.args}` : ''}`, '', spec.summary, '', 'Options:');
+  const rows = spec.options.map(name => formatOption(name, !spec.notes));
+  const width = Math.max(...rows.map(r => r.flag.length));
+  for (const row of rows) lines.push(`  ${row.flag.padEnd(width)}  ${row.text}`);
+  lines.push(`  ${'--help'.padEnd(width)}  Show this help`);
+  if (spec.notes) {
+    lines.push('', ...spec.notes);
+  } else if (spec.options.some(name => OPTIONS[name].config)) {
+    lines.push('', 'Switches can be turned off with --no-<name>. Flags win over env vars [NAME], env vars over the profile and the saved configuration.');
+  }
+  return lines.join('\n');
+}
+
+module.exports = {
+  OPTIONS,
+  COMMANDS,
+  parseCommandLine,
+  applyFlags,
+  configOverridesFromEnv,
+  profileSettingsFromFlags,
+  resolveOptions,
+  formatHelp
+};
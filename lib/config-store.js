@@ -0,0 +1,66 @@
+const Conf = require('conf');
+const { DEFAULT_EMAIL_TEMPLATE } = require('./notification-template');
+const { DEFAULT_THRESHOLD, DEFAULT_AMBIGUITY_MARGIN } = require('./folder-matcher');
+
+// Saved worker settings (Conf, ~/.config/certificate-sharing-nodejs/config.json)
+const CONFIG_DEFAULTS = {
+  sheetId: '',
+  sheetName: 'participants_sample',
+  sheetTabs: [],
+  parentFolderId: '',
+  sourceFile: '',
+  resultsFile: '',
+  role: 'reader',
+  dryRun: false,
+  throttleMs: 2500,
+  throttleFloorMs: 1000,
+  throttleMaxMs: 60000,
+  maxPerRun: 300,
+  writeBatchSize: 50,
+  writeFlushMs: 5000,
+  notifyMode: 'off',
+  emailTemplate: DEFAULT_EMAIL_TEMPLATE,
+  emailPolicyMode: 'allowlist',
+  allowedEmailDomains: ['gmail.com'],
+  deniedEmailDomains: [],
+  matchThreshold: DEFAULT_THRESHOLD,
+  matchAmbiguityMargin: DEFAULT_AMBIGUITY_MARGIN,
+  folderPathPattern: '',
+  mappingFile: 'cache/folder-mapping.json',
+  leaseChunkSize: 10,
+  maxAttempts: 3,
+  batchMode: false
+};
+
+// Conf store with the worker defaults; cwd puts config.json in another
+// directory (tests use a temp dir so the user's settings are not touched)
+function createConfigStore({ cwd, defaults = {} } = {}) {
+  return new Conf({
+    projectName: 'certificate-sharing',
+    ...(cwd ? { cwd } : {}),
+    defaults: { ...CONFIG_DEFAULTS, ...defaults }
+  });
+}
+
+// Store view for one run: overridden keys (env vars, CLI flags) are read from
+// overrides and never saved; set() saves to the store and ends the override
+function withOverrides(store, overrides = {}) {
+  const current = { ...overrides };
+  return {
+    get(key) {
+      return Object.prototype.hasOwnProperty.call(current, key) ? current[key] : store.get(key);
+    },
+    set(key, value) {
+      delete current[key];
+      store.set(key, value);
+    },
+    overrides: current,
+    store
+  };
+}
+
+module.exports = {
+  CONFIG_DEFAULTS,
+  createConfigStore,
+  withOverrides
+};
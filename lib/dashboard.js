@@ -0,0 +1,192 @@
+const http = require('http');
+
+const DEFAULT_DASHBOARD_PORT = 8080;
+const LOG_BACKLOG = 200; // log lines replayed to a browser when it connects
+
+const DASHBOARD_HTML = `<!doctype html>
+<html lang="id">
+<head>
+<meta charset="utf-8">
+<meta name="viewport" content="width=device-width, initial-scale=1">
+<title>Certificate Sharing Monitor</title>
+<style>
+  body { font-family: system-ui, sans-serif; margin: 0; background: #0f172a; color: #e2e8f0; }
+  header { padding: 12px 16px; background: #1e293b; display: flex; flex-wrap: wrap; gap: 8px 24px; align-items: baseline; }
+  header h1 { font-size: 18px; margin: 0; }
+  main { padding: 12px 16px; display: grid; gap: 16px; }
+  section { background: #1e293b; border-radius: 6px; padding: 12px; overflow-x: auto; }
+  h2 { font-size: 15px; margin: 0 0 8px; }
+  .muted { color: #94a3b8; font-size: 13px; }
+  .bar { height: 14px; background: #334155; border-radius: 7px; overflow: hidden; }
+  .bar > div { height: 100%; background: #22c55e; width: 0; transition: width .5s; }
+  .stats { display: flex; flex-wrap: wrap; gap: 16px; margin-top: 8px; font-size: 14px; }
+  table { border-collapse: collapse; width: 100%; font-size: 13px; }
+  th, td { text-align: left; padding: 4px 8px; border-bottom: 1px solid #334155; white-space: nowrap; }
+  td.msg { white-space: normal; }
+  .RUNNING { color: #22c55e; } .COMPLETED { color: #38bdf8; } .IDLE { color: #94a3b8; }
+  .TRANSIENT { color: #facc15; } .PERMANENT { color: #f87171; }
+  #log { font: 12px/1.4 ui-monospace, monospace; max-height: 360px; overflow-y: auto; white-space: pre-wrap; word-break: break-all; margin: 0; }
+  #conn.off { color: #f87171; }
+</style>
+</head>
+<body>
+<header>
+  <h1>📜 Certificate Sharing Monitor</h1>
+  <span class="muted">Run: <span id="run">-</span></span>
+  <span class="muted">Diperbarui: <span id="updated">-</span></span>
+  <span class="muted" id="conn">● terhubung</span>
+</header>
+<main>
+  <section>
+    <h2>Progress Keseluruhan</h2>
+    <div class="bar"><div id="bar"></div></div>
+    <div class="stats">
+      <span id="progress">0/0</span>
+      <span>✅ <span id="success">0</span> berhasil</span>
+      <span>❌ <span id="error">0</span> gagal</span>
+      <span>⏭️ <span id="skip">0</span> dilewati</span>
+      <span>⚡ <span id="speed">-</span> baris/menit</span>
+      <span>⏳ ETA: <span id="eta">-</span></span>
+    </div>
+  </section>
+  <section>
+    <h2>Worker</h2>
+    <table>
+      <thead><tr><th>ID</th><th>Status</th><th>Progress</th><th>Peserta</th><th>✅</th><th>❌</th><th>⏭️</th><th>Rate/s</th><th>Terakhir</th></tr></thead>
+      <tbody id="workers"></tbody>
+    </table>
+  </section>
+  <section>
+    <h2>Error Terbaru</h2>
+    <table>
+      <thead><tr><th>Waktu</th><th>Worker</th><th>Baris</th><th>Nama</th><th>Email</th><th>Kelas</th><th>Penjelasan</th></tr></thead>
+      <tbody id="errors"></tbody>
+    </table>
+  </section>
+  <section>
+    <h2>Log</h2>
+    <pre id="log"></pre>
+  </section>
+</main>
+<script>
+  const $ = id => document.getElementById(id);
+  const time = ts => ts ? new Date(ts).toLocaleTimeString() : '-';
+  const duration = sec => {
+    if (sec === null || sec === undefined || !isFinite(sec)) return '-';
+    const h = Math.floor(sec / 3600), m = Math.floor(sec % 3600 / 60), s = Math.floor(sec % 60);
+    return (h ? h + 'j ' : '') + (h || m ? m + 'm ' : '') + s + 'd';
+  };
+  function row(cells, classes = {}) {
+    const tr = document.createElement('tr');
+    cells.forEach((value, i) => {
+      const td = document.createElement('td');
+      td.textContent = value === null || value === undefined ? '-' : String(value);
+      if (classes[i]) td.className = classes[i];
+      tr.appendChild(td);
+    });
+    return tr;
+  }
+  function render(state) {
+    const o = state.overall;
+    $('run').textContent = state.runId || '-';
+    $('updated').textContent = time(state.updatedAt);
+    $('bar').style.width = o.percent + '%';
+    $('progress').textContent = o.processed + '/' + o.total + ' (' + o.percent + '%)';
+    $('success').textContent = o.success;
+    $('error').textContent = o.error;
+    $('skip').textContent = o.skip;
+    $('speed').textContent = o.rowsPerMin === null ? '-' : o.rowsPerMin;
+    $('eta').textContent = duration(o.etaSec);
+    $('workers').replaceChildren(...state.workers.map(w =>
+      row([w.id, w.status, w.progress, w.current, w.success, w.error, w.skip, w.rate, time(w.lastActivity)], { 1: w.status })));
+    $('errors').replaceChildren(...state.errors.map(e =>
+      row([time(e.ts), e.workerId, e.rowIndex, e.name, e.email, e.class, e.message], { 5: e.class, 6: 'msg' })));
+  }
+  function appendLog(line) {
+    const log = $('log');
+    const atBottom = log.scrollTop + log.clientHeight >= log.scrollHeight - 20;
+    log.appendChild(document.createTextNode(line + '\\n'));
+    while (log.childNodes.length > 500) log.removeChild(log.firstChild);
+    if (atBottom) log.scrollTop = log.scrollHeight;
+  }
+  const source = new EventSource('events');
+  source.addEventListener('state', e => render(JSON.parse(e.data)));
+  source.addEventListener('log', e => appendLog(JSON.parse(e.data)));
+  source.onopen = () => { $('conn').textContent = '● terhubung'; $('conn').className = 'muted'; };
+  source.onerror = () => { $('conn').textContent = '● terputus, mencoba lagi...'; $('conn').className = 'muted off'; };
+</script>
+</body>
+</html>
+`;
+
+// Serve the dashboard over HTTP:
+//   GET /            page
+//   GET /api/state   current snapshot (JSON from getState())
+//   GET /events      server-sent events: 'state' every intervalMs, 'log' per log line
+// Resolves to { server, url, pushLog(line) }.
+function startDashboardServer({ getState, host = '127.0.0.1', port = DEFAULT_DASHBOARD_PORT, intervalMs = 2000 }) {
+  const clients = new Set();
+  const backlog = [];
+
+  const snapshot = () => {
+    try {
+      return getState();
+    } catch (error) {
+      return { error: error.message };
+    }
+  };
+  const send = (res, event, data) => res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+  const broadcast = (event, data) => {
+    for (const res of clients) send(res, event, data);
+  };
+
+  const server = http.createServer((req, res) => {
+    const route = `${req.method} ${req.url.split('?')[0]}`;
+    if (route === 'GET /') {
+      res.writeHead(200, { 'Content-Type': 'text/html; charset=utf-8' });
+      res.end(DASHBOARD_HTML);
+    } else if (route === 'GET /api/state') {
+      res.writeHead(200, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify(snapshot()));
+    } else if (route === 'GET /events') {
+      res.writeHead(200, {
+        'Content-Type': 'text/event-stream',
+        'Cache-Control': 'no-cache',
+        Connection: 'keep-alive'
+      });
+      res.write('retry: 3000\n\n');
+      clients.add(res);
+      send(res, 'state', snapshot());
+      for (const line of backlog) send(res, 'log', line);
+      req.on('close', () => clients.delete(res));
+    } else {
+      res.writeHead(404, { 'Content-Type': 'text/plain' });
+      res.end('Not found\n');
+    }
+  });
+
+  const timer = setInterval(() => {
+    if (clients.size) broadcast('state', snapshot());
+  }, intervalMs);
+  timer.unref();
+  server.on('close', () => clearInterval(timer));
+
+  const pushLog = (line) => {
+    backlog.push(line);
+    if (backlog.length > LOG_BACKLOG) backlog.shift();
+    broadcast('log', line);
+  };
+
+  return new Promise((resolve, reject) => {
+    server.once('error', reject);
+    server.listen(port, host, () => {
+      const { port: boundPort } = server.address();
+      resolve({ server, url: `http://${host}:${boundPort}/`, pushLog });
+    });
+  });
+}
+
+module.exports = {
+  DEFAULT_DASHBOARD_PORT,
+  startDashboardServer
+};
@@ -0,0 +1,98 @@
+const crypto = require('crypto');
+
+// Drive API batch endpoint accepts at most 100 calls per request
+const BATCH_LIMIT = 100;
+const DEFAULT_BATCH_URL = 'https://www.googleapis.com/batch/drive/v3';
+
+function toQueryString(query = {}) {
+  const params = new URLSearchParams();
+  for (const [key, value] of Object.entries(query)) {
+    if (value !== undefined && value !== null) params.append(key, String(value));
+  }
+  const text = params.toString();
+  return text ? `?${text}` : '';
+}
+
+// Build a multipart/mixed batch body. requests: [{ method, path, query, body }]
+// where path is relative to the Drive v3 API, e.g. /files/{id}/permissions.
+// Each part gets Content-ID <item-N> (N = index in requests).
+function buildBatchBody(requests, boundary) {
+  const parts = requests.map((req, index) => {
+    const lines = [
+      `--${boundary}`,
+      'Content-Type: application/http',
+      `Content-ID: <item-${index}>`,
+      '',
+      `${req.method} /drive/v3${req.path}${toQueryString(req.query)} HTTP/1.1`
+    ];
+    if (req.body !== undefined) {
+      const json = JSON.stringify(req.body);
+      lines.push('Content-Type: application/json; charset=UTF-8', '', json);
+    } else {
+      lines.push('');
+    }
+    return lines.join('\r\n');
+  });
+  return `${parts.join('\r\n')}\r\n--${boundary}--\r\n`;
+}
+
+// Parse a multipart/mixed batch response into [{ index, status, body }]
+// (index taken from Content-ID: <response-item-N>).
+function parseBatchResponse(text, contentType) {
+  const match = /boundary=("?)([^";]+)\1/i.exec(contentType || '');
+  if (!match) throw new Error(`Batch response without multipart boundary (${contentType || 'no content-type'})`);
+  const boundary = match[2];
+  const results = [];
+  for (const rawPart of String(text).split(`--${boundary}`)) {
+    const part = rawPart.replace(/^\r?\n/, '');
+    if (!part.trim() || part.startsWith('--')) continue;
+    const idMatch = /Content-ID:\s*<response-item-(\d+)>/i.exec(part);
+    const statusMatch = /HTTP\/\d(?:\.\d)?\s+(\d{3})/.exec(part);
+    if (!idMatch || !statusMatch) continue;
+    // Body = everything after the blank line that ends the embedded HTTP headers
+    const afterStatus = part.slice(statusMatch.index);
+    const bodyStart = afterStatus.search(/\r?\n\r?\n/);
+    const rawBody = bodyStart === -1 ? '' : afterStatus.slice(bodyStart).trim();
+    let body = null;
+    if (rawBody) {
+      try {
+        body = JSON.parse(rawBody);
+      } catch (_) {
+        body = { raw: rawBody };
+      }
+    }
+    results.push({ index: Number(idMatch[1]), status: Number(statusMatch[1]), body });
+  }
+  return results;
+}
+
+// Turn a failed sub-response into an error shaped like a googleapis (gaxios)
+// error, so the usual error helpers (status/reasons/classification) apply
+function subResponseError(result) {
+  const dataErr = result.body && result.body.error ? result.body.error : null;
+  const error = new Error(dataErr?.message || `Batch sub-request failed with HTTP ${result.status}`);
+  error.code = result.status;
+  error.response = { status: result.status, data: result.body || {} };
+  return error;
+}
+
+// Split into chunks of at most `size`
+function chunk(list, size = BATCH_LIMIT) {
+  const chunks = [];
+  for (let i = 0; i < list.length; i += size) chunks.push(list.slice(i, i + size));
+  return chunks;
+}
+
+function newBoundary() {
+  return `batch_${crypto.randomBytes(12).toString('hex')}`;
+}
+
+module.exports = {
+  BATCH_LIMIT,
+  DEFAULT_BATCH_URL,
+  buildBatchBody,
+  parseBatchResponse,
+  subResponseError,
+  chunk,
+  newBoundary
+};
@@ -0,0 +1,68 @@
+const EMAIL_REGEX = /^[a-zA-Z0-9._%+-]+@[a-zA-Z0-9.-]+\.[a-zA-Z]{2,}$/;
+
+// Policy modes:
+//  - allowlist: domain must match allowedDomains (empty list = any domain)
+//  - try:       any domain is attempted; Drive decides (cannotInviteNonGoogleUser
+//               is then reported as "no Google account")
+// deniedDomains always applies.
+const POLICY_MODES = ['allowlist', 'try'];
+
+// Parse a comma/space separated domain list into lowercase patterns
+function parseDomainList(value) {
+  if (Array.isArray(value)) return value.map(d => String(d).trim().toLowerCase()).filter(Boolean);
+  return String(value || '').split(/[\s,;]+/).map(d => d.trim().toLowerCase()).filter(Boolean);
+}
+
+// Pattern "sch.id" matches only that domain; "*.sch.id" or ".sch.id" also
+// matches any subdomain (e.g. smpn1.sch.id)
+function domainMatches(domain, pattern) {
+  const d = domain.toLowerCase();
+  const p = pattern.toLowerCase();
+  if (p.startsWith('*.') || p.startsWith('.')) {
+    const base = p.replace(/^\*?\./, '');
+    return d === base || d.endsWith(`.${base}`);
+  }
+  return d === p;
+}
+
+// Evaluate an email against the policy.
+// Returns { ok: true } or { ok: false, code, rule, explanation }
+function evaluateEmail(email, policy = {}) {
+  const mode = POLICY_MODES.includes(policy.mode) ? policy.mode : 'allowlist';
+  const allowed = parseDomainList(policy.allowedDomains);
+  const denied = parseDomainList(policy.deniedDomains);
+
+  if (!EMAIL_REGEX.test(email)) {
+    return { ok: false, code: 'INVALID EMAIL FORMAT', rule: 'format', explanation: 'Format email tidak valid' };
+  }
+
+  const domain = email.split('@').pop().toLowerCase();
+  const deniedBy = denied.find(p => domainMatches(domain, p));
+  if (deniedBy) {
+    return {
+      ok: false,
+      code: 'DOMAIN DENIED',
+      rule: `deniedEmailDomains=${deniedBy}`,
+      explanation: `Domain @${domain} ada di daftar blokir (${deniedBy})`
+    };
+  }
+
+  if (mode === 'allowlist' && allowed.length > 0 && !allowed.some(p => domainMatches(domain, p))) {
+    return {
+      ok: false,
+      code: 'DOMAIN NOT ALLOWED',
+      rule: `allowedEmailDomains=${allowed.join('|')}`,
+      explanation: `Hanya domain ${allowed.map(p => '@' + p).join(', ')} yang diizinkan`
+    };
+  }
+
+  return { ok: true };
+}
+
+module.exports = {
+  EMAIL_REGEX,
+  POLICY_MODES,
+  parseDomainList,
+  domainMatches,
+  evaluateEmail
+};
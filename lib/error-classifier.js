@@ -0,0 +1,80 @@
+// Failure classification stored in the ErrorClass column:
+//  - TRANSIENT: may succeed later (rate limit, network, 5xx) - picked up by --retry-failed
+//  - PERMANENT: needs a fix in the sheet or Drive (invalid email, non-Google user, folder not found)
+const ERROR_CLASSES = { TRANSIENT: 'TRANSIENT', PERMANENT: 'PERMANENT' };
+
+const TRANSIENT_REASONS = [
+  'rateLimitExceeded',
+  'userRateLimitExceeded',
+  'sharingRateLimitExceeded',
+  'backendError',
+  'internalError'
+];
+
+const TRANSIENT_NETWORK_CODES = [
+  'ECONNRESET',
+  'ECONNREFUSED',
+  'ECONNABORTED',
+  'ETIMEDOUT',
+  'ESOCKETTIMEDOUT',
+  'EPIPE',
+  'EAI_AGAIN',
+  'ENOTFOUND',
+  'ENETUNREACH'
+];
+
+// Classify a thrown Google API / network error
+function classifyError(error) {
+  const status = error?.response?.status;
+  const code = error?.code;
+  const dataErr = error?.response?.data?.error;
+  const reasons = Array.isArray(dataErr?.errors) ? dataErr.errors.map(e => e.reason).filter(Boolean) : [];
+
+  if (reasons.some(r => TRANSIENT_REASONS.includes(r))) return ERROR_CLASSES.TRANSIENT;
+  const httpStatus = Number(status || (typeof code === 'number' ? code : 0));
+  if (httpStatus === 408 || httpStatus === 429 || httpStatus >= 500) return ERROR_CLASSES.TRANSIENT;
+  if (typeof code === 'string' && TRANSIENT_NETWORK_CODES.includes(code)) return ERROR_CLASSES.TRANSIENT;
+  // Request never got an HTTP response (socket hang up, timeouts without a code)
+  if (!httpStatus && /timeout|timed out|socket hang up|network/i.test(String(error?.message || ''))) {
+    return ERROR_CLASSES.TRANSIENT;
+  }
+  return ERROR_CLASSES.PERMANENT;
+}
+
+// Rate-limit response: HTTP 429, or 403 with a rate-limit reason
+function isRateLimitError(error) {
+  const status = error?.response?.status || error?.code;
+  const reason = error?.response?.data?.error?.errors?.[0]?.reason || error?.errors?.[0]?.reason || '';
+  if (status === 429) return true;
+  if (status !== 403) return false;
+  const r = String(reason);
+  return (
+    r.includes('rateLimitExceeded') ||
+    r.includes('userRateLimitExceeded') ||
+    r.includes('sharingRateLimitExceeded')
+  );
+}
+
+// HTTP status, error reasons, message and domain of a Google API error
+function extractErrorDetails(error) {
+  const status = error?.response?.status || error?.code || null;
+  const dataErr = error?.response?.data?.error;
+  const reasons = Array.isArray(dataErr?.errors) ? dataErr.errors.map(e => e.reason).filter(Boolean) : [];
+  const message = dataErr?.message || error?.message || String(error);
+  const domain = Array.isArray(dataErr?.errors) ? dataErr.errors.map(e => e.domain).filter(Boolean).join(',') : null;
+  return { status, reasons, message, domain };
+}
+
+// Parse the Attempts cell (empty/invalid -> 0)
+function parseAttempts(value) {
+  const n = parseInt(String(value || '').trim(), 10);
+  return Number.isFinite(n) && n > 0 ? n : 0;
+}
+
+module.exports = {
+  ERROR_CLASSES,
+  classifyError,
+  isRateLimitError,
+  extractErrorDetails,
+  parseAttempts
+};
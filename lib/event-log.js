@@ -0,0 +1,128 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+// Bump when a field is renamed/removed or its meaning changes; adding fields
+// is backwards compatible and keeps the version.
+const EVENT_SCHEMA_VERSION = 1;
+
+// Event types:
+//   run_start  { action, total, dryRun, mode, source, profile }
+//   row        { action, outcome, rowIndex, name, email, folderId, role, reason, timings, error }
+//   throttle   { delayMs, ratePerSec, reason, previousMs }
+//   run_end    { action, stats, source }
+// Row outcomes: granted | revoked | dry_run | skipped | error | recovered
+const ROW_OUTCOMES = ['granted', 'revoked', 'dry_run', 'skipped', 'error', 'recovered'];
+
+function newRunId(date = new Date()) {
+  const pad = n => String(n).padStart(2, '0');
+  const stamp = `${date.getFullYear()}${pad(date.getMonth() + 1)}${pad(date.getDate())}-${pad(date.getHours())}${pad(date.getMinutes())}${pad(date.getSeconds())}`;
+  return `run-${stamp}-${crypto.randomBytes(3).toString('hex')}`;
+}
+
+// Append-only NDJSON event stream (one JSON object per line). Every event
+// carries the schema version, timestamp, run id and worker id.
+class EventLog {
+  constructor({ filePath, runId, workerId }) {
+    this.filePath = filePath;
+    this.runId = runId;
+    this.workerId = workerId;
+    fs.mkdirSync(path.dirname(filePath), { recursive: true });
+    this.stream = fs.createWriteStream(filePath, { flags: 'a' });
+  }
+
+  emit(type, fields = {}) {
+    const event = { v: EVENT_SCHEMA_VERSION, ts: new Date().toISOString(), type, runId: this.runId, workerId: this.workerId, ...fields };
+    try {
+      this.stream.write(JSON.stringify(event) + '\n');
+    } catch (_) {}
+    return event;
+  }
+
+  // Resolves once everything emitted so far has reached the file
+  flush() {
+    return new Promise(resolve => this.stream.write('', () => resolve()));
+  }
+
+  close() {
+    return new Promise(resolve => this.stream.end(resolve));
+  }
+}
+
+// Parse one NDJSON line; null for blank/torn lines and newer schema versions
+function parseEvent(line) {
+  if (!line || !line.trim()) return null;
+  try {
+    const event = JSON.parse(line);
+    if (!event || typeof event !== 'object' || typeof event.type !== 'string') return null;
+    if (Number(event.v) > EVENT_SCHEMA_VERSION) return null;
+    return event;
+  } catch (_) {
+    return null;
+  }
+}
+
+// All readable events of a file, in order
+function readEvents(filePath) {
+  if (!fs.existsSync(filePath)) return [];
+  return fs.readFileSync(filePath, 'utf8').split('\n').map(parseEvent).filter(Boolean);
+}
+
+// Fold one worker's events into display counters. success/error/skip count
+// every row event in the file; total/processed refer to the latest run_start
+// of each source, summed when a worker goes through several sheet tabs.
+function summarizeEvents(events) {
+  const summary = {
+    runId: null,
+    workerId: null,
+    total: 0,
+    processed: 0,
+    success: 0,
+    error: 0,
+    skip: 0,
+    current: null,
+    ratePerSec: null,
+    lastTs: null,
+    finished: false,
+    source: null
+  };
+  const sources = new Map(); // source -> { total, processed } of its latest run_start
+  let current = null;
+  for (const event of events) {
+    summary.lastTs = event.ts || summary.lastTs;
+    summary.runId = event.runId || summary.runId;
+    summary.workerId = event.workerId || summary.workerId;
+    if (event.type === 'run_start') {
+      current = { total: Number(event.total) || 0, processed: 0 };
+      sources.set(event.source || null, current);
+      summary.source = event.source || null;
+      summary.finished = false;
+    } else if (event.type === 'run_end') {
+      summary.finished = true;
+    } else if (event.type === 'throttle') {
+      summary.ratePerSec = Number(event.ratePerSec);
+    } else if (event.type === 'row' && event.outcome !== 'recovered') {
+      if (!current) sources.set(null, current = { total: 0, processed: 0 });
+      current.processed++;
+      if (event.outcome === 'skipped') summary.skip++;
+      else if (event.outcome === 'error') summary.error++;
+      else summary.success++;
+      summary.current = event.name || String(event.email || '').split('@')[0] || summary.current;
+    }
+  }
+  for (const { total, processed } of sources.values()) {
+    summary.total += total;
+    summary.processed += processed;
+  }
+  return summary;
+}
+
+module.exports = {
+  EVENT_SCHEMA_VERSION,
+  ROW_OUTCOMES,
+  newRunId,
+  EventLog,
+  parseEvent,
+  readEvents,
+  summarizeEvents
+};
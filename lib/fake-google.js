@@ -0,0 +1,462 @@
+const http = require('http');
+const crypto = require('crypto');
+const { apiMethodName } = require('./google-endpoint');
+
+// In-memory stand-in for the parts of Drive v3 and Sheets v4 the tools use:
+//   GET    /drive/v3/files                          files.list ('X' in parents, name contains/=, mimeType, trashed)
+//   GET    /drive/v3/files/:id                      files.get
+//   GET    /drive/v3/files/:id/permissions          permissions.list (paged)
+//   POST   /drive/v3/files/:id/permissions          permissions.create
+//   DELETE /drive/v3/files/:id/permissions/:pid     permissions.delete
+//   POST   /batch/drive/v3                          multipart batch of the calls above
+//   GET    /v4/spreadsheets/:id/values/:range       values.get
+//   PUT    /v4/spreadsheets/:id/values/:range       values.update
+//   POST   /v4/spreadsheets/:id/values:batchUpdate  values.batchUpdate
+// plus /__fake/state, /__fake/faults and /__fake/reset for tests.
+
+const FOLDER_MIME = 'application/vnd.google-apps.folder';
+const GRANT_ROLES = ['reader', 'commenter', 'writer', 'fileOrganizer', 'organizer', 'owner'];
+const DEFAULT_FAULT_REASONS = { 400: 'badRequest', 403: 'userRateLimitExceeded', 404: 'notFound', 429: 'rateLimitExceeded', 500: 'backendError', 503: 'backendError' };
+const STATUS_NAMES = { 400: 'INVALID_ARGUMENT', 403: 'PERMISSION_DENIED', 404: 'NOT_FOUND', 429: 'RESOURCE_EXHAUSTED', 500: 'INTERNAL', 503: 'UNAVAILABLE' };
+
+// Small data set: parent -> city folders -> participant folders, and a sheet
+// with a same-name pair, a denied domain, an address without Google account
+// and a participant without folder
+function demoFixture() {
+  const participants = [
+    ['GRESIK', 'Ahmad Fauzi', 'ahmad.fauzi@gmail.com'],
+    ['GRESIK', 'Siti Aminah', 'siti.aminah@gmail.com'],
+    ['GRESIK', 'Budi Santoso', 'budi.gresik@gmail.com'],
+    ['SURABAYA', 'Budi Santoso', 'budi.sby@gmail.com'],
+    ['SURABAYA', 'Dewi Lestari', 'dewi.lestari@yahoo.com'],
+    ['SURABAYA', 'Rina Wulandari', 'rina.nogoogle@gmail.com'],
+    ['SURABAYA', 'Tanpa Folder', 'tanpa.folder@gmail.com']
+  ];
+  const files = [
+    { id: 'demo-parent', name: 'Sertifikat OSI 2', parents: [], permissions: [{ type: 'user', role: 'owner', emailAddress: 'owner@example.com' }] },
+    { id: 'demo-gresik', name: 'GRESIK', parents: ['demo-parent'] },
+    { id: 'demo-surabaya', name: 'SURABAYA', parents: ['demo-parent'] }
+  ];
+  participants.forEach(([city, name], i) => {
+    if (name === 'Tanpa Folder') return;
+    files.push({ id: `demo-p${i + 1}`, name: name.toUpperCase(), parents: [`demo-${city.toLowerCase()}`] });
+  });
+  return {
+    files,
+    spreadsheets: {
+      'demo-sheet': {
+        participants: [['Nama', 'Email', 'Kota'], ...participants.map(([city, name, email]) => [name, email, city])]
+      }
+    },
+    nonGoogleAccounts: ['rina.nogoogle@gmail.com'],
+    faults: []
+  };
+}
+
+function clone(value) {
+  return JSON.parse(JSON.stringify(value));
+}
+
+function apiError(status, reason, message) {
+  return {
+    status,
+    body: { error: { code: status, message, errors: [{ domain: 'global', reason, message }], status: STATUS_NAMES[status] || 'UNKNOWN' } }
+  };
+}
+
+// A1 column letters -> 0-based index
+function colIndex(letters) {
+  let n = 0;
+  for (const ch of letters.toUpperCase()) n = n * 26 + (ch.charCodeAt(0) - 64);
+  return n - 1;
+}
+
+// "Tab!A:ZZ", "'My tab'!1:1", "Tab!B5", "Tab" -> { tab, startRow, startCol, endRow, endCol }
+// (0-based, end inclusive, null = open)
+function parseRange(range) {
+  const text = String(range || '');
+  const bang = text.lastIndexOf('!');
+  let tab = bang === -1 ? text : text.slice(0, bang);
+  const ref = bang === -1 ? '' : text.slice(bang + 1);
+  if (/^'.*'$/.test(tab)) tab = tab.slice(1, -1).replace(/''/g, "'");
+  if (!ref) return { tab, startRow: null, startCol: null, endRow: null, endCol: null };
+  const [from, to = from] = ref.split(':');
+  const cell = part => {
+    const m = /^([A-Za-z]*)(\d*)$/.exec(part);
+    if (!m || (!m[1] && !m[2])) return null;
+    return { col: m[1] ? colIndex(m[1]) : null, row: m[2] ? Number(m[2]) - 1 : null };
+  };
+  const a = cell(from);
+  const b = cell(to);
+  if (!a || !b) return null;
+  return { tab, startRow: a.row, startCol: a.col, endRow: b.row, endCol: b.col };
+}
+
+// files.list query: clauses joined by "and"
+function parseQuery(q) {
+  const clauses = [];
+  let rest = String(q || '').trim();
+  const pattern = /^(?:'((?:\\.|[^'\\])*)'\s+in\s+parents|(mimeType|name)\s*(=|!=|contains)\s*'((?:\\.|[^'\\])*)'|trashed\s*=\s*(true|false))\s*(?:\band\b\s*|$)/i;
+  const unescape = s => s.replace(/\\(.)/g, '$1');
+  while (rest) {
+    const m = pattern.exec(rest);
+    if (!m) return null;
+    if (m[1] !== undefined) clauses.push({ field: 'parents', value: unescape(m[1]) });
+    else if (m[2]) clauses.push({ field: m[2], op: m[3].toLowerCase(), value: unescape(m[4]) });
+    else clauses.push({ field: 'trashed', value: m[5].toLowerCase() === 'true' });
+    rest = rest.slice(m[0].length).trim();
+  }
+  return clauses;
+}
+
+function matchesQuery(file, clauses) {
+  return clauses.every(({ field, op, value }) => {
+    if (field === 'parents') return file.parents.includes(value);
+    if (field === 'trashed') return file.trashed === value;
+    const actual = field === 'name' ? file.name : file.mimeType;
+    if (op === 'contains') return actual.toLowerCase().includes(value.toLowerCase());
+    if (op === '!=') return actual !== value;
+    return actual === value;
+  });
+}
+
+function page(list, query, defaultSize, maxSize) {
+  const size = Math.min(maxSize, Number(query.get('pageSize')) || defaultSize);
+  const offset = Number(query.get('pageToken')) || 0;
+  const items = list.slice(offset, offset + size);
+  return { items, nextPageToken: offset + size < list.length ? String(offset + size) : undefined };
+}
+
+// Trim trailing empty cells/rows like the Sheets API does
+function trimValues(rows) {
+  const out = rows.map(row => {
+    const copy = row.slice();
+    while (copy.length && (copy[copy.length - 1] === '' || copy[copy.length - 1] === undefined || copy[copy.length - 1] === null)) copy.pop();
+    return copy.map(v => (v === undefined || v === null ? '' : v));
+  });
+  while (out.length && out[out.length - 1].length === 0) out.pop();
+  return out;
+}
+
+class FakeGoogle {
+  constructor(fixture = demoFixture()) {
+    this.fixture = clone(fixture);
+    this.reset();
+  }
+
+  // Back to the fixture state (files, sheets, faults), counters cleared
+  reset() {
+    const fixture = clone(this.fixture);
+    this.files = new Map();
+    this.nextPermissionId = 1;
+    for (const file of fixture.files || []) {
+      this.files.set(file.id, {
+        id: file.id,
+        name: file.name,
+        mimeType: file.mimeType || FOLDER_MIME,
+        parents: file.parents || [],
+        trashed: !!file.trashed,
+        permissions: (file.permissions || []).map(p => ({ id: p.id || this.newPermissionId(), ...p }))
+      });
+    }
+    this.spreadsheets = new Map();
+    for (const [id, tabs] of Object.entries(fixture.spreadsheets || {})) {
+      this.spreadsheets.set(id, new Map(Object.entries(tabs).map(([tab, rows]) => [tab, rows.map(r => r.map(v => String(v ?? '')))])));
+    }
+    this.nonGoogleAccounts = new Set((fixture.nonGoogleAccounts || []).map(e => e.toLowerCase()));
+    this.faults = [];
+    for (const fault of fixture.faults || []) this.addFault(fault);
+    this.calls = {};
+    this.notifications = [];
+  }
+
+  newPermissionId() {
+    return `perm-${this.nextPermissionId++}`;
+  }
+
+  // Fault rule: { op ('permissions.create', '*', ...), status, reason, times (0 = every
+  // call, default 1), after (let this many matching calls pass first), match (substring
+  // of the request path or body, e.g. an email or folder id) }
+  addFault(rule) {
+    const status = Number(rule.status);
+    if (!status) throw new Error(`Fault needs a status: ${JSON.stringify(rule)}`);
+    this.faults.push({
+      op: rule.op || '*',
+      status,
+      reason: rule.reason || DEFAULT_FAULT_REASONS[status] || 'backendError',
+      times: rule.times === undefined ? 1 : Number(rule.times),
+      after: Number(rule.after) || 0,
+      match: rule.match || null,
+      seen: 0,
+      fired: 0
+    });
+  }
+
+  takeFault(op, path, bodyText) {
+    for (const fault of this.faults) {
+      if (fault.op !== '*' && fault.op !== op) continue;
+      if (fault.match && !path.includes(fault.match) && !(bodyText || '').includes(fault.match)) continue;
+      if (fault.times && fault.fired >= fault.times) continue;
+      fault.seen++;
+      if (fault.seen <= fault.after) continue;
+      fault.fired++;
+      return apiError(fault.status, fault.reason, `Injected fault for ${op}`);
+    }
+    return null;
+  }
+
+  snapshot() {
+    return {
+      files: Array.from(this.files.values()),
+      spreadsheets: Object.fromEntries(Array.from(this.spreadsheets.entries()).map(([id, tabs]) => [id, Object.fromEntries(tabs)])),
+      nonGoogleAccounts: Array.from(this.nonGoogleAccounts),
+      calls: this.calls,
+      notifications: this.notifications,
+      faults: this.faults
+    };
+  }
+
+  // One API call -> { status, body }
+  handle(method, rawUrl, bodyText = '') {
+    const url = new URL(rawUrl, 'http://fake.local');
+    const path = decodeURIComponent(url.pathname);
+    const op = apiMethodName(method, url.pathname);
+    this.calls[op] = (this.calls[op] || 0) + 1;
+    const fault = this.takeFault(op, path, bodyText);
+    if (fault) return fault;
+
+    let body = null;
+    if (bodyText) {
+      try {
+        body = JSON.parse(bodyText);
+      } catch (_) {
+        return apiError(400, 'parseError', 'Request body is not valid JSON');
+      }
+    }
+    let m;
+    if ((m = /^\/drive\/v3\/files\/([^/]+)\/permissions(?:\/([^/]+))?$/.exec(path))) {
+      return this.handlePermissions(method, m[1], m[2], url.searchParams, body);
+    }
+    if ((m = /^\/drive\/v3\/files\/([^/]+)$/.exec(path)) && method === 'GET') {
+      const file = this.files.get(m[1]);
+      return file ? { status: 200, body: this.fileResource(file) } : apiError(404, 'notFound', `File not found: ${m[1]}.`);
+    }
+    if (path === '/drive/v3/files' && method === 'GET') {
+      const clauses = parseQuery(url.searchParams.get('q'));
+      if (!clauses) return apiError(400, 'invalid', `Invalid Value: q=${url.searchParams.get('q')}`);
+      const matches = Array.from(this.files.values())
+        .filter(file => matchesQuery(file, clauses))
+        .sort((a, b) => a.name.localeCompare(b.name) || a.id.localeCompare(b.id));
+      const { items, nextPageToken } = page(matches, url.searchParams, 100, 1000);
+      return { status: 200, body: { files: items.map(f => this.fileResource(f)), ...(nextPageToken ? { nextPageToken } : {}) } };
+    }
+    if ((m = /^\/v4\/spreadsheets\/([^/]+)\/values:batchUpdate$/.exec(path)) && method === 'POST') {
+      return this.handleBatchUpdate(m[1], body || {});
+    }
+    if ((m = /^\/v4\/spreadsheets\/([^/]+)\/values\/(.+)$/.exec(path))) {
+      if (method === 'GET') return this.handleValuesGet(m[1], m[2]);
+      if (method === 'PUT') return this.handleValuesUpdate(m[1], m[2], body || {});
+    }
+    return apiError(404, 'notFound', `No fake handler for ${method} ${path}`);
+  }
+
+  fileResource(file) {
+    return { id: file.id, name: file.name, mimeType: file.mimeType, parents: file.parents, trashed: file.trashed };
+  }
+
+  handlePermissions(method, fileId, permissionId, query, body) {
+    const file = this.files.get(fileId);
+    if (!file) return apiError(404, 'notFound', `File not found: ${fileId}.`);
+    if (method === 'GET' && !permissionId) {
+      const { items, nextPageToken } = page(file.permissions, query, 100, 100);
+      return { status: 200, body: { permissions: items, ...(nextPageToken ? { nextPageToken } : {}) } };
+    }
+    if (method === 'POST' && !permissionId) {
+      const { type = 'user', role, emailAddress, expirationTime } = body || {};
+      if (!GRANT_ROLES.includes(role)) return apiError(400, 'invalid', `The provided value for the role is invalid: ${role}`);
+      if (type === 'user' && !emailAddress) return apiError(400, 'required', 'An email address must be supplied.');
+      const email = String(emailAddress || '').toLowerCase();
+      if (this.nonGoogleAccounts.has(email)) {
+        return apiError(403, 'cannotInviteNonGoogleUser', `Bad Request. User message: "${emailAddress} does not have a Google account."`);
+      }
+      let permission = file.permissions.find(p => p.type === type && String(p.emailAddress || '').toLowerCase() === email);
+      if (permission) {
+        permission.role = role;
+      } else {
+        permission = { id: this.newPermissionId(), type, role, emailAddress, ...(expirationTime ? { expirationTime } : {}) };
+        file.permissions.push(permission);
+      }
+      if (query.get('sendNotificationEmail') === 'true') {
+        this.notifications.push({ fileId, emailAddress, role, message: query.get('emailMessage') || '' });
+      }
+      return { status: 200, body: { kind: 'drive#permission', ...permission } };
+    }
+    if (method === 'DELETE' && permissionId) {
+      const index = file.permissions.findIndex(p => p.id === permissionId);
+      if (index === -1) return apiError(404, 'notFound', `Permission not found: ${permissionId}.`);
+      file.permissions.splice(index, 1);
+      return { status: 204, body: null };
+    }
+    return apiError(404, 'notFound', `No fake handler for ${method} permissions`);
+  }
+
+  tabRows(spreadsheetId, range) {
+    const tabs = this.spreadsheets.get(spreadsheetId);
+    if (!tabs) return { error: apiError(404, 'notFound', 'Requested entity was not found.') };
+    const parsed = parseRange(range);
+    if (!parsed || !tabs.has(parsed.tab)) return { error: apiError(400, 'badRequest', `Unable to parse range: ${range}`) };
+    return { rows: tabs.get(parsed.tab), parsed };
+  }
+
+  handleValuesGet(spreadsheetId, range) {
+    const { rows, parsed, error } = this.tabRows(spreadsheetId, range);
+    if (error) return error;
+    const startRow = parsed.startRow ?? 0;
+    const startCol = parsed.startCol ?? 0;
+    const endRow = parsed.endRow ?? rows.length - 1;
+    const values = trimValues(rows.slice(startRow, endRow + 1).map(row =>
+      parsed.endCol === null ? row.slice(startCol) : row.slice(startCol, parsed.endCol + 1)
+    ));
+    return { status: 200, body: { range, majorDimension: 'ROWS', ...(values.length ? { values } : {}) } };
+  }
+
+  writeValues(rows, parsed, values) {
+    const startRow = parsed.startRow ?? 0;
+    const startCol = parsed.startCol ?? 0;
+    let cells = 0;
+    (values || []).forEach((valueRow, r) => {
+      const rowIndex = startRow + r;
+      while (rows.length <= rowIndex) rows.push([]);
+      (valueRow || []).forEach((value, c) => {
+        const colIdx = startCol + c;
+        while (rows[rowIndex].length <= colIdx) rows[rowIndex].push('');
+        rows[rowIndex][colIdx] = value === null || value === undefined ? '' : String(value);
+        cells++;
+      });
+    });
+    return cells;
+  }
+
+  handleValuesUpdate(spreadsheetId, range, body) {
+    const { rows, parsed, error } = this.tabRows(spreadsheetId, range);
+    if (error) return error;
+    const cells = this.writeValues(rows, parsed, body.values);
+    return { status: 200, body: { spreadsheetId, updatedRange: range, updatedCells: cells } };
+  }
+
+  handleBatchUpdate(spreadsheetId, body) {
+    const data = body.data || [];
+    // Validate every range first: the real API applies all or nothing
+    const targets = [];
+    for (const item of data) {
+      const { rows, parsed, error } = this.tabRows(spreadsheetId, item.range);
+      if (error) return error;
+      targets.push({ rows, parsed, item });
+    }
+    let total = 0;
+    const responses = targets.map(({ rows, parsed, item }) => {
+      const cells = this.writeValues(rows, parsed, item.values);
+      total += cells;
+      return { spreadsheetId, updatedRange: item.range, updatedCells: cells };
+    });
+    return { status: 200, body: { spreadsheetId, totalUpdatedCells: total, responses } };
+  }
+
+  // multipart/mixed batch: every part is an HTTP request line, headers and JSON body
+  handleBatch(contentType, text) {
+    const match = /boundary=("?)([^";]+)\1/i.exec(contentType || '');
+    if (!match) return { status: 400, contentType: 'text/plain', text: 'Missing multipart boundary' };
+    const parts = text.split(`--${match[2]}`).slice(1).filter(part => !part.startsWith('--'));
+    const boundary = `batch_fake_${crypto.randomBytes(6).toString('hex')}`;
+    const out = [];
+    for (const part of parts) {
+      const idMatch = /Content-ID:\s*<([^>]+)>/i.exec(part);
+      const requestStart = part.search(/(GET|POST|PUT|PATCH|DELETE) \/\S* HTTP\/1\.1/);
+      if (requestStart === -1) continue;
+      const request = part.slice(requestStart).replace(/\r\n/g, '\n');
+      const [head, ...bodyParts] = request.split('\n\n');
+      const [method, reqUrl] = head.split('\n')[0].split(' ');
+      const { status, body } = this.handle(method, reqUrl, bodyParts.join('\n\n').trim());
+      const contentId = idMatch ? `response-${idMatch[1]}` : `response-${out.length + 1}`;
+      out.push(`--${boundary}\r\nContent-Type: application/http\r\nContent-ID: <${contentId}>\r\n\r\n` +
+        `HTTP/1.1 ${status} ${http.STATUS_CODES[status] || ''}\r\nContent-Type: application/json; charset=UTF-8\r\n\r\n` +
+        `${body ? JSON.stringify(body) : ''}\r\n`);
+    }
+    return { status: 200, contentType: `multipart/mixed; boundary=${boundary}`, text: `${out.join('')}--${boundary}--\r\n` };
+  }
+}
+
+// Serve a FakeGoogle over HTTP; resolves to { server, url, fake }.
+// onRequest(method, url, status) is called for every API call (not batch parts).
+function startFakeGoogleServer({ fixture, fake = new FakeGoogle(fixture), host = '127.0.0.1', port = 0, onRequest = null } = {}) {
+  const server = http.createServer((req, res) => {
+    const chunks = [];
+    req.on('data', chunk => chunks.push(chunk));
+    req.on('end', () => {
+      const text = Buffer.concat(chunks).toString('utf8');
+      const route = req.url.split('?')[0];
+      const sendJson = (status, body) => {
+        res.writeHead(status, { 'Content-Type': 'application/json; charset=UTF-8' });
+        res.end(body === null ? '' : JSON.stringify(body));
+      };
+      try {
+        if (route.startsWith('/__fake/')) {
+          if (req.method === 'GET' && route === '/__fake/state') return sendJson(200, fake.snapshot());
+          if (req.method === 'POST' && route === '/__fake/reset') {
+            fake.reset();
+            return sendJson(200, { ok: true });
+          }
+          if (req.method === 'POST' && route === '/__fake/faults') {
+            const rules = JSON.parse(text || '[]');
+            for (const rule of Array.isArray(rules) ? rules : [rules]) fake.addFault(rule);
+            return sendJson(200, { faults: fake.faults });
+          }
+          if (req.method === 'DELETE' && route === '/__fake/faults') {
+            fake.faults = [];
+            return sendJson(200, { faults: [] });
+          }
+          return sendJson(404, { error: 'unknown control route' });
+        }
+        if (req.method === 'POST' && route === '/batch/drive/v3') {
+          fake.calls['drive.batch'] = (fake.calls['drive.batch'] || 0) + 1;
+          const fault = fake.takeFault('drive.batch', route, '');
+          if (fault) return sendJson(fault.status, fault.body);
+          const result = fake.handleBatch(req.headers['content-type'], text);
+          res.writeHead(result.status, { 'Content-Type': result.contentType });
+          res.end(result.text);
+          if (onRequest) onRequest(req.method, req.url, result.status);
+          return;
+        }
+        const { status, body } = fake.handle(req.method, req.url, text);
+        sendJson(status, body);
+        if (onRequest) onRequest(req.method, req.url, status);
+      } catch (error) {
+        sendJson(500, apiError(500, 'backendError', error.message).body);
+      }
+    });
+  });
+  return new Promise((resolve, reject) => {
+    server.once('error', reject);
+    server.listen(port, host, () => {
+      const { port: boundPort } = server.address();
+      resolve({ server, url: `http://${host}:${boundPort}/`, fake });
+    });
+  });
+}
+
+// "--fault op:status[:times[:reason]]" -> fault rule
+function parseFaultSpec(spec) {
+  const [op, status, times, reason] = String(spec).split(':');
+  if (!op || !Number(status)) throw new Error(`Invalid fault '${spec}' (expected op:status[:times[:reason]])`);
+  return { op, status: Number(status), ...(times !== undefined && times !== '' ? { times: Number(times) } : {}), ...(reason ? { reason } : {}) };
+}
+
+module.exports = {
+  FOLDER_MIME,
+  demoFixture,
+  parseRange,
+  parseQuery,
+  parseFaultSpec,
+  FakeGoogle,
+  startFakeGoogleServer
+};
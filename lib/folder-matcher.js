@@ -0,0 +1,212 @@
+// Scored folder-name matching: accent/punctuation normalisation, token-based
+// similarity, a confidence threshold and ambiguity detection.
+
+const DEFAULT_THRESHOLD = 0.85;
+const DEFAULT_AMBIGUITY_MARGIN = 0.05;
+
+// Common spelling variants mapped to one canonical token
+const TOKEN_ALIASES = {
+  m: 'muhammad',
+  muh: 'muhammad',
+  moh: 'muhammad',
+  mohd: 'muhammad',
+  muhamad: 'muhammad',
+  muhammad: 'muhammad',
+  mohamad: 'muhammad',
+  mohammad: 'muhammad',
+  mochammad: 'muhammad',
+  moch: 'muhammad'
+};
+
+// Lowercase, strip accents and punctuation, collapse whitespace
+function normalizeName(value) {
+  return String(value || '')
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, ' ')
+    .trim();
+}
+
+function tokenize(value) {
+  const normalized = normalizeName(value);
+  if (!normalized) return [];
+  return normalized.split(' ').map(t => TOKEN_ALIASES[t] || t);
+}
+
+function levenshtein(a, b) {
+  if (a === b) return 0;
+  if (!a.length) return b.length;
+  if (!b.length) return a.length;
+  let prev = Array.from({ length: b.length + 1 }, (_, i) => i);
+  for (let i = 1; i <= a.length; i++) {
+    const cur = [i];
+    for (let j = 1; j <= b.length; j++) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      cur[j] = Math.min(prev[j] + 1, cur[j - 1] + 1, prev[j - 1] + cost);
+    }
+    prev = cur;
+  }
+  return prev[b.length];
+}
+
+// Similarity of two tokens in [0, 1]: exact, initial ("a" ~ "aufa"), or
+// edit-distance ratio for small typos (ignored below 0.75)
+function tokenSimilarity(a, b) {
+  if (a === b) return 1;
+  if ((a.length === 1 && b.startsWith(a)) || (b.length === 1 && a.startsWith(b))) return 0.8;
+  const ratio = 1 - levenshtein(a, b) / Math.max(a.length, b.length);
+  return ratio >= 0.75 ? ratio : 0;
+}
+
+// Dice-style score over tokens: every token on either side that has no
+// counterpart lowers the score, so "ARYA" vs "ARYA AUFARDHANA ZUHDY" is 0.5
+function scoreTokens(targetTokens, candidateTokens) {
+  if (!targetTokens.length || !candidateTokens.length) return 0;
+  const used = new Set();
+  let total = 0;
+  for (const t of targetTokens) {
+    let best = 0;
+    let bestIdx = -1;
+    candidateTokens.forEach((c, idx) => {
+      if (used.has(idx)) return;
+      const sim = tokenSimilarity(t, c);
+      if (sim > best) {
+        best = sim;
+        bestIdx = idx;
+      }
+    });
+    if (bestIdx !== -1) {
+      used.add(bestIdx);
+      total += best;
+    }
+  }
+  return (2 * total) / (targetTokens.length + candidateTokens.length);
+}
+
+function scoreNames(target, candidate) {
+  return scoreTokens(tokenize(target), tokenize(candidate));
+}
+
+// Share of one side's tokens found in the other (best of both directions),
+// so "GRESIK" vs "OSI 2 di kota Gresik" scores 1
+function containmentScore(aTokens, bTokens) {
+  if (!aTokens.length || !bTokens.length) return 0;
+  const coverage = (x, y) => x.reduce((sum, t) => sum + Math.max(0, ...y.map(u => tokenSimilarity(t, u))), 0) / x.length;
+  return Math.max(coverage(aTokens, bTokens), coverage(bTokens, aTokens));
+}
+
+// Score a candidate's ancestor folder names against row values (e.g. city).
+// Each target takes its best ancestor. A candidate without path info (flat
+// name -> id mapping) cannot confirm the expected ancestors and scores 0, so
+// a same-name folder in another city is never picked on the name alone.
+function scoreAncestors(targetTokenLists, pathTokenLists) {
+  const targets = targetTokenLists.filter(t => t.length);
+  if (!targets.length) return 1;
+  if (!pathTokenLists || !pathTokenLists.length) return 0;
+  const scores = targets.map(t => Math.max(...pathTokenLists.map(p => containmentScore(t, p))));
+  return scores.reduce((a, b) => a + b, 0) / scores.length;
+}
+
+// Score candidates ({ id, name, tokens?, path?, pathTokens? }) against a target
+// name, best first. options.ancestors lists expected ancestor names (shallow to
+// deep, e.g. [kota]); the leaf score is weighted by how well they match the path.
+function rankCandidates(target, candidates, options = {}) {
+  const targetTokens = tokenize(target);
+  const ancestorTokens = (options.ancestors || []).map(tokenize);
+  return candidates
+    .map(c => {
+      const leaf = scoreTokens(targetTokens, c.tokens || tokenize(c.name));
+      const pathTokens = c.pathTokens || (Array.isArray(c.path) ? c.path.map(tokenize) : null);
+      const score = leaf > 0 ? leaf * scoreAncestors(ancestorTokens, pathTokens) : 0;
+      return { ...c, score };
+    })
+    .filter(c => c.score > 0)
+    .sort((a, b) => b.score - a.score);
+}
+
+// Decide on a match:
+//  - { status: 'matched', match }      one candidate above threshold, clear winner
+//  - { status: 'ambiguous', candidates } two or more folders within the margin
+//  - { status: 'none', best }          nothing reached the threshold
+function pickBestMatch(target, candidates, options = {}) {
+  const threshold = options.threshold ?? DEFAULT_THRESHOLD;
+  const margin = options.ambiguityMargin ?? DEFAULT_AMBIGUITY_MARGIN;
+  const ranked = options.ranked ? candidates : rankCandidates(target, candidates, options);
+
+  // Same folder can appear under several names (e.g. mapping case variants)
+  const byId = new Map();
+  for (const c of ranked) {
+    if (!byId.has(c.id)) byId.set(c.id, c);
+  }
+  const unique = Array.from(byId.values());
+  const best = unique[0];
+  if (!best || best.score < threshold) return { status: 'none', best: best || null };
+
+  const close = unique.filter(c => c.score >= threshold && best.score - c.score <= margin);
+  if (close.length > 1) return { status: 'ambiguous', candidates: close };
+  return { status: 'matched', match: best };
+}
+
+// Render a folder path pattern such as "{Kota}/{Nama Peserta}" for one row.
+// lookup(placeholder) returns the row value; returns the rendered segments
+// (shallow to deep, last one is the participant folder).
+function renderFolderPath(pattern, lookup) {
+  return String(pattern || '')
+    .split('/')
+    .map(seg => seg.trim())
+    .filter(Boolean)
+    .map(seg => seg.replace(/\{([^}]+)\}/g, (_, key) => String(lookup(key.trim()) || '')).trim());
+}
+
+// Spellings of a name to try with Drive name queries (case, spacing, titles
+// such as "Dr"/"Hj", punctuation); empty variants dropped
+function createSearchVariations(name) {
+  const variations = new Set();
+
+  // Original name
+  variations.add(name);
+  variations.add(name.toLowerCase());
+  variations.add(name.toUpperCase());
+
+  // Remove extra spaces and normalize
+  const normalized = name.replace(/\s+/g, ' ').trim();
+  variations.add(normalized);
+  variations.add(normalized.toLowerCase());
+
+  // Remove common prefixes/suffixes with their dot, then the separators they leave behind
+  const withoutPrefixes = name
+    .replace(/\b(muhammad|moh|drs|dr|prof|hj|h)\b\.?/gi, '')
+    .replace(/\s+/g, ' ')
+    .replace(/([.,])(\s*[.,])+/g, '$1')
+    .replace(/^[\s.,-]+|[\s.,-]+$/g, '');
+  if (withoutPrefixes && withoutPrefixes !== name) {
+    variations.add(withoutPrefixes);
+    variations.add(withoutPrefixes.toLowerCase());
+  }
+
+  // Remove dots and special characters
+  const withoutSpecialChars = name.replace(/[\.,-]/g, ' ').replace(/\s+/g, ' ').trim();
+  if (withoutSpecialChars && withoutSpecialChars !== name) {
+    variations.add(withoutSpecialChars);
+    variations.add(withoutSpecialChars.toLowerCase());
+  }
+
+  return Array.from(variations).filter(v => v.length > 0);
+}
+
+module.exports = {
+  DEFAULT_THRESHOLD,
+  DEFAULT_AMBIGUITY_MARGIN,
+  normalizeName,
+  tokenize,
+  tokenSimilarity,
+  scoreTokens,
+  scoreNames,
+  containmentScore,
+  scoreAncestors,
+  rankCandidates,
+  pickBestMatch,
+  renderFolderPath,
+  createSearchVariations
+};
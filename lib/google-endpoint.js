@@ -0,0 +1,52 @@
+// Where Google API calls go. GOOGLE_API_BASE_URL (e.g. http://127.0.0.1:8787/,
+// the fake server in tools/fake-google.js) replaces both www.googleapis.com and
+// sheets.googleapis.com; no service.json is needed then.
+
+function getApiBaseUrl() {
+  const value = (process.env.GOOGLE_API_BASE_URL || '').trim();
+  return value ? value.replace(/\/*$/, '/') : null;
+}
+
+// Extra options for google.drive()/google.sheets()
+function serviceOptions() {
+  const base = getApiBaseUrl();
+  return base ? { rootUrl: base } : {};
+}
+
+// Drive batch endpoint on the configured host
+function batchUrl(defaultUrl) {
+  const base = getApiBaseUrl();
+  return base ? `${base}batch/drive/v3` : defaultUrl;
+}
+
+// Auth client for a base URL override: a static bearer token, never refreshed
+function createOfflineAuth(google) {
+  const auth = new google.auth.OAuth2();
+  auth.setCredentials({ access_token: 'offline-token' });
+  return auth;
+}
+
+// Short API method name (files.list, permissions.create, values.get, ...) of a request
+function apiMethodName(method, url) {
+  method = String(method || 'GET').toUpperCase();
+  url = String(url || '').split('?')[0];
+  if (/\/batch\/drive\/v3$/.test(url)) return 'drive.batch';
+  if (/\/drive\/v3\/files\/[^/]+\/permissions\/[^/]+$/.test(url)) {
+    return { GET: 'permissions.get', PATCH: 'permissions.update', DELETE: 'permissions.delete' }[method] || `permissions.${method}`;
+  }
+  if (/\/drive\/v3\/files\/[^/]+\/permissions$/.test(url)) return method === 'POST' ? 'permissions.create' : 'permissions.list';
+  if (/\/drive\/v3\/files\/[^/]+$/.test(url)) return 'files.get';
+  if (/\/drive\/v3\/files$/.test(url)) return 'files.list';
+  if (/\/values:batchUpdate$/.test(url)) return 'values.batchUpdate';
+  if (/\/spreadsheets\/[^/]+\/values\//.test(url)) return method === 'GET' ? 'values.get' : 'values.update';
+  if (/\/spreadsheets\/[^/]+$/.test(url)) return 'spreadsheets.get';
+  return `other.${method}`;
+}
+
+module.exports = {
+  getApiBaseUrl,
+  serviceOptions,
+  batchUrl,
+  createOfflineAuth,
+  apiMethodName
+};
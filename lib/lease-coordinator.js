@@ -0,0 +1,238 @@
+const http = require('http');
+
+const DEFAULT_LEASE_TTL_MS = 120000;
+const DEFAULT_DONE_TTL_MS = 300000;
+
+// Hands out leases on work keys (FolderId, or lowercase name) to workers on
+// demand. A key is held by one worker until it is completed or the lease
+// expires (crashed/stuck worker), after which any worker can take it. Completed
+// keys stay blocked for doneTtlMs so a worker reading a not-yet-flushed sheet
+// does not pick the same rows up again.
+class LeaseCoordinator {
+  constructor({ leaseTtlMs = DEFAULT_LEASE_TTL_MS, doneTtlMs = DEFAULT_DONE_TTL_MS, now = Date.now, onReclaim = null } = {}) {
+    this.leaseTtlMs = leaseTtlMs;
+    this.doneTtlMs = doneTtlMs;
+    this.now = now;
+    this.onReclaim = onReclaim;
+    this.leases = new Map(); // key -> { worker, expiresAt }
+    this.done = new Map(); // key -> completedAt
+  }
+
+  // Drop expired leases and old completions
+  reclaimExpired() {
+    const now = this.now();
+    const reclaimed = [];
+    for (const [key, lease] of this.leases) {
+      if (lease.expiresAt <= now) {
+        this.leases.delete(key);
+        reclaimed.push({ key, worker: lease.worker });
+      }
+    }
+    for (const [key, completedAt] of this.done) {
+      if (completedAt + this.doneTtlMs <= now) this.done.delete(key);
+    }
+    if (reclaimed.length && this.onReclaim) this.onReclaim(reclaimed);
+    return reclaimed;
+  }
+
+  // Lease up to `max` of the offered keys (in the worker's priority order).
+  // Keys the worker already holds are renewed and count towards max.
+  // `unavailable` lists the keys passed over because another worker holds them
+  // or they were just completed.
+  lease(worker, keys, max = 20) {
+    this.reclaimExpired();
+    const now = this.now();
+    const granted = [];
+    const unavailable = [];
+    for (const key of new Set(keys)) {
+      if (granted.length >= max) break;
+      const lease = this.leases.get(key);
+      if (this.done.has(key) || (lease && lease.worker !== worker)) {
+        unavailable.push(key);
+        continue;
+      }
+      this.leases.set(key, { worker, expiresAt: now + this.leaseTtlMs });
+      granted.push(key);
+    }
+    return { granted, unavailable, ttlMs: this.leaseTtlMs };
+  }
+
+  // Extend all leases held by a worker (heartbeat)
+  renew(worker) {
+    const now = this.now();
+    let renewed = 0;
+    for (const lease of this.leases.values()) {
+      if (lease.worker === worker && lease.expiresAt > now) {
+        lease.expiresAt = now + this.leaseTtlMs;
+        renewed++;
+      }
+    }
+    return { renewed };
+  }
+
+  // Mark keys finished; only the lease holder (or an expired lease) may complete
+  complete(worker, keys) {
+    const now = this.now();
+    let completed = 0;
+    for (const key of keys) {
+      const lease = this.leases.get(key);
+      if (lease && lease.worker !== worker && lease.expiresAt > now) continue;
+      this.leases.delete(key);
+      this.done.set(key, now);
+      completed++;
+    }
+    return { completed };
+  }
+
+  // Give keys back without completing them (worker stopping early)
+  release(worker, keys) {
+    let released = 0;
+    for (const key of keys) {
+      const lease = this.leases.get(key);
+      if (lease && lease.worker === worker) {
+        this.leases.delete(key);
+        released++;
+      }
+    }
+    return { released };
+  }
+
+  status() {
+    this.reclaimExpired();
+    const workers = {};
+    for (const lease of this.leases.values()) workers[lease.worker] = (workers[lease.worker] || 0) + 1;
+    return { leased: this.leases.size, done: this.done.size, workers };
+  }
+}
+
+function readJsonBody(req) {
+  return new Promise((resolve, reject) => {
+    let body = '';
+    req.setEncoding('utf8');
+    req.on('data', chunk => {
+      body += chunk;
+      if (body.length > 5 * 1024 * 1024) reject(new Error('Body too large'));
+    });
+    req.on('end', () => {
+      try {
+        resolve(body ? JSON.parse(body) : {});
+      } catch (e) {
+        reject(e);
+      }
+    });
+    req.on('error', reject);
+  });
+}
+
+// Serve a coordinator over local HTTP (JSON):
+//   POST /lease {worker, keys, max}  POST /renew {worker}
+//   POST /complete {worker, keys}    POST /release {worker, keys}   GET /status
+// Extra routes can be added with `routes` ({ 'POST /path': (body) => result }).
+// Resolves to { server, url }.
+function startCoordinatorServer({ coordinator, host = '127.0.0.1', port = 0, routes = {} }) {
+  const handlers = {
+    'POST /lease': body => coordinator.lease(String(body.worker), Array.isArray(body.keys) ? body.keys.map(String) : [], Number(body.max) || 20),
+    'POST /renew': body => coordinator.renew(String(body.worker)),
+    'POST /complete': body => coordinator.complete(String(body.worker), Array.isArray(body.keys) ? body.keys.map(String) : []),
+    'POST /release': body => coordinator.release(String(body.worker), Array.isArray(body.keys) ? body.keys.map(String) : []),
+    'GET /status': () => coordinator.status(),
+    ...routes
+  };
+
+  const server = http.createServer(async (req, res) => {
+    const route = `${req.method} ${req.url.split('?')[0]}`;
+    const handler = handlers[route];
+    const send = (code, payload) => {
+      res.writeHead(code, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify(payload));
+    };
+    if (!handler) return send(404, { error: `Unknown route ${route}` });
+    try {
+      const body = req.method === 'POST' ? await readJsonBody(req) : {};
+      send(200, await handler(body, req));
+    } catch (error) {
+      send(400, { error: error.message });
+    }
+  });
+
+  return new Promise((resolve, reject) => {
+    server.once('error', reject);
+    server.listen(port, host, () => {
+      const { port: boundPort } = server.address();
+      resolve({ server, url: `http://${host}:${boundPort}` });
+    });
+  });
+}
+
+// Worker-side client for the coordinator HTTP API
+class LeaseClient {
+  constructor(baseUrl, worker, { timeoutMs = 10000 } = {}) {
+    this.baseUrl = baseUrl.replace(/\/+$/, '');
+    this.worker = worker;
+    this.timeoutMs = timeoutMs;
+  }
+
+  // Plain http.request (no global fetch before Node 18); the request is
+  // destroyed when the coordinator does not answer within timeoutMs
+  post(route, body = {}) {
+    const payload = JSON.stringify({ worker: this.worker, ...body });
+    return new Promise((resolve, reject) => {
+      const req = http.request(`${this.baseUrl}${route}`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json', 'Content-Length': Buffer.byteLength(payload) }
+      }, res => {
+        let text = '';
+        res.setEncoding('utf8');
+        res.on('data', chunk => { text += chunk; });
+        res.on('end', () => {
+          let data = {};
+          try {
+            data = text ? JSON.parse(text) : {};
+          } catch (_) {
+            // not JSON: reported through the status code below
+          }
+          if (res.statusCode < 200 || res.statusCode >= 300) {
+            reject(new Error(`Coordinator ${route} failed: HTTP ${res.statusCode} ${data.error || ''}`.trim()));
+            return;
+          }
+          resolve(data);
+        });
+        res.on('error', reject);
+      });
+      req.setTimeout(this.timeoutMs, () => {
+        req.destroy(new Error(`Coordinator ${route} timed out after ${this.timeoutMs}ms`));
+      });
+      req.on('error', reject);
+      req.end(payload);
+    });
+  }
+
+  lease(keys, max) {
+    return this.post('/lease', { keys, max });
+  }
+
+  renew() {
+    return this.post('/renew');
+  }
+
+  complete(keys) {
+    return this.post('/complete', { keys });
+  }
+
+  release(keys) {
+    return this.post('/release', { keys });
+  }
+
+  // Take `count` tokens from a shared rate bucket; resolves to { waitMs }
+  acquireToken(bucket, count = 1) {
+    return this.post('/rate', { bucket, count });
+  }
+}
+
+module.exports = {
+  DEFAULT_LEASE_TTL_MS,
+  DEFAULT_DONE_TTL_MS,
+  LeaseCoordinator,
+  startCoordinatorServer,
+  LeaseClient
+};
@@ -0,0 +1,161 @@
+const http = require('http');
+
+// Seconds; covers cached lookups up to slow global folder searches
+const DEFAULT_BUCKETS = [0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10, 30, 60];
+
+function escapeLabel(value) {
+  return String(value).replace(/\\/g, '\\\\').replace(/\n/g, '\\n').replace(/"/g, '\\"');
+}
+
+function labelKey(labelNames, labels = {}) {
+  return labelNames.map(name => labels[name] === undefined || labels[name] === null ? '' : String(labels[name]));
+}
+
+function formatLabels(labelNames, values, extra = '') {
+  const parts = labelNames.map((name, i) => `${name}="${escapeLabel(values[i])}"`);
+  if (extra) parts.push(extra);
+  return parts.length ? `{${parts.join(',')}}` : '';
+}
+
+class Counter {
+  constructor(name, help, labelNames = []) {
+    this.name = name;
+    this.help = help;
+    this.type = 'counter';
+    this.labelNames = labelNames;
+    this.values = new Map(); // JSON(label values) -> number
+  }
+
+  inc(labels = {}, value = 1) {
+    const key = JSON.stringify(labelKey(this.labelNames, labels));
+    this.values.set(key, (this.values.get(key) || 0) + value);
+  }
+
+  lines() {
+    const out = [];
+    for (const [key, value] of this.values) {
+      out.push(`${this.name}${formatLabels(this.labelNames, JSON.parse(key))} ${value}`);
+    }
+    return out;
+  }
+}
+
+class Gauge extends Counter {
+  constructor(name, help, labelNames = []) {
+    super(name, help, labelNames);
+    this.type = 'gauge';
+  }
+
+  set(labels = {}, value) {
+    this.values.set(JSON.stringify(labelKey(this.labelNames, labels)), value);
+  }
+}
+
+class Histogram {
+  constructor(name, help, labelNames = [], buckets = DEFAULT_BUCKETS) {
+    this.name = name;
+    this.help = help;
+    this.type = 'histogram';
+    this.labelNames = labelNames;
+    this.buckets = [...buckets].sort((a, b) => a - b);
+    this.series = new Map(); // JSON(label values) -> { counts, sum, count }
+  }
+
+  observe(labels = {}, value) {
+    const key = JSON.stringify(labelKey(this.labelNames, labels));
+    if (!this.series.has(key)) this.series.set(key, { counts: this.buckets.map(() => 0), sum: 0, count: 0 });
+    const series = this.series.get(key);
+    this.buckets.forEach((bound, i) => {
+      if (value <= bound) series.counts[i]++;
+    });
+    series.sum += value;
+    series.count++;
+  }
+
+  lines() {
+    const out = [];
+    for (const [key, series] of this.series) {
+      const values = JSON.parse(key);
+      this.buckets.forEach((bound, i) => {
+        out.push(`${this.name}_bucket${formatLabels(this.labelNames, values, `le="${bound}"`)} ${series.counts[i]}`);
+      });
+      out.push(`${this.name}_bucket${formatLabels(this.labelNames, values, 'le="+Inf"')} ${series.count}`);
+      out.push(`${this.name}_sum${formatLabels(this.labelNames, values)} ${Number(series.sum.toFixed(6))}`);
+      out.push(`${this.name}_count${formatLabels(this.labelNames, values)} ${series.count}`);
+    }
+    return out;
+  }
+}
+
+// Minimal Prometheus registry (text exposition format 0.0.4)
+class MetricsRegistry {
+  constructor({ defaultLabels = {} } = {}) {
+    this.metrics = [];
+    this.defaultLabels = defaultLabels;
+  }
+
+  counter(name, help, labelNames = []) {
+    return this._add(new Counter(name, help, labelNames));
+  }
+
+  gauge(name, help, labelNames = []) {
+    return this._add(new Gauge(name, help, labelNames));
+  }
+
+  histogram(name, help, labelNames = [], buckets = DEFAULT_BUCKETS) {
+    return this._add(new Histogram(name, help, labelNames, buckets));
+  }
+
+  _add(metric) {
+    this.metrics.push(metric);
+    return metric;
+  }
+
+  render() {
+    const defaults = Object.entries(this.defaultLabels).map(([k, v]) => `${k}="${escapeLabel(v)}"`).join(',');
+    const out = [];
+    for (const metric of this.metrics) {
+      out.push(`# HELP ${metric.name} ${metric.help}`);
+      out.push(`# TYPE ${metric.name} ${metric.type}`);
+      for (const line of metric.lines()) {
+        if (!defaults) {
+          out.push(line);
+          continue;
+        }
+        // Add default labels (e.g. worker) to every sample
+        const brace = line.indexOf('{');
+        const space = line.lastIndexOf(' ');
+        out.push(brace !== -1 && brace < space
+          ? `${line.slice(0, brace + 1)}${defaults},${line.slice(brace + 1)}`
+          : `${line.slice(0, space)}{${defaults}}${line.slice(space)}`);
+      }
+    }
+    return out.join('\n') + '\n';
+  }
+}
+
+// Serve GET /metrics; resolves to { server, url }
+function startMetricsServer({ registry, host = '127.0.0.1', port = 0 }) {
+  const server = http.createServer((req, res) => {
+    if (req.method !== 'GET' || req.url.split('?')[0] !== '/metrics') {
+      res.writeHead(404, { 'Content-Type': 'text/plain' });
+      res.end('Not found\n');
+      return;
+    }
+    res.writeHead(200, { 'Content-Type': 'text/plain; version=0.0.4; charset=utf-8' });
+    res.end(registry.render());
+  });
+  return new Promise((resolve, reject) => {
+    server.once('error', reject);
+    server.listen(port, host, () => {
+      const { port: boundPort } = server.address();
+      resolve({ server, url: `http://${host}:${boundPort}/metrics` });
+    });
+  });
+}
+
+module.exports = {
+  DEFAULT_BUCKETS,
+  MetricsRegistry,
+  startMetricsServer
+};
@@ -0,0 +1,55 @@
+// Default message sent with the Drive share notification email
+const DEFAULT_EMAIL_TEMPLATE = [
+  'Halo {nama},',
+  '',
+  'Sertifikat Anda ({jenjang}, {kota}) sudah tersedia dan dapat diakses di folder berikut:',
+  '{link}',
+  '',
+  'Terima kasih.'
+].join('\n');
+
+// Placeholder aliases -> field name
+const PLACEHOLDERS = {
+  nama: 'nama',
+  name: 'nama',
+  kota: 'kota',
+  city: 'kota',
+  jenjang: 'jenjang',
+  level: 'jenjang',
+  link: 'link',
+  email: 'email'
+};
+
+function folderLink(folderId) {
+  return `https://drive.google.com/drive/folders/${folderId}`;
+}
+
+// Template fields taken from a sheet row and the resolved folder
+function buildTemplateFields(participant, folderId) {
+  return {
+    nama: (participant.nama || '').toString().trim(),
+    kota: (participant.kota || '').toString().trim(),
+    jenjang: (participant.jenjang || '').toString().trim(),
+    email: (participant.email || '').toString().trim(),
+    link: folderId ? folderLink(folderId) : ''
+  };
+}
+
+// Replace {placeholder} tokens (case-insensitive); unknown tokens are kept,
+// empty values become '-'
+function renderTemplate(template, fields) {
+  return String(template || '').replace(/\{(\w+)\}/g, (token, name) => {
+    const key = PLACEHOLDERS[name.toLowerCase()];
+    if (!key) return token;
+    const value = fields[key];
+    return value ? String(value) : '-';
+  });
+}
+
+module.exports = {
+  DEFAULT_EMAIL_TEMPLATE,
+  PLACEHOLDERS,
+  folderLink,
+  buildTemplateFields,
+  renderTemplate
+};
@@ -0,0 +1,303 @@
+const fs = require('fs');
+const path = require('path');
+
+// Header candidates (lowercase) used to detect participant columns
+const NAME_CANDIDATES = ['nama peserta', 'nama', 'nama lengkap', 'name', 'full name', 'participant name'];
+const EMAIL_CANDIDATES = ['email address', 'email', 'e-mail', 'gmail', 'participant email'];
+const REVOKE_CANDIDATES = ['revoke', 'revoke access', 'cabut akses'];
+const ROLE_CANDIDATES = ['role', 'peran', 'akses'];
+const EXPIRES_AT_CANDIDATES = ['expiresat', 'expires at', 'expires', 'expiration', 'kedaluwarsa', 'berlaku sampai'];
+const CITY_CANDIDATES = ['kota', 'kabupaten', 'kota/kabupaten', 'kab/kota', 'city'];
+const CITY_KEYWORDS = ['kota', 'kabupaten', 'city'];
+const LEVEL_CANDIDATES = ['jenjang', 'level', 'kelas', 'grade'];
+
+// Result columns appended by the worker when missing
+const RESULT_COLUMNS = ['FolderId', 'isShared', 'isFolderExists', 'LastLog', 'ErrorClass', 'Attempts'];
+
+// Helper: index -> A1 column letter
+function toCol(index) {
+  let s = '';
+  let n = index + 1;
+  while (n > 0) {
+    const rem = (n - 1) % 26;
+    s = String.fromCharCode(65 + rem) + s;
+    n = Math.floor((n - 1) / 26);
+  }
+  return s;
+}
+
+// Find first header matching one of the candidates (case-insensitive)
+function findHeaderIndex(headers, candidates) {
+  const lower = headers.map(h => (h || '').toString().trim().toLowerCase());
+  for (const name of candidates) {
+    const idx = lower.indexOf(name);
+    if (idx !== -1) return idx;
+  }
+  return -1;
+}
+
+// Exact candidate match first, then first header containing one of the keywords
+// (e.g. "Ikut OSI2/OSH di Kota...")
+function findHeaderIndexLoose(headers, candidates, keywords) {
+  const idx = findHeaderIndex(headers, candidates);
+  if (idx !== -1) return idx;
+  const lower = headers.map(h => (h || '').toString().trim().toLowerCase());
+  return lower.findIndex(h => keywords.some(k => h.includes(k)));
+}
+
+// Detect name/email (and optional control) columns from a header row
+function detectParticipantColumns(headers) {
+  return {
+    nameCol: findHeaderIndex(headers, NAME_CANDIDATES),
+    emailCol: findHeaderIndex(headers, EMAIL_CANDIDATES),
+    revokeCol: findHeaderIndex(headers, REVOKE_CANDIDATES),
+    roleCol: findHeaderIndex(headers, ROLE_CANDIDATES),
+    expiresAtCol: findHeaderIndex(headers, EXPIRES_AT_CANDIDATES),
+    cityCol: findHeaderIndexLoose(headers, CITY_CANDIDATES, CITY_KEYWORDS),
+    levelCol: findHeaderIndex(headers, LEVEL_CANDIDATES)
+  };
+}
+
+// Minimal RFC 4180 CSV parser (quoted fields, escaped quotes, CRLF)
+function parseCsv(text) {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let inQuotes = false;
+  for (let i = 0; i < text.length; i++) {
+    const ch = text[i];
+    if (inQuotes) {
+      if (ch === '"') {
+        if (text[i + 1] === '"') {
+          field += '"';
+          i++;
+        } else {
+          inQuotes = false;
+        }
+      } else {
+        field += ch;
+      }
+    } else if (ch === '"') {
+      inQuotes = true;
+    } else if (ch === ',') {
+      row.push(field);
+      field = '';
+    } else if (ch === '\n' || ch === '\r') {
+      if (ch === '\r' && text[i + 1] === '\n') i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += ch;
+    }
+  }
+  if (field !== '' || row.length > 0) {
+    row.push(field);
+    rows.push(row);
+  }
+  return rows;
+}
+
+function toCsvValue(v) {
+  const s = String(v ?? '');
+  if (/[",\r\n]/.test(s)) return '"' + s.replace(/"/g, '""') + '"';
+  return s;
+}
+
+function formatCsv(rows) {
+  return rows.map(r => r.map(toCsvValue).join(',')).join('\n') + '\n';
+}
+
+// Google Sheets backed participant source
+class SheetsParticipantSource {
+  constructor({ sheets, spreadsheetId, sheetName }) {
+    this.kind = 'sheets';
+    this.sheets = sheets;
+    this.spreadsheetId = spreadsheetId;
+    this.sheetName = sheetName;
+  }
+
+  describe() {
+    return `${this.spreadsheetId} / ${this.sheetName}`;
+  }
+
+  async readHeaders() {
+    const res = await this.sheets.spreadsheets.values.get({
+      spreadsheetId: this.spreadsheetId,
+      range: `${this.sheetName}!1:1`
+    });
+    return (res.data.values && res.data.values[0]) || [];
+  }
+
+  async appendHeaders(startIndex, names) {
+    await this.sheets.spreadsheets.values.update({
+      spreadsheetId: this.spreadsheetId,
+      range: `${this.sheetName}!${toCol(startIndex)}1`,
+      valueInputOption: 'RAW',
+      resource: { values: [names] }
+    });
+  }
+
+  // Read data rows widely (header included)
+  async readRows() {
+    const res = await this.sheets.spreadsheets.values.get({
+      spreadsheetId: this.spreadsheetId,
+      range: `${this.sheetName}!A:ZZ`
+    });
+    return res.data.values || [];
+  }
+
+  async writeCell(rowIndex, colIndex, value) {
+    await this.sheets.spreadsheets.values.update({
+      spreadsheetId: this.spreadsheetId,
+      range: `${this.sheetName}!${toCol(colIndex)}${rowIndex}`,
+      valueInputOption: 'RAW',
+      resource: { values: [[value]] }
+    });
+  }
+
+  // Write many cells in a single values.batchUpdate call
+  async writeCells(cells) {
+    await this.sheets.spreadsheets.values.batchUpdate({
+      spreadsheetId: this.spreadsheetId,
+      resource: {
+        valueInputOption: 'RAW',
+        data: cells.map(({ rowIndex, colIndex, value }) => ({
+          range: `${this.sheetName}!${toCol(colIndex)}${rowIndex}`,
+          values: [[value]]
+        }))
+      }
+    });
+  }
+}
+
+// Local CSV/XLSX backed participant source.
+// Results are written into resultsPath when given, otherwise back into filePath.
+class FileParticipantSource {
+  constructor({ filePath, resultsPath = '', sheetName = '' }) {
+    this.kind = 'file';
+    this.filePath = path.resolve(filePath);
+    this.resultsPath = resultsPath ? path.resolve(resultsPath) : this.filePath;
+    this.sheetName = sheetName;
+    const ext = path.extname(this.filePath).toLowerCase();
+    if (ext === '.csv') this.format = 'csv';
+    else if (ext === '.xlsx' || ext === '.xls') this.format = 'xlsx';
+    else throw new Error(`Unsupported participant file type: ${ext || '(none)'} (use .csv or .xlsx)`);
+  }
+
+  describe() {
+    return this.resultsPath === this.filePath
+      ? this.filePath
+      : `${this.filePath} -> ${this.resultsPath}`;
+  }
+
+  // Results file (when present) holds the latest state, so reruns resume from it
+  currentPath() {
+    return fs.existsSync(this.resultsPath) ? this.resultsPath : this.filePath;
+  }
+
+  loadRows(filePath) {
+    if (this.format === 'csv') {
+      const text = fs.readFileSync(filePath, 'utf8').replace(/^\uFEFF/, '');
+      return parseCsv(text);
+    }
+    const XLSX = require('xlsx');
+    const workbook = XLSX.readFile(filePath);
+    const ws = this.pickWorksheet(workbook);
+    return XLSX.utils.sheet_to_json(ws, { header: 1, raw: false, defval: '', blankrows: true })
+      .map(r => r.map(v => (v ?? '').toString()));
+  }
+
+  pickWorksheet(workbook) {
+    const name = workbook.SheetNames.includes(this.sheetName) ? this.sheetName : workbook.SheetNames[0];
+    return workbook.Sheets[name];
+  }
+
+  async readHeaders() {
+    const rows = this.loadRows(this.currentPath());
+    return rows[0] || [];
+  }
+
+  async appendHeaders(startIndex, names) {
+    this.applyCells(names.map((name, i) => ({ rowIndex: 1, colIndex: startIndex + i, value: name })));
+  }
+
+  async readRows() {
+    return this.loadRows(this.currentPath());
+  }
+
+  async writeCell(rowIndex, colIndex, value) {
+    this.applyCells([{ rowIndex, colIndex, value }]);
+  }
+
+  async writeCells(cells) {
+    this.applyCells(cells);
+  }
+
+  // Read-modify-write of the whole file: re-reads the latest state so cells of
+  // earlier flushes are kept, then replaces the file atomically (no torn file).
+  // Not a lock: two processes writing the same file at once can still overwrite
+  // each other's cells between the read and the rename, so use one worker per file.
+  applyCells(cells) {
+    const source = this.currentPath();
+    if (this.format === 'csv') {
+      const rows = this.loadRows(source);
+      for (const { rowIndex, colIndex, value } of cells) {
+        while (rows.length < rowIndex) rows.push([]);
+        const row = rows[rowIndex - 1];
+        while (row.length <= colIndex) row.push('');
+        row[colIndex] = String(value ?? '');
+      }
+      this.writeAtomic(formatCsv(rows));
+      return;
+    }
+
+    const XLSX = require('xlsx');
+    const workbook = XLSX.readFile(source);
+    const ws = this.pickWorksheet(workbook);
+    const range = XLSX.utils.decode_range(ws['!ref'] || 'A1');
+    for (const { rowIndex, colIndex, value } of cells) {
+      ws[XLSX.utils.encode_cell({ r: rowIndex - 1, c: colIndex })] = { t: 's', v: String(value ?? '') };
+      range.e.r = Math.max(range.e.r, rowIndex - 1);
+      range.e.c = Math.max(range.e.c, colIndex);
+    }
+    ws['!ref'] = XLSX.utils.encode_range(range);
+    const bookType = path.extname(this.resultsPath).toLowerCase() === '.xls' ? 'biff8' : 'xlsx';
+    this.writeAtomic(XLSX.write(workbook, { type: 'buffer', bookType }));
+  }
+
+  writeAtomic(content) {
+    const tmp = `${this.resultsPath}.${process.pid}.tmp`;
+    fs.writeFileSync(tmp, content);
+    fs.renameSync(tmp, this.resultsPath);
+  }
+}
+
+// Pick a participant source: local file when configured, else Google Sheets
+function createParticipantSource({ sourceFile, resultsFile, sheets, spreadsheetId, sheetName }) {
+  if (sourceFile) {
+    return new FileParticipantSource({ filePath: sourceFile, resultsPath: resultsFile, sheetName });
+  }
+  return new SheetsParticipantSource({ sheets, spreadsheetId, sheetName });
+}
+
+module.exports = {
+  NAME_CANDIDATES,
+  EMAIL_CANDIDATES,
+  REVOKE_CANDIDATES,
+  ROLE_CANDIDATES,
+  EXPIRES_AT_CANDIDATES,
+  CITY_CANDIDATES,
+  LEVEL_CANDIDATES,
+  RESULT_COLUMNS,
+  toCol,
+  findHeaderIndex,
+  findHeaderIndexLoose,
+  detectParticipantColumns,
+  parseCsv,
+  formatCsv,
+  SheetsParticipantSource,
+  FileParticipantSource,
+  createParticipantSource
+};
@@ -0,0 +1,78 @@
+// Drive permission roles ordered from least to most access
+const ROLE_RANK = {
+  reader: 1,
+  commenter: 2,
+  writer: 3,
+  fileOrganizer: 4,
+  organizer: 5,
+  owner: 6
+};
+
+// Roles a sheet row may request (higher ones are never granted by this tool)
+const GRANTABLE_ROLES = ['reader', 'commenter', 'writer'];
+
+// Friendly aliases accepted in the Role column
+const ROLE_ALIASES = {
+  reader: 'reader',
+  viewer: 'reader',
+  view: 'reader',
+  lihat: 'reader',
+  commenter: 'commenter',
+  comment: 'commenter',
+  komentar: 'commenter',
+  writer: 'writer',
+  editor: 'writer',
+  edit: 'writer'
+};
+
+// Normalize a Role cell; returns null when the value is not a grantable role
+function normalizeRole(value) {
+  const key = String(value || '').trim().toLowerCase();
+  if (!key) return null;
+  const role = ROLE_ALIASES[key];
+  return role && GRANTABLE_ROLES.includes(role) ? role : null;
+}
+
+// True when an existing role gives at least the requested access
+function roleSatisfies(existingRole, requestedRole) {
+  const have = ROLE_RANK[existingRole] || 0;
+  const want = ROLE_RANK[requestedRole] || 0;
+  return have > 0 && have >= want;
+}
+
+// Parse an ExpiresAt cell into an RFC 3339 timestamp.
+// Accepts ISO dates/timestamps and day-first dates (D/M/YYYY, D-M-YYYY);
+// a date without time expires at the end of that day (Asia/Jakarta).
+// Returns { value } (null when empty) or { error }.
+function parseExpiresAt(value, now = new Date()) {
+  const raw = String(value || '').trim();
+  if (!raw) return { value: null };
+
+  let date = null;
+  const dayFirst = raw.match(/^(\d{1,2})[\/\-.](\d{1,2})[\/\-.](\d{4})$/);
+  const isoDate = raw.match(/^(\d{4})-(\d{2})-(\d{2})$/);
+  if (dayFirst) {
+    const [, d, m, y] = dayFirst;
+    date = new Date(`${y}-${m.padStart(2, '0')}-${d.padStart(2, '0')}T23:59:59+07:00`);
+  } else if (isoDate) {
+    date = new Date(`${raw}T23:59:59+07:00`);
+  } else if (/^\d{4}-\d{2}-\d{2}T/.test(raw)) {
+    date = new Date(raw);
+  }
+
+  if (!date || Number.isNaN(date.getTime())) {
+    return { error: `format tanggal tidak dikenali '${raw}'` };
+  }
+  if (date.getTime() <= now.getTime()) {
+    return { error: `tanggal kedaluwarsa sudah lewat '${raw}'` };
+  }
+  return { value: date.toISOString() };
+}
+
+module.exports = {
+  ROLE_RANK,
+  GRANTABLE_ROLES,
+  normalizeRole,
+  roleSatisfies,
+  parseExpiresAt
+};
@@ -0,0 +1,131 @@
+const path = require('path');
+const { CONFIG_DEFAULTS } = require('./config-store');
+
+// Named profiles, one per event (OSI, OSH, ...), saved in the Conf file under
+// "profiles". A profile has its own values for the keys below; a key the
+// profile does not set falls back to the default, never to the shared saved
+// value, so one event's sheet or parent folder cannot leak into another.
+// All other settings (email policy, matching, batching, ...) stay shared.
+const PROFILE_KEYS = [
+  'sheetId',
+  'sheetName',
+  'sheetTabs',
+  'sourceFile',
+  'resultsFile',
+  'parentFolderId',
+  'role',
+  'notifyMode',
+  'emailTemplate',
+  'throttleMs',
+  'throttleFloorMs',
+  'throttleMaxMs',
+  'mappingFile'
+];
+
+const PROFILE_NAME = /^[a-z0-9][a-z0-9_-]{0,39}$/i;
+
+// Names are used in file paths and Conf keys: letters, digits, "-" and "_"
+function validateProfileName(name) {
+  if (!PROFILE_NAME.test(String(name || ''))) {
+    throw new Error(`Invalid profile name "${name || ''}" (letters, digits, "-" and "_", max 40)`);
+  }
+  return name;
+}
+
+// Folder mapping cache of a profile (folder-mapper.js output)
+function defaultMappingFile(name) {
+  return path.join('cache', 'profiles', name, 'folder-mapping.json');
+}
+
+function readProfiles(store) {
+  const profiles = store.get('profiles');
+  return profiles && typeof profiles === 'object' ? profiles : {};
+}
+
+function listProfiles(store) {
+  return Object.keys(readProfiles(store)).sort();
+}
+
+// Saved settings of a profile, or null if there is none with that name
+function getProfile(store, name) {
+  const profile = readProfiles(store)[name];
+  return profile ? { ...profile } : null;
+}
+
+// Save a new profile; settings holds PROFILE_KEYS values
+function createProfile(store, name, settings = {}) {
+  validateProfileName(name);
+  const profiles = readProfiles(store);
+  if (profiles[name]) throw new Error(`Profile "${name}" already exists`);
+  const profile = {};
+  for (const [key, value] of Object.entries(settings)) {
+    if (!PROFILE_KEYS.includes(key)) throw new Error(`"${key}" is not a profile setting`);
+    if (value !== undefined) profile[key] = value;
+  }
+  store.set('profiles', { ...profiles, [name]: profile });
+  return profile;
+}
+
+// Remove a profile; false if it did not exist
+function deleteProfile(store, name) {
+  const profiles = readProfiles(store);
+  if (!profiles[name]) return false;
+  const { [name]: _removed, ...rest } = profiles;
+  store.set('profiles', rest);
+  return true;
+}
+
+// Effective value of a profile key and whether the profile sets it
+function profileValue(profile, name, key) {
+  if (Object.prototype.hasOwnProperty.call(profile, key)) return { value: profile[key], fromProfile: true };
+  return { value: key === 'mappingFile' ? defaultMappingFile(name) : CONFIG_DEFAULTS[key], fromProfile: false };
+}
+
+// Store view for one profile: PROFILE_KEYS are read from and saved into the
+// profile, other keys go to the shared store. Same get/set shape as Conf, so
+// it can be wrapped by withOverrides()
+function profileStore(store, name) {
+  if (!getProfile(store, name)) {
+    const known = listProfiles(store);
+    throw new Error(`Profile "${name}" not found (${known.length ? `known: ${known.join(', ')}` : 'none created yet'})`);
+  }
+  return {
+    get(key) {
+      if (!PROFILE_KEYS.includes(key)) return store.get(key);
+      return profileValue(getProfile(store, name) || {}, name, key).value;
+    },
+    set(key, value) {
+      if (!PROFILE_KEYS.includes(key)) {
+        store.set(key, value);
+        return;
+      }
+      const profiles = readProfiles(store);
+      store.set('profiles', { ...profiles, [name]: { ...profiles[name], [key]: value } });
+    },
+    // 'profile' or 'default' for profile keys, null for shared keys
+    sourceOf(key) {
+      if (!PROFILE_KEYS.includes(key)) return null;
+      return profileValue(getProfile(store, name) || {}, name, key).fromProfile ? 'profile' : 'default';
+    },
+    profile: name,
+    store
+  };
+}
+
+// Store for a run: the named profile (PROFILE / --profile) or the shared store
+function selectProfile(store, name) {
+  return name ? profileStore(store, name) : store;
+}
+
+module.exports = {
+  PROFILE_KEYS,
+  validateProfileName,
+  defaultMappingFile,
+  listProfiles,
+  getProfile,
+  createProfile,
+  deleteProfile,
+  profileValue,
+  profileStore,
+  selectProfile
+};
@@ -0,0 +1,83 @@
+// Shared API budgets. Every worker asks the monitor's coordinator for a token
+// before a call, so the combined rate stays within these limits no matter how
+// many workers run.
+const RATE_BUCKETS = ['driveRead', 'permissionWrite', 'sheetsWrite'];
+
+// Calls per second (service-account wide) and burst size per bucket
+const DEFAULT_RATE_LIMITS = {
+  driveRead: { ratePerSec: 8, burst: 8 },
+  permissionWrite: { ratePerSec: 2, burst: 2 },
+  sheetsWrite: { ratePerSec: 1, burst: 2 }
+};
+
+// Env var (monitor) holding the calls/second limit of each bucket
+const RATE_LIMIT_ENV = {
+  driveRead: 'RATE_DRIVE_READ',
+  permissionWrite: 'RATE_PERMISSION_WRITE',
+  sheetsWrite: 'RATE_SHEETS_WRITE'
+};
+
+// Reservation-style token bucket: reserve() always takes a token and returns
+// how long the caller must wait before using it, so waiting callers queue up
+// in arrival order without polling.
+class TokenBucket {
+  constructor({ ratePerSec, burst = ratePerSec, now = Date.now }) {
+    this.ratePerSec = ratePerSec;
+    this.burst = Math.max(1, burst);
+    this.now = now;
+    this.tokens = this.burst;
+    this.updatedAt = now();
+    this.granted = 0;
+  }
+
+  _refill() {
+    const now = this.now();
+    const elapsed = (now - this.updatedAt) / 1000;
+    this.tokens = Math.min(this.burst, this.tokens + elapsed * this.ratePerSec);
+    this.updatedAt = now;
+  }
+
+  // Take `count` tokens; returns wait time in ms (0 = go now)
+  reserve(count = 1) {
+    this._refill();
+    this.tokens -= count;
+    this.granted += count;
+    if (this.tokens >= 0) return 0;
+    return Math.ceil((-this.tokens / this.ratePerSec) * 1000);
+  }
+
+  status() {
+    this._refill();
+    return { ratePerSec: this.ratePerSec, burst: this.burst, tokens: Number(this.tokens.toFixed(2)), granted: this.granted };
+  }
+}
+
+// Limits from env (calls/second), falling back to the defaults
+function rateLimitsFromEnv(env = process.env) {
+  const limits = {};
+  for (const bucket of RATE_BUCKETS) {
+    const value = Number(env[RATE_LIMIT_ENV[bucket]]);
+    const base = DEFAULT_RATE_LIMITS[bucket];
+    limits[bucket] = Number.isFinite(value) && value > 0
+      ? { ratePerSec: value, burst: Math.max(1, Math.round(value)) }
+      : { ...base };
+  }
+  return limits;
+}
+
+function createBuckets(limits = DEFAULT_RATE_LIMITS, now = Date.now) {
+  const buckets = {};
+  for (const bucket of RATE_BUCKETS) {
+    buckets[bucket] = new TokenBucket({ ...(limits[bucket] || DEFAULT_RATE_LIMITS[bucket]), now });
+  }
+  return buckets;
+}
+
+module.exports = {
+  RATE_BUCKETS,
+  DEFAULT_RATE_LIMITS,
+  RATE_LIMIT_ENV,
+  TokenBucket,
+  rateLimitsFromEnv,
+  createBuckets
+};
@@ -0,0 +1,156 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+const JOURNAL_VERSION = 1;
+
+// Append-only JSONL journal of row actions (grant/revoke). Each action writes:
+//   intent -> api (ok|error) -> sheet (written)
+// An entry without a 'sheet' record is unfinished: the worker stopped between
+// the Drive call and the sheet write. Unfinished entries are replayed on the
+// next start; 'resolved' closes an entry that replay handled. The intent names
+// the columns holding the row's outcome (isShared, LastLog): only a flush of
+// one of those cells closes the entry, not one carrying other cells of the row.
+class RunJournal {
+  constructor({ filePath, source }) {
+    this.filePath = filePath;
+    this.source = source;
+    this.entries = new Map(); // id -> { intent, api, sheet, resolved }
+    this.awaitingSheet = new Map(); // source|rowIndex -> { id, columns } (API done, sheet write pending)
+    this.fd = null;
+  }
+
+  // Load existing entries and open the file for appending
+  open() {
+    fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+    if (fs.existsSync(this.filePath)) {
+      const lines = fs.readFileSync(this.filePath, 'utf8').split('\n');
+      for (const line of lines) {
+        if (!line.trim()) continue;
+        let record;
+        try {
+          record = JSON.parse(line);
+        } catch (_) {
+          continue; // torn last line after a crash
+        }
+        this._apply(record);
+      }
+    }
+    this.fd = fs.openSync(this.filePath, 'a');
+    return this;
+  }
+
+  // Sheet/file the next entries are for (runs over several tabs share one journal)
+  setSource(source) {
+    this.source = source;
+  }
+
+  close() {
+    if (this.fd !== null) {
+      fs.closeSync(this.fd);
+      this.fd = null;
+    }
+  }
+
+  _apply(record) {
+    if (record.type === 'intent') {
+      this.entries.set(record.id, { intent: record, api: null, sheet: null, resolved: null });
+      return;
+    }
+    const entry = this.entries.get(record.id);
+    if (entry && ['api', 'sheet', 'resolved'].includes(record.type)) entry[record.type] = record;
+  }
+
+  // Durable append: the line is on disk before the Drive call is made
+  _append(record) {
+    this._apply(record);
+    if (this.fd === null) return;
+    fs.writeSync(this.fd, JSON.stringify(record) + '\n');
+    fs.fsyncSync(this.fd);
+  }
+
+  // Record intent before calling Drive; returns the entry id
+  begin({ action, rowIndex, email, folderId, role = null, permissionId = null, expirationTime = null, columns = [] }) {
+    const id = crypto.randomUUID();
+    this._append({
+      v: JOURNAL_VERSION,
+      type: 'intent',
+      id,
+      ts: new Date().toISOString(),
+      source: this.source,
+      action,
+      rowIndex,
+      email,
+      folderId,
+      role,
+      permissionId,
+      expirationTime,
+      columns
+    });
+    return id;
+  }
+
+  // Record the Drive API outcome ('ok' or 'error')
+  recordApi(id, status, detail = null) {
+    if (!id) return;
+    const entry = this.entries.get(id);
+    this._append({ type: 'api', id, ts: new Date().toISOString(), status, ...(detail ? { detail } : {}) });
+    if (entry) this.expectSheet(id);
+  }
+
+  // The next successful flush writing one of the entry's outcome columns in
+  // its row closes it. Call before those cells are queued: a flush already
+  // running may finish after this and must not count unless it holds them.
+  // Without outcome columns (older journals) any cell of the row closes it
+  expectSheet(id, columns) {
+    const entry = this.entries.get(id);
+    if (!entry) return;
+    this.awaitingSheet.set(`${entry.intent.source}|${entry.intent.rowIndex}`, {
+      id,
+      columns: new Set(columns || entry.intent.columns || [])
+    });
+  }
+
+  // Called after a successful flush to `source` with the cells it wrote
+  markFlushed(cells, source = this.source) {
+    for (const { rowIndex, colIndex } of cells) {
+      const key = `${source}|${rowIndex}`;
+      const expected = this.awaitingSheet.get(key);
+      if (!expected) continue;
+      if (expected.columns.size && !expected.columns.has(colIndex)) continue;
+      this.awaitingSheet.delete(key);
+      this._append({ type: 'sheet', id: expected.id, ts: new Date().toISOString(), status: 'written' });
+    }
+  }
+
+  // Close an entry handled by replay
+  resolve(id, outcome) {
+    this._append({ type: 'resolved', id, ts: new Date().toISOString(), outcome });
+  }
+
+  // Unfinished entries of this journal's source, oldest first
+  pending() {
+    return Array.from(this.entries.values())
+      .filter(e => e.intent.source === this.source && !e.sheet && !e.resolved);
+  }
+
+  // Rewrite the file keeping only unfinished entries (any source)
+  compact() {
+    const keep = Array.from(this.entries.values()).filter(e => !e.sheet && !e.resolved);
+    const lines = [];
+    for (const e of keep) {
+      for (const record of [e.intent, e.api]) {
+        if (record) lines.push(JSON.stringify(record));
+      }
+    }
+    this.close();
+    const tmp = `${this.filePath}.tmp`;
+    fs.writeFileSync(tmp, lines.length ? lines.join('\n') + '\n' : '');
+    fs.renameSync(tmp, this.filePath);
+    this.entries = new Map(keep.map(e => [e.intent.id, e]));
+    this.fd = fs.openSync(this.filePath, 'a');
+    return keep.length;
+  }
+}
+
+module.exports = { JOURNAL_VERSION, RunJournal };
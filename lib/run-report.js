@@ -0,0 +1,221 @@
+const fs = require('fs');
+const path = require('path');
+const { readEvents } = require('./event-log');
+
+// Report columns, in CSV order
+const REPORT_COLUMNS = [
+  'runId', 'workerId', 'source', 'rowIndex', 'name', 'email', 'folderId', 'action', 'outcome',
+  'reason', 'message', 'errorClass', 'httpStatus', 'errorReasons', 'operation', 'attempts',
+  'totalMs', 'folderMs', 'permissionMs', 'grantMs', 'revokeMs', 'ts'
+];
+
+// HTML sections, most actionable first
+const OUTCOME_ORDER = ['error', 'skipped', 'granted', 'revoked', 'dry_run', 'recovered'];
+const OUTCOME_TITLES = {
+  error: '❌ Gagal',
+  skipped: '⏭️ Dilewati',
+  granted: '✅ Berhasil',
+  revoked: '🚫 Dicabut',
+  dry_run: '🧪 Simulasi',
+  recovered: '♻️ Dipulihkan dari journal'
+};
+
+// Run ids found in a logs directory, newest first
+function listRuns(logsDir) {
+  if (!fs.existsSync(logsDir)) return [];
+  const runs = new Map(); // runId -> latest ts
+  for (const file of fs.readdirSync(logsDir)) {
+    if (!file.startsWith('events-') || !file.endsWith('.ndjson')) continue;
+    for (const event of readEvents(path.join(logsDir, file))) {
+      if (!event.runId) continue;
+      if (!runs.has(event.runId) || runs.get(event.runId) < event.ts) runs.set(event.runId, event.ts);
+    }
+  }
+  return Array.from(runs.entries()).sort((a, b) => (a[1] < b[1] ? 1 : -1)).map(([runId, lastTs]) => ({ runId, lastTs }));
+}
+
+// One report row per processed sheet row of the run, merged across all worker
+// files. A row seen in several passes keeps its latest outcome.
+function collectReportRows(logsDir, runId) {
+  const latest = new Map(); // source|rowIndex -> row
+  if (!fs.existsSync(logsDir)) return [];
+  for (const file of fs.readdirSync(logsDir)) {
+    if (!file.startsWith('events-') || !file.endsWith('.ndjson')) continue;
+    let source = null;
+    for (const event of readEvents(path.join(logsDir, file))) {
+      if (event.runId !== runId) continue;
+      if (event.type === 'run_start') source = event.source || null;
+      if (event.type !== 'row') continue;
+      const error = event.error || {};
+      const timings = event.timings || {};
+      const row = {
+        runId: event.runId,
+        workerId: event.workerId,
+        source,
+        rowIndex: event.rowIndex,
+        name: event.name,
+        email: event.email,
+        folderId: event.folderId,
+        action: event.action,
+        outcome: event.outcome,
+        reason: event.reason || null,
+        message: error.friendly || error.message || null,
+        errorClass: error.class || null,
+        httpStatus: error.status ?? null,
+        errorReasons: Array.isArray(error.reasons) ? error.reasons.filter(Boolean).join('|') : null,
+        operation: error.op || null,
+        attempts: event.attempts ?? null,
+        totalMs: timings.totalMs ?? null,
+        folderMs: timings.folderMs ?? null,
+        permissionMs: timings.permissionMs ?? null,
+        grantMs: timings.grantMs ?? null,
+        revokeMs: timings.revokeMs ?? null,
+        ts: event.ts
+      };
+      const key = `${source || ''}|${event.rowIndex}`;
+      const previous = latest.get(key);
+      if (!previous || previous.ts <= row.ts) latest.set(key, row);
+    }
+  }
+  return Array.from(latest.values()).sort((a, b) =>
+    String(a.source || '').localeCompare(String(b.source || '')) || a.rowIndex - b.rowIndex
+  );
+}
+
+// Text starting with = + - @ is prefixed with ' so spreadsheet apps show it
+// as text instead of running it as a formula (names and Drive messages come
+// from the sheet and from Google)
+function csvValue(value) {
+  if (value === null || value === undefined) return '';
+  let text = String(value);
+  if (typeof value === 'string' && /^[=+\-@]/.test(text)) text = `'${text}`;
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+function toCsv(rows) {
+  const lines = [REPORT_COLUMNS.join(',')];
+  for (const row of rows) lines.push(REPORT_COLUMNS.map(col => csvValue(row[col])).join(','));
+  return lines.join('\n') + '\n';
+}
+
+function escapeHtml(value) {
+  if (value === null || value === undefined) return '';
+  return String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+// Self-contained HTML page (inline CSS, no scripts), one table per outcome
+function toHtml(rows, { runId, generatedAt = new Date().toISOString() } = {}) {
+  const groups = new Map();
+  for (const row of rows) {
+    if (!groups.has(row.outcome)) groups.set(row.outcome, []);
+    groups.get(row.outcome).push(row);
+  }
+  const outcomes = [...OUTCOME_ORDER.filter(o => groups.has(o)), ...Array.from(groups.keys()).filter(o => !OUTCOME_ORDER.includes(o))];
+  const multiSource = new Set(rows.map(r => r.source)).size > 1;
+
+  const summary = outcomes.map(o => `<li>${escapeHtml(OUTCOME_TITLES[o] || o)}: <b>${groups.get(o).length}</b></li>`).join('');
+  // Several sheets/tabs in one run: outcome counts per source
+  let perSource = '';
+  if (multiSource) {
+    const counts = new Map();
+    for (const row of rows) {
+      if (!counts.has(row.source)) counts.set(row.source, {});
+      counts.get(row.source)[row.outcome] = (counts.get(row.source)[row.outcome] || 0) + 1;
+    }
+    const lines = Array.from(counts.entries()).map(([source, byOutcome]) =>
+      `<tr><td>${escapeHtml(source)}</td>${outcomes.map(o => `<td>${byOutcome[o] || 0}</td>`).join('')}<td>${Object.values(byOutcome).reduce((n, c) => n + c, 0)}</td></tr>`
+    ).join('\n');
+    perSource = `<h2>Per sumber</h2>
+<table>
+<thead><tr><th>Sumber</th>${outcomes.map(o => `<th>${escapeHtml(OUTCOME_TITLES[o] || o)}</th>`).join('')}<th>Total</th></tr></thead>
+<tbody>
+${lines}
+</tbody>
+</table>
+`;
+  }
+  const sections = outcomes.map(outcome => {
+    const list = groups.get(outcome);
+    const failed = outcome === 'error' || outcome === 'skipped';
+    const head = [
+      ...(multiSource ? ['Sumber'] : []), 'Baris', 'Nama', 'Email', 'Folder ID',
+      ...(failed ? ['Penjelasan', 'Kelas', 'Teknis'] : []),
+      'Waktu (folder / izin / share)', 'Worker'
+    ];
+    const body = list.map(r => {
+      const technical = [r.httpStatus ? `HTTP ${r.httpStatus}` : '', r.errorReasons || '', r.operation || ''].filter(Boolean).join(' · ');
+      const timing = `${r.totalMs ?? '-'}ms (${r.folderMs ?? '-'} / ${r.permissionMs ?? '-'} / ${r.grantMs ?? r.revokeMs ?? '-'})`;
+      const cells = [
+        ...(multiSource ? [r.source] : []), r.rowIndex, r.name, r.email, r.folderId,
+        ...(failed ? [r.message || r.reason, r.errorClass, technical] : []),
+        timing, r.workerId
+      ];
+      return `<tr>${cells.map(c => `<td>${escapeHtml(c)}</td>`).join('')}</tr>`;
+    }).join('\n');
+    return `<section id="${escapeHtml(outcome)}">
+<h2>${escapeHtml(OUTCOME_TITLES[outcome] || outcome)} (${list.length})</h2>
+<table>
+<thead><tr>${head.map(h => `<th>${escapeHtml(h)}</th>`).join('')}</tr></thead>
+<tbody>
+${body}
+</tbody>
+</table>
+</section>`;
+  }).join('\n');
+
+  return `<!doctype html>
+<html lang="id">
+<head>
+<meta charset="utf-8">
+<title>Laporan ${escapeHtml(runId)}</title>
+<style>
+  body { font-family: system-ui, sans-serif; margin: 24px; color: #1e293b; }
+  h1 { font-size: 20px; } h2 { font-size: 16px; margin-top: 28px; }
+  .muted { color: #64748b; font-size: 13px; }
+  table { border-collapse: collapse; width: 100%; font-size: 13px; }
+  th, td { text-align: left; padding: 4px 8px; border-bottom: 1px solid #e2e8f0; vertical-align: top; }
+  th { background: #f1f5f9; }
+  #error h2 { color: #b91c1c; } #skipped h2 { color: #a16207; } #granted h2 { color: #15803d; }
+</style>
+</head>
+<body>
+<h1>Laporan Distribusi Sertifikat</h1>
+<p class="muted">Run: ${escapeHtml(runId)} · Dibuat: ${escapeHtml(generatedAt)} · Total baris: ${rows.length}</p>
+<ul>${summary}</ul>
+${perSource}${sections || '<p>Tidak ada baris yang diproses.</p>'}
+</body>
+</html>
+`;
+}
+
+function writeAtomic(filePath, content) {
+  const tmp = `${filePath}.${process.pid}.tmp`;
+  fs.writeFileSync(tmp, content);
+  fs.renameSync(tmp, filePath);
+}
+
+// Write reports/<runId>.csv and .html from all event files of the run.
+// Returns { csvPath, htmlPath, rows }.
+function writeRunReport({ logsDir, reportsDir, runId }) {
+  const rows = collectReportRows(logsDir, runId);
+  fs.mkdirSync(reportsDir, { recursive: true });
+  const safeId = String(runId).replace(/[^\w.-]/g, '_');
+  const csvPath = path.join(reportsDir, `${safeId}.csv`);
+  const htmlPath = path.join(reportsDir, `${safeId}.html`);
+  writeAtomic(csvPath, toCsv(rows));
+  writeAtomic(htmlPath, toHtml(rows, { runId }));
+  return { csvPath, htmlPath, rows };
+}
+
+module.exports = {
+  REPORT_COLUMNS,
+  listRuns,
+  collectReportRows,
+  toCsv,
+  toHtml,
+  writeRunReport
+};
@@ -0,0 +1,24 @@
+// Static row sharding (SHARD_TOTAL/SHARD_INDEX): every worker hashes the same
+// work key to the same shard, so standalone workers never overlap.
+
+// Simple stable hash (djb2), unsigned 32-bit
+function hashKey(str) {
+  const s = (str || '').toString();
+  let hash = 5381;
+  for (let i = 0; i < s.length; i++) {
+    hash = ((hash << 5) + hash) + s.charCodeAt(i);
+    hash = hash | 0; // force 32-bit
+  }
+  // Convert to unsigned 32-bit
+  return hash >>> 0;
+}
+
+// Shard index (0..total-1) of a work key
+function shardOf(key, total) {
+  return hashKey(key) % total;
+}
+
+module.exports = {
+  hashKey,
+  shardOf
+};
@@ -0,0 +1,104 @@
+const fs = require('fs');
+const path = require('path');
+
+// Bump when the meaning of a field changes; apply refuses other versions
+const PLAN_VERSION = 1;
+
+// Entry actions:
+//   grant           create the permission (the only action that changes Drive)
+//   already_shared  email already has the role; apply only marks the row
+//   skip            invalid email/role/expiry or duplicate row (not applied)
+//   error           folder not found/ambiguous or the lookup failed (not applied)
+const PLAN_ACTIONS = ['grant', 'already_shared', 'skip', 'error'];
+
+// Folder state as recorded in the plan: what apply compares against
+function snapshotFolder(folder, permissions) {
+  return {
+    name: folder.name || '',
+    parents: [...(folder.parents || [])].sort(),
+    trashed: !!folder.trashed,
+    permissions: normalizePermissions(permissions)
+  };
+}
+
+// Who has which role, sorted; permission ids are left out
+function normalizePermissions(permissions) {
+  return (permissions || [])
+    .map(p => ({ type: p.type || '', email: (p.emailAddress || p.email || '').toLowerCase(), role: p.role || '' }))
+    .sort((a, b) => `${a.type}:${a.email}:${a.role}`.localeCompare(`${b.type}:${b.email}:${b.role}`));
+}
+
+// Differences between the planned and current folder state, as short strings
+// ("name", "+user:x@y.com:writer", ...). Emails in ignoreEmails (granted by the
+// apply run itself) are left out on both sides.
+function folderChanges(planned, folder, permissions, ignoreEmails = []) {
+  const changes = [];
+  const current = snapshotFolder(folder, permissions);
+  if (planned.name !== current.name) changes.push(`name "${planned.name}" -> "${current.name}"`);
+  if (planned.parents.join(',') !== current.parents.join(',')) changes.push('parents');
+  if (planned.trashed !== current.trashed) changes.push(current.trashed ? 'trashed' : 'restored');
+
+  const ignored = new Set(ignoreEmails.map(e => e.toLowerCase()));
+  const key = p => `${p.type}:${p.email}:${p.role}`;
+  const keep = list => list.filter(p => !(p.email && ignored.has(p.email)));
+  const before = new Set(keep(planned.permissions).map(key));
+  const after = new Set(keep(current.permissions).map(key));
+  for (const k of after) if (!before.has(k)) changes.push(`+${k}`);
+  for (const k of before) if (!after.has(k)) changes.push(`-${k}`);
+  return changes;
+}
+
+function defaultPlanPath(cwd = process.cwd(), date = new Date()) {
+  const pad = n => String(n).padStart(2, '0');
+  const stamp = `${date.getFullYear()}${pad(date.getMonth() + 1)}${pad(date.getDate())}-${pad(date.getHours())}${pad(date.getMinutes())}${pad(date.getSeconds())}`;
+  return path.join(cwd, 'plans', `plan-${stamp}.json`);
+}
+
+function countActions(entries) {
+  const counts = Object.fromEntries(PLAN_ACTIONS.map(a => [a, 0]));
+  for (const entry of entries) counts[entry.action] = (counts[entry.action] || 0) + 1;
+  return counts;
+}
+
+// Pretty-printed so the file can be reviewed (and diffed) before apply
+function writePlan(filePath, plan) {
+  fs.mkdirSync(path.dirname(filePath), { recursive: true });
+  const body = { version: PLAN_VERSION, ...plan, summary: countActions(plan.entries || []) };
+  fs.writeFileSync(filePath, JSON.stringify(body, null, 2) + '\n');
+  return body;
+}
+
+// Load and validate a plan file; throws with a readable message
+function readPlan(filePath) {
+  let plan;
+  try {
+    plan = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+  } catch (error) {
+    throw new Error(`Cannot read plan ${filePath}: ${error.message}`);
+  }
+  if (!plan || plan.version !== PLAN_VERSION) {
+    throw new Error(`Unsupported plan version ${plan && plan.version} (expected ${PLAN_VERSION})`);
+  }
+  if (!Array.isArray(plan.entries) || !plan.folders || typeof plan.folders !== 'object') {
+    throw new Error('Plan is missing entries or folders');
+  }
+  for (const entry of plan.entries) {
+    if (!PLAN_ACTIONS.includes(entry.action)) throw new Error(`Unknown plan action '${entry.action}' (row ${entry.rowIndex})`);
+    if ((entry.action === 'grant' || entry.action === 'already_shared') && !plan.folders[entry.folderId]) {
+      throw new Error(`Row ${entry.rowIndex}: folder ${entry.folderId} has no recorded state`);
+    }
+  }
+  return plan;
+}
+
+module.exports = {
+  PLAN_VERSION,
+  PLAN_ACTIONS,
+  snapshotFolder,
+  normalizePermissions,
+  folderChanges,
+  defaultPlanPath,
+  countActions,
+  writePlan,
+  readPlan
+};
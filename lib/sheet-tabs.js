@@ -0,0 +1,67 @@
+// Spreadsheet/tab pairs one run works through (config key sheetTabs, SHEET_TABS,
+// --tabs). Written as a comma-separated list; an entry is a tab name of the
+// configured spreadsheet, or "<spreadsheetId>!<tab>" for a tab of another one:
+//   Gresik,Surabaya,1AbC...xyz!Gelombang 2
+// In the config file the list is stored as [{ sheetId, sheetName }].
+
+// One entry (string or stored object) as { sheetId, sheetName }; null if empty
+function parseSheetTab(entry) {
+  if (entry && typeof entry === 'object') {
+    const sheetName = String(entry.sheetName || '').trim();
+    return sheetName ? { sheetId: String(entry.sheetId || '').trim(), sheetName } : null;
+  }
+  const text = String(entry || '').trim();
+  if (!text) return null;
+  const separator = text.indexOf('!');
+  if (separator === -1) return { sheetId: '', sheetName: text };
+  const sheetName = text.slice(separator + 1).trim();
+  return sheetName ? { sheetId: text.slice(0, separator).trim(), sheetName } : null;
+}
+
+// List (string or array) as [{ sheetId, sheetName }]; sheetId '' = configured sheet
+function parseSheetTabs(value) {
+  const entries = Array.isArray(value) ? value : String(value || '').split(',');
+  return entries.map(parseSheetTab).filter(Boolean);
+}
+
+function formatSheetTab(tab) {
+  return tab.sheetId ? `${tab.sheetId}!${tab.sheetName}` : tab.sheetName;
+}
+
+// Back to the comma-separated form (prompt defaults, --print-config)
+function formatSheetTabs(value) {
+  return parseSheetTabs(value).map(formatSheetTab).join(',');
+}
+
+// Tabs of a run: the sheetTabs list with the configured spreadsheet filled in
+// (duplicates dropped), or the single sheetId/sheetName pair
+function resolveSheetTabs({ sheetTabs, sheetId, sheetName }) {
+  const seen = new Set();
+  const tabs = [];
+  for (const tab of parseSheetTabs(sheetTabs)) {
+    const resolved = { sheetId: tab.sheetId || sheetId || '', sheetName: tab.sheetName };
+    const key = tabKey(resolved);
+    if (seen.has(key)) continue;
+    seen.add(key);
+    tabs.push(resolved);
+  }
+  return tabs.length ? tabs : [{ sheetId: sheetId || '', sheetName }];
+}
+
+// Identity of a tab (journal source, lease key prefix)
+function tabKey(tab) {
+  return `${tab.sheetId}/${tab.sheetName}`;
+}
+
+// Short display name: the tab alone when it is in the configured spreadsheet
+function tabLabel(tab, sheetId) {
+  return tab.sheetId && tab.sheetId !== sheetId ? formatSheetTab(tab) : tab.sheetName;
+}
+
+module.exports = {
+  parseSheetTabs,
+  formatSheetTabs,
+  resolveSheetTabs,
+  tabKey,
+  tabLabel
+};
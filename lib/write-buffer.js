@@ -0,0 +1,90 @@
+// Buffered cell writer: collects cell changes and flushes them in one batch
+// call on a size/time threshold. Failed flushes are retried with backoff and,
+// when retries run out, the cells are kept for the next flush instead of dropped.
+class WriteBuffer {
+  constructor({ writeCells, maxSize = 50, flushIntervalMs = 5000, maxAttempts = 5, onRetry = null, onFlush = null, onError = null }) {
+    this.writeCells = writeCells;
+    this.maxSize = maxSize;
+    this.flushIntervalMs = flushIntervalMs;
+    this.maxAttempts = maxAttempts;
+    this.onRetry = onRetry;
+    this.onFlush = onFlush;
+    this.onError = onError;
+    this.pending = new Map(); // "row:col" -> { rowIndex, colIndex, value }
+    this.timer = null;
+    this.flushing = Promise.resolve();
+  }
+
+  get size() {
+    return this.pending.size;
+  }
+
+  // Queue a cell write; later writes to the same cell replace earlier ones
+  async enqueue(rowIndex, colIndex, value) {
+    this.pending.set(`${rowIndex}:${colIndex}`, { rowIndex, colIndex, value });
+    if (this.pending.size >= this.maxSize) {
+      await this.flush();
+    } else {
+      this.armTimer();
+    }
+  }
+
+  // Start the time-threshold flush unless one is already scheduled. A timer
+  // flush has no caller to throw to: its final failure goes to onError, and
+  // the cells put back are retried on the next interval.
+  armTimer() {
+    if (this.timer || this.flushIntervalMs <= 0 || this.pending.size === 0) return;
+    this.timer = setTimeout(() => {
+      this.timer = null;
+      this.flush().catch(error => {
+        if (this.onError) this.onError(error, this.pending.size);
+        this.armTimer();
+      });
+    }, this.flushIntervalMs);
+    if (typeof this.timer.unref === 'function') this.timer.unref();
+  }
+
+  // Flush all pending cells (flushes are serialized)
+  flush() {
+    const run = this.flushing.then(() => this._flushOnce());
+    this.flushing = run.catch(() => {});
+    return run;
+  }
+
+  async _flushOnce() {
+    if (this.timer) {
+      clearTimeout(this.timer);
+      this.timer = null;
+    }
+    if (this.pending.size === 0) return 0;
+
+    const batch = Array.from(this.pending.entries());
+    this.pending.clear();
+    const cells = batch.map(([, cell]) => cell);
+
+    let attempt = 0;
+    while (true) {
+      try {
+        await this.writeCells(cells);
+        if (this.onFlush) this.onFlush(cells);
+        return cells.length;
+      } catch (error) {
+        attempt++;
+        if (attempt < this.maxAttempts) {
+          const base = Math.min(30000, Math.pow(2, attempt) * 1000);
+          const jitter = Math.floor(Math.random() * 500);
+          if (this.onRetry) this.onRetry(error, attempt, cells.length);
+          await new Promise(resolve => setTimeout(resolve, base + jitter));
+          continue;
+        }
+        // Give up for now: put cells back unless a newer value was queued meanwhile
+        for (const [key, cell] of batch) {
+          if (!this.pending.has(key)) this.pending.set(key, cell);
+        }
+        throw error;
+      }
+    }
+  }
+}
+
+module.exports = { WriteBuffer };
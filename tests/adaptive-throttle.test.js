@@ -0,0 +1,69 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const CertificateSharing = require('../certificate-worker');
+const { AdaptiveThrottle } = require('../lib/adaptive-throttle');
+const { isolate, quiet } = require('./helpers');
+
+test('AdaptiveThrottle doubles on rate limits and steps down after a run of successes', () => {
+  const throttle = new AdaptiveThrottle({ initialMs: 1000, floorMs: 500, maxMs: 3000, successWindow: 3 });
+  throttle.onRateLimit();
+  assert.equal(throttle.delayMs, 2000);
+  throttle.onRateLimit();
+  assert.equal(throttle.delayMs, 3000, 'capped at maxMs');
+
+  throttle.onSuccess();
+  throttle.onSuccess();
+  assert.equal(throttle.delayMs, 3000);
+  throttle.onSuccess();
+  assert.equal(throttle.delayMs, 2750);
+
+  throttle.onSuccess();
+  throttle.onRateLimit();
+  throttle.onSuccess();
+  throttle.onSuccess();
+  assert.equal(throttle.delayMs, 3000, 'a rate limit restarts the success count');
+});
+
+// Worker whose Google requests are answered by `reply` (throws to fail)
+function workerWithAuth(t, reply) {
+  const { config } = isolate(t);
+  quiet(t);
+  config.set('throttleMs', 2000);
+  config.set('throttleFloorMs', 100);
+  config.set('throttleMaxMs', 60000);
+  const worker = new CertificateSharing({ config });
+  worker.sleep = async () => {};
+  worker.auth = { request: async opts => reply(opts) };
+  worker.instrumentAuth();
+  worker.getThrottle().successWindow = 2;
+  return worker;
+}
+
+test('only resolved throttled calls lower the delay', async t => {
+  const worker = workerWithAuth(t, () => ({ data: {} }));
+  for (let i = 0; i < 4; i++) {
+    await worker.throttle();
+    await worker.auth.request({ method: 'GET', url: 'https://www.googleapis.com/drive/v3/files' });
+  }
+  assert.equal(worker.getThrottle().delayMs, 1500);
+  if (worker.logStream) worker.logStream.end();
+});
+
+test('failed calls never count as successes', async t => {
+  const failures = [
+    Object.assign(new Error('backend error'), { response: { status: 503 } }),
+    Object.assign(new Error('not found'), { response: { status: 404 } }),
+    Object.assign(new Error('socket hang up'), { code: 'ECONNRESET' })
+  ];
+  let next = 0;
+  const worker = workerWithAuth(t, () => { throw failures[next++ % failures.length]; });
+  for (let i = 0; i < 6; i++) {
+    await worker.throttle();
+    await assert.rejects(worker.auth.request({ method: 'GET', url: 'https://www.googleapis.com/drive/v3/files' }));
+  }
+  // The next throttled call must not credit the failed ones either
+  await worker.throttle();
+  assert.equal(worker.getThrottle().delayMs, 2000);
+  assert.equal(worker.getThrottle().successes, 0);
+  if (worker.logStream) worker.logStream.end();
+});
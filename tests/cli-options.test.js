@@ -0,0 +1,117 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { OPTIONS, COMMANDS, parseCommandLine, applyFlags, configOverridesFromEnv, resolveOptions, formatHelp } = require('../lib/cli-options');
+const { withOverrides } = require('../lib/config-store');
+const CertificateSharing = require('../certificate-worker');
+const { isolate } = require('./helpers');
+
+test('parseCommandLine reads values, switches, --no- switches and positionals', () => {
+  const parsed = parseCommandLine(['--sheet-id', 'abc', '--sheet-name=Peserta Gresik', '--dry-run', '--no-notify', '--batch=false'], 'share');
+  assert.deepEqual(parsed.flags, { 'sheet-id': 'abc', 'sheet-name': 'Peserta Gresik', 'dry-run': true, notify: false, batch: false });
+  assert.equal(parsed.help, false);
+
+  const report = parseCommandLine(['run-1', '--list', '-h'], 'report');
+  assert.deepEqual(report.positionals, ['run-1']);
+  assert.equal(report.flags.list, true);
+  assert.equal(report.help, true);
+});
+
+test('parseCommandLine rejects unknown, misplaced and incomplete options', () => {
+  assert.throws(() => parseCommandLine(['--sheet'], 'share'), /Unknown option --sheet/);
+  assert.throws(() => parseCommandLine(['--workers', '4'], 'share'), /Unknown option --workers for "share"/);
+  assert.throws(() => parseCommandLine(['--sheet-id'], 'share'), /needs a value/);
+  assert.throws(() => parseCommandLine(['--sheet-id', '--dry-run'], 'share'), /needs a value/);
+  assert.throws(() => parseCommandLine(['--no-sheet-id'], 'share'), /takes a value/);
+  assert.throws(() => parseCommandLine(['--dry-run=yes'], 'share'), /is a switch/);
+});
+
+test('applyFlags sets env vars over existing ones', () => {
+  const env = { SHEET_ID: 'from-env', DRY_RUN: 'true' };
+  applyFlags({ 'sheet-id': 'from-flag', 'dry-run': false, 'max-per-run': '5' }, 'share', env);
+  assert.deepEqual(env, { SHEET_ID: 'from-flag', DRY_RUN: 'false', MAX_PER_RUN: '5' });
+});
+
+test('applyFlags passes monitor switches on as monitor arguments', () => {
+  const env = {};
+  const argv = applyFlags({ table: true, revoke: true, batch: false, workers: '4', dashboard: false }, 'monitor', env);
+  assert.deepEqual(argv, ['--table', '--revoke']);
+  assert.deepEqual(env, { DRIVE_BATCH: 'false', WORKER_COUNT: '4' });
+});
+
+test('configOverridesFromEnv converts env strings to config values', () => {
+  const overrides = configOverridesFromEnv({
+    SHEET_ID: 'sheet',
+    DRY_RUN: 'false',
+    NOTIFY: 'true',
+    ROLE: 'Editor',
+    MAX_PER_RUN: '25',
+    MAX_ATTEMPTS: 'x',
+    ALLOWED_EMAIL_DOMAINS: 'Gmail.com, osi.id',
+    EMAIL_POLICY: 'TRY',
+    FOLDER_PATH_PATTERN: ' {Kota}/{Nama} ',
+    UNRELATED: '1'
+  });
+  assert.deepEqual(overrides, {
+    sheetId: 'sheet',
+    sourceFile: '',
+    sheetTabs: [],
+    role: 'writer',
+    notifyMode: 'on',
+    dryRun: false,
+    folderPathPattern: '{Kota}/{Nama}',
+    emailPolicyMode: 'try',
+    allowedEmailDomains: ['gmail.com', 'osi.id'],
+    maxPerRun: 25
+  });
+});
+
+test('configOverridesFromEnv ignores invalid values', () => {
+  assert.deepEqual(configOverridesFromEnv({ ROLE: 'owner', EMAIL_POLICY: 'block', MAX_PER_RUN: '0' }), {});
+  assert.deepEqual(configOverridesFromEnv({ SOURCE_FILE: 'peserta.xlsx' }), { sourceFile: 'peserta.xlsx', resultsFile: '', sheetTabs: [] });
+});
+
+test('resolveOptions applies flag > env > config', () => {
+  const store = new Map([['sheetId', 'saved'], ['sheetName', 'saved-tab'], ['parentFolderId', 'saved-parent'], ['dryRun', true]]);
+  const rows = resolveOptions('share', { 'sheet-id': 'flag' }, { SHEET_ID: 'env', SHEET_NAME: 'env-tab', LOOP: 'true' }, store);
+  const byName = Object.fromEntries(rows.map(row => [row.name, row]));
+  assert.deepEqual(byName['sheet-id'], { name: 'sheet-id', value: 'flag', source: 'flag' });
+  assert.deepEqual(byName['sheet-name'], { name: 'sheet-name', value: 'env-tab', source: 'env' });
+  assert.deepEqual(byName['parent-folder'], { name: 'parent-folder', value: 'saved-parent', source: 'config' });
+  assert.deepEqual(byName.loop, { name: 'loop', value: 'true', source: 'env' });
+  assert.deepEqual(byName['shard-total'], { name: 'shard-total', value: undefined, source: 'default' });
+});
+
+test('withOverrides reads overrides first and saves set() values', () => {
+  const store = new Map([['sheetId', 'saved'], ['role', 'reader']]);
+  const config = withOverrides(store, { sheetId: 'override' });
+  assert.equal(config.get('sheetId'), 'override');
+  assert.equal(config.get('role'), 'reader');
+  config.set('sheetId', 'answered');
+  assert.equal(config.get('sheetId'), 'answered');
+  assert.equal(store.get('sheetId'), 'answered');
+});
+
+test('worker uses env settings for the run without saving them', t => {
+  const { config } = isolate(t, { SHEET_ID: 'env-sheet', SHEET_NAME: 'Wave 2', DRY_RUN: 'true', DRIVE_BATCH: 'true' });
+  config.set('sheetId', 'saved-sheet');
+  config.set('sourceFile', 'old.xlsx');
+  const worker = new CertificateSharing({ config });
+  assert.equal(worker.config.get('sheetId'), 'env-sheet');
+  assert.equal(worker.config.get('sheetName'), 'Wave 2');
+  assert.equal(worker.config.get('sourceFile'), '');
+  assert.equal(worker.config.get('dryRun'), true);
+  assert.equal(worker.batchMode, true);
+  assert.equal(config.get('sheetId'), 'saved-sheet');
+  assert.equal(config.get('sourceFile'), 'old.xlsx');
+});
+
+test('every command option is defined and documented in --help', () => {
+  for (const [command, spec] of Object.entries(COMMANDS)) {
+    const help = formatHelp(command);
+    for (const name of spec.options) {
+      assert.ok(OPTIONS[name], `${command}: --${name} defined`);
+      assert.match(help, new RegExp(`--${name}\\b`), `${command} --help lists --${name}`);
+    }
+  }
+  assert.match(formatHelp(null), /export-mapping/);
+});
@@ -0,0 +1,68 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { ERROR_CLASSES, classifyError, isRateLimitError, extractErrorDetails } = require('../lib/error-classifier');
+const { apiError, networkError } = require('./fixtures/google-errors');
+
+test('isRateLimitError accepts Drive and Sheets rate-limit responses', () => {
+  for (const name of ['driveUserRateLimit', 'driveSharingRateLimit', 'driveRateLimit429', 'sheetsQuotaExceeded']) {
+    assert.equal(isRateLimitError(apiError(name)), true, name);
+  }
+});
+
+test('isRateLimitError rejects other 403s, 4xx, 5xx and network errors', () => {
+  for (const name of ['driveInsufficientPermissions', 'driveNonGoogleUser', 'driveInvalidSharingRequest', 'driveFileNotFound', 'driveBackendError', 'sheetsPermissionDenied']) {
+    assert.equal(isRateLimitError(apiError(name)), false, name);
+  }
+  assert.equal(isRateLimitError(networkError('ECONNRESET', 'socket hang up')), false);
+  assert.equal(isRateLimitError(undefined), false);
+});
+
+test('isRateLimitError reads the reason from error.errors when there is no response', () => {
+  const error = apiError('driveUserRateLimit');
+  delete error.response;
+  assert.equal(isRateLimitError(error), true);
+});
+
+test('extractErrorDetails reads status, reasons, message and domain of Drive errors', () => {
+  assert.deepEqual(extractErrorDetails(apiError('driveUserRateLimit')), {
+    status: 403,
+    reasons: ['userRateLimitExceeded'],
+    message: 'User Rate Limit Exceeded',
+    domain: 'usageLimits'
+  });
+  assert.deepEqual(extractErrorDetails(apiError('driveFileNotFound')), {
+    status: 404,
+    reasons: ['notFound'],
+    message: 'File not found: 1AbCdEfGhIjKlMnOp.',
+    domain: 'global'
+  });
+});
+
+test('extractErrorDetails handles Sheets errors without an errors list', () => {
+  const details = extractErrorDetails(apiError('sheetsQuotaExceeded'));
+  assert.equal(details.status, 429);
+  assert.deepEqual(details.reasons, []);
+  assert.match(details.message, /Quota exceeded for quota metric 'Write requests'/);
+  assert.equal(details.domain, null);
+});
+
+test('extractErrorDetails falls back to the error message', () => {
+  const details = extractErrorDetails(networkError('ETIMEDOUT', 'connect ETIMEDOUT 142.250.4.95:443'));
+  assert.equal(details.message, 'connect ETIMEDOUT 142.250.4.95:443');
+  assert.deepEqual(details.reasons, []);
+  assert.equal(extractErrorDetails('plain failure').message, 'plain failure');
+});
+
+test('classifyError marks rate limits, 5xx and network failures as TRANSIENT', () => {
+  for (const name of ['driveUserRateLimit', 'driveSharingRateLimit', 'driveRateLimit429', 'sheetsQuotaExceeded', 'driveBackendError']) {
+    assert.equal(classifyError(apiError(name)), ERROR_CLASSES.TRANSIENT, name);
+  }
+  assert.equal(classifyError(networkError('ECONNRESET', 'socket hang up')), ERROR_CLASSES.TRANSIENT);
+  assert.equal(classifyError(new Error('socket hang up')), ERROR_CLASSES.TRANSIENT);
+});
+
+test('classifyError marks sheet or Drive problems as PERMANENT', () => {
+  for (const name of ['driveInsufficientPermissions', 'driveNonGoogleUser', 'driveInvalidSharingRequest', 'driveFileNotFound', 'sheetsPermissionDenied']) {
+    assert.equal(classifyError(apiError(name)), ERROR_CLASSES.PERMANENT, name);
+  }
+});
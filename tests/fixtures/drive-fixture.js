@@ -0,0 +1,52 @@
+// Drive folders and a participant sheet for full worker runs against
+// lib/fake-google.js. Rows cover each path of a grant pass: FolderId given,
+// folder found by name, already shared, previous failure, denied domain,
+// address without Google account, missing folder and a REVOKE request.
+
+const SHEET_ID = 'fixture-sheet';
+const SHEET_NAME = 'Peserta';
+const PARENT_FOLDER_ID = 'fx-parent';
+
+const HEADERS = ['Nama', 'Email', 'Kota', 'FolderId', 'isShared', 'isFolderExists', 'LastLog'];
+
+function sharingFixture() {
+  return {
+    files: [
+      { id: PARENT_FOLDER_ID, name: 'Sertifikat', parents: [], permissions: [{ type: 'user', role: 'owner', emailAddress: 'panitia@example.com' }] },
+      { id: 'fx-ahmad', name: 'AHMAD FAUZI', parents: [PARENT_FOLDER_ID] },
+      { id: 'fx-siti', name: 'SITI AMINAH', parents: [PARENT_FOLDER_ID] },
+      { id: 'fx-budi', name: 'BUDI SANTOSO', parents: [PARENT_FOLDER_ID], permissions: [{ type: 'user', role: 'reader', emailAddress: 'budi@gmail.com' }] },
+      { id: 'fx-citra', name: 'CITRA DEWI', parents: [PARENT_FOLDER_ID] },
+      { id: 'fx-dewi', name: 'DEWI LESTARI', parents: [PARENT_FOLDER_ID] },
+      { id: 'fx-eko', name: 'EKO PRASETYO', parents: [PARENT_FOLDER_ID], permissions: [{ type: 'user', role: 'reader', emailAddress: 'eko@gmail.com' }] },
+      { id: 'fx-fajar', name: 'FAJAR NUGROHO', parents: [PARENT_FOLDER_ID], permissions: [{ type: 'user', role: 'reader', emailAddress: 'fajar@gmail.com' }] },
+      { id: 'fx-rina', name: 'RINA WULANDARI', parents: [PARENT_FOLDER_ID] }
+    ],
+    spreadsheets: {
+      [SHEET_ID]: {
+        [SHEET_NAME]: [
+          HEADERS,
+          ['Ahmad Fauzi', 'ahmad.fauzi@gmail.com', 'Gresik', 'fx-ahmad', '', '', ''],
+          ['Siti Aminah', 'Siti.Aminah@gmail.com ', 'Gresik', '', '', '', ''],
+          ['Budi Santoso', 'budi@gmail.com', 'Surabaya', 'fx-budi', 'TRUE', 'TRUE', 'done'],
+          ['Citra Dewi', 'citra@gmail.com', 'Surabaya', '', 'FALSE', 'TRUE', 'failed'],
+          ['Dewi Lestari', 'dewi.lestari@yahoo.com', 'Sidoarjo', '', '', '', ''],
+          ['Eko Prasetyo', 'eko@gmail.com', 'Sidoarjo', '', '', '', ''],
+          ['Fajar Nugroho', 'fajar@gmail.com', 'Malang', 'fx-fajar', 'REVOKE', 'TRUE', ''],
+          ['Rina Wulandari', 'rina.nogoogle@gmail.com', 'Malang', '', '', '', ''],
+          ['Tanpa Folder', 'tanpa.folder@gmail.com', 'Malang', '', '', '', '']
+        ]
+      }
+    },
+    nonGoogleAccounts: ['rina.nogoogle@gmail.com'],
+    faults: []
+  };
+}
+
+module.exports = {
+  SHEET_ID,
+  SHEET_NAME,
+  PARENT_FOLDER_ID,
+  HEADERS,
+  sharingFixture
+};
@@ -0,0 +1,81 @@
+// Error responses as returned by the Drive v3 and Sheets v4 APIs, and the
+// error objects googleapis throws for them (the response body is kept on
+// error.response.data; code/errors are copied onto the error itself).
+
+const RESPONSES = {
+  driveUserRateLimit: {
+    status: 403,
+    body: { error: { errors: [{ domain: 'usageLimits', reason: 'userRateLimitExceeded', message: 'User Rate Limit Exceeded' }], code: 403, message: 'User Rate Limit Exceeded' } }
+  },
+  driveSharingRateLimit: {
+    status: 403,
+    body: { error: { errors: [{ domain: 'global', reason: 'sharingRateLimitExceeded', message: 'Rate limit exceeded. User message: "These item(s) could not be shared because a rate limit was exceeded: AHMAD FAUZI"' }], code: 403, message: 'Rate limit exceeded. User message: "These item(s) could not be shared because a rate limit was exceeded: AHMAD FAUZI"' } }
+  },
+  driveRateLimit429: {
+    status: 429,
+    body: { error: { errors: [{ domain: 'usageLimits', reason: 'rateLimitExceeded', message: 'Rate Limit Exceeded' }], code: 429, message: 'Rate Limit Exceeded' } }
+  },
+  sheetsQuotaExceeded: {
+    status: 429,
+    body: {
+      error: {
+        code: 429,
+        message: "Quota exceeded for quota metric 'Write requests' and limit 'Write requests per minute per user' of service 'sheets.googleapis.com' for consumer 'project_number:123456789012'.",
+        status: 'RESOURCE_EXHAUSTED',
+        details: [{
+          '@type': 'type.googleapis.com/google.rpc.ErrorInfo',
+          reason: 'RATE_LIMIT_EXCEEDED',
+          domain: 'googleapis.com',
+          metadata: { quota_metric: 'sheets.googleapis.com/write_requests', quota_limit: 'WriteRequestsPerMinutePerUser', service: 'sheets.googleapis.com', consumer: 'projects/123456789012' }
+        }]
+      }
+    }
+  },
+  driveInsufficientPermissions: {
+    status: 403,
+    body: { error: { errors: [{ domain: 'global', reason: 'insufficientFilePermissions', message: 'The user does not have sufficient permissions for this file.' }], code: 403, message: 'The user does not have sufficient permissions for this file.' } }
+  },
+  driveNonGoogleUser: {
+    status: 403,
+    body: { error: { errors: [{ domain: 'global', reason: 'cannotInviteNonGoogleUser', message: 'Cannot invite a user without a Google account.' }], code: 403, message: 'Cannot invite a user without a Google account.' } }
+  },
+  driveInvalidSharingRequest: {
+    status: 400,
+    body: { error: { errors: [{ domain: 'global', reason: 'invalidSharingRequest', message: 'Bad Request. User message: "You are trying to invite rina.nogoogle@gmail.com. Since there is no Google account associated with this email address, you must check the "Notify people" box to invite this recipient."' }], code: 400, message: 'Bad Request. User message: "You are trying to invite rina.nogoogle@gmail.com. Since there is no Google account associated with this email address, you must check the "Notify people" box to invite this recipient."' } }
+  },
+  driveFileNotFound: {
+    status: 404,
+    body: { error: { errors: [{ domain: 'global', reason: 'notFound', message: 'File not found: 1AbCdEfGhIjKlMnOp.', locationType: 'parameter', location: 'fileId' }], code: 404, message: 'File not found: 1AbCdEfGhIjKlMnOp.' } }
+  },
+  driveBackendError: {
+    status: 500,
+    body: { error: { errors: [{ domain: 'global', reason: 'backendError', message: 'Backend Error' }], code: 500, message: 'Backend Error' } }
+  },
+  sheetsPermissionDenied: {
+    status: 403,
+    body: { error: { code: 403, message: 'The caller does not have permission', status: 'PERMISSION_DENIED' } }
+  }
+};
+
+// Error object as thrown by a googleapis call for a recorded response
+function apiError(name) {
+  const { status, body } = RESPONSES[name];
+  const error = new Error(body.error.message);
+  error.code = body.error.code;
+  if (body.error.errors) error.errors = body.error.errors;
+  error.response = { status, statusText: '', headers: {}, data: JSON.parse(JSON.stringify(body)) };
+  return error;
+}
+
+// Error of a request that never got a response
+function networkError(code, message) {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+}
+
+module.exports = {
+  RESPONSES,
+  apiError,
+  networkError
+};
@@ -0,0 +1,190 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const {
+  DEFAULT_THRESHOLD,
+  DEFAULT_AMBIGUITY_MARGIN,
+  normalizeName,
+  scoreTokens,
+  scoreNames,
+  tokenize,
+  rankCandidates,
+  pickBestMatch,
+  renderFolderPath,
+  scoreAncestors,
+  createSearchVariations
+} = require('../lib/folder-matcher');
+const CertificateSharing = require('../certificate-worker');
+const { isolate, quiet } = require('./helpers');
+
+test('createSearchVariations keeps the name and adds case and spacing variants', () => {
+  const variations = createSearchVariations('Siti  Aminah');
+  assert.deepEqual(variations, ['Siti  Aminah', 'siti  aminah', 'SITI  AMINAH', 'Siti Aminah', 'siti aminah']);
+});
+
+test('createSearchVariations drops titles and punctuation', () => {
+  const variations = createSearchVariations('Dr. H. Ahmad Fauzi, S.Pd');
+  assert.ok(variations.includes('Dr. H. Ahmad Fauzi, S.Pd'));
+  assert.ok(variations.includes('Ahmad Fauzi, S.Pd'), 'titles removed');
+  assert.ok(variations.includes('ahmad fauzi, s.pd'));
+  assert.ok(!variations.some(v => /^[\s.,]/.test(v)), 'no leftover punctuation');
+  assert.ok(variations.includes('Dr H Ahmad Fauzi S Pd'), 'punctuation removed');
+  assert.ok(variations.includes('dr h ahmad fauzi s pd'));
+});
+
+test('createSearchVariations cleans up separators left by removed titles', () => {
+  assert.ok(createSearchVariations('Siti Aminah, Hj., S.Pd').includes('Siti Aminah, S.Pd'));
+  assert.ok(createSearchVariations('H.Ahmad Fauzi').includes('Ahmad Fauzi'));
+  assert.ok(createSearchVariations('Ahmad Fauzi, Dr.').includes('Ahmad Fauzi'));
+});
+
+test('createSearchVariations matches titles as whole words only', () => {
+  const variations = createSearchVariations('Hana Drajat');
+  assert.deepEqual(variations, ['Hana Drajat', 'hana drajat', 'HANA DRAJAT']);
+});
+
+test('createSearchVariations returns no duplicates or empty strings', () => {
+  const variations = createSearchVariations('muhammad');
+  assert.deepEqual(variations, ['muhammad', 'MUHAMMAD']);
+  assert.equal(new Set(variations).size, variations.length);
+});
+
+test('defaults: 0.85 threshold and 0.05 ambiguity margin', () => {
+  assert.equal(DEFAULT_THRESHOLD, 0.85);
+  assert.equal(DEFAULT_AMBIGUITY_MARGIN, 0.05);
+});
+
+test('a first name alone does not match a longer folder name', () => {
+  assert.equal(scoreNames('ARYA', 'ARYA AUFARDHANA ZUHDY'), 0.5);
+  const result = pickBestMatch('ARYA', [{ id: 'f-arya', name: 'ARYA AUFARDHANA ZUHDY' }]);
+  assert.equal(result.status, 'none');
+  assert.equal(result.best.id, 'f-arya');
+  assert.equal(result.best.score, 0.5);
+});
+
+test('scoreTokens counts unmatched tokens on both sides', () => {
+  assert.equal(scoreTokens(['siti', 'aminah'], ['siti', 'aminah']), 1);
+  assert.equal(scoreTokens(['siti', 'aminah'], ['siti', 'nur', 'aminah']), 0.8);
+  assert.equal(scoreTokens(['siti'], ['budi']), 0);
+  assert.equal(scoreTokens([], ['siti']), 0);
+  assert.equal(scoreTokens(['siti'], []), 0);
+});
+
+test('two folders with the same score are ambiguous, with both candidates', () => {
+  const result = pickBestMatch('Siti Aminah', [
+    { id: 'f-1', name: 'SITI AMINAH' },
+    { id: 'f-2', name: 'Siti Aminah' },
+    { id: 'f-3', name: 'Siti Rahayu' }
+  ]);
+  assert.equal(result.status, 'ambiguous');
+  assert.deepEqual(result.candidates.map(c => [c.id, c.score]).sort(), [['f-1', 1], ['f-2', 1]]);
+});
+
+test('a runner-up outside the margin leaves a clear winner', () => {
+  const result = pickBestMatch('Siti Aminah', [
+    { id: 'f-exact', name: 'Siti Aminah' },
+    { id: 'f-typo', name: 'Siti Aminaah' }
+  ]);
+  assert.equal(result.status, 'matched');
+  assert.equal(result.match.id, 'f-exact');
+});
+
+test('names of the same folder under several spellings count once', () => {
+  const result = pickBestMatch('Siti Aminah', [
+    { id: 'f-siti', name: 'SITI AMINAH' },
+    { id: 'f-siti', name: 'siti aminah' }
+  ]);
+  assert.equal(result.status, 'matched');
+  assert.equal(result.match.id, 'f-siti');
+});
+
+test('accents, case and punctuation are normalised away', () => {
+  assert.equal(normalizeName('  José  Ramírez '), 'jose ramirez');
+  assert.equal(normalizeName("Zoë O'Brien-Smith, S.Pd"), 'zoe o brien smith s pd');
+  assert.equal(scoreNames('JOSÉ RAMÍREZ', 'jose ramirez'), 1);
+  assert.equal(pickBestMatch('Nur Hidayah, S.Pd.', [{ id: 'f-nur', name: 'NUR HIDAYAH S PD' }]).status, 'matched');
+});
+
+test('M./Moh/Muhammad spellings are one token', () => {
+  assert.deepEqual(tokenize('M. Arya'), ['muhammad', 'arya']);
+  assert.deepEqual(tokenize('Moch Arya'), ['muhammad', 'arya']);
+  const result = pickBestMatch('M. Arya Zuhdy', [{ id: 'f-arya', name: 'MUHAMMAD ARYA ZUHDY' }]);
+  assert.equal(result.status, 'matched');
+  assert.equal(result.match.score, 1);
+});
+
+test('an initial matches the full name only within the threshold', () => {
+  // "A" ~ "Aufa" counts 0.8: (0.8 + 1) * 2 / 4 = 0.9
+  const [ranked] = rankCandidates('A Zuhdy', [{ id: 'f-aufa', name: 'Aufa Zuhdy' }]);
+  assert.ok(Math.abs(ranked.score - 0.9) < 1e-9);
+  assert.equal(pickBestMatch('A Zuhdy', [{ id: 'f-aufa', name: 'Aufa Zuhdy' }]).status, 'matched');
+  assert.equal(pickBestMatch('M. A. Zuhdy', [{ id: 'f-aufa', name: 'Muhammad Aufa Zuhdy' }]).status, 'matched');
+
+  // One more unmatched token drops it below 0.85: (0.8 + 1) * 2 / 5 = 0.72
+  const result = pickBestMatch('A Zuhdy', [{ id: 'f-aufa', name: 'Aufa Rahman Zuhdy' }]);
+  assert.equal(result.status, 'none');
+  assert.ok(Math.abs(result.best.score - 0.72) < 1e-9);
+  // An initial is not a whole different first name
+  assert.equal(pickBestMatch('B Zuhdy', [{ id: 'f-aufa', name: 'Aufa Zuhdy' }]).status, 'none');
+});
+
+test('threshold and margin can be set per call', () => {
+  const candidates = [{ id: 'f-arya', name: 'ARYA AUFARDHANA ZUHDY' }];
+  assert.equal(pickBestMatch('ARYA', candidates, { threshold: 0.5 }).status, 'matched');
+  const close = [{ id: 'f-exact', name: 'Siti Aminah' }, { id: 'f-typo', name: 'Siti Aminaah' }];
+  assert.equal(pickBestMatch('Siti Aminah', close, { ambiguityMargin: 0.1 }).status, 'ambiguous');
+});
+
+test('renderFolderPath fills placeholders from the row', () => {
+  const row = { kota: 'Gresik', 'nama peserta': 'Jose Ramirez', jenjang: 'SMA' };
+  const lookup = key => row[key.toLowerCase()];
+  assert.deepEqual(renderFolderPath('{Kota}/{Nama Peserta}', lookup), ['Gresik', 'Jose Ramirez']);
+  assert.deepEqual(renderFolderPath(' {Jenjang} / OSI {Kota} / {Nama Peserta} ', lookup), ['SMA', 'OSI Gresik', 'Jose Ramirez']);
+  assert.deepEqual(renderFolderPath('{Kota}//{Nama Peserta}/', lookup), ['Gresik', 'Jose Ramirez']);
+  assert.deepEqual(renderFolderPath('{Provinsi}/{Nama Peserta}', lookup), ['', 'Jose Ramirez']);
+  assert.deepEqual(renderFolderPath('', lookup), []);
+});
+
+const SAME_NAME_FOLDERS = [
+  { id: 'f-jose-gresik', name: 'Jose Ramirez', path: ['JAWA TIMUR', 'GRESIK'] },
+  { id: 'f-jose-malang', name: 'JOSE RAMIREZ', path: ['JAWA TIMUR', 'MALANG'] }
+];
+
+test('same-name participants resolve to the folder under their own city', () => {
+  const gresik = pickBestMatch('Jose Ramirez', SAME_NAME_FOLDERS, { ancestors: ['OSI 2 di kota Gresik'] });
+  assert.equal(gresik.status, 'matched');
+  assert.equal(gresik.match.id, 'f-jose-gresik');
+  const malang = pickBestMatch('Jose Ramirez', SAME_NAME_FOLDERS, { ancestors: ['Malang'] });
+  assert.equal(malang.status, 'matched');
+  assert.equal(malang.match.id, 'f-jose-malang');
+
+  // A city with no folder matches neither; no city at all is ambiguous
+  assert.equal(pickBestMatch('Jose Ramirez', SAME_NAME_FOLDERS, { ancestors: ['Surabaya'] }).status, 'none');
+  assert.equal(pickBestMatch('Jose Ramirez', SAME_NAME_FOLDERS).status, 'ambiguous');
+});
+
+test('a candidate without path info never wins when a path is expected', () => {
+  assert.equal(scoreAncestors([tokenize('Gresik')], null), 0);
+  assert.equal(scoreAncestors([tokenize('Gresik')], []), 0);
+  assert.equal(scoreAncestors([[]], null), 1, 'empty city value checks nothing');
+
+  // Flat name -> id mapping entry for the Malang folder
+  const candidates = [...SAME_NAME_FOLDERS.slice(1), { id: 'f-jose-flat', name: 'Jose Ramirez' }];
+  const result = pickBestMatch('Jose Ramirez', candidates, { ancestors: ['Gresik'] });
+  assert.equal(result.status, 'none');
+  assert.equal(pickBestMatch('Jose Ramirez', [{ id: 'f-jose-flat', name: 'Jose Ramirez' }]).status, 'matched', 'no pattern: name only');
+});
+
+test('worker picks each row\'s folder from the mapping with folderPathPattern', async t => {
+  const { config } = isolate(t);
+  quiet(t);
+  config.set('folderPathPattern', '{Kota}/{Nama Peserta}');
+  const worker = new CertificateSharing({ config });
+  worker.folderMapping = { version: 2, folders: SAME_NAME_FOLDERS };
+
+  const rowGresik = { nama: 'Jose Ramirez', kota: 'OSI 2 di kota Gresik', fields: {} };
+  const rowMalang = { nama: 'Jose Ramirez', kota: 'MALANG', fields: {} };
+  assert.deepEqual(worker.resolveFolderPath(rowGresik, rowGresik.nama), { leaf: 'Jose Ramirez', ancestors: ['OSI 2 di kota Gresik'] });
+  assert.equal((await worker.findFolderByName(rowGresik.nama, null, rowGresik)).id, 'f-jose-gresik');
+  assert.equal((await worker.findFolderByName(rowMalang.nama, null, rowMalang)).id, 'f-jose-malang');
+  if (worker.logStream) worker.logStream.end();
+});
@@ -0,0 +1,54 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createConfigStore } = require('../lib/config-store');
+
+// Settings the worker reads from the environment; cleared so a developer's
+// shell (SHEET_ID, DRY_RUN, ...) cannot change what a test exercises
+const WORKER_ENV = [
+  'ALLOWED_EMAIL_DOMAINS', 'APPLY_PLAN', 'COORDINATOR_URL', 'DEBUG', 'DEBUG_SHARE', 'DENIED_EMAIL_DOMAINS',
+  'DRIVE_BATCH', 'DRY_RUN', 'EMAIL_POLICY', 'FOLDER_PATH_PATTERN', 'GOOGLE_API_BASE_URL', 'LOG_FORMAT', 'LOOP',
+  'MAX_ATTEMPTS', 'MAX_PER_RUN', 'METRICS_HOST', 'METRICS_PORT', 'NON_INTERACTIVE', 'NOTIFY', 'PARENT_FOLDER_ID',
+  'PLAN', 'PLAN_FILE', 'POLL_INTERVAL', 'PROFILE', 'RESULTS_FILE', 'RETRY_FAILED', 'REVOKE', 'ROLE', 'RUN_ID',
+  'SHARD_INDEX', 'SHARD_TOTAL', 'SHEET_ID', 'SHEET_NAME', 'SOURCE_FILE', 'WORKER_ID'
+];
+
+// Fresh working directory (logs/, journal/, reports/ land here) and config
+// store for one test; env and cwd are restored when the test ends
+function isolate(t, env = {}) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'certsharing-test-'));
+  const previousCwd = process.cwd();
+  const previousEnv = Object.fromEntries(WORKER_ENV.map(key => [key, process.env[key]]));
+  for (const key of WORKER_ENV) delete process.env[key];
+  Object.assign(process.env, env);
+  process.chdir(dir);
+
+  t.after(() => {
+    process.chdir(previousCwd);
+    for (const [key, value] of Object.entries(previousEnv)) {
+      if (value === undefined) delete process.env[key];
+      else process.env[key] = value;
+    }
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  // No pauses between API calls so a full run takes well under a second
+  const config = createConfigStore({
+    cwd: path.join(dir, 'config'),
+    defaults: { throttleMs: 1, throttleFloorMs: 1, throttleMaxMs: 5 }
+  });
+  return { dir, config };
+}
+
+// Silence the worker's console output (tables, per-row lines; spinners and
+// progress bars write to stderr). stdout itself carries the test results.
+function quiet(t) {
+  for (const method of ['log', 'info', 'warn', 'error', 'clear']) t.mock.method(console, method, () => {});
+  t.mock.method(process.stderr, 'write', () => true);
+}
+
+module.exports = {
+  WORKER_ENV,
+  isolate,
+  quiet
+};
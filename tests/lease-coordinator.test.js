@@ -0,0 +1,85 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const CertificateSharing = require('../certificate-worker');
+const { LeaseCoordinator, startCoordinatorServer, LeaseClient } = require('../lib/lease-coordinator');
+const { isolate, quiet } = require('./helpers');
+
+// Coordinator on a clock the test moves by hand
+function clockedCoordinator(options = {}) {
+  const clock = { now: 1000000 };
+  const reclaimed = [];
+  const coordinator = new LeaseCoordinator({
+    leaseTtlMs: 60000,
+    doneTtlMs: 300000,
+    now: () => clock.now,
+    onReclaim: keys => reclaimed.push(...keys),
+    ...options
+  });
+  return { coordinator, clock, reclaimed };
+}
+
+test('an expired lease is reclaimed and handed to another worker', () => {
+  const { coordinator, clock, reclaimed } = clockedCoordinator();
+  assert.deepEqual(coordinator.lease('w1', ['a', 'b', 'c'], 2).granted, ['a', 'b']);
+  assert.deepEqual(coordinator.lease('w2', ['a', 'b'], 2), { granted: [], unavailable: ['a', 'b'], ttlMs: 60000 });
+
+  // A heartbeat keeps the lease past its first ttl
+  clock.now += 50000;
+  assert.deepEqual(coordinator.renew('w1'), { renewed: 2 });
+  clock.now += 50000;
+  assert.deepEqual(coordinator.lease('w2', ['a'], 1).granted, []);
+  assert.deepEqual(reclaimed, []);
+
+  // Without heartbeats the leases expire, exactly at ttl
+  clock.now += 10000;
+  assert.deepEqual(coordinator.lease('w2', ['a', 'b'], 2).granted, ['a', 'b']);
+  assert.deepEqual(reclaimed, [{ key: 'a', worker: 'w1' }, { key: 'b', worker: 'w1' }]);
+
+  // The stale worker can no longer renew or complete the reclaimed keys
+  assert.deepEqual(coordinator.renew('w1'), { renewed: 0 });
+  assert.deepEqual(coordinator.complete('w1', ['a']), { completed: 0 });
+  assert.deepEqual(coordinator.status().workers, { w2: 2 });
+});
+
+test('completed keys stay blocked for doneTtlMs', () => {
+  const { coordinator, clock } = clockedCoordinator();
+  coordinator.lease('w1', ['a'], 1);
+  assert.deepEqual(coordinator.complete('w1', ['a']), { completed: 1 });
+  clock.now += 299999;
+  assert.deepEqual(coordinator.lease('w2', ['a'], 1).unavailable, ['a']);
+  clock.now += 1;
+  assert.deepEqual(coordinator.lease('w2', ['a'], 1).granted, ['a']);
+  assert.equal(coordinator.status().done, 0);
+});
+
+test('release only gives back keys the worker holds', () => {
+  const { coordinator } = clockedCoordinator();
+  coordinator.lease('w1', ['a', 'b'], 2);
+  assert.deepEqual(coordinator.release('w2', ['a', 'b']), { released: 0 });
+  assert.deepEqual(coordinator.release('w1', ['a', 'x']), { released: 1 });
+  assert.deepEqual(coordinator.lease('w2', ['a', 'b'], 2), { granted: ['a'], unavailable: ['b'], ttlMs: 60000 });
+});
+
+test('a worker that stops mid-chunk releases its keys right away', async t => {
+  const { coordinator } = clockedCoordinator();
+  const { server, url } = await startCoordinatorServer({ coordinator });
+  t.after(() => server.close());
+  const { config } = isolate(t);
+  quiet(t);
+  config.set('leaseChunkSize', 2);
+
+  const worker = new CertificateSharing({ config });
+  worker.leaseClient = new LeaseClient(url, 'w1');
+  const list = ['f1', 'f2', 'f3'].map(folderId => ({ nama: folderId, folderId }));
+  const seen = [];
+  for await (const participant of worker.iterateWork(list, 10)) {
+    seen.push(participant.folderId);
+    break;
+  }
+  if (worker.logStream) worker.logStream.end();
+
+  assert.deepEqual(seen, ['f1']);
+  assert.equal(coordinator.leases.size, 0, 'no key left leased');
+  assert.equal(coordinator.done.size, 0, 'nothing reported done');
+  assert.deepEqual(await new LeaseClient(url, 'w2').lease(['f1', 'f2', 'f3'], 3), { granted: ['f1', 'f2', 'f3'], unavailable: [], ttlMs: 60000 });
+});
@@ -0,0 +1,99 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const XLSX = require('xlsx');
+const { toCol, parseCsv, formatCsv, detectParticipantColumns, FileParticipantSource, createParticipantSource } = require('../lib/participant-source');
+
+const SAMPLE_CSV = path.join(__dirname, '..', 'sample.csv');
+
+function tempDir(t) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'certsharing-source-'));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  return dir;
+}
+
+test('toCol converts 0-based indexes to A1 column letters', () => {
+  const cases = [[0, 'A'], [1, 'B'], [25, 'Z'], [26, 'AA'], [27, 'AB'], [51, 'AZ'], [52, 'BA'], [701, 'ZZ'], [702, 'AAA'], [16383, 'XFD']];
+  for (const [index, letters] of cases) assert.equal(toCol(index), letters, `index ${index}`);
+});
+
+test('toCol gives distinct letters for consecutive columns', () => {
+  const seen = new Set();
+  for (let i = 0; i < 1000; i++) seen.add(toCol(i));
+  assert.equal(seen.size, 1000);
+});
+
+test('parseCsv handles quotes, escaped quotes, commas, newlines and CRLF', () => {
+  const text = 'Nama,Email,LastLog\r\n"Fauzi, Ahmad",a@gmail.com,"said ""hi""\nthen left"\r\nSiti,s@gmail.com,\n';
+  assert.deepEqual(parseCsv(text), [
+    ['Nama', 'Email', 'LastLog'],
+    ['Fauzi, Ahmad', 'a@gmail.com', 'said "hi"\nthen left'],
+    ['Siti', 's@gmail.com', '']
+  ]);
+  assert.deepEqual(parseCsv('a,b'), [['a', 'b']], 'no trailing newline');
+  assert.deepEqual(parseCsv(formatCsv(parseCsv(text))), parseCsv(text), 'formatCsv round-trips');
+});
+
+test('columns of a Google Forms export (sample.csv) are detected', () => {
+  const [headers, ...rows] = parseCsv(fs.readFileSync(SAMPLE_CSV, 'utf8'));
+  const columns = detectParticipantColumns(headers);
+  assert.equal(headers[columns.nameCol], 'Nama Peserta');
+  assert.equal(headers[columns.emailCol], 'Email Address');
+  assert.equal(headers[columns.cityCol], 'Ikut OSI2/OSH di Kota...', 'city found by keyword');
+  assert.equal(headers[columns.levelCol], 'Jenjang');
+  assert.equal(columns.revokeCol, -1);
+  assert.equal(columns.roleCol, -1);
+  assert.equal(rows[0][columns.emailCol], 'ayuasw93@gmail.com');
+});
+
+test('CSV results go to the results file and are read back on the next run', async t => {
+  const dir = tempDir(t);
+  const sourceFile = path.join(dir, 'peserta.csv');
+  const resultsFile = path.join(dir, 'peserta.results.csv');
+  fs.writeFileSync(sourceFile, '\uFEFF' + fs.readFileSync(SAMPLE_CSV, 'utf8'));
+  const original = fs.readFileSync(sourceFile, 'utf8');
+
+  const source = createParticipantSource({ sourceFile, resultsFile });
+  assert.ok(source instanceof FileParticipantSource);
+  const headers = await source.readHeaders();
+  assert.equal(headers[0], 'Timestamp', 'BOM stripped');
+  await source.appendHeaders(headers.length, ['FolderId', 'isShared']);
+  await source.writeCells([
+    { rowIndex: 2, colIndex: headers.length, value: 'fx-zaidan' },
+    { rowIndex: 2, colIndex: headers.length + 1, value: 'TRUE' }
+  ]);
+  // A later flush keeps the earlier cells
+  await source.writeCell(4, headers.length + 1, 'FALSE, "no folder"');
+
+  assert.equal(fs.readFileSync(sourceFile, 'utf8'), original, 'source file untouched');
+  const rows = await createParticipantSource({ sourceFile, resultsFile }).readRows();
+  assert.deepEqual(rows[0].slice(-2), ['FolderId', 'isShared']);
+  assert.deepEqual(rows[1].slice(-2), ['fx-zaidan', 'TRUE']);
+  assert.equal(rows[3][headers.length + 1], 'FALSE, "no folder"');
+  assert.equal(rows[4][2], 'ARYA AUFARDHANA ZUHDY', 'other rows kept');
+  assert.equal(fs.readdirSync(dir).filter(name => name.endsWith('.tmp')).length, 0);
+});
+
+test('XLSX cells are written back into the chosen worksheet', async t => {
+  const dir = tempDir(t);
+  const filePath = path.join(dir, 'peserta.xlsx');
+  const workbook = XLSX.utils.book_new();
+  XLSX.utils.book_append_sheet(workbook, XLSX.utils.aoa_to_sheet([['Catatan']]), 'Info');
+  XLSX.utils.book_append_sheet(workbook, XLSX.utils.aoa_to_sheet([['Nama', 'Email'], ['Siti Aminah', 'siti@gmail.com']]), 'Peserta');
+  XLSX.writeFile(workbook, filePath);
+
+  const source = new FileParticipantSource({ filePath, sheetName: 'Peserta' });
+  assert.deepEqual(await source.readHeaders(), ['Nama', 'Email']);
+  await source.writeCells([
+    { rowIndex: 1, colIndex: 2, value: 'isShared' },
+    { rowIndex: 2, colIndex: 2, value: 'TRUE' }
+  ]);
+  assert.deepEqual(await source.readRows(), [['Nama', 'Email', 'isShared'], ['Siti Aminah', 'siti@gmail.com', 'TRUE']]);
+  assert.deepEqual(await new FileParticipantSource({ filePath }).readHeaders(), ['Catatan'], 'unknown worksheet: first one');
+});
+
+test('only .csv, .xlsx and .xls files are accepted', () => {
+  assert.throws(() => new FileParticipantSource({ filePath: 'peserta.json' }), /Unsupported participant file type: \.json/);
+});
@@ -0,0 +1,125 @@
+const fs = require('fs');
+const path = require('path');
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const CertificateSharing = require('../certificate-worker');
+const { startFakeGoogleServer } = require('../lib/fake-google');
+const { readEvents } = require('../lib/event-log');
+const { withOverrides } = require('../lib/config-store');
+const { listProfiles, getProfile, createProfile, deleteProfile, profileStore, selectProfile } = require('../lib/profiles');
+const { profileSettingsFromFlags, resolveOptions } = require('../lib/cli-options');
+const { isolate, quiet } = require('./helpers');
+const { SHEET_ID, SHEET_NAME, PARENT_FOLDER_ID, sharingFixture } = require('./fixtures/drive-fixture');
+
+test('profiles are created, listed and deleted in the store', () => {
+  const store = new Map();
+  createProfile(store, 'osi', { sheetId: 'osi-sheet', role: 'writer' });
+  createProfile(store, 'osh-2025', {});
+  assert.deepEqual(listProfiles(store), ['osh-2025', 'osi']);
+  assert.deepEqual(getProfile(store, 'osi'), { sheetId: 'osi-sheet', role: 'writer' });
+
+  assert.throws(() => createProfile(store, 'osi', {}), /already exists/);
+  assert.throws(() => createProfile(store, 'os.i', {}), /Invalid profile name/);
+  assert.throws(() => createProfile(store, 'x', { maxPerRun: 5 }), /not a profile setting/);
+
+  assert.equal(deleteProfile(store, 'osi'), true);
+  assert.equal(deleteProfile(store, 'osi'), false);
+  assert.deepEqual(listProfiles(store), ['osh-2025']);
+});
+
+test('a profile never reads the shared sheet, folder or role', () => {
+  const store = new Map([['sheetId', 'shared-sheet'], ['parentFolderId', 'shared-parent'], ['role', 'writer'], ['maxPerRun', 40]]);
+  createProfile(store, 'osh', { sheetName: 'Gelombang 1' });
+  const view = profileStore(store, 'osh');
+
+  assert.equal(view.get('sheetId'), '');
+  assert.equal(view.get('parentFolderId'), '');
+  assert.equal(view.get('role'), 'reader');
+  assert.equal(view.get('sheetName'), 'Gelombang 1');
+  assert.equal(view.get('mappingFile'), path.join('cache', 'profiles', 'osh', 'folder-mapping.json'));
+  assert.equal(view.get('maxPerRun'), 40, 'other settings stay shared');
+
+  // Prompt answers under a profile are saved into it
+  view.set('sheetId', 'osh-sheet');
+  view.set('maxPerRun', 50);
+  assert.equal(getProfile(store, 'osh').sheetId, 'osh-sheet');
+  assert.equal(store.get('sheetId'), 'shared-sheet');
+  assert.equal(store.get('maxPerRun'), 50);
+
+  assert.equal(selectProfile(store, ''), store);
+  assert.throws(() => selectProfile(store, 'osi'), /Profile "osi" not found \(known: osh\)/);
+});
+
+test('profile create flags become profile settings', () => {
+  assert.deepEqual(profileSettingsFromFlags({ 'sheet-id': 'S', role: 'Editor', notify: false, 'throttle-ms': '4000', yes: true }), {
+    sheetId: 'S', role: 'writer', notifyMode: 'off', throttleMs: 4000
+  });
+  assert.throws(() => profileSettingsFromFlags({ role: 'owner' }), /Invalid value for --role/);
+  assert.throws(() => profileSettingsFromFlags({ 'throttle-ms': 'fast' }), /Invalid value for --throttle-ms/);
+});
+
+test('resolveOptions applies flag > env > profile > config', () => {
+  const store = new Map([['sheetId', 'shared-sheet'], ['dryRun', true]]);
+  createProfile(store, 'osi', { sheetName: 'Peserta' });
+  const rows = resolveOptions('share', { profile: 'osi' }, { ROLE: 'commenter' }, profileStore(store, 'osi'));
+  const byName = Object.fromEntries(rows.map(row => [row.name, row]));
+  assert.deepEqual(byName.profile, { name: 'profile', value: 'osi', source: 'flag' });
+  assert.deepEqual(byName['sheet-name'], { name: 'sheet-name', value: 'Peserta', source: 'profile' });
+  assert.deepEqual(byName['sheet-id'], { name: 'sheet-id', value: '', source: 'default' });
+  assert.deepEqual(byName.role, { name: 'role', value: 'commenter', source: 'env' });
+  assert.deepEqual(byName['dry-run'], { name: 'dry-run', value: true, source: 'config' });
+});
+
+test('env overrides still win over the profile', () => {
+  const store = new Map();
+  createProfile(store, 'osi', { sheetId: 'osi-sheet', sheetName: 'Peserta' });
+  const config = withOverrides(profileStore(store, 'osi'), { sheetName: 'Susulan' });
+  assert.equal(config.get('sheetId'), 'osi-sheet');
+  assert.equal(config.get('sheetName'), 'Susulan');
+});
+
+test('worker with PROFILE shares from the profile sheet and uses its mapping cache', async t => {
+  const { server, url, fake } = await startFakeGoogleServer({ fixture: sharingFixture() });
+  t.after(() => server.close());
+  const { dir, config } = isolate(t, {
+    GOOGLE_API_BASE_URL: url,
+    PROFILE: 'osi',
+    NON_INTERACTIVE: 'true',
+    NOTIFY: 'false',
+    WORKER_ID: 'test',
+    RUN_ID: 'run-profile'
+  });
+  quiet(t);
+  // Shared settings point at another event and must not be used
+  config.set('sheetId', 'other-event-sheet');
+  config.set('parentFolderId', 'other-event-parent');
+  createProfile(config, 'osi', { sheetId: SHEET_ID, sheetName: SHEET_NAME, parentFolderId: PARENT_FOLDER_ID, throttleMs: 1 });
+  const mappingFile = path.join(dir, 'cache', 'profiles', 'osi', 'folder-mapping.json');
+  fs.mkdirSync(path.dirname(mappingFile), { recursive: true });
+  fs.writeFileSync(mappingFile, JSON.stringify({ 'SITI AMINAH': 'fx-siti', 'siti aminah': 'fx-siti' }));
+
+  const worker = new CertificateSharing({ config });
+  worker.sleep = async () => {};
+  assert.equal(worker.config.get('parentFolderId'), PARENT_FOLDER_ID);
+  assert.equal(worker.loadFolderMapping(), true);
+  assert.equal(await worker.setupAuth(), true);
+  assert.equal(await worker.setupConfig(), true);
+  const data = await worker.getSpreadsheetDataFlexible();
+  await worker.processBatch(data);
+  if (worker.logStream) worker.logStream.end();
+
+  const state = fake.snapshot();
+  const [headers, ...rows] = state.spreadsheets[SHEET_ID][SHEET_NAME];
+  const siti = rows.find(row => row[0] === 'Siti Aminah');
+  assert.equal(siti[headers.indexOf('isShared')], 'TRUE');
+  assert.equal(state.calls['values.get'] > 0, true);
+
+  const [eventsFile] = fs.readdirSync(path.join(dir, 'logs')).filter(name => name.startsWith('events-'));
+  const start = readEvents(path.join(dir, 'logs', eventsFile)).find(e => e.type === 'run_start');
+  assert.equal(start.profile, 'osi');
+});
+
+test('worker refuses an unknown PROFILE', t => {
+  const { config } = isolate(t, { PROFILE: 'nope' });
+  assert.throws(() => new CertificateSharing({ config }), /Profile "nope" not found/);
+});
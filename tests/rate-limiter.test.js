@@ -0,0 +1,42 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { TokenBucket, DEFAULT_RATE_LIMITS, rateLimitsFromEnv, createBuckets } = require('../lib/rate-limiter');
+
+function clockedBucket(options) {
+  const clock = { now: 1000000 };
+  return { bucket: new TokenBucket({ ...options, now: () => clock.now }), clock };
+}
+
+test('reserve spends the burst, then queues callers one interval apart', () => {
+  const { bucket } = clockedBucket({ ratePerSec: 2, burst: 2 });
+  assert.deepEqual([bucket.reserve(), bucket.reserve(), bucket.reserve(), bucket.reserve()], [0, 0, 500, 1000]);
+  assert.deepEqual(bucket.status(), { ratePerSec: 2, burst: 2, tokens: -2, granted: 4 });
+});
+
+test('tokens refill with time but never above the burst', () => {
+  const { bucket, clock } = clockedBucket({ ratePerSec: 2, burst: 2 });
+  bucket.reserve(3);
+  clock.now += 250;
+  assert.equal(bucket.reserve(), 750, 'the token owed from before is paid back first');
+  clock.now += 60000;
+  assert.equal(bucket.status().tokens, 2);
+  assert.equal(bucket.reserve(3), 500);
+});
+
+test('waits are rounded up to whole milliseconds', () => {
+  const { bucket } = clockedBucket({ ratePerSec: 3, burst: 1 });
+  assert.equal(bucket.reserve(), 0);
+  assert.equal(bucket.reserve(), 334);
+  assert.equal(bucket.reserve(), 667);
+});
+
+test('rate limits from env fall back to the defaults', () => {
+  const limits = rateLimitsFromEnv({ RATE_DRIVE_READ: '20', RATE_PERMISSION_WRITE: '0.5', RATE_SHEETS_WRITE: 'abc' });
+  assert.deepEqual(limits.driveRead, { ratePerSec: 20, burst: 20 });
+  assert.deepEqual(limits.permissionWrite, { ratePerSec: 0.5, burst: 1 });
+  assert.deepEqual(limits.sheetsWrite, DEFAULT_RATE_LIMITS.sheetsWrite);
+
+  const buckets = createBuckets({ driveRead: limits.driveRead });
+  assert.equal(buckets.driveRead.burst, 20);
+  assert.equal(buckets.permissionWrite.ratePerSec, DEFAULT_RATE_LIMITS.permissionWrite.ratePerSec);
+});
@@ -0,0 +1,100 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { RunJournal } = require('../lib/run-journal');
+const { WriteBuffer } = require('../lib/write-buffer');
+
+const SOURCE = 'sheets:fixture-sheet/Peserta';
+const FOLDER_ID_COL = 3;
+const IS_SHARED_COL = 4;
+const LAST_LOG_COL = 6;
+
+function openJournal(t) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'certsharing-journal-'));
+  const journal = new RunJournal({ filePath: path.join(dir, 'run-journal.jsonl'), source: SOURCE }).open();
+  t.after(() => {
+    journal.close();
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+  return journal;
+}
+
+// Write buffer wired to the journal like the worker's; every writeCells call
+// waits until the test releases it
+function slowBuffer(journal) {
+  const writes = [];
+  const buffer = new WriteBuffer({
+    writeCells: cells => new Promise(resolve => writes.push({ cells, done: resolve })),
+    flushIntervalMs: 1,
+    onFlush: cells => journal.markFlushed(cells, SOURCE)
+  });
+  return { buffer, writes };
+}
+
+async function until(check) {
+  while (!check()) await new Promise(resolve => setTimeout(resolve, 1));
+}
+
+test('a timer flush with only FolderId of a granted row leaves the entry open', async t => {
+  const journal = openJournal(t);
+  const { buffer, writes } = slowBuffer(journal);
+
+  // Folder found: FolderId is queued and a timer flush starts writing it
+  await buffer.enqueue(7, FOLDER_ID_COL, 'fx-siti');
+  await until(() => writes.length === 1);
+
+  // The grant completes while that flush is still running
+  const id = journal.begin({ action: 'grant', rowIndex: 7, email: 'siti@gmail.com', folderId: 'fx-siti', role: 'reader', columns: [IS_SHARED_COL, LAST_LOG_COL] });
+  journal.recordApi(id, 'ok');
+  writes[0].done();
+  await buffer.flushing;
+  assert.deepEqual(journal.pending().map(e => e.intent.id), [id], 'isShared not written yet');
+
+  // isShared=TRUE reaches the sheet: now the entry is done
+  await buffer.enqueue(7, IS_SHARED_COL, 'TRUE');
+  const flushed = buffer.flush();
+  await until(() => writes.length === 2);
+  writes[1].done();
+  await flushed;
+  assert.deepEqual(journal.pending(), []);
+});
+
+test('a crash after the early flush leaves the grant for replay', async t => {
+  const journal = openJournal(t);
+  const { buffer, writes } = slowBuffer(journal);
+  await buffer.enqueue(7, FOLDER_ID_COL, 'fx-siti');
+  await until(() => writes.length === 1);
+  const id = journal.begin({ action: 'grant', rowIndex: 7, email: 'siti@gmail.com', folderId: 'fx-siti', role: 'reader', columns: [IS_SHARED_COL, LAST_LOG_COL] });
+  journal.recordApi(id, 'ok');
+  writes[0].done();
+  await buffer.flushing;
+  journal.close();
+
+  const reopened = new RunJournal({ filePath: journal.filePath, source: SOURCE }).open();
+  t.after(() => reopened.close());
+  const [entry] = reopened.pending();
+  assert.equal(entry.intent.id, id);
+  assert.equal(entry.api.status, 'ok');
+});
+
+test('markFlushed only closes entries of the flushed source', t => {
+  const journal = openJournal(t);
+  const id = journal.begin({ action: 'revoke', rowIndex: 2, email: 'a@gmail.com', folderId: 'f', columns: [IS_SHARED_COL] });
+  journal.recordApi(id, 'ok');
+  journal.markFlushed([{ rowIndex: 2, colIndex: IS_SHARED_COL }], 'sheets:other/Peserta');
+  assert.equal(journal.pending().length, 1);
+  journal.markFlushed([{ rowIndex: 2, colIndex: IS_SHARED_COL }]);
+  assert.equal(journal.pending().length, 0);
+});
+
+test('entries without outcome columns close on any cell of the row', t => {
+  const journal = openJournal(t);
+  const id = journal.begin({ action: 'grant', rowIndex: 4, email: 'a@gmail.com', folderId: 'f' });
+  journal.recordApi(id, 'ok');
+  journal.markFlushed([{ rowIndex: 5, colIndex: FOLDER_ID_COL }]);
+  assert.equal(journal.pending().length, 1);
+  journal.markFlushed([{ rowIndex: 4, colIndex: FOLDER_ID_COL }]);
+  assert.equal(journal.pending().length, 0);
+});
@@ -0,0 +1,23 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { REPORT_COLUMNS, toCsv } = require('../lib/run-report');
+
+function csvRow(row) {
+  return toCsv([row]).split('\n')[1].split(',');
+}
+
+test('report cells that look like formulas are written as text', () => {
+  const cells = csvRow({ email: '+62@example.com', message: '-1 kuota', reason: '@admin' });
+  const at = col => cells[REPORT_COLUMNS.indexOf(col)];
+  assert.equal(at('email'), "'+62@example.com");
+  assert.equal(at('message'), "'-1 kuota");
+  assert.equal(at('reason'), "'@admin");
+  assert.match(toCsv([{ name: '=HYPERLINK("http://x","klik")' }]), /"'=HYPERLINK\(""http:\/\/x""/);
+});
+
+test('plain text and numbers are written unchanged', () => {
+  const cells = csvRow({ name: 'Siti Aminah', rowIndex: 7, httpStatus: 403 });
+  assert.equal(cells[REPORT_COLUMNS.indexOf('name')], 'Siti Aminah');
+  assert.equal(cells[REPORT_COLUMNS.indexOf('rowIndex')], '7');
+  assert.equal(cells[REPORT_COLUMNS.indexOf('httpStatus')], '403');
+});
@@ -0,0 +1,56 @@
+const crypto = require('crypto');
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { hashKey, shardOf } = require('../lib/sharding');
+
+test('hashKey is djb2 as an unsigned 32-bit number', () => {
+  assert.equal(hashKey(''), 5381);
+  assert.equal(hashKey('a'), 177670);
+  assert.equal(hashKey(null), 5381);
+  assert.equal(hashKey(12345), hashKey('12345'));
+  for (const key of ['1AbCdEfGhIjKlMnOpQrStUvWxYz0123456789', 'ahmad fauzi', 'x'.repeat(500)]) {
+    const h = hashKey(key);
+    assert.ok(Number.isInteger(h) && h >= 0 && h <= 0xffffffff, `${key}: ${h}`);
+  }
+});
+
+test('hashKey is stable between calls', () => {
+  assert.equal(hashKey('1AbCdEfGhIjKlMnOp'), hashKey('1AbCdEfGhIjKlMnOp'));
+  assert.notEqual(hashKey('1AbCdEfGhIjKlMnOp'), hashKey('1abcdefghijklmnop'));
+});
+
+test('shardOf gives every key exactly one shard', () => {
+  for (const total of [1, 2, 3, 7]) {
+    for (let i = 0; i < 200; i++) {
+      const shard = shardOf(`folder-${i}`, total);
+      assert.ok(shard >= 0 && shard < total);
+      const owners = Array.from({ length: total }, (_, index) => index).filter(index => shardOf(`folder-${i}`, total) === index);
+      assert.equal(owners.length, 1);
+    }
+  }
+});
+
+test('shardOf spreads Drive-like folder ids evenly', () => {
+  // 33-character base64url ids, deterministic per index
+  const ids = Array.from({ length: 3000 }, (_, i) => '1' + crypto.createHash('sha256').update(String(i)).digest('base64url').slice(0, 32));
+
+  for (const total of [2, 3, 4, 5]) {
+    const counts = new Array(total).fill(0);
+    for (const id of ids) counts[shardOf(id, total)]++;
+    const expected = ids.length / total;
+    for (const count of counts) {
+      assert.ok(Math.abs(count - expected) / expected < 0.1, `${total} shards: ${counts.join('/')}`);
+    }
+  }
+});
+
+test('shardOf spreads lowercase participant names evenly', () => {
+  const first = ['ahmad', 'siti', 'budi', 'dewi', 'eko', 'fajar', 'rina', 'agus', 'sri', 'wahyu'];
+  const last = ['santoso', 'aminah', 'lestari', 'prasetyo', 'nugroho', 'wulandari', 'hidayat', 'saputra', 'kurniawan', 'rahayu'];
+  const names = [];
+  for (const a of first) for (const b of last) for (let n = 1; n <= 10; n++) names.push(`${a} ${b} ${n}`);
+
+  const counts = [0, 0, 0];
+  for (const name of names) counts[shardOf(name, 3)]++;
+  for (const count of counts) assert.ok(Math.abs(count - names.length / 3) / (names.length / 3) < 0.15, counts.join('/'));
+});
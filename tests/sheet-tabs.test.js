@@ -0,0 +1,128 @@
+const fs = require('fs');
+const path = require('path');
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const CertificateSharing = require('../certificate-worker');
+const { startFakeGoogleServer } = require('../lib/fake-google');
+const { readEvents, summarizeEvents } = require('../lib/event-log');
+const { parseSheetTabs, formatSheetTabs, resolveSheetTabs } = require('../lib/sheet-tabs');
+const { isolate, quiet } = require('./helpers');
+const { SHEET_ID, SHEET_NAME, PARENT_FOLDER_ID, sharingFixture } = require('./fixtures/drive-fixture');
+
+test('tab lists parse from text and stored objects', () => {
+  assert.deepEqual(parseSheetTabs(' Gresik, Surabaya ,,1AbC!Gelombang 2'), [
+    { sheetId: '', sheetName: 'Gresik' },
+    { sheetId: '', sheetName: 'Surabaya' },
+    { sheetId: '1AbC', sheetName: 'Gelombang 2' }
+  ]);
+  assert.deepEqual(parseSheetTabs([{ sheetId: 'x', sheetName: 'A' }, 'B', { sheetName: '' }, 'y!']), [
+    { sheetId: 'x', sheetName: 'A' },
+    { sheetId: '', sheetName: 'B' }
+  ]);
+  assert.deepEqual(parseSheetTabs(''), []);
+  assert.equal(formatSheetTabs([{ sheetId: '', sheetName: 'Gresik' }, { sheetId: '1AbC', sheetName: 'Gelombang 2' }]), 'Gresik,1AbC!Gelombang 2');
+});
+
+test('resolveSheetTabs fills in the spreadsheet and falls back to one tab', () => {
+  assert.deepEqual(resolveSheetTabs({ sheetTabs: 'Gresik,main!Gresik,other!Gresik', sheetId: 'main', sheetName: 'Peserta' }), [
+    { sheetId: 'main', sheetName: 'Gresik' },
+    { sheetId: 'other', sheetName: 'Gresik' }
+  ]);
+  assert.deepEqual(resolveSheetTabs({ sheetTabs: [], sheetId: 'main', sheetName: 'Peserta' }), [{ sheetId: 'main', sheetName: 'Peserta' }]);
+});
+
+test('summarizeEvents adds up the progress of every tab', () => {
+  const summary = summarizeEvents([
+    { type: 'run_start', total: 3, source: 'sheets:s/A' },
+    { type: 'row', outcome: 'granted', name: 'a' },
+    { type: 'row', outcome: 'error', name: 'b' },
+    { type: 'run_end', source: 'sheets:s/A' },
+    { type: 'run_start', total: 2, source: 'sheets:s/B' },
+    { type: 'row', outcome: 'skipped', name: 'c' }
+  ]);
+  assert.equal(summary.total, 5);
+  assert.equal(summary.processed, 3);
+  assert.deepEqual([summary.success, summary.error, summary.skip], [1, 1, 1]);
+  assert.equal(summary.source, 'sheets:s/B');
+  assert.equal(summary.finished, false);
+});
+
+// Fixture with two more tabs (own column layouts) and a second spreadsheet
+function multiTabFixture() {
+  const fixture = sharingFixture();
+  fixture.spreadsheets[SHEET_ID].Surabaya = [
+    ['Timestamp', 'Nama Peserta', 'E-mail'],
+    ['2025-01-01', 'Siti Aminah', 'siti.aminah@gmail.com'],
+    ['2025-01-01', 'Ahmad Fauzi', 'ahmad.kedua@gmail.com']
+  ];
+  fixture.spreadsheets['fixture-sheet-2'] = {
+    'Gelombang 2': [
+      ['Name', 'Email Address', 'FolderId'],
+      ['Eko Prasetyo', 'eko.kedua@gmail.com', 'fx-eko']
+    ]
+  };
+  return fixture;
+}
+
+function tabRows(state, sheetId, tab) {
+  const [headers, ...rows] = state.spreadsheets[sheetId][tab];
+  return rows.map(row => Object.fromEntries(headers.map((h, i) => [h, row[i] || ''])));
+}
+
+test('one run goes through every tab and reports per tab', async t => {
+  const { server, url, fake } = await startFakeGoogleServer({ fixture: multiTabFixture() });
+  t.after(() => server.close());
+  const { dir, config } = isolate(t, {
+    GOOGLE_API_BASE_URL: url,
+    SHEET_ID,
+    SHEET_TABS: `${SHEET_NAME},Surabaya,fixture-sheet-2!Gelombang 2,Hilang`,
+    PARENT_FOLDER_ID,
+    NOTIFY: 'false',
+    DRY_RUN: 'false',
+    WORKER_ID: 'test',
+    RUN_ID: 'run-tabs'
+  });
+  quiet(t);
+
+  const worker = new CertificateSharing({ config });
+  worker.sleep = async () => {};
+  assert.equal(await worker.setupAuth(), true);
+  assert.equal(await worker.setupConfig(), true);
+  const results = await worker.processAllTabs();
+  if (worker.logStream) worker.logStream.end();
+
+  assert.deepEqual(results.map(r => r.label), [SHEET_NAME, 'Surabaya', 'fixture-sheet-2!Gelombang 2', 'Hilang']);
+  assert.deepEqual(results[0].stats, { total: 6, done: 2, skipped: 3, errors: 1 }, 'same outcome as a single-tab pass');
+  assert.deepEqual(results[1].stats, { total: 2, done: 1, skipped: 1, errors: 0 });
+  assert.deepEqual(results[2].stats, { total: 1, done: 1, skipped: 0, errors: 0 });
+  assert.equal(results[3].stats, null);
+  assert.ok(results[3].error);
+
+  const state = fake.snapshot();
+  const surabaya = tabRows(state, SHEET_ID, 'Surabaya');
+  assert.deepEqual(surabaya.map(r => r.isShared), ['TRUE', 'TRUE'], 'result columns added to the new layout');
+  assert.match(surabaya[0].LastLog, /Already has reader/);
+  assert.equal(surabaya[1].FolderId, 'fx-ahmad');
+  assert.deepEqual(tabRows(state, 'fixture-sheet-2', 'Gelombang 2').map(r => r.isShared), ['TRUE']);
+  const ahmad = state.files.find(f => f.id === 'fx-ahmad').permissions.map(p => p.emailAddress).sort();
+  assert.deepEqual(ahmad, ['ahmad.fauzi@gmail.com', 'ahmad.kedua@gmail.com']);
+
+  const [eventsFile] = fs.readdirSync(path.join(dir, 'logs')).filter(name => name.startsWith('events-'));
+  const events = readEvents(path.join(dir, 'logs', eventsFile));
+  assert.deepEqual(events.filter(e => e.type === 'run_start').map(e => e.source), [
+    `sheets:${SHEET_ID}/${SHEET_NAME}`,
+    `sheets:${SHEET_ID}/Surabaya`,
+    'sheets:fixture-sheet-2/Gelombang 2'
+  ]);
+  assert.match(fs.readFileSync(path.join(dir, 'reports', 'run-tabs.html'), 'utf8'), /Per sumber/);
+});
+
+test('lease keys are per tab when a run has several tabs', t => {
+  const { config } = isolate(t, { SHEET_ID: 'main', SHEET_TABS: 'A,B' });
+  const worker = new CertificateSharing({ config });
+  const participant = { folderId: 'fx-1', nama: 'Siti' };
+  assert.equal(worker.getWorkKey(participant), 'fx-1');
+  worker.runTabs = worker.getSheetTabs();
+  worker.selectTab(worker.runTabs[1]);
+  assert.equal(worker.getWorkKey(participant), 'main/B#fx-1');
+});
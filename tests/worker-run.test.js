@@ -0,0 +1,221 @@
+const fs = require('fs');
+const path = require('path');
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const CertificateSharing = require('../certificate-worker');
+const { startFakeGoogleServer } = require('../lib/fake-google');
+const { readEvents } = require('../lib/event-log');
+const { LeaseCoordinator, startCoordinatorServer, LeaseClient } = require('../lib/lease-coordinator');
+const { isolate, quiet } = require('./helpers');
+const { SHEET_ID, SHEET_NAME, PARENT_FOLDER_ID, sharingFixture } = require('./fixtures/drive-fixture');
+
+// One non-interactive worker pass against the fake Drive/Sheets server,
+// the same steps run() takes; resolves to the fake's final state
+async function runPass(t, { env = {}, faults = [], fixture = sharingFixture() } = {}) {
+  const { server, url, fake } = await startFakeGoogleServer({ fixture });
+  t.after(() => server.close());
+  for (const fault of faults) fake.addFault(fault);
+
+  const { dir, config } = isolate(t, {
+    GOOGLE_API_BASE_URL: url,
+    SHEET_ID,
+    SHEET_NAME,
+    PARENT_FOLDER_ID,
+    NOTIFY: 'false',
+    DRY_RUN: 'false',
+    WORKER_ID: 'test',
+    RUN_ID: 'run-test',
+    ...env
+  });
+  quiet(t);
+
+  const worker = new CertificateSharing({ config });
+  // Retry backoff without waiting
+  worker.sleep = async () => {};
+  assert.equal(await worker.setupAuth(), true);
+  assert.equal(await worker.setupConfig(), true);
+  const data = await worker.getSpreadsheetDataFlexible();
+  assert.ok(data, 'sheet read');
+  await worker.processBatch(data);
+  if (worker.logStream) worker.logStream.end();
+  return { dir, worker, state: fake.snapshot() };
+}
+
+// Row values by participant name
+function sheetRows(state) {
+  const [headers, ...rows] = state.spreadsheets[SHEET_ID][SHEET_NAME];
+  return Object.fromEntries(rows.map(row => [row[0], Object.fromEntries(headers.map((h, i) => [h, row[i] || '']))]));
+}
+
+function sharedWith(state, folderId) {
+  return state.files.find(f => f.id === folderId).permissions.map(p => `${p.emailAddress}:${p.role}`).sort();
+}
+
+function assertGrantOutcome(state) {
+  const rows = sheetRows(state);
+  assert.equal(rows['Ahmad Fauzi'].isShared, 'TRUE');
+  assert.match(rows['Ahmad Fauzi'].LastLog, /GRANTED reader → ahmad\.fauzi@gmail\.com/);
+  assert.equal(rows['Siti Aminah'].FolderId, 'fx-siti', 'folder found by name');
+  assert.equal(rows['Siti Aminah'].isShared, 'TRUE');
+  assert.equal(rows['Budi Santoso'].LastLog, 'done', 'finished row untouched');
+  assert.equal(rows['Citra Dewi'].LastLog, 'failed', 'failed row untouched');
+  assert.equal(rows['Dewi Lestari'].isShared, 'FALSE');
+  assert.match(rows['Dewi Lestari'].LastLog, /DOMAIN NOT ALLOWED/);
+  assert.equal(rows['Eko Prasetyo'].isShared, 'TRUE');
+  assert.match(rows['Eko Prasetyo'].LastLog, /Already has reader/);
+  assert.equal(rows['Fajar Nugroho'].isShared, 'REVOKE', 'revoke request left for --revoke');
+  assert.equal(rows['Rina Wulandari'].isShared, 'FALSE');
+  assert.match(rows['Rina Wulandari'].LastLog, /NO GOOGLE ACCOUNT/);
+  assert.equal(rows['Rina Wulandari'].ErrorClass, 'PERMANENT');
+  assert.equal(rows['Tanpa Folder'].isFolderExists, 'FALSE');
+  assert.match(rows['Tanpa Folder'].LastLog, /FOLDER NOT FOUND/);
+
+  assert.deepEqual(sharedWith(state, 'fx-ahmad'), ['ahmad.fauzi@gmail.com:reader']);
+  assert.deepEqual(sharedWith(state, 'fx-siti'), ['siti.aminah@gmail.com:reader']);
+  assert.deepEqual(sharedWith(state, 'fx-eko'), ['eko@gmail.com:reader']);
+  assert.deepEqual(sharedWith(state, 'fx-dewi'), []);
+  assert.deepEqual(sharedWith(state, 'fx-rina'), []);
+  assert.deepEqual(state.notifications, []);
+}
+
+test('grant pass shares, skips and records every row', async t => {
+  const { dir, state } = await runPass(t);
+  assertGrantOutcome(state);
+  assert.equal(state.calls['permissions.create'], 3);
+
+  const [eventsFile] = fs.readdirSync(path.join(dir, 'logs')).filter(name => name.startsWith('events-'));
+  const events = readEvents(path.join(dir, 'logs', eventsFile));
+  const outcomes = events.filter(e => e.type === 'row').sort((a, b) => a.rowIndex - b.rowIndex).map(e => `${e.rowIndex}:${e.outcome}`);
+  assert.deepEqual(outcomes, ['2:granted', '3:granted', '6:skipped', '7:skipped', '9:skipped', '10:error']);
+  assert.ok(fs.existsSync(path.join(dir, 'reports', 'run-test.csv')));
+  assert.ok(fs.existsSync(path.join(dir, 'reports', 'run-test.html')));
+});
+
+test('grant pass retries rate limits and failed sheet writes', async t => {
+  const { state } = await runPass(t, {
+    faults: [
+      { op: 'permissions.create', status: 429, times: 2 },
+      { op: 'permissions.create', status: 403, reason: 'sharingRateLimitExceeded', times: 1 },
+      { op: 'files.list', status: 403, reason: 'userRateLimitExceeded', times: 1 },
+      { op: 'values.batchUpdate', status: 500, times: 1 }
+    ]
+  });
+  assertGrantOutcome(state);
+  assert.equal(state.calls['permissions.create'], 6);
+  for (const fault of state.faults) assert.equal(fault.fired, fault.times, `${fault.op} ${fault.status} injected`);
+});
+
+test('batch mode ends in the same state as per-call mode', async t => {
+  const { state } = await runPass(t, { env: { DRIVE_BATCH: 'true' } });
+  assertGrantOutcome(state);
+  assert.ok(state.calls['drive.batch'] >= 1);
+});
+
+test('batch mode grants a folder/email pair once when two rows share it', async t => {
+  const fixture = sharingFixture();
+  // Same person and folder, entered again under a shorter name
+  fixture.spreadsheets[SHEET_ID][SHEET_NAME].push(['Ahmad F.', 'ahmad.fauzi@gmail.com', 'Gresik', 'fx-ahmad', '', '', '']);
+  const { state } = await runPass(t, { env: { DRIVE_BATCH: 'true' }, fixture });
+  assertGrantOutcome(state);
+  const rows = sheetRows(state);
+  assert.equal(rows['Ahmad F.'].isShared, 'TRUE');
+  assert.match(rows['Ahmad F.'].LastLog, /Already has reader/);
+  assert.equal(state.files.find(f => f.id === 'fx-ahmad').permissions.filter(p => p.emailAddress === 'ahmad.fauzi@gmail.com').length, 1);
+});
+
+test('leased batch keys are not completed before their grants are sent', async t => {
+  let now = 1000000;
+  const coordinator = new LeaseCoordinator({ leaseTtlMs: 60000, now: () => now });
+  const { server: coordinatorServer, url: coordinatorUrl } = await startCoordinatorServer({ coordinator });
+  t.after(() => coordinatorServer.close());
+  const { server, url } = await startFakeGoogleServer({ fixture: sharingFixture() });
+  t.after(() => server.close());
+  isolate(t, {
+    GOOGLE_API_BASE_URL: url,
+    COORDINATOR_URL: coordinatorUrl,
+    DRIVE_BATCH: 'true',
+    SHEET_ID,
+    SHEET_NAME,
+    PARENT_FOLDER_ID,
+    NOTIFY: 'false',
+    WORKER_ID: 'w1',
+    RUN_ID: 'run-crash'
+  });
+  quiet(t);
+
+  const worker = new CertificateSharing();
+  worker.sleep = async () => {};
+  assert.equal(await worker.setupAuth(), true);
+  assert.equal(await worker.setupConfig(), true);
+  const data = await worker.getSpreadsheetDataFlexible();
+  // The worker dies while sending its first batch: no complete, no release
+  worker.flushGrantBatch = async () => { throw new Error('worker stopped'); };
+  worker.leaseClient.release = async () => ({ released: 0 });
+  await assert.rejects(worker.processBatch(data), /worker stopped/);
+  if (worker.logStream) worker.logStream.end();
+
+  const held = Array.from(coordinator.leases.keys());
+  assert.ok(held.includes('fx-ahmad'), 'the chunk is still leased');
+  assert.equal(coordinator.done.size, 0);
+
+  // Once the lease expires another worker gets the same keys
+  now += 60001;
+  const { granted } = await new LeaseClient(coordinatorUrl, 'w2').lease(held, held.length);
+  assert.deepEqual(granted.sort(), held.sort());
+});
+
+test('dry run reads Drive but changes nothing', async t => {
+  const fixture = sharingFixture();
+  const { state } = await runPass(t, { env: { DRY_RUN: 'true' }, fixture });
+  assert.equal(state.calls['permissions.create'], undefined);
+  for (const file of fixture.files) {
+    assert.deepEqual(sharedWith(state, file.id), (file.permissions || []).map(p => `${p.emailAddress}:${p.role}`).sort());
+  }
+});
+
+test('MAX_PER_RUN limits a pass to the first rows in priority order', async t => {
+  const { state } = await runPass(t, { env: { MAX_PER_RUN: '2' } });
+  const rows = sheetRows(state);
+  assert.equal(rows['Ahmad Fauzi'].isShared, 'TRUE');
+  assert.equal(rows['Siti Aminah'].isShared, 'TRUE');
+  for (const name of ['Dewi Lestari', 'Eko Prasetyo', 'Rina Wulandari', 'Tanpa Folder']) {
+    assert.equal(rows[name].LastLog, '', `${name} left for the next pass`);
+  }
+});
+
+test('revoke pass removes access of REVOKE rows only', async t => {
+  const { state } = await runPass(t, { env: { REVOKE: 'true' } });
+  const rows = sheetRows(state);
+  assert.equal(rows['Fajar Nugroho'].isShared, 'REVOKED');
+  assert.deepEqual(sharedWith(state, 'fx-fajar'), []);
+  assert.deepEqual(sharedWith(state, 'fx-budi'), ['budi@gmail.com:reader']);
+  assert.equal(rows['Ahmad Fauzi'].isShared, '');
+});
+
+test('a dry-run revoke leaves the row for the real revoke', async t => {
+  const { server, url, fake } = await startFakeGoogleServer({ fixture: sharingFixture() });
+  t.after(() => server.close());
+  isolate(t, { GOOGLE_API_BASE_URL: url, SHEET_ID, SHEET_NAME, PARENT_FOLDER_ID, REVOKE: 'true', WORKER_ID: 'test', RUN_ID: 'run-revoke' });
+  quiet(t);
+
+  for (const dryRun of ['true', 'false']) {
+    process.env.DRY_RUN = dryRun;
+    const worker = new CertificateSharing();
+    worker.sleep = async () => {};
+    assert.equal(await worker.setupAuth(), true);
+    assert.equal(await worker.setupConfig(), true);
+    await worker.processBatch(await worker.getSpreadsheetDataFlexible());
+    if (worker.logStream) worker.logStream.end();
+
+    const rows = sheetRows(fake.snapshot());
+    if (dryRun === 'true') {
+      assert.equal(rows['Fajar Nugroho'].isShared, 'REVOKE', 'still flagged after the dry run');
+      assert.match(rows['Fajar Nugroho'].LastLog, /DRY_RUN reader ✕ fajar@gmail\.com/);
+      assert.deepEqual(sharedWith(fake.snapshot(), 'fx-fajar'), ['fajar@gmail.com:reader']);
+    } else {
+      assert.equal(rows['Fajar Nugroho'].isShared, 'REVOKED');
+      assert.match(rows['Fajar Nugroho'].LastLog, /REVOKED reader ✕ fajar@gmail\.com/);
+      assert.deepEqual(sharedWith(fake.snapshot(), 'fx-fajar'), []);
+    }
+  }
+});
@@ -0,0 +1,110 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const CertificateSharing = require('../certificate-worker');
+const { isolate, quiet } = require('./helpers');
+
+// Participant as read by getSpreadsheetDataFlexible()
+function row(rowIndex, fields = {}) {
+  return {
+    rowIndex,
+    nama: `Peserta ${rowIndex}`,
+    email: `peserta${rowIndex}@gmail.com`,
+    folderId: '',
+    isShared: '',
+    isFolderExists: '',
+    lastLog: '',
+    errorClass: '',
+    attempts: 0,
+    revoke: '',
+    ...fields
+  };
+}
+
+function createWorker(t, env) {
+  const { config } = isolate(t, env);
+  quiet(t);
+  return new CertificateSharing({ config });
+}
+
+test('selectGrantRows skips finished, failed, revoked and incomplete rows', t => {
+  const worker = createWorker(t);
+  const { prioritized } = worker.selectGrantRows([
+    row(2),
+    row(3, { isShared: 'TRUE' }),
+    row(4, { isShared: 'false' }),
+    row(5, { isShared: 'REVOKE' }),
+    row(6, { isShared: 'REVOKED' }),
+    row(7, { revoke: 'ya' }),
+    row(8, { nama: '   ' }),
+    row(9, { email: '' }),
+    row(10, { isShared: 'PLAN STALE' })
+  ]);
+  assert.deepEqual(prioritized.map(p => p.rowIndex), [2, 10]);
+});
+
+test('selectGrantRows trims names and lowercases emails', t => {
+  const worker = createWorker(t);
+  const { prioritized } = worker.selectGrantRows([row(2, { nama: '  Siti Aminah ', email: ' Siti.Aminah@Gmail.com ' })]);
+  assert.equal(prioritized[0].nama, 'Siti Aminah');
+  assert.equal(prioritized[0].email, 'siti.aminah@gmail.com');
+});
+
+test('selectGrantRows puts known folders first, grouped by folder, and earlier misses last', t => {
+  const worker = createWorker(t);
+  const result = worker.selectGrantRows([
+    row(2, { isFolderExists: 'FALSE' }),
+    row(3),
+    row(4, { folderId: 'folder-b' }),
+    row(5, { folderId: 'folder-a' }),
+    row(6, { isFolderExists: 'TRUE' }),
+    row(7, { folderId: 'folder-b' }),
+    row(8, { folderId: 'folder-a', isFolderExists: 'FALSE' })
+  ]);
+  assert.deepEqual(result.prioritized.map(p => p.rowIndex), [4, 7, 5, 8, 3, 6, 2]);
+  assert.deepEqual(result.withFolderId.map(p => p.rowIndex), [4, 5, 7, 8]);
+  assert.deepEqual(result.needsSearch.map(p => p.rowIndex), [3, 6]);
+  assert.deepEqual(result.problematic.map(p => p.rowIndex), [2]);
+});
+
+test('selectGrantRows in retry-failed mode picks TRANSIENT failures below the attempt limit', t => {
+  const worker = createWorker(t);
+  worker.retryFailedMode = true;
+  worker.config.set('maxAttempts', 3);
+  const { prioritized } = worker.selectGrantRows([
+    row(2),
+    row(3, { isShared: 'FALSE', errorClass: 'TRANSIENT', attempts: 1 }),
+    row(4, { isShared: 'FALSE', errorClass: 'PERMANENT', attempts: 1 }),
+    row(5, { isShared: 'FALSE', errorClass: 'TRANSIENT', attempts: 3 }),
+    row(6, { isShared: 'FALSE', errorClass: 'transient', attempts: 2, revoke: 'TRUE' }),
+    row(7, { isShared: 'TRUE' })
+  ]);
+  assert.deepEqual(prioritized.map(p => p.rowIndex), [3]);
+  assert.equal(prioritized[0].isShared, '', 'retried rows start over');
+});
+
+test('selectGrantRows with SHARD_TOTAL splits rows between workers without overlap', t => {
+  const participants = Array.from({ length: 60 }, (_, i) => row(i + 2, i % 2 ? { folderId: `folder-${i}` } : {}));
+  const { config } = isolate(t, { SHARD_TOTAL: '3' });
+  quiet(t);
+  const seen = [];
+  for (let shard = 0; shard < 3; shard++) {
+    process.env.SHARD_INDEX = String(shard);
+    const worker = new CertificateSharing({ config });
+    const picked = worker.selectGrantRows(participants).prioritized.map(p => p.rowIndex);
+    assert.ok(picked.length > 0 && picked.length < participants.length, `shard ${shard}: ${picked.length}`);
+    seen.push(...picked);
+  }
+  assert.deepEqual(seen.sort((a, b) => a - b), participants.map(p => p.rowIndex));
+});
+
+test('selectGrantRows keeps all rows when a coordinator leases them', t => {
+  const worker = createWorker(t, { SHARD_TOTAL: '3', SHARD_INDEX: '1', COORDINATOR_URL: 'http://127.0.0.1:9/' });
+  const participants = Array.from({ length: 10 }, (_, i) => row(i + 2));
+  assert.equal(worker.selectGrantRows(participants).prioritized.length, 10);
+});
+
+test('getWorkKey uses the FolderId, else the lowercased name', t => {
+  const worker = createWorker(t);
+  assert.equal(worker.getWorkKey(row(2, { folderId: '1AbC' })), '1AbC');
+  assert.equal(worker.getWorkKey(row(2, { nama: 'Siti Aminah' })), 'siti aminah');
+});
@@ -0,0 +1,56 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { WriteBuffer } = require('../lib/write-buffer');
+
+async function until(check, timeoutMs = 2000) {
+  const deadline = Date.now() + timeoutMs;
+  while (!check()) {
+    if (Date.now() > deadline) throw new Error('timed out waiting for the buffer');
+    await new Promise(resolve => setTimeout(resolve, 1));
+  }
+}
+
+test('a failed timer flush is reported and retried without a new enqueue', async () => {
+  const written = [];
+  const errors = [];
+  let calls = 0;
+  const buffer = new WriteBuffer({
+    writeCells: async cells => {
+      if (++calls === 1) throw new Error('quota exceeded');
+      written.push(...cells);
+    },
+    flushIntervalMs: 5,
+    maxAttempts: 1,
+    onError: (error, count) => errors.push({ message: error.message, count })
+  });
+
+  await buffer.enqueue(7, 4, 'TRUE');
+  await buffer.enqueue(7, 6, 'OK');
+  await until(() => written.length === 2);
+
+  assert.deepEqual(errors, [{ message: 'quota exceeded', count: 2 }]);
+  assert.deepEqual(written.map(cell => cell.value), ['TRUE', 'OK']);
+  assert.equal(buffer.size, 0);
+  assert.equal(buffer.timer, null, 'no timer left once everything is written');
+});
+
+test('a newer value queued during a failed flush wins over the put-back cell', async () => {
+  const written = [];
+  let calls = 0;
+  let buffer;
+  buffer = new WriteBuffer({
+    writeCells: async cells => {
+      if (++calls === 1) {
+        await buffer.enqueue(7, 6, 'newer');
+        throw new Error('backend error');
+      }
+      written.push(...cells);
+    },
+    flushIntervalMs: 5,
+    maxAttempts: 1
+  });
+
+  await buffer.enqueue(7, 6, 'older');
+  await until(() => written.length === 1);
+  assert.equal(written[0].value, 'newer');
+});
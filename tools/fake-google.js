@@ -0,0 +1,58 @@
+#!/usr/bin/env node
+const fs = require('fs');
+const path = require('path');
+const { demoFixture, parseFaultSpec, FakeGoogle, startFakeGoogleServer } = require('../lib/fake-google');
+
+// Offline Drive/Sheets stand-in for end-to-end runs:
+//   node tools/fake-google.js [--port 8787] [--fixture state.json] [--fault op:status[:times[:reason]]]... [--save out.json] [--quiet]
+// Without --fixture the built-in demo data set is served (sheet "demo-sheet",
+// tab "participants", parent folder "demo-parent").
+function parseArgs(argv) {
+  const opts = { port: 8787, fixture: null, faults: [], save: null, quiet: false };
+  for (let i = 0; i < argv.length; i++) {
+    const [flag, inline] = argv[i].split(/=(.*)/s);
+    const value = () => (inline !== undefined ? inline : argv[++i]);
+    if (flag === '--port') opts.port = Number(value());
+    else if (flag === '--fixture') opts.fixture = value();
+    else if (flag === '--fault') opts.faults.push(parseFaultSpec(value()));
+    else if (flag === '--save') opts.save = value();
+    else if (flag === '--quiet') opts.quiet = true;
+    else throw new Error(`Unknown option ${argv[i]}`);
+  }
+  return opts;
+}
+
+async function main() {
+  const opts = parseArgs(process.argv.slice(2));
+  const fixture = opts.fixture ? JSON.parse(fs.readFileSync(opts.fixture, 'utf8')) : demoFixture();
+  const fake = new FakeGoogle(fixture);
+  for (const rule of opts.faults) fake.addFault(rule);
+
+  const onRequest = opts.quiet ? null : (method, url, status) => {
+    console.log(`${new Date().toISOString()} ${status} ${method} ${decodeURIComponent(url.split('?')[0])}`);
+  };
+  const { server, url } = await startFakeGoogleServer({ fake, host: process.env.FAKE_GOOGLE_HOST || '127.0.0.1', port: opts.port, onRequest });
+  console.log(`Fake Google API listening on ${url} (${opts.fixture ? path.resolve(opts.fixture) : 'demo data'})`);
+  console.log(`Point the tools at it with: GOOGLE_API_BASE_URL=${url}`);
+  if (!opts.fixture) console.log('Demo: SHEET_ID=demo-sheet SHEET_NAME=participants PARENT_FOLDER_ID=demo-parent');
+  if (fake.faults.length) console.log(`Faults: ${fake.faults.map(f => `${f.op}:${f.status}x${f.times || '∞'}`).join(', ')}`);
+
+  const stop = () => {
+    if (opts.save) {
+      fs.writeFileSync(opts.save, JSON.stringify(fake.snapshot(), null, 2) + '\n');
+      console.log(`State saved to ${opts.save}`);
+    }
+    server.close(() => process.exit(0));
+  };
+  process.once('SIGINT', stop);
+  process.once('SIGTERM', stop);
+}
+
+if (require.main === module) {
+  main().catch(error => {
+    console.error(`Fake Google error: ${error.message}`);
+    process.exit(1);
+  });
+}
+
+module.exports = { parseArgs };
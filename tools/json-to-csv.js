@@ -11,13 +11,23 @@ function hasUpperCase(str) {
   return /[A-Z]/.test(str);
 }
 
-function main() {
-  const inPath = process.argv[2] || 'cache/folder-mapping.json';
-  const outPath = process.argv[3] || 'cache/folder-mapping.csv';
-
+// Write a folder mapping (v2 folder list or legacy name -> id object) as CSV
+function exportMapping(inPath = 'cache/folder-mapping.json', outPath = 'cache/folder-mapping.csv') {
   const raw = fs.readFileSync(inPath, 'utf8');
   const obj = JSON.parse(raw);
 
+  // Mapping v2: folder list with ancestor paths
+  if (Array.isArray(obj.folders)) {
+    const rows = obj.folders
+      .map(f => ({ name: f.name, id: f.id, path: (f.path || []).join('/') }))
+      .sort((a, b) => a.path.localeCompare(b.path) || a.name.localeCompare(b.name));
+    const header = 'Name,FolderId,Path\n';
+    const body = rows.map(r => `${toCsvValue(r.name)},${toCsvValue(r.id)},${toCsvValue(r.path)}`).join('\n') + '\n';
+    fs.writeFileSync(outPath, header + body, 'utf8');
+    console.log(`CSV written: ${outPath} (rows: ${rows.length})`);
+    return;
+  }
+
   // Deduplicate lowercase duplicates: prefer a key with any uppercase letters
   const byLower = new Map(); // lowerName -> { name, id }
   for (const [name, id] of Object.entries(obj)) {
@@ -41,5 +51,10 @@ function main() {
   console.log(`CSV written: ${outPath} (rows: ${rows.length})`);
 }
 
+function main() {
+  exportMapping(process.argv[2], process.argv[3]);
+}
+
 if (require.main === module) main();
 
+module.exports = { exportMapping };